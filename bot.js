@@ -2,39 +2,330 @@
 // FILE: bot.js
 // ==========================================
 require('dotenv').config();
+const path = require('path');
 const axios = require('axios');
-const fs = require('fs').promises;
-const { TwitterApi } = require('twitter-api-v2');
+const {
+  SALE_STATUS,
+  loadLedger,
+  saveLedger,
+  hasSale,
+  recordSale,
+  markSale,
+  getRetryableEvents,
+  getRetryableSales,
+  getRetryableSale,
+  getSaleKey,
+  isSaleTransaction,
+  getSalesBetween
+} = require('./lib/ledger');
+const { MAX_EVENT_PAGES, collectNewSales } = require('./lib/sale-paging');
+const {
+  loadQueue,
+  saveQueue,
+  getQueuedSaleKeys,
+  enqueueGroup,
+  removeGroup,
+  reconcileQueue,
+  takeStaleGroups,
+  getNextGroups
+} = require('./lib/queue');
+const { createPublishers, publishPost } = require('./lib/publishers');
+const { loadUsage, getPostCounts, getBudgetLeft } = require('./lib/post-budget');
+const {
+  configureStateFiles,
+  readStateFile,
+  writeStateFile,
+  writeStateText,
+  updateStateFile,
+  acquireStateLock,
+  releaseStateLock
+} = require('./lib/state-files');
+const { migrateState } = require('./lib/state-migrations');
+const { createStopSignal, runDaemon } = require('./lib/daemon');
+const { createRecorder, createRpcReplaySource, createRpcRecorder, loadReplaySettings, prepareReplay } = require('./lib/replay');
+const { now, nowSeconds } = require('./lib/clock');
+const { loadConfig } = require('./lib/config');
+const { renderTemplate } = require('./lib/templates');
+const {
+  loadPostLog,
+  recordPost,
+  getRecentPostIds,
+  saveMetrics,
+  buildEngagementReport,
+  getVariantWeights,
+  formatEngagementReport
+} = require('./lib/analytics');
+const { renderEvidenceCard, renderWantedCard, renderCollageCard } = require('./lib/cards');
+const { getNFTMedia, clearMediaMemo } = require('./lib/media');
+const { LOG_FORMATS, configureLogging, logWithFields } = require('./lib/logger');
+const { createRunReport, summarizeReport, saveRunReport } = require('./lib/run-report');
+const { checkAlerts } = require('./lib/alerts');
+const {
+  loadHolderRegistry,
+  saveHolderRegistry,
+  resetHolderRegistry,
+  applyTransfer,
+  applyHistoricalTransfer,
+  sortTransferLog,
+  isRegistryReady,
+  isInTransferLog,
+  getHoldings,
+  getHoldingsAround,
+  getNewHolders,
+  getTokenIds
+} = require('./lib/holders');
+const { createRpcClient, createChainReader, getScanStart, scanChainSales, lookupEnsName } = require('./lib/chain');
+const { toAmount, sumAmounts, formatTotals, toNumber, getEthValue, serializeTotals, deserializeTotals } = require('./lib/money');
+const { createFiatRates, formatFiat } = require('./lib/fiat');
+const { groupSales, getSellerBreakdown, buildEvidenceThread } = require('./lib/sweeps');
+const {
+  loadFloorHistory,
+  saveFloorHistory,
+  recordFloorSnapshot,
+  getFloorTriggers,
+  markFloorAlerted,
+  getFloorChangeSince,
+  formatChange
+} = require('./lib/floor');
+const {
+  WIRETAP_KINDS,
+  getEnabledKinds,
+  getOrderEventTypes,
+  toWiretapEvent,
+  toTransferEvent,
+  getUnitPrice,
+  getFloorPercent,
+  groupWiretapEvents,
+  getFilterReason,
+  formatFloorPercent
+} = require('./lib/wiretap');
+const { loadRanks, saveRanks, getLastRank, setRank, toRankEvent } = require('./lib/ranks');
+const {
+  DIGEST_PERIODS,
+  isDigestDue,
+  getDigestStart,
+  summarizeSales,
+  getDigestSections,
+  formatDigestText,
+  getDigestFileName
+} = require('./lib/digest');
+const {
+  loadTraitCache,
+  saveTraitCache,
+  hasTraits,
+  setTokenTraits,
+  getUncachedTokens,
+  getTokenRarity,
+  formatNotableTraits,
+  recordTokenSale,
+  getPreviousSale,
+  needsSaleHistory,
+  markSaleHistoryFetched
+} = require('./lib/traits');
+const { getAnomalyAction, screenSales } = require('./lib/anomalies');
+const {
+  loadDossiers,
+  saveDossiers,
+  getDossier,
+  openDossier,
+  findDossier,
+  fileDeal,
+  recordTier,
+  formatOrdinal,
+  formatDossier
+} = require('./lib/dossiers');
+const { createWalletNames } = require('./lib/identities');
+const {
+  CONTROL_COMMANDS,
+  parseControlCommand,
+  getTargetType,
+  getOperator,
+  loadControls,
+  updateControls,
+  getPause,
+  getBlockReason,
+  appendAuditLog
+} = require('./lib/controls');
+
+// Read the value following a CLI flag (e.g. --replay fixtures/sample)
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return null;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : null;
+}
 
-// No Canvas needed - using simple text + image format
+// Configuration: collections, tier ladders, templates, cadence and channels live in
+// config.json (or --config <file>). Bad values stop the bot before it touches anything.
+let config;
+try {
+  config = loadConfig(getArgValue('--config') || undefined);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-// Configuration
-const AL_CABONE_CONTRACT = '0x8Ca5209d8CCe34b0de91C2C4b4B14F20AFf8BA23';
-const COLLECTION_SLUG = 'thealcabones';
+// Plain lines or JSON lines (see lib/logger.js); LOG_FORMAT overrides config.json
+const LOG_FORMAT = process.env.LOG_FORMAT || config.logging.format;
+if (!LOG_FORMATS.includes(LOG_FORMAT)) {
+  console.error(`❌ LOG_FORMAT must be one of ${LOG_FORMATS.map(format => `"${format}"`).join(', ')} (got "${LOG_FORMAT}")`);
+  process.exit(1);
+}
+configureLogging(LOG_FORMAT);
 
 // Rate limiting delays (in milliseconds)
-const OPENSEA_DELAY = 250; // 4 requests per second max
-const TWITTER_DELAY = 5000; // 5 seconds between posts
-const RETRY_DELAY = 2000; // 2 seconds between retries
-
-// Initialize Twitter client
-const twitterClient = new TwitterApi({
-  appKey: process.env.TWITTER_API_KEY,
-  appSecret: process.env.TWITTER_API_SECRET,
-  accessToken: process.env.TWITTER_ACCESS_TOKEN,
-  accessSecret: process.env.TWITTER_ACCESS_SECRET,
-});
-
-// Utility function for API calls with retries
+const OPENSEA_DELAY = config.delays.opensea; // 4 requests per second max by default
+const TWITTER_DELAY = config.delays.post; // Between posts
+const RETRY_DELAY = config.delays.retry; // Between retries (doubles each attempt)
+
+// Sale event paging (MAX_EVENT_PAGES is in lib/sale-paging.js)
+const LOOKBACK_OVERLAP_SECONDS = 60 * 60; // Re-scan 1 hour before last check for late-indexed sales
+const BOOTSTRAP_PAGES_PER_RUN = 100; // Transfer history pages walked per run while building the holder registry
+const COLLAGE_EXHIBITS = 4; // NFTs shown on a sweep's evidence board
+const FLOOR_LISTINGS_LIMIT = 100; // Cheapest listings read to find the floor and count listings near it
+const WIRETAP_MAX_PAGES = 5; // Safety cap on pages fetched per wiretap event type per run
+const METRICS_BATCH_SIZE = 100; // Posts looked up per X request when pulling engagement
+
+// On-chain sale scanning
+const MAX_BLOCK_CHUNKS = 20; // Safety cap on eth_getLogs calls per run (blockRange blocks each)
+
+// Run modes:
+//   --dry-run [--out <dir>]   render every post to stdout (or files in <dir>) instead of sending; state is not saved
+//   --replay <fixtures-dir>   serve OpenSea from recorded fixtures (implies --dry-run, no network or credentials)
+//   --record <fixtures-dir>   save live OpenSea responses in the replay layout
+//   --sales-source <source>   read sales from "opensea" or "rpc" for every collection, whatever config.json says
+//   --digest <period>         post the "daily" or "weekly" digest now instead of a normal run
+//   --dossier <wallet|case>   print a wallet's dossier (by address or case number) and exit
+//   --analytics               print how posts engaged by template variant, status, type and tier, and exit
+//   --daemon                  stay up and poll every daemon.pollMinutes instead of running once
+//   --control <command> ...   run an operator command and exit (see runControl), --collection <id> for one collection
+const REPLAY_DIR = getArgValue('--replay');
+const RECORD_DIR = getArgValue('--record');
+
+// Operator commands: the words after --control up to the next flag
+let CONTROL = null;
+if (process.argv.includes('--control')) {
+  const words = process.argv.slice(process.argv.indexOf('--control') + 1);
+  const end = words.findIndex(word => word.startsWith('--'));
+  try {
+    CONTROL = parseControlCommand(end === -1 ? words : words.slice(0, end));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+const CONTROL_COLLECTION = getArgValue('--collection');
+if (CONTROL_COLLECTION && !config.collections.some(collection => collection.id === CONTROL_COLLECTION)) {
+  console.error(`❌ --collection must be one of ${config.collections.map(collection => `"${collection.id}"`).join(', ')} (got "${CONTROL_COLLECTION}")`);
+  process.exit(1);
+}
+
+// Previews are dry runs of a post
+const DRY_RUN = process.argv.includes('--dry-run') || Boolean(REPLAY_DIR) || CONTROL?.command === 'preview';
+const DRY_RUN_OUT_DIR = getArgValue('--out');
+const SALES_SOURCE = getArgValue('--sales-source');
+if (SALES_SOURCE && !['opensea', 'rpc'].includes(SALES_SOURCE)) {
+  console.error(`❌ --sales-source must be "opensea" or "rpc" (got "${SALES_SOURCE}")`);
+  process.exit(1);
+}
+const DIGEST_PERIOD = getArgValue('--digest');
+if (DIGEST_PERIOD && !DIGEST_PERIODS[DIGEST_PERIOD]) {
+  console.error(`❌ --digest must be one of ${Object.keys(DIGEST_PERIODS).map(period => `"${period}"`).join(', ')} (got "${DIGEST_PERIOD}")`);
+  process.exit(1);
+}
+
+const ANALYTICS = process.argv.includes('--analytics');
+const DOSSIER_QUERY = getArgValue('--dossier');
+if (process.argv.includes('--dossier') && !DOSSIER_QUERY) {
+  console.error('❌ --dossier needs a wallet address or case number');
+  process.exit(1);
+}
+
+// A daemon keeps its own schedule and saves state as it goes - the one-off modes don't mix with it
+const DAEMON = process.argv.includes('--daemon');
+const oneOffMode = ['--dry-run', '--replay', '--digest', '--dossier', '--analytics', '--control', '--test'].find(flag => process.argv.includes(flag));
+if (DAEMON && oneOffMode) {
+  console.error(`❌ --daemon can't be combined with ${oneOffMode}`);
+  process.exit(1);
+}
+
+// Nothing is rate limited when nothing is sent
+const POST_DELAY = DRY_RUN ? 0 : TWITTER_DELAY;
+
+let replaySource = null;
+let replayFiatRates = null; // replay.json "fiatRates" stand in for the price provider
+let stopSignal = null; // Set for normal and daemon runs: a stop request ends the run between posts
+let runReport = null; // The report of the run in progress (lib/run-report.js)
+const recorder = RECORD_DIR ? createRecorder(RECORD_DIR) : null;
+
+// Build a collection's output channels from its "publishers" config (secrets come from env).
+// Dry runs replace them all with the dry-run renderer.
+function buildPublishers(collection) {
+  if (DRY_RUN) {
+    return createPublishers({
+      dryRun: {
+        enabled: true,
+        outDir: DRY_RUN_OUT_DIR ? path.join(DRY_RUN_OUT_DIR, collection.id) : null,
+        skipImages: Boolean(REPLAY_DIR)
+      }
+    });
+  }
+
+  const { twitter, discord, telegram, webhook } = collection.publishers;
+  const twitterEnv = twitter?.credentialsEnv || 'TWITTER';
+
+  const publishers = createPublishers({
+    twitter: twitter && {
+      enabled: twitter.enabled,
+      credentialsEnv: twitterEnv,
+      maxWaitSeconds: twitter.maxWaitSeconds,
+      budget: twitter.budget,
+      stop: stopSignal,
+      credentials: {
+        appKey: process.env[`${twitterEnv}_API_KEY`],
+        appSecret: process.env[`${twitterEnv}_API_SECRET`],
+        accessToken: process.env[`${twitterEnv}_ACCESS_TOKEN`],
+        accessSecret: process.env[`${twitterEnv}_ACCESS_SECRET`]
+      }
+    },
+    discord: discord && {
+      enabled: discord.enabled,
+      webhookUrl: process.env[discord.webhookUrlEnv || 'DISCORD_WEBHOOK_URL'],
+      username: discord.username
+    },
+    telegram: telegram && {
+      enabled: telegram.enabled,
+      botToken: process.env[telegram.botTokenEnv || 'TELEGRAM_BOT_TOKEN'],
+      chatId: process.env[telegram.chatIdEnv || 'TELEGRAM_CHAT_ID']
+    },
+    webhook: webhook && {
+      enabled: webhook.enabled,
+      url: process.env[webhook.urlEnv || 'WEBHOOK_URL'],
+      secret: webhook.secretEnv ? process.env[webhook.secretEnv] : undefined
+    }
+  });
+
+  // A channel that's switched on but can't be set up (missing secrets) fails the run
+  for (const [name, channel] of Object.entries(collection.publishers)) {
+    if (channel?.enabled && !publishers.some(publisher => publisher.name === name)) {
+      runReport?.recordError(`The ${name} publisher could not be set up`);
+    }
+  }
+  return publishers;
+}
+
+// Utility function for API calls with retries (counted in the run report)
 async function apiCallWithRetry(apiCall, maxRetries = 3, delay = RETRY_DELAY) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       const result = await apiCall();
+      runReport?.recordApiCall(attempt);
       return result;
     } catch (error) {
       console.error(`API call attempt ${attempt} failed:`, error.message);
       
       if (attempt === maxRetries) {
+        runReport?.recordApiCall(attempt, true);
         throw error;
       }
       
@@ -48,19 +339,71 @@ async function apiCallWithRetry(apiCall, maxRetries = 3, delay = RETRY_DELAY) {
 // Sleep utility
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Enhanced price formatting with proper token handling
+// GET an OpenSea API v2 endpoint (served from fixtures in replay mode, saved as fixtures in record mode)
+async function openseaGet(apiPath, params = {}) {
+  if (replaySource) {
+    return replaySource.get(apiPath, params);
+  }
+
+  await sleep(OPENSEA_DELAY);
+  const response = await axios.get(`https://api.opensea.io/api/v2/${apiPath}`, {
+    params,
+    headers: {
+      'X-API-KEY': process.env.OPENSEA_API_KEY
+    }
+  });
+
+  if (recorder) {
+    await recorder.record(apiPath, params, response.data);
+  }
+  return response.data;
+}
+
+// Price of one sale or listing in its own currency ("0.420 ETH", or "Price undisclosed")
 function formatPrice(sale) {
-  // Handle OpenSea API v2 format
-  const payment = sale.payment;
-  if (!payment || !payment.quantity || payment.quantity === '0') {
-    return 'Price undisclosed';
+  return formatTotals(getTotals([sale]));
+}
+
+// What a group of sales (or a listing) paid, summed exactly per currency
+function getTotals(sales) {
+  return sumAmounts(sales.map(sale => toAmount(sale.payment)));
+}
+
+// Fiat rates for a collection (one cached provider per distinct "fiat" setting)
+const fiatRatesBySetting = new Map();
+function getFiatRates(collection) {
+  const options = replayFiatRates ? { ...collection.fiat, provider: 'fixed', rates: replayFiatRates } : collection.fiat;
+  const key = JSON.stringify(options);
+  if (!fiatRatesBySetting.has(key)) fiatRatesBySetting.set(key, createFiatRates(options));
+  return fiatRatesBySetting.get(key);
+}
+
+// What sale posts call wallets (one per distinct "identities" setting). ENS is skipped when
+// there's no node to ask.
+const walletNamesBySetting = new Map();
+function getWalletNames(collection) {
+  const key = JSON.stringify(collection.identities);
+  if (!walletNamesBySetting.has(key)) {
+    const chain = collection.identities.ens.enabled ? getChainReader(collection, collection.identities.ens.rpcUrlEnv) : null;
+    walletNamesBySetting.set(key, createWalletNames({
+      ...collection.identities,
+      registry: collection.walletRegistry,
+      lookupEns: chain ? wallet => lookupEnsName(chain, wallet) : null
+    }));
   }
-  
-  const decimals = payment.decimals || 18;
-  const symbol = payment.symbol || 'ETH';
-  const price = (payment.quantity / Math.pow(10, decimals)).toFixed(decimals === 18 ? 3 : 2);
-  
-  return `${price} ${symbol}`;
+  return walletNamesBySetting.get(key);
+}
+
+// A value for posts: the per-currency amounts plus, when fiat is on and every currency has a
+// rate, "(~$1,340)". Returns { text, fiat } - fiat is the number, or null.
+async function describeValue(collection, totals) {
+  const text = formatTotals(totals);
+  const rates = await getFiatRates(collection).getRates(totals.map(total => total.symbol));
+  if (!rates || totals.length === 0 || !totals.every(total => typeof rates[total.symbol] === 'number')) {
+    return { text, fiat: null };
+  }
+  const fiat = totals.reduce((sum, total) => sum + toNumber(total) * rates[total.symbol], 0);
+  return { text: `${text} (${formatFiat(fiat, collection.fiat.currency)})`, fiat };
 }
 
 // Filter valid sales (accept sweeps but process as single sales)
@@ -80,134 +423,368 @@ function isValidSaleEvent(sale) {
   return true;
 }
 
-// Short dynamic status messages based on transaction dynamics
-const statusTemplates = {
-  empire_falls: "POWER VACUUM",
-  consolidation: "EMPIRE EXPANSION", 
-  business_as_usual: "FAMILY BUSINESS"
-};
-
-
-// Determine holder tier based on NFT count
-function getHolderTier(nftCount) {
-  if (nftCount >= 100) return 'commission';
-  if (nftCount >= 25) return 'godfather';
-  if (nftCount >= 20) return 'underboss';
-  if (nftCount >= 15) return 'consigliere';
-  if (nftCount >= 10) return 'caporegime';
-  if (nftCount >= 5) return 'soldier';
-  return 'associate';
-}
-
-// Check if seller is high-ranking for floor narrative
-function getFloorNarrative(sellerTier, sellerCount) {
-  if (['caporegime', 'consigliere', 'underboss', 'godfather', 'commission'].includes(sellerTier)) {
-    return true;
+// Determine holder tier based on NFT count (collection's tier ladder, top rung first)
+function getHolderTier(collection, nftCount) {
+  if (nftCount === null || nftCount === undefined) return 'unknown';
+  const tier = collection.tiers.find(rung => nftCount >= rung.min);
+  return tier ? tier.name : collection.tiers[collection.tiers.length - 1].name;
+}
+
+// Display name for a tier (its configured label, or the name in capitals)
+function getTierLabel(collection, tier) {
+  const rung = collection.tiers.find(candidate => candidate.name === tier);
+  return (rung?.label || tier).toUpperCase();
+}
+
+// Whether a tier is at or above the collection's high-ranking tier (drives {{#if highRanking}})
+function isHighRankingTier(collection, tier) {
+  if (!collection.highRankingTier) return false;
+  return getTierRank(collection, tier) >= getTierRank(collection, collection.highRankingTier);
+}
+
+
+// Fetch one page of collection events (newest first) from OpenSea
+async function fetchEventsPage(collection, eventType, cursor) {
+  return await apiCallWithRetry(async () => {
+    const params = { event_type: eventType, limit: 50 };
+    if (cursor) params.next = cursor;
+
+    const data = await openseaGet(`events/collection/${collection.slug}`, params);
+
+    return {
+      events: data.asset_events || data.events || [],
+      next: data.next || null
+    };
+  });
+}
+
+// Fetch new sales from OpenSea into the ledger. Pages back through the `next` cursor until it
+// reaches events already in the ledger (or the lookback boundary on a fresh ledger). When that
+// takes more than MAX_EVENT_PAGES, paging stops and the cursor where it did is returned: the next
+// run passes it back as resumeCursor and fetches the rest of the gap down to the same boundary,
+// so the caller holds the check cursor until the gap is closed. Throws if paging fails so the
+// caller can leave the check cursor where it was. New sales also move tokens in the holder registry.
+// Returns { sales: every sale still waiting to be posted, resumeCursor: null when caught up }.
+async function fetchRecentSales(collection, ledger, registry = null, resumeCursor = null) {
+  // OpenSea deprecated occurred_after in 2022 - page back and filter manually.
+  // Look back a little past the last check to catch events OpenSea indexed late.
+  const lastCheck = await getLastCheckTime(collection);
+  const boundaryTimestamp = Math.floor(new Date(lastCheck).getTime() / 1000) - LOOKBACK_OVERLAP_SECONDS;
+
+  const fetchPage = cursor => fetchEventsPage(collection, 'sale', cursor);
+  const { events: newEvents, pages, cursor } = await collectNewSales(fetchPage, ledger, boundaryTimestamp, resumeCursor);
+
+  if (cursor) {
+    console.log(`⚠️ Stopped paging after ${pages} pages without reaching seen sales - continuing next run`);
+  }
+
+  // Record oldest first so the ledger reads chronologically
+  for (const event of newEvents.reverse()) {
+    if (isValidSaleEvent(event)) {
+      recordSale(ledger, event);
+    } else {
+      recordSale(ledger, event, SALE_STATUS.skipped, 'invalid sale event');
+    }
+    if (registry) applyTransfer(registry, event);
+  }
+
+  console.log(`Found ${newEvents.length} new sales since last check (${new Date(lastCheck).toISOString()}, ${pages} page(s))`);
+
+  return { sales: getRetryableSales(ledger), resumeCursor: cursor };
+}
+
+// Where a collection's sales come from: OpenSea events or the chain itself (--sales-source wins)
+function getSalesSource(collection) {
+  return SALES_SOURCE || collection.sales.source;
+}
+
+// JSON-RPC access for on-chain sales and ENS lookups (fixtures in replay mode, recorded in
+// record mode). Returns null when no RPC URL is configured.
+function getChainReader(collection, urlEnv = collection.sales.rpcUrlEnv) {
+  let client;
+  if (REPLAY_DIR) {
+    client = createRpcReplaySource(REPLAY_DIR);
   } else {
-    return false;
+    const url = process.env[urlEnv];
+    if (!url) return null;
+    client = createRpcClient(url);
+    if (RECORD_DIR) client = createRpcRecorder(RECORD_DIR, client);
   }
+  return createChainReader({ call: (method, params) => apiCallWithRetry(() => client.call(method, params)) });
 }
 
+// Last block scanned for on-chain sales (null before the first scan)
+async function getLastBlock(collection) {
+  try {
+    const data = await readStateFile(path.join(collection.stateDir, 'last-check.json'));
+    return Number.isInteger(data?.lastBlock) ? data.lastBlock : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-// Fetch recent sales from OpenSea with timestamp filtering
-async function fetchRecentSales() {
-  return await apiCallWithRetry(async () => {
-    await sleep(OPENSEA_DELAY);
-    
-    // Get last check time to filter new sales
-    const lastCheck = await getLastCheckTime();
-    const lastCheckTimestamp = Math.floor(new Date(lastCheck).getTime() / 1000);
-    
-    // OpenSea deprecated occurred_after parameter in 2022 - use manual filtering
-    const response = await axios.get(`https://api.opensea.io/api/v2/events/collection/${COLLECTION_SLUG}`, {
-      params: {
-        event_type: 'sale',
-        limit: 50 // Get more events to find recent ones
-      },
-      headers: {
-        'X-API-KEY': process.env.OPENSEA_API_KEY
-      }
-    });
-    
-    const events = response.data.asset_events || response.data.events || [];
-    
-    // Manual timestamp filtering (OpenSea deprecated occurred_after in 2022)
-    const recentEvents = events.filter(event => {
-      return event.event_timestamp > lastCheckTimestamp;
-    });
-    
-    console.log(`Found ${recentEvents.length} sales since last check (${new Date(lastCheck).toISOString()})`);
-    
-    // Filter for valid single sales only
-    return recentEvents.filter(isValidSaleEvent);
-  }).catch(error => {
-    console.error('Failed to fetch sales after retries:', error.message);
-    return [];
+// Read new sales straight from the chain into the ledger: Transfer logs for the collection's
+// contract since the last scanned block, priced from the marketplace settlement events in the
+// same transaction. Stays `confirmations` blocks behind the head. The first scan starts from the
+// block at the last check time. Throws if the node can't be reached so the cursor stays put.
+// Returns every sale still waiting to be posted, the transfers scanned and the last block covered.
+async function fetchChainSales(collection, ledger, registry = null) {
+  const chain = getChainReader(collection);
+  if (!chain) throw new Error(`no RPC URL set (${collection.sales.rpcUrlEnv})`);
+
+  const { confirmations, blockRange } = collection.sales;
+  const toBlock = (await chain.getBlockNumber()) - confirmations;
+  const lastBlock = await getLastBlock(collection);
+  const lastCheck = await getLastCheckTime(collection);
+  const fromBlock = getScanStart({
+    toBlock,
+    lastBlock,
+    lastCheck: Math.floor(new Date(lastCheck).getTime() / 1000),
+    lookbackSeconds: LOOKBACK_OVERLAP_SECONDS,
+    at: nowSeconds()
+  });
+
+  if (fromBlock > toBlock) {
+    console.log('No new blocks since last check');
+    return { sales: getRetryableSales(ledger), transfers: [], scannedTo: lastBlock };
+  }
+
+  const { sales, transfers, scannedTo } = await scanChainSales(chain, collection, {
+    fromBlock,
+    toBlock,
+    blockRange,
+    maxChunks: MAX_BLOCK_CHUNKS
   });
+  if (scannedTo < toBlock) {
+    console.log(`⚠️ Stopped scanning at block ${scannedTo} of ${toBlock} - continuing next run`);
+  }
+
+  const newSales = sales.filter(sale => !hasSale(ledger, sale));
+  for (const sale of newSales) {
+    if (isValidSaleEvent(sale)) {
+      recordSale(ledger, sale);
+    } else {
+      recordSale(ledger, sale, SALE_STATUS.skipped, 'invalid sale event');
+    }
+  }
+  if (registry) transfers.forEach(transfer => applyTransfer(registry, transfer));
+
+  console.log(`Found ${newSales.length} new on-chain sales in blocks ${fromBlock}-${scannedTo}`);
+
+  return { sales: getRetryableSales(ledger), transfers, scannedTo };
 }
 
-// Get holder's total NFT count using OpenSea API v2
-async function getHolderNFTCount(walletAddress) {
-  return await apiCallWithRetry(async () => {
-    await sleep(OPENSEA_DELAY);
-    
-    const response = await axios.get(`https://api.opensea.io/api/v2/chain/ethereum/account/${walletAddress}/nfts`, {
-      params: {
-        collection: COLLECTION_SLUG,
-        limit: 200
-      },
-      headers: {
-        'X-API-KEY': process.env.OPENSEA_API_KEY
+// Fetch new wiretap events into the ledger: listings, cancels and offers from OpenSea (paged back
+// like sales, per event type), plus this run's transfers that weren't sales. A type that fails
+// to fetch is skipped for this run - wiretap events aren't worth holding the check cursor for.
+// Returns every wiretap event of an enabled kind still waiting to be posted.
+async function fetchWiretapEvents(collection, ledger, transfers) {
+  const kinds = getEnabledKinds(collection.wiretap);
+  if (kinds.length === 0) return [];
+
+  const lastCheck = await getLastCheckTime(collection);
+  const boundaryTimestamp = Math.floor(new Date(lastCheck).getTime() / 1000) - LOOKBACK_OVERLAP_SECONDS;
+  const newEvents = new Map();
+
+  for (const eventType of getOrderEventTypes(collection.wiretap)) {
+    let cursor = null;
+    let pages = 0;
+    let reachedSeen = false;
+    try {
+      do {
+        const page = await fetchEventsPage(collection, eventType, cursor);
+        pages++;
+        for (const raw of page.events) {
+          const event = toWiretapEvent(raw);
+          if (raw.event_timestamp <= boundaryTimestamp || (event && hasSale(ledger, event))) {
+            reachedSeen = true;
+            continue;
+          }
+          if (event && kinds.includes(event.kind)) newEvents.set(getSaleKey(event), event);
+        }
+        cursor = page.next;
+      } while (cursor && !reachedSeen && pages < WIRETAP_MAX_PAGES);
+    } catch (error) {
+      console.error(`Failed to fetch ${eventType} events:`, error.message);
+    }
+  }
+
+  // Gifts and wallet moves: transfers in a transaction that isn't a recorded sale
+  if (kinds.includes('transfer')) {
+    for (const transfer of transfers) {
+      const event = toTransferEvent(transfer);
+      if (event && !hasSale(ledger, event) && !isSaleTransaction(ledger, event.transaction)) {
+        newEvents.set(getSaleKey(event), event);
       }
-    });
-    
-    const nfts = response.data.nfts || [];
-    return Math.max(nfts.length, 1); // Minimum 1 for new buyers
-  }).catch(error => {
-    console.error('Error fetching holder count:', error.message);
-    return 1;
-  });
+    }
+  }
+
+  const events = [...newEvents.values()].sort((a, b) => a.event_timestamp - b.event_timestamp);
+  events.forEach(event => recordSale(ledger, event));
+  if (events.length > 0) console.log(`🎧 Wiretap: ${events.length} new events`);
+
+  return getRetryableEvents(ledger, kinds);
 }
 
-// Get seller's NFT count using OpenSea API v2
-async function getSellerNFTCount(walletAddress) {
-  return await apiCallWithRetry(async () => {
-    await sleep(OPENSEA_DELAY);
-    
-    const response = await axios.get(`https://api.opensea.io/api/v2/chain/ethereum/account/${walletAddress}/nfts`, {
-      params: {
-        collection: COLLECTION_SLUG,
-        limit: 200
-      },
-      headers: {
-        'X-API-KEY': process.env.OPENSEA_API_KEY
+// Page back through transfer events from `cursor` (newest when null) into events, down to
+// boundaryTimestamp. Returns { pages, cursor }: cursor is where paging stopped at MAX_EVENT_PAGES
+// short of the boundary, null when it got there.
+async function pageTransfers(collection, cursor, boundaryTimestamp, events) {
+  let pages = 0;
+  let reached = false;
+  do {
+    const page = await fetchEventsPage(collection, 'transfer', cursor);
+    pages++;
+    for (const event of page.events) {
+      if (event.event_timestamp <= boundaryTimestamp) {
+        reached = true;
+      } else {
+        events.push(event);
       }
-    });
-    
-    const nfts = response.data.nfts || [];
-    return nfts.length;
-  }).catch(error => {
-    console.error('Error fetching seller count:', error.message);
-    return 0;
-  });
+    }
+    cursor = page.next;
+  } while (cursor && !reached && pages < MAX_EVENT_PAGES);
+  return { pages, cursor: reached ? null : cursor };
 }
 
-function getTierRank(tier) {
-  const ranks = {
-    associate: 1,
-    soldier: 2,
-    caporegime: 3,
-    consigliere: 4,
-    underboss: 5,
-    godfather: 6,
-    commission: 7
-  };
-  return ranks[tier] || 1;
+// Bring the holder registry up to date from OpenSea transfer events: new transfers since the
+// last sync first, then the rest of a sync that stopped at its page cap (the registry doesn't
+// answer until that gap is closed), then (until it's complete) another stretch of the history walk.
+// Returns the new transfers applied (none while the history walk is the only source).
+async function syncHolderRegistry(collection, registry) {
+  let applied = [];
+  if (registry.syncedTo !== null) {
+    const syncStartedAt = nowSeconds();
+    const newEvents = [];
+    let boundary = registry.syncedTo - LOOKBACK_OVERLAP_SECONDS;
+    let cursor;
+    let pages;
+
+    try {
+      ({ pages, cursor } = await pageTransfers(collection, null, boundary, newEvents));
+      if (registry.gap) {
+        // A new gap pages back to the older one's boundary, through it
+        boundary = Math.min(boundary, registry.gap.boundary);
+        if (!cursor) {
+          const resumed = await pageTransfers(collection, registry.gap.cursor, boundary, newEvents);
+          pages += resumed.pages;
+          cursor = resumed.cursor;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to sync holder registry:', error.message);
+      return applied;
+    }
+
+    if (cursor && !isInTransferLog(boundary)) {
+      // Moves older than the transfer log can't be applied out of order - start over
+      console.log(`⚠️ Holder registry is more than ${pages} pages behind - rebuilding from transfer history`);
+      resetHolderRegistry(registry);
+    } else {
+      // Oldest first; transfers from the gap that land after newer ones are still applied correctly
+      applied = newEvents.reverse().filter(event => applyTransfer(registry, event));
+      registry.syncedTo = syncStartedAt;
+      registry.gap = cursor ? { cursor, boundary } : null;
+      if (applied.length > 0) console.log(`👥 Holder registry: ${applied.length} new transfers`);
+      if (cursor) console.log(`⚠️ Holder registry: stopped after ${pages} pages of transfers - continuing next run`);
+    }
+  }
+
+  if (registry.complete) return applied;
+
+  // History walk, newest to oldest; resumes from the saved cursor on later runs
+  if (registry.syncedTo === null) registry.syncedTo = nowSeconds();
+  let cursor = registry.bootstrapCursor;
+  let pages = 0;
+  let events = 0;
+  try {
+    do {
+      const page = await fetchEventsPage(collection, 'transfer', cursor);
+      pages++;
+      events += page.events.length;
+      page.events.forEach(event => applyHistoricalTransfer(registry, event));
+      cursor = page.next;
+      registry.bootstrapCursor = cursor;
+    } while (cursor && pages < BOOTSTRAP_PAGES_PER_RUN);
+    registry.complete = !cursor;
+  } catch (error) {
+    console.error('Failed to walk transfer history:', error.message);
+  }
+  sortTransferLog(registry);
+
+  console.log(registry.complete
+    ? `👥 Holder registry built (${Object.keys(registry.owners).length} tokens)`
+    : `👥 Holder registry: walked ${events} more transfers, continuing next run`);
+  return applied;
+}
+
+// Count a wallet's NFTs in the collection with the OpenSea API (all pages). Used only while the
+// holder registry is still being built. Returns null if the count can't be fetched.
+async function fetchWalletNFTCount(collection, walletAddress) {
+  try {
+    let count = 0;
+    let cursor = null;
+    do {
+      const data = await apiCallWithRetry(() => openseaGet(`chain/ethereum/account/${walletAddress}/nfts`, {
+        collection: collection.slug,
+        limit: 200,
+        ...(cursor ? { next: cursor } : {})
+      }));
+      count += (data.nfts || []).length;
+      cursor = data.next || null;
+    } while (cursor);
+    return count;
+  } catch (error) {
+    console.error(`Error fetching NFT count for ${walletAddress}:`, error.message);
+    return null;
+  }
+}
+
+// Tokens a wallet holds now (null if unknown)
+async function getWalletHoldings(collection, registry, walletAddress) {
+  if (isRegistryReady(registry)) return getHoldings(registry, walletAddress);
+  return await fetchWalletNFTCount(collection, walletAddress);
+}
+
+// A wallet's holdings right before and right after a sale group's transaction(s).
+// Falls back to the API's current count, adjusted by the group's own sales, while the registry can't answer.
+async function getSaleHoldings(collection, registry, walletAddress, salesGroup) {
+  const transactions = [...new Set(salesGroup.map(sale => sale.transaction))];
+  const lastTimestamp = Math.max(...salesGroup.map(sale => sale.event_timestamp));
+  const holdings = getHoldingsAround(registry, walletAddress, transactions, lastTimestamp);
+  if (holdings) return holdings;
+
+  const after = await fetchWalletNFTCount(collection, walletAddress);
+  if (after === null) return { before: null, after: null };
+  const wallet = walletAddress.toLowerCase();
+  const change = salesGroup.reduce((sum, sale) =>
+    sum + ((sale.buyer ?? sale.to_address)?.toLowerCase() === wallet ? 1 : 0) -
+    ((sale.seller ?? sale.from_address)?.toLowerCase() === wallet ? 1 : 0), 0);
+  return { before: Math.max(after - change, 0), after };
 }
 
-function getTransactionStatus(buyerTier, sellerTier) {
-  const buyerRank = getTierRank(buyerTier);
-  const sellerRank = getTierRank(sellerTier);
+// Holder count for display ("?" when it couldn't be determined)
+function formatCount(count) {
+  return count === null || count === undefined ? '?' : String(count);
+}
+
+// One seller of a sweep: "0x1234...5678 - CAPO (12 -> 9)" (or its ENS name / X handle)
+function describeSeller(collection, entry) {
+  const { before, after } = entry.holdings;
+  return `${entry.name} - ${getTierLabel(collection, entry.tier)} (${formatCount(before)} -> ${formatCount(after)})`;
+}
+
+// Rank of a tier on the collection's ladder (1 = bottom rung; unknown tiers count as bottom)
+function getTierRank(collection, tier) {
+  const index = collection.tiers.findIndex(rung => rung.name === tier);
+  return index === -1 ? 1 : collection.tiers.length - index;
+}
+
+// Short dynamic status messages based on transaction dynamics
+function getTransactionStatus(collection, buyerTier, sellerTier) {
+  const statusTemplates = collection.templates.status;
+  const buyerRank = getTierRank(collection, buyerTier);
+  const sellerRank = getTierRank(collection, sellerTier);
   
   if (sellerRank > buyerRank + 1) return statusTemplates.empire_falls;
   if (buyerRank > sellerRank + 1) return statusTemplates.consolidation;
@@ -224,413 +801,1915 @@ Status: ACTIVE INVESTIGATION
 <Image of the NFT sold>
 
 */
-// Generate case number
-function generateCaseNumber() {
-  const prefix = 'AC';
-  const number = Math.floor(Math.random() * 99999) + 10000;
-  return `${prefix}-${number}`;
-}
-
 // Get NFT image URL from OpenSea API v2 with retry logic
 async function getNFTImageUrl(contractAddress, tokenId) {
   return await apiCallWithRetry(async () => {
-    await sleep(OPENSEA_DELAY);
-    
-    const response = await axios.get(`https://api.opensea.io/api/v2/chain/ethereum/contract/${contractAddress}/nfts/${tokenId}`, {
-      headers: {
-        'X-API-KEY': process.env.OPENSEA_API_KEY
-      }
-    });
+    const data = await openseaGet(`chain/ethereum/contract/${contractAddress}/nfts/${tokenId}`);
     
-    return response.data.nft?.image_url || response.data.nft?.metadata?.image;
+    return data.nft?.image_url || data.nft?.metadata?.image;
   }).catch(error => {
     console.error('Error fetching NFT image:', error.message);
     return null;
   });
 }
 
-// Get floor price NFT from OpenSea v2
-async function getFloorPriceNFT() {
+// Name, image and media links for an NFT from OpenSea (on-chain sales don't carry them). Null on failure.
+async function getNFTDetails(contractAddress, tokenId) {
   return await apiCallWithRetry(async () => {
-    await sleep(OPENSEA_DELAY);
-    
-    const response = await axios.get(`https://api.opensea.io/api/v2/listings/collection/${COLLECTION_SLUG}/all`, {
-      params: {
-        order_direction: 'asc',
-        order_by: 'eth_price',
-        limit: 1
-      },
-      headers: {
-        'X-API-KEY': process.env.OPENSEA_API_KEY
-      }
-    });
-    
-    const listings = response.data.listings || [];
-    if (listings.length > 0) {
-      const listing = listings[0];
-      // Convert listing format to match what we expect
-      return {
-        name: listing.protocol_data?.parameters?.offer?.[0]?.token || `Al Cabone NFT`,
-        identifier: listing.protocol_data?.parameters?.offer?.[0]?.identifierOrCriteria,
-        token_id: listing.protocol_data?.parameters?.offer?.[0]?.identifierOrCriteria,
-        seller_address: listing.maker?.address || listing.protocol_data?.parameters?.offerer,
-        payment: {
-          quantity: listing.price?.current?.value,
-          decimals: listing.price?.current?.decimals || 18,
-          symbol: listing.price?.current?.currency || 'ETH'
-        }
-      };
-    }
+    const data = await openseaGet(`chain/ethereum/contract/${contractAddress}/nfts/${tokenId}`);
+    return {
+      name: data.nft?.name || null,
+      imageUrl: data.nft?.image_url || data.nft?.metadata?.image || null,
+      animationUrl: data.nft?.display_animation_url || data.nft?.animation_url || null,
+      metadataUrl: data.nft?.metadata_url || null,
+      traits: data.nft?.traits || [],
+      rarityRank: data.nft?.rarity?.rank ?? null
+    };
+  }).catch(error => {
+    console.error('Error fetching NFT details:', error.message);
     return null;
+  });
+}
+
+// Floor listing from OpenSea v2's cheapest listings, with its NFT's name and image, and how many
+// listings sit within nearFloorPercent of it. Null when nothing is listed or the call fails.
+async function getFloorPriceNFT(collection) {
+  const listings = await apiCallWithRetry(async () => {
+    const data = await openseaGet(`listings/collection/${collection.slug}/best`, { limit: FLOOR_LISTINGS_LIMIT });
+    return data.listings || [];
   }).catch(error => {
     console.error('Error fetching floor price:', error.message);
     return null;
   });
+
+  const priced = (listings || [])
+    .map(listing => {
+      const payment = {
+        quantity: listing.price?.current?.value,
+        decimals: listing.price?.current?.decimals ?? 18,
+        symbol: listing.price?.current?.currency || 'ETH'
+      };
+      return { listing, payment, amount: toAmount(payment), offer: listing.protocol_data?.parameters?.offer?.[0] };
+    })
+    .filter(entry => entry.amount && entry.offer)
+    .sort((a, b) => toNumber(a.amount) - toNumber(b.amount));
+  if (priced.length === 0) return null;
+
+  const { listing, payment, amount, offer } = priced[0];
+  const nearLimit = toNumber(amount) * (1 + collection.floorAlerts.nearFloorPercent / 100);
+  const nearFloor = priced.filter(entry => entry.amount.symbol === amount.symbol && toNumber(entry.amount) <= nearLimit).length;
+
+  const tokenId = offer.identifierOrCriteria;
+  const details = await getNFTDetails(collection.contract, tokenId);
+  return {
+    name: details?.name || `${collection.name} #${tokenId}`,
+    image_url: details?.imageUrl || null,
+    animation_url: details?.animationUrl || null,
+    metadata_url: details?.metadataUrl || null,
+    contract: collection.contract,
+    identifier: tokenId,
+    token_id: tokenId,
+    seller_address: listing.maker?.address || listing.protocol_data?.parameters?.offerer,
+    order_hash: listing.order_hash || null,
+    payment,
+    nearFloor
+  };
+}
+
+// Record this run's floor in the collection's history and work out which alert triggers it sets off.
+// Null when there's no floor to record.
+async function trackFloor(collection, registry) {
+  const floorNFT = await getFloorPriceNFT(collection);
+  if (!floorNFT) return null;
+
+  const sellerCount = floorNFT.seller_address ? await getWalletHoldings(collection, registry, floorNFT.seller_address) : null;
+  const sellerTier = getHolderTier(collection, sellerCount);
+  const { amount, decimals, symbol } = toAmount(floorNFT.payment);
+  const snapshot = {
+    at: now().toISOString(),
+    amount: amount.toString(),
+    decimals,
+    symbol,
+    tokenId: floorNFT.token_id,
+    seller: floorNFT.seller_address || null,
+    listing: floorNFT.order_hash || `${floorNFT.token_id}_${floorNFT.seller_address}`,
+    nearFloor: floorNFT.nearFloor
+  };
+
+  const history = await loadFloorHistory(collection.stateDir);
+  const analysis = recordFloorSnapshot(history, snapshot);
+  const triggers = getFloorTriggers(history, snapshot, analysis, collection.floorAlerts, {
+    highRanking: isHighRankingTier(collection, sellerTier)
+  });
+  await saveFloorHistory(collection.stateDir, history, collection.floorAlerts.historyDays);
+
+  return { floorNFT, sellerCount, sellerTier, snapshot, history, analysis, triggers };
+}
+
+// When the scheduled jobs last ran: { lastFloorAlert: ISO, lastDigests: { daily: ISO, weekly: ISO },
+// lastMetrics: ISO }.
+// Kept apart from last-check.json (the sales cursor) so each job only writes its own file.
+function getScheduleFile(collection) {
+  return path.join(collection.stateDir, 'schedule.json');
 }
 
-// Check if we should post daily floor alert
-async function shouldPostFloorAlert() {
+async function readSchedule(collection) {
   try {
-    const data = await fs.readFile('last-check.json', 'utf8');
-    const { lastFloorAlert } = JSON.parse(data);
-    
-    if (!lastFloorAlert) return true;
-    
-    const lastAlert = new Date(lastFloorAlert);
-    const now = new Date();
-    const hoursSinceLastAlert = (now - lastAlert) / (1000 * 60 * 60);
-    
-    // Post floor alert if it's been more than 72 hours
-    return hoursSinceLastAlert >= 72;
+    return (await readStateFile(getScheduleFile(collection))) || {};
   } catch (error) {
-    return true; // If no record, post alert
+    return {};
   }
 }
 
+// Check if the routine floor report is due
+async function shouldPostFloorAlert(collection) {
+  const { lastFloorAlert } = await readSchedule(collection);
+  if (!lastFloorAlert) return true; // If no record, post alert
+
+  // Post floor alert once the collection's cadence has passed
+  const hoursSinceLastAlert = (now() - new Date(lastFloorAlert)) / (1000 * 60 * 60);
+  return hoursSinceLastAlert >= collection.floorAlertHours;
+}
+
 // Update last floor alert timestamp
-async function updateLastFloorAlert() {
+async function updateLastFloorAlert(collection) {
   try {
-    let data = {};
-    try {
-      const fileData = await fs.readFile('last-check.json', 'utf8');
-      data = JSON.parse(fileData);
-    } catch (e) {
-      // File doesn't exist, start fresh
-    }
-    
-    data.lastFloorAlert = new Date().toISOString();
-    await fs.writeFile('last-check.json', JSON.stringify(data, null, 2));
+    await updateStateFile(getScheduleFile(collection), data => ({ ...data, lastFloorAlert: now().toISOString() }));
   } catch (error) {
     console.error('Error updating floor alert time:', error.message);
   }
 }
 
-// Simple function to get OpenSea link for NFT
-function getNFTOpenSeaLink(contractAddress, tokenId) {
-  return `https://opensea.io/assets/ethereum/${contractAddress}/${tokenId}`;
+// When each digest period last went out ({ daily: ISO, weekly: ISO }, empty if never)
+async function getLastDigests(collection) {
+  return (await readSchedule(collection)).lastDigests || {};
 }
 
-// No floor alert image needed - using simple text format
-
-// Get last check timestamp
-async function getLastCheckTime() {
+// Update a digest period's last-sent time (the end of the window it covered)
+async function updateLastDigest(collection, period, at) {
   try {
-    const data = await fs.readFile('last-check.json', 'utf8');
-    const { lastCheck } = JSON.parse(data);
-    return lastCheck;
+    await updateStateFile(getScheduleFile(collection), data => ({
+      ...data,
+      lastDigests: { ...data.lastDigests, [period]: at.toISOString() }
+    }));
   } catch (error) {
-    // If file doesn't exist, return timestamp from 1 hour ago
-    return new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    console.error('Error updating digest time:', error.message);
   }
 }
 
-// Update last check timestamp
-async function updateLastCheckTime() {
+// An NFT's own media ({ image, animation }, see lib/media.js) for a card's mugshot or a post.
+// The animation is only looked for when asked and media.animations is on. Null without an NFT,
+// and in replays, which never touch the network.
+async function loadNFTMedia(collection, nft, { animation = false } = {}) {
+  if (!nft || REPLAY_DIR) return null;
   try {
-    let data = {};
-    try {
-      const fileData = await fs.readFile('last-check.json', 'utf8');
-      data = JSON.parse(fileData);
-    } catch (e) {
-      // File doesn't exist, start fresh
-    }
-    
-    data.lastCheck = new Date().toISOString();
-    await fs.writeFile('last-check.json', JSON.stringify(data, null, 2));
+    return await getNFTMedia({ contract: collection.contract, ...nft }, {
+      ...collection.media,
+      animation: animation && collection.media.animations
+    });
   } catch (error) {
-    console.error('Error updating last check time:', error.message);
+    console.error('Error loading NFT media:', error.message);
+    return null;
   }
 }
 
-// Main bot function
-async function runBot() {
-  console.log('🤖 Al Cabone Sales Bot starting...');
-  
+// An NFT's image for a card's mugshot (null when there's none to be had)
+async function fetchMugshot(collection, nft) {
+  const media = await loadNFTMedia(collection, nft);
+  if (nft && !REPLAY_DIR && !media?.image) console.log('Mugshot unavailable - using empty frame');
+  return media?.image?.buffer || null;
+}
+
+// Render a case-file card for a post. Returns null when cards are off or rendering fails,
+// in which case publishers fall back to the raw NFT media.
+async function renderCard(collection, render, card) {
+  if (!collection.cards.enabled) return null;
   try {
-    const sales = await fetchRecentSales();
-    console.log(`Found ${sales.length} valid sales to process`);
-    
-    // Only post floor alert if no recent sales (avoid spamming)
-    const shouldAlert = await shouldPostFloorAlert();
-    
-    if (sales.length === 0 && !shouldAlert) {
-      console.log('No new sales found and no floor alert needed');
-      await updateLastCheckTime();
-      return;
-    }
-    
-    // Post floor alert only if no sales to process (prevent hitting rate limits)
-    if (shouldAlert && sales.length === 0) {
-      console.log('🔍 Posting daily floor price alert...');
-      try {
-        const floorNFT = await getFloorPriceNFT();
-        if (floorNFT) {
-          const floorPrice = formatPrice(floorNFT);
-          const opensealink = `https://opensea.io/assets/ethereum/${AL_CABONE_CONTRACT}/${floorNFT.token_id}`;
-          
-          // Get seller information if available
-          let sellerCount = 0;
-          let sellerTier = 'unknown';
-          if (floorNFT.seller_address) {
-            sellerCount = await getSellerNFTCount(floorNFT.seller_address);
-            sellerTier = getHolderTier(sellerCount);
-          }
-          
-          // Use floor NFT image if available (no additional API call needed)
-          const nftImageUrl = null; // Skip images for floor alerts to avoid 403 errors
-          
-          // Generate narrative based on seller tier
-          const isHighRanking = getFloorNarrative(sellerTier, sellerCount);
-          
-          const floorMessage = isHighRanking ?
-            `FLOOR ALERT
-
-${sellerTier.toUpperCase()} operative (${sellerCount} Mobsters) listing on floor
-Status: Possible dissolvement of higher ranks
-Price: ${floorPrice}
-
-${opensealink}` :
-            `FLOOR ALERT
-
-${sellerTier.toUpperCase()} operative (${sellerCount} Mobsters) abandons position
-Status: Disgruntled mobster seeks new family
-Price: ${floorPrice}
-
-${opensealink}`;
-
-          // Simple tweet with NFT image if available
-          const mediaIds = [];
-          
-          if (nftImageUrl) {
-            try {
-              const nftImageResponse = await axios.get(nftImageUrl, { responseType: 'arraybuffer' });
-              const nftImageBuffer = Buffer.from(nftImageResponse.data);
-              const nftUpload = await twitterClient.v1.uploadMedia(nftImageBuffer, { mimeType: 'image/png' });
-              mediaIds.push(nftUpload);
-            } catch (imageError) {
-              console.error('Error fetching floor NFT image:', imageError.message);
-            }
-          }
-          
-          try {
-            await twitterClient.v2.tweet({
-              text: floorMessage,
-              media: mediaIds.length > 0 ? { media_ids: mediaIds } : undefined
-            });
-            console.log(`✅ Posted floor alert for ${floorNFT.name} at ${floorPrice}`);
-          } catch (tweetError) {
-            console.error('Floor alert tweet error:', tweetError.message);
-            if (tweetError.code) {
-              console.error('Error code:', tweetError.code);
-            }
-            if (tweetError.data) {
-              console.error('Error details:', JSON.stringify(tweetError.data, null, 2));
-            }
-            // Try without media
-            if (mediaIds.length > 0) {
-              try {
-                await twitterClient.v2.tweet({ text: floorMessage });
-                console.log(`✅ Posted floor alert (no image) for ${floorNFT.name}`);
-              } catch (fallbackError) {
-                console.error('Floor alert fallback failed:', fallbackError.message);
-                if (fallbackError.data) {
-                  console.error('Fallback error details:', JSON.stringify(fallbackError.data, null, 2));
-                }
-              }
-            }
-          }
-          await updateLastFloorAlert();
-          await sleep(TWITTER_DELAY);
-        }
-      } catch (floorError) {
-        console.error('Error posting floor alert:', floorError.message);
-      }
-    }
-    
-    if (sales.length === 0) {
-      console.log('No new sales to process after floor alert');
-      await updateLastCheckTime();
-      return;
+    const exhibits = [];
+    for (const exhibit of card.exhibits || []) {
+      exhibits.push({ ...exhibit, image: await fetchMugshot(collection, exhibit.nft) });
     }
-    
-    // Group sales by buyer + timestamp to detect sweeps
-    const salesByBuyer = {};
-    for (const sale of sales) {
-      const key = `${sale.buyer}_${sale.event_timestamp}`;
-      if (!salesByBuyer[key]) {
-        salesByBuyer[key] = [];
-      }
-      salesByBuyer[key].push(sale);
-    }
-
-    // Convert to array of grouped sales (sweeps or singles)
-    const groupedSales = Object.values(salesByBuyer).slice(0, 3); // Max 3 tweets per run
-    console.log(`Processing ${groupedSales.length} transactions (${sales.length} total sales)...`);
+    return await render({ ...card, image: await fetchMugshot(collection, card.nft), exhibits });
+  } catch (error) {
+    console.error('Error rendering card image:', error.message);
+    return null;
+  }
+}
 
-    for (const salesGroup of groupedSales) {
-      const isSweep = salesGroup.length > 1;
-      const firstSale = salesGroup[0];
+// On-chain sales and transfers have no name or image yet - look them up once, when posting
+async function fillNFTDetails(collection, sale) {
+  if (!sale.nft || sale.nft.name) return;
+  const details = await getNFTDetails(sale.nft.contract, sale.nft.identifier);
+  sale.nft.name = details?.name || `${collection.name} #${sale.nft.identifier}`;
+  sale.nft.image_url = details?.imageUrl || null;
+  sale.nft.animation_url = details?.animationUrl || null;
+  sale.nft.metadata_url = details?.metadataUrl || null;
+}
 
-      console.log(`Processing ${isSweep ? 'sweep' : 'sale'}: ${salesGroup.length} NFTs`);
+// Look up traits for tokens not in the trait cache yet, up to traits.lookupsPerRun per run,
+// until the whole collection is in it (needs the holder registry to know every token)
+async function fillTraitCache(collection, traitCache, registry) {
+  if (!collection.traits.enabled || !isRegistryReady(registry)) return;
+  const missing = getUncachedTokens(traitCache, getTokenIds(registry));
+  if (missing.length === 0) return;
+
+  let fetched = 0;
+  for (const tokenId of missing.slice(0, collection.traits.lookupsPerRun)) {
+    const details = await getNFTDetails(collection.contract, tokenId);
+    if (!details) break; // Picked up again next run
+    setTokenTraits(traitCache, tokenId, details);
+    fetched++;
+  }
+  console.log(fetched === missing.length
+    ? `🧬 Trait cache complete (${getTokenIds(registry).length} tokens)`
+    : `🧬 Trait cache: ${fetched} more tokens, ${missing.length - fetched} to go`);
+}
 
-      // Get buyer and seller addresses
-      let buyerAddress = firstSale.buyer;
-      let sellerAddress = firstSale.seller;
+// A token's most recent sale events from OpenSea, newest first
+async function fetchTokenSales(collection, tokenId, limit) {
+  const data = await apiCallWithRetry(() =>
+    openseaGet(`events/chain/ethereum/contract/${collection.contract}/nfts/${tokenId}`, { event_type: 'sale', limit }));
+  return (data.asset_events || []).filter(isValidSaleEvent);
+}
 
-      if (!buyerAddress) {
-        console.error('No buyer address found in sale data');
-        continue;
-      }
+// A token's sales from before the bot first saw it, looked up once per token
+async function fetchTokenSaleHistory(collection, traitCache, tokenId) {
+  if (!needsSaleHistory(traitCache, tokenId)) return;
+  try {
+    (await fetchTokenSales(collection, tokenId, 10)).forEach(event => recordTokenSale(traitCache, event));
+    markSaleHistoryFetched(traitCache, tokenId);
+  } catch (error) {
+    console.error(`Error fetching sale history for #${tokenId}:`, error.message);
+  }
+}
 
-      console.log(`🔍 Buyer: ${buyerAddress}, ${isSweep ? 'SWEEP' : 'Single'}: ${salesGroup.length} NFT(s)`);
+/*
+Trait and price history facts for the NFT a sale post names:
+{ rarity (see getTokenRarity, null if unknown), traits: '1/12 Golden Tommy Gun', previousPrice, priceChange }
+Null when traits are off for the collection.
+*/
+async function describeTokenHistory(collection, traitCache, registry, sale) {
+  if (!collection.traits.enabled) return null;
+  const tokenId = sale.nft.identifier;
+  if (!hasTraits(traitCache, tokenId)) {
+    const details = await getNFTDetails(collection.contract, tokenId);
+    if (details) setTokenTraits(traitCache, tokenId, details);
+  }
+  await fetchTokenSaleHistory(collection, traitCache, tokenId);
+
+  const tokenIds = isRegistryReady(registry) ? getTokenIds(registry) : [];
+  const rarity = getTokenRarity(traitCache, tokenIds, tokenId, collection.traits);
+  const previous = getPreviousSale(traitCache, sale);
+  const previousTotals = previous ? getTotals([previous]) : [];
+  const currentTotals = getTotals([sale]);
+  const sameCurrency = previousTotals.length === 1 && currentTotals.length === 1 &&
+    previousTotals[0].symbol === currentTotals[0].symbol;
+
+  return {
+    rarity,
+    traits: rarity ? formatNotableTraits(rarity.notable) : '',
+    previousPrice: previousTotals.length > 0 ? formatTotals(previousTotals) : '',
+    previousSale: previous,
+    priceChange: sameCurrency
+      ? formatChange((toNumber(currentTotals[0]) - toNumber(previousTotals[0])) / toNumber(previousTotals[0]) * 100)
+      : ''
+  };
+}
 
-      const buyerCount = await getHolderNFTCount(buyerAddress);
-      const buyerTier = getHolderTier(buyerCount);
+function getNFTName(sale) {
+  return sale.nft?.name || sale.asset?.name || 'Unknown NFT';
+}
 
-      // Get seller information if available
-      let sellerCount = 0;
-      let sellerTier = 'unknown';
-      if (sellerAddress) {
-        sellerCount = await getSellerNFTCount(sellerAddress);
-        sellerTier = getHolderTier(sellerCount);
-      }
+// Simple function to get OpenSea link for NFT
+function getNFTOpenSeaLink(contractAddress, tokenId) {
+  return `https://opensea.io/assets/ethereum/${contractAddress}/${tokenId}`;
+}
 
-      // Generate case message
-      const caseNum = generateCaseNumber();
-      const shortBuyer = `${buyerAddress.slice(0, 6)}...${buyerAddress.slice(-4)}`;
-      const status = getTransactionStatus(buyerTier, sellerTier);
-
-      // Calculate total value for sweeps
-      let totalValue = 0;
-      let message;
-
-      if (isSweep) {
-        // Sweep: sum all values and create sweep message
-        for (const sale of salesGroup) {
-          const payment = sale.payment;
-          if (payment && payment.quantity) {
-            const decimals = payment.decimals || 18;
-            totalValue += parseFloat(payment.quantity) / Math.pow(10, decimals);
-          }
-        }
+// Get last check timestamp
+async function getLastCheckTime(collection) {
+  try {
+    const data = await readStateFile(path.join(collection.stateDir, 'last-check.json'));
+    if (data?.lastCheck) return data.lastCheck;
+  } catch (error) {
+    console.error('Error reading last check time:', error.message);
+  }
+  // If there's no record, return timestamp from 1 hour ago
+  return new Date(now().getTime() - 60 * 60 * 1000).toISOString();
+}
+
+// OpenSea cursor where sale paging stopped short of the last check (see fetchRecentSales), or null
+async function getSalesCursor(collection) {
+  try {
+    const data = await readStateFile(path.join(collection.stateDir, 'last-check.json'));
+    return data?.salesCursor || null;
+  } catch (error) {
+    console.error('Error reading sales cursor:', error.message);
+    return null;
+  }
+}
+
+async function saveSalesCursor(collection, salesCursor) {
+  try {
+    await updateStateFile(path.join(collection.stateDir, 'last-check.json'), data => ({ ...data, salesCursor }));
+  } catch (error) {
+    console.error('Error saving sales cursor:', error.message);
+  }
+}
+
+// Update last check timestamp (defaults to now), and the last block scanned for on-chain sales
+async function updateLastCheckTime(collection, checkTime = now(), lastBlock = null) {
+  try {
+    await updateStateFile(path.join(collection.stateDir, 'last-check.json'), data => ({
+      ...data,
+      lastCheck: checkTime.toISOString(),
+      ...(lastBlock !== null ? { lastBlock } : {})
+    }));
+  } catch (error) {
+    console.error('Error updating last check time:', error.message);
+  }
+}
 
-        const nftName = firstSale.nft?.name || firstSale.asset?.name || 'Unknown NFT';
+// A group's value in ETH, for ranking only (other currencies count through fiat rates when known)
+async function getEthTotal(collection, salesGroup) {
+  const totals = getTotals(salesGroup);
+  const others = totals.map(total => total.symbol).filter(symbol => !['ETH', 'WETH'].includes(symbol));
+  const rates = others.length > 0 ? await getFiatRates(collection).getRates(['ETH', ...others]) : null;
+  return getEthValue(totals, rates);
+}
 
-        message = `CASE #${caseNum}
+// Queue fields derived from a group's sales (ranking data, recomputed when a group grows)
+async function describeGroup(collection, registry, buyer, salesGroup) {
+  // Buyer tier (after the purchase) is needed up front for queue priority
+  const { after: buyerCount } = await getSaleHoldings(collection, registry, buyer, salesGroup);
+  const buyerTier = getHolderTier(collection, buyerCount);
+  const timestamps = salesGroup.map(sale => sale.event_timestamp);
+  return {
+    eventTimestamp: Math.min(...timestamps),
+    lastEventTimestamp: Math.max(...timestamps),
+    saleKeys: salesGroup.map(getSaleKey),
+    transactions: [...new Set(salesGroup.map(sale => sale.transaction))],
+    isSweep: salesGroup.length > 1,
+    totalValue: await getEthTotal(collection, salesGroup),
+    buyerCount,
+    buyerTier,
+    buyerTierRank: getTierRank(collection, buyerTier)
+  };
+}
 
-Suspect: ${shortBuyer} (${buyerTier.toUpperCase()} - ${buyerCount} Mobsters)
-Acquired: "${nftName}" from ${sellerTier.toUpperCase()} (${sellerCount} Mobsters)
-SWEEP: ${salesGroup.length} Mobsters acquired
-Status: ${status}
+// Group sales that aren't queued yet by transaction (to detect sweeps) and queue them. With a
+// sweep window, a group close enough to one of the buyer's queued, not yet posted sale groups joins it.
+// Returns the new groups ({ buyer, sales, ... } from groupSales).
+async function queueNewSales(collection, queue, sales, registry, ledger) {
+  const queuedKeys = getQueuedSaleKeys(queue);
+  const windowSeconds = collection.sweeps.windowSeconds;
+  const newSales = sales.filter(sale => !queuedKeys.has(getSaleKey(sale)));
+  const newGroups = groupSales(newSales, windowSeconds);
+
+  for (const group of newGroups) {
+    const buyer = group.buyer.toLowerCase();
+    const queued = windowSeconds > 0 && queue.groups.find(candidate =>
+      (candidate.kind || 'sale') === 'sale' &&
+      candidate.buyer.toLowerCase() === buyer &&
+      !(candidate.deliveredTo || []).length &&
+      group.firstTimestamp - (candidate.lastEventTimestamp ?? candidate.eventTimestamp) <= windowSeconds &&
+      candidate.eventTimestamp - group.lastTimestamp <= windowSeconds);
+
+    if (queued) {
+      const salesGroup = [...queued.saleKeys.map(key => getRetryableSale(ledger, key)).filter(Boolean), ...group.sales];
+      Object.assign(queued, await describeGroup(collection, registry, queued.buyer, salesGroup));
+      continue;
+    }
 
-Value: ${totalValue.toFixed(3)} ETH
+    enqueueGroup(queue, {
+      id: group.id,
+      buyer: group.buyer,
+      ...await describeGroup(collection, registry, group.buyer, group.sales)
+    });
+  }
+  return newGroups;
+}
 
-${firstSale.nft.opensea_url || getNFTOpenSeaLink(AL_CABONE_CONTRACT, firstSale.nft.identifier)}`;
-      } else {
-        // Single sale
-        const nftName = firstSale.nft?.name || firstSale.asset?.name || 'Unknown NFT';
+// File newly queued sales in the buyers' and sellers' dossiers, one deal per group. Each sale is
+// stamped with which of the buyer's acquisitions it was, for the post. Tier history comes from the
+// holder registry (left alone while it can't tell).
+function fileSaleGroups(collection, dossiers, registry, saleGroups) {
+  for (const group of saleGroups) {
+    const sales = group.sales.filter(sale => sale.acquisition === undefined);
+    if (sales.length === 0) continue;
+
+    const dossier = fileDeal(dossiers, group.buyer, sales, collection.caseNumberPrefix);
+    sales.forEach(sale => { sale.acquisition = dossier.acquisitions; });
+
+    const transactions = [...new Set(sales.map(sale => sale.transaction))];
+    const timestamp = Math.max(...sales.map(sale => sale.event_timestamp));
+    const wallets = new Set([group.buyer, ...sales.map(sale => sale.seller)].filter(Boolean).map(wallet => wallet.toLowerCase()));
+    for (const wallet of wallets) {
+      const holdings = getHoldingsAround(registry, wallet, transactions, timestamp);
+      if (!holdings) continue;
+      recordTier(getDossier(dossiers, wallet), getHolderTier(collection, holdings.after), holdings.after,
+        new Date(timestamp * 1000).toISOString());
+    }
+  }
+}
+
+// Compare everyone in newly queued sales with their last-known tier, and queue an announcement for
+// each wallet the sales moved onto another rung (a sweep can jump several at once)
+async function queueRankChanges(collection, queue, ranks, registry, ledger, saleGroups) {
+  if (!collection.ranks.enabled) return;
+
+  for (const group of saleGroups) {
+    const sellers = getSellerBreakdown(group.sales).map(entry => entry.seller).filter(Boolean);
+    for (const wallet of [group.buyer, ...sellers]) {
+      const holdings = await getSaleHoldings(collection, registry, wallet, group.sales);
+      if (holdings.after === null) continue;
+
+      // A wallet seen for the first time is compared with where it stood before these sales
+      const last = getLastRank(ranks, wallet);
+      const countBefore = last ? last.count : holdings.before;
+      const fromTier = last ? last.tier : holdings.before !== null ? getHolderTier(collection, holdings.before) : null;
+      const toTier = getHolderTier(collection, holdings.after);
+      setRank(ranks, wallet, toTier, holdings.after);
+      if (!fromTier) continue;
+
+      const address = wallet.toLowerCase();
+      const sale = group.sales.findLast(candidate =>
+        [candidate.buyer, candidate.seller].some(party => party?.toLowerCase() === address));
+      const event = toRankEvent({
+        wallet,
+        fromTier,
+        toTier,
+        fromRank: getTierRank(collection, fromTier),
+        toRank: getTierRank(collection, toTier),
+        countBefore,
+        countAfter: holdings.after,
+        sale
+      });
+      if (!event || !collection.ranks[event.kind] || hasSale(ledger, event)) continue;
+
+      recordSale(ledger, event);
+      enqueueGroup(queue, {
+        id: getSaleKey(event),
+        kind: 'rank',
+        wallet,
+        saleKeys: [getSaleKey(event)],
+        eventTimestamp: event.event_timestamp,
+        lastEventTimestamp: event.event_timestamp,
+        isSweep: false,
+        totalValue: 0,
+        // Read by the "tier" priority rule: the higher rung involved
+        buyerTierRank: Math.max(getTierRank(collection, fromTier), getTierRank(collection, toTier))
+      });
+      console.log(`🎖️ ${event.kind}: ${wallet} ${fromTier} -> ${toTier}`);
+    }
+  }
+}
+
+// Who's behind a wiretap group and what it's worth: the maker's holdings now, or for transfers
+// the sender before and the recipient after (the group ranks by whichever is higher)
+async function describeWiretapGroup(collection, registry, kind, events, floorSnapshot) {
+  const first = events[0];
+  if (kind === 'transfer') {
+    const sender = await getSaleHoldings(collection, registry, first.wallet, events);
+    const recipient = await getSaleHoldings(collection, registry, first.recipient, events);
+    const senderTier = getHolderTier(collection, sender.before);
+    const recipientTier = getHolderTier(collection, recipient.after);
+    return {
+      sender,
+      recipient,
+      senderTier,
+      recipientTier,
+      tierRank: Math.max(getTierRank(collection, senderTier), getTierRank(collection, recipientTier)),
+      price: null,
+      floorPercent: null,
+      count: events.length
+    };
+  }
+
+  const walletCount = await getWalletHoldings(collection, registry, first.wallet);
+  const walletTier = getHolderTier(collection, walletCount);
+  const price = getUnitPrice(first);
+  return {
+    walletCount,
+    walletTier,
+    tierRank: getTierRank(collection, walletTier),
+    price,
+    floorPercent: getFloorPercent(price, floorSnapshot),
+    count: first.quantity
+  };
+}
+
+// Queue wiretap events that pass their kind's filters; the rest are marked skipped with the reason.
+// Queued transfers whose transaction has since turned up as a sale are dropped.
+async function queueWiretapEvents(collection, queue, events, registry, ledger, floorSnapshot) {
+  for (const group of queue.groups.filter(candidate => candidate.wiretap === 'transfer')) {
+    const transfers = group.saleKeys.map(key => getRetryableSale(ledger, key)).filter(Boolean);
+    if (transfers.some(transfer => isSaleTransaction(ledger, transfer.transaction))) {
+      transfers.forEach(transfer => markSale(ledger, transfer, SALE_STATUS.skipped, 'part of a sale'));
+      removeGroup(queue, group.id);
+    }
+  }
+
+  const queuedKeys = getQueuedSaleKeys(queue);
+  const newEvents = events.filter(event => !queuedKeys.has(getSaleKey(event)));
+
+  for (const group of groupWiretapEvents(newEvents, getSaleKey)) {
+    const filters = collection.wiretap[group.kind];
+    const details = await describeWiretapGroup(collection, registry, group.kind, group.events, floorSnapshot);
+    const reason = getFilterReason(filters, {
+      tierRank: details.tierRank,
+      minTierRank: filters.minTier ? getTierRank(collection, filters.minTier) : null,
+      floorPercent: details.floorPercent,
+      count: details.count
+    });
+    if (reason) {
+      group.events.forEach(event => markSale(ledger, event, SALE_STATUS.skipped, `wiretap filter: ${reason}`));
+      continue;
+    }
+
+    enqueueGroup(queue, {
+      id: group.id,
+      kind: 'wiretap',
+      wiretap: group.kind,
+      wallet: group.wallet,
+      saleKeys: group.events.map(getSaleKey),
+      eventTimestamp: group.firstTimestamp,
+      lastEventTimestamp: group.lastTimestamp,
+      isSweep: false,
+      totalValue: details.price ? getEthValue([details.price]) : 0,
+      // Read by the "tier" priority rule, like a sale group's buyer tier
+      buyerTierRank: details.tierRank
+    });
+  }
+}
+
+// Publish a post to every channel, count how it went in the run report and log it for
+// engagement analytics when it went out on X
+async function sendPost(collection, publishers, post, alreadyDelivered) {
+  const outcome = await publishPost(publishers, post, alreadyDelivered);
+  runReport?.recordPost(outcome);
+  if (collection.analytics.enabled && outcome.ids.twitter) {
+    try {
+      await recordPost(collection.stateDir, outcome.ids.twitter, post);
+    } catch (error) {
+      console.error('Error recording post for analytics:', error.message);
+    }
+  }
+  return outcome;
+}
+
+// Template variant weights shifted towards what engages (analytics.optimize), worked out from
+// the post log once per run
+const variantWeightsByCollection = new Map();
+async function loadVariantWeights(collection) {
+  const { optimize } = collection.analytics;
+  if (!optimize.enabled) return {};
+  if (!variantWeightsByCollection.has(collection.id)) {
+    const report = buildEngagementReport(await loadPostLog(collection.stateDir));
+    variantWeightsByCollection.set(collection.id, getVariantWeights(report, optimize));
+  }
+  return variantWeightsByCollection.get(collection.id);
+}
+
+// Render one of the collection's message templates (see lib/templates.js)
+async function renderMessage(collection, scenario, values) {
+  const weights = await loadVariantWeights(collection);
+  return renderTemplate(collection.messageTemplates, scenario, values, { weights: weights[scenario] });
+}
+
+// Pull X's public metrics for the posts of the last analytics.metricsDays, every
+// analytics.metricsHours. Looking posts up needs X API access above the free tier; a pull that
+// fails is logged and tried again next run.
+async function pullPostMetrics(collection, publishers) {
+  const { enabled, metricsHours, metricsDays } = collection.analytics;
+  const twitter = publishers.find(publisher => publisher.name === 'twitter');
+  if (!enabled || metricsHours === 0 || !twitter) return;
+  const { lastMetrics } = await readSchedule(collection);
+  if (lastMetrics && (now() - new Date(lastMetrics)) / (1000 * 60 * 60) < metricsHours) return;
+
+  const ids = getRecentPostIds(await loadPostLog(collection.stateDir), metricsDays);
+  try {
+    const tweets = [];
+    for (let index = 0; index < ids.length; index += METRICS_BATCH_SIZE) {
+      const batch = ids.slice(index, index + METRICS_BATCH_SIZE);
+      const result = await apiCallWithRetry(() => twitter.client.v2.tweets(batch, { 'tweet.fields': ['public_metrics'] }));
+      tweets.push(...(result.data || []));
+    }
+    await saveMetrics(collection.stateDir, tweets);
+    await updateStateFile(getScheduleFile(collection), data => ({ ...data, lastMetrics: now().toISOString() }));
+    console.log(`📈 Pulled engagement for ${tweets.length} of ${ids.length} recent posts`);
+  } catch (error) {
+    console.error('Could not pull post metrics:', error.message);
+  }
+}
+
+// Post a single "while you were away" summary covering stale queued groups
+async function postAwaySummary(collection, publishers, staleGroups, queue, ledger) {
+  const { unitName } = collection;
+  const staleSales = staleGroups.flatMap(group =>
+    group.saleKeys.map(key => getRetryableSale(ledger, key)).filter(Boolean)
+  );
+  if (staleSales.length === 0) return;
+
+  const totalValue = staleGroups.reduce((sum, group) => sum + group.totalValue, 0);
+  const biggest = staleGroups.reduce((top, group) => group.totalValue > top.totalValue ? group : top);
+  const shortBuyer = `${biggest.buyer.slice(0, 6)}...${biggest.buyer.slice(-4)}`;
+
+  // Amounts come from the sales themselves, per currency; totalValue only ranked the groups
+  const totals = getTotals(staleSales);
+  const value = await describeValue(collection, totals);
+  const biggestValue = await describeValue(collection, getTotals(
+    biggest.saleKeys.map(key => getRetryableSale(ledger, key)).filter(Boolean)
+  ));
+
+  const status = collection.templates.status.summary;
+  const { text: message, variant } = await renderMessage(collection, 'summary', {
+    transactions: staleGroups.length,
+    count: staleSales.length,
+    units: unitName,
+    buyer: shortBuyer,
+    buyerTier: getTierLabel(collection, biggest.buyerTier),
+    biggestValue: biggestValue.text,
+    value: value.text,
+    status,
+    link: `https://opensea.io/collection/${collection.slug}`,
+    collection: collection.name
+  });
+
+  console.log(`🗂️ Rolling ${staleGroups.length} stale transactions into a summary post...`);
+  const { delivered, failed } = await sendPost(collection, publishers, {
+    type: 'summary',
+    title: 'WHILE YOU WERE AWAY',
+    text: message,
+    status,
+    fields: [
+      { name: 'Transactions', value: `${staleGroups.length} (${staleSales.length} ${unitName})` },
+      { name: 'Biggest move', value: `${shortBuyer} (${getTierLabel(collection, biggest.buyerTier)}) - ${biggestValue.text}` },
+      { name: 'Value', value: value.text }
+    ],
+    url: `https://opensea.io/collection/${collection.slug}`,
+    data: {
+      transactions: staleGroups.length,
+      sales: staleSales.length,
+      totalValue,
+      totals: serializeTotals(totals),
+      valueFiat: value.fiat,
+      template: variant
+    }
+  });
 
-        message = `CASE #${caseNum}
+  // A summary is a one-off post: it counts as done once any channel has it
+  const posted = delivered.length > 0 || failed.length === 0;
+  const postError = failed.map(failure => `${failure.channel}: ${failure.error}`).join('; ');
+  for (const sale of staleSales) {
+    markSale(ledger, sale, posted ? SALE_STATUS.posted : SALE_STATUS.failed, posted ? 'summary' : postError);
+  }
+
+  // Failed summaries go back in the queue and are retried as stale next run
+  if (!posted) {
+    staleGroups.forEach(group => queue.groups.push(group));
+    reconcileQueue(queue, key => Boolean(getRetryableSale(ledger, key)));
+  }
+
+  await sleep(POST_DELAY);
+}
+
+// Post a floor alert (threshold triggers, or the routine report when there are none)
+async function postFloorAlert(collection, publishers, floor) {
+  const { unitName } = collection;
+  const { floorNFT, sellerCount, sellerTier, snapshot, history, analysis, triggers } = floor;
+  const { text: floorPrice, fiat: floorFiat } = await describeValue(collection, getTotals([floorNFT]));
+  const opensealink = getNFTOpenSeaLink(collection.contract, floorNFT.token_id);
+
+  // Generate narrative based on seller tier
+  const isHighRanking = isHighRankingTier(collection, sellerTier);
+  const sellerLabel = getTierLabel(collection, sellerTier);
+  const floorStatus = isHighRanking ? collection.templates.status.floor_high_ranking : collection.templates.status.floor_abandoned;
+  const sellerAddress = floorNFT.seller_address;
+  const shortSeller = sellerAddress ? `${sellerAddress.slice(0, 6)}...${sellerAddress.slice(-4)}` : 'unknown';
+  const trigger = triggers[0]?.label || '';
+  const move = analysis.change !== null ? formatChange(analysis.change) : '';
+
+  const { text: floorMessage, variant } = await renderMessage(collection, 'floor', {
+    seller: shortSeller,
+    sellerTier: sellerLabel,
+    sellerCount: formatCount(sellerCount),
+    nft: floorNFT.name,
+    price: floorPrice,
+    trigger,
+    move,
+    nearFloor: floorNFT.nearFloor,
+    units: unitName,
+    status: floorStatus,
+    link: opensealink,
+    collection: collection.name,
+    highRanking: isHighRanking
+  });
+
+  // Floor alerts carry a WANTED poster with the NFT as its mugshot, or the NFT itself without one
+  const wantedCard = await renderCard(collection, renderWantedCard, {
+    collection: collection.name,
+    nftName: floorNFT.name,
+    nft: floorNFT,
+    seller: { name: shortSeller, tierLabel: sellerLabel, tierRank: getTierRank(collection, sellerTier), count: formatCount(sellerCount) },
+    tierCount: collection.tiers.length,
+    units: unitName,
+    price: floorPrice,
+    status: floorStatus,
+    issuedAt: now()
+  });
+  const floorMedia = await loadNFTMedia(collection, floorNFT, { animation: !wantedCard });
+
+  const fields = [
+    { name: 'Seller', value: `${sellerLabel} (${formatCount(sellerCount)} ${unitName})` },
+    { name: 'Price', value: floorPrice }
+  ];
+  if (move) fields.push({ name: 'Since last check', value: move });
+  fields.push({ name: 'Near floor', value: `${floorNFT.nearFloor} listed within ${collection.floorAlerts.nearFloorPercent}%` });
+
+  const { delivered, failed } = await sendPost(collection, publishers, {
+    type: 'floor',
+    title: trigger ? `FLOOR ALERT - ${trigger}` : 'FLOOR ALERT',
+    text: floorMessage,
+    status: floorStatus,
+    fields,
+    image: wantedCard,
+    media: floorMedia,
+    imageUrl: floorMedia?.image?.source || floorNFT.image_url,
+    url: opensealink,
+    data: {
+      tokenId: floorNFT.token_id,
+      nft: floorNFT.name,
+      seller: floorNFT.seller_address || null,
+      sellerTier,
+      sellerCount,
+      payment: floorNFT.payment,
+      valueFiat: floorFiat,
+      triggers: triggers.map(entry => entry.id),
+      change: analysis.change,
+      change24h: analysis.change24h,
+      change7d: analysis.change7d,
+      nearFloor: floorNFT.nearFloor,
+      template: variant
+    }
+  });
+
+  // Like summaries, an alert counts as done once any channel has it
+  if (delivered.length > 0 || failed.length === 0) {
+    markFloorAlerted(history, triggers, snapshot);
+    await saveFloorHistory(collection.stateDir, history, collection.floorAlerts.historyDays);
+    await updateLastFloorAlert(collection);
+  }
+  await sleep(POST_DELAY);
+}
+
+// Gather a digest's report (layout in lib/digest.js): the ledger's sales in the window, the floor
+// move over it, and where the holders stand now
+async function buildDigestReport(collection, period, registry, ledger, from, to) {
+  const { digest } = collection;
+  // Sales anomaly screening kept off the feed don't count
+  const sales = getSalesBetween(ledger, from.getTime() / 1000, to.getTime() / 1000)
+    .filter(entry => !['review', 'suppress'].includes(getAnomalyAction(entry.anomalies)));
+  const summary = summarizeSales(sales);
+  const totals = sumAmounts(summary.amounts);
+  const volume = await describeValue(collection, totals);
+
+  const describeWallets = async entries => {
+    const wallets = [];
+    for (const entry of entries.slice(0, digest.topWallets)) {
+      const count = await getWalletHoldings(collection, registry, entry.wallet);
+      wallets.push({
+        wallet: entry.wallet,
+        tier: getTierLabel(collection, getHolderTier(collection, count)),
+        holding: count,
+        count: entry.count,
+        volume: formatTotals(sumAmounts(entry.amounts))
+      });
+    }
+    return wallets;
+  };
+
+  const history = await loadFloorHistory(collection.stateDir);
+  const floorMove = getFloorChangeSince(history, from);
+  const floorText = snapshot => formatTotals(deserializeTotals([snapshot]));
+
+  // Holder counts only once the registry has the whole history
+  let tiers = null;
+  let holders = null;
+  if (isRegistryReady(registry)) {
+    const balances = [...registry.balances.values()].filter(count => count > 0);
+    holders = balances.length;
+    tiers = collection.tiers.map(rung => ({
+      tier: rung.name,
+      label: getTierLabel(collection, rung.name),
+      holders: balances.filter(count => getHolderTier(collection, count) === rung.name).length
+    }));
+  }
 
-Suspect: ${shortBuyer} (${buyerTier.toUpperCase()} - ${buyerCount} Mobsters)
-Acquired: "${nftName}" from ${sellerTier.toUpperCase()} (${sellerCount} Mobsters)
-Status: ${status}
+  const { top } = summary;
+  return {
+    collection: collection.name,
+    period,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    sales: {
+      count: summary.count,
+      volume: volume.text,
+      volumeFiat: volume.fiat,
+      totals: serializeTotals(totals),
+      average: formatTotals(summary.averages),
+      top: top ? {
+        tokenId: top.tokenId,
+        price: formatTotals(getTotals([top])),
+        buyer: top.buyer,
+        transaction: top.transaction
+      } : null
+    },
+    floor: floorMove ? {
+      from: floorText(floorMove.from),
+      to: floorText(floorMove.to),
+      change: floorMove.change !== null ? formatChange(floorMove.change) : null
+    } : null,
+    buyers: await describeWallets(summary.buyers),
+    sellers: await describeWallets(summary.sellers),
+    tiers,
+    holders,
+    newWallets: getNewHolders(registry, from.getTime() / 1000)
+  };
+}
+
+// Post a "bureau briefing" digest covering everything since the period's last one, with the detail
+// in a reply thread, and export it as text and JSON under the collection's digests/ folder
+async function postDigest(collection, publishers, period, registry, ledger) {
+  const { unitName } = collection;
+  const to = now();
+  const from = getDigestStart(period, (await getLastDigests(collection))[period], to);
+  const report = await buildDigestReport(collection, period, registry, ledger, from, to);
+  const { label } = DIGEST_PERIODS[period];
+  const link = `https://opensea.io/collection/${collection.slug}`;
+
+  const { text: message, variant } = await renderMessage(collection, 'digest', {
+    period: label,
+    sales: report.sales.count,
+    volume: report.sales.volume,
+    average: report.sales.average,
+    topSale: report.sales.top?.price || '',
+    floor: report.floor?.to || '',
+    floorChange: report.floor?.change || '',
+    holders: report.holders ?? '',
+    newWallets: report.newWallets?.length || '',
+    units: unitName,
+    link,
+    collection: collection.name,
+    quiet: report.sales.count === 0,
+    weekly: period === 'weekly'
+  });
+
+  const fields = [{ name: 'Sales', value: `${report.sales.count}${report.sales.count > 0 ? ` for ${report.sales.volume}` : ''}` }];
+  if (report.sales.count > 0) fields.push({ name: 'Average', value: report.sales.average });
+  if (report.floor) fields.push({ name: 'Floor', value: `${report.floor.from} -> ${report.floor.to}` });
+  if (report.holders !== null) fields.push({ name: 'Holders', value: String(report.holders) });
+
+  console.log(`📰 Posting ${period} digest (${report.sales.count} sales since ${report.from})...`);
+  const { delivered, failed } = await sendPost(collection, publishers, {
+    type: 'digest',
+    title: `BUREAU BRIEFING - ${label}`,
+    text: message,
+    fields,
+    url: link,
+    thread: buildEvidenceThread(`BUREAU BRIEFING - ${label}`, getDigestSections(report, unitName), collection.digest.maxThreadPosts),
+    data: { ...report, template: variant }
+  });
+
+  // Like summaries, a digest counts as done once any channel has it
+  if (delivered.length > 0 || failed.length === 0) {
+    const fileName = path.join(collection.stateDir, 'digests', getDigestFileName(report));
+    await writeStateFile(`${fileName}.json`, report);
+    await writeStateText(`${fileName}.txt`, formatDigestText(report, unitName));
+    await updateLastDigest(collection, period, to);
+  }
+  await sleep(POST_DELAY);
+}
+
+// Announce a wallet's move to another rung. Returns publishPost's { delivered, failed }.
+async function postRankAnnouncement(collection, publishers, group, event) {
+  const { unitName } = collection;
+  const shortWallet = `${event.wallet.slice(0, 6)}...${event.wallet.slice(-4)}`;
+  const fromLabel = getTierLabel(collection, event.fromTier);
+  const toLabel = getTierLabel(collection, event.toTier);
+  const link = `https://opensea.io/${event.wallet}`;
+  await fillNFTDetails(collection, event);
+  const nftName = event.nft ? getNFTName(event) : '';
+
+  const { text: message, variant } = await renderMessage(collection, 'rank', {
+    wallet: shortWallet,
+    fromTier: fromLabel,
+    toTier: toLabel,
+    rungs: event.rungs,
+    countBefore: formatCount(event.countBefore),
+    countAfter: formatCount(event.countAfter),
+    nft: nftName,
+    units: unitName,
+    link,
+    collection: collection.name,
+    promotion: event.kind === 'promotion',
+    exit: event.kind === 'exit',
+    multiRung: event.rungs > 1
+  });
+
+  const titles = { promotion: 'PROMOTION', demotion: 'DEMOTION', exit: 'EXIT FROM THE FAMILY' };
+  const fields = [
+    { name: 'Wallet', value: shortWallet },
+    { name: 'Rank', value: `${fromLabel} -> ${event.kind === 'exit' ? 'OUT' : toLabel}` },
+    { name: 'Holdings', value: `${formatCount(event.countBefore)} -> ${formatCount(event.countAfter)} ${unitName}` }
+  ];
+  if (nftName) fields.push({ name: 'Deal', value: nftName });
+
+  console.log(`🎖️ Announcing ${event.kind}: ${shortWallet} ${fromLabel} -> ${toLabel}`);
+  const media = await loadNFTMedia(collection, event.nft, { animation: true });
+  return await sendPost(collection, publishers, {
+    type: 'rank',
+    title: event.kind === 'exit' ? titles.exit : `${titles[event.kind]}: ${fromLabel} -> ${toLabel}`,
+    text: message,
+    fields,
+    media,
+    imageUrl: media?.image?.source || event.nft?.image_url || null,
+    url: link,
+    data: {
+      kind: event.kind,
+      wallet: event.wallet,
+      fromTier: event.fromTier,
+      toTier: event.toTier,
+      rungs: event.rungs,
+      countBefore: event.countBefore,
+      countAfter: event.countAfter,
+      transaction: event.transaction,
+      tokenId: event.nft?.identifier || null,
+      template: variant
+    }
+  }, group.deliveredTo || []);
+}
+
+// Post a wiretap group with its kind's templates. Returns publishPost's { delivered, failed }.
+async function postWiretapGroup(collection, publishers, group, events, registry, floorSnapshot) {
+  const { unitName } = collection;
+  const kind = group.wiretap;
+  const { scenario, title } = WIRETAP_KINDS[kind];
+  const first = events[0];
+  const details = await describeWiretapGroup(collection, registry, kind, events, floorSnapshot);
+  const shorten = address => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+  await fillNFTDetails(collection, first);
+  const nftName = first.nft ? getNFTName(first) : collection.name;
+  const media = await loadNFTMedia(collection, first.nft, { animation: true });
+  let link = `https://opensea.io/collection/${collection.slug}`;
+  if (kind === 'transfer') {
+    link = `https://etherscan.io/tx/${first.transaction}`;
+  } else if (first.nft) {
+    link = first.nft.opensea_url || getNFTOpenSeaLink(collection.contract, first.nft.identifier);
+  }
+
+  console.log(`🎧 Wiretap ${kind}: ${nftName} (${shorten(group.wallet)})`);
+
+  let values;
+  let fields;
+  let value = { text: '', fiat: null };
+  if (kind === 'transfer') {
+    const senderLabel = getTierLabel(collection, details.senderTier);
+    const recipientLabel = getTierLabel(collection, details.recipientTier);
+    values = {
+      sender: shorten(first.wallet),
+      senderTier: senderLabel,
+      senderCount: formatCount(details.sender.before),
+      recipient: shorten(first.recipient),
+      recipientTier: recipientLabel,
+      recipientCount: formatCount(details.recipient.after),
+      count: events.length,
+      bulk: events.length > 1,
+      // Everything the sender had, into a wallet that had none
+      relocation: details.sender.after === 0 && details.recipient.before === 0,
+      highRanking: isHighRankingTier(collection, details.senderTier)
+    };
+    fields = [
+      { name: 'From', value: `${values.sender} (${senderLabel} - ${values.senderCount} ${unitName})` },
+      { name: 'To', value: `${values.recipient} (${recipientLabel} - ${values.recipientCount} ${unitName})` },
+      { name: 'Moved', value: events.length > 1 ? `${events.length} ${unitName}` : nftName }
+    ];
+  } else {
+    if (details.price) value = await describeValue(collection, [details.price]);
+    const walletLabel = getTierLabel(collection, details.walletTier);
+    const floorPercent = formatFloorPercent(details.floorPercent);
+    values = {
+      wallet: shorten(first.wallet),
+      walletTier: walletLabel,
+      walletCount: formatCount(details.walletCount),
+      price: value.text,
+      floorPercent,
+      quantity: first.quantity,
+      underFloor: details.floorPercent !== null && details.floorPercent < 100,
+      collectionOffer: kind === 'collectionOffer',
+      highRanking: isHighRankingTier(collection, details.walletTier)
+    };
+    fields = [
+      { name: kind === 'listing' || kind === 'cancel' ? 'Seller' : 'Bidder', value: `${values.wallet} (${walletLabel} - ${values.walletCount} ${unitName})` },
+      { name: 'NFT', value: kind === 'collectionOffer' ? `${first.quantity} x any ${unitName}` : nftName }
+    ];
+    if (value.text) fields.push({ name: 'Price', value: value.text });
+    if (floorPercent) fields.push({ name: 'Of floor', value: floorPercent });
+  }
 
-Value: ${formatPrice(firstSale)}
+  const { text: message, variant } = await renderMessage(collection, scenario, {
+    ...values,
+    nft: nftName,
+    units: unitName,
+    link,
+    collection: collection.name
+  });
+
+  return await sendPost(collection, publishers, {
+    type: 'wiretap',
+    title,
+    text: message,
+    fields,
+    media,
+    imageUrl: media?.image?.source || first.nft?.image_url || null,
+    url: link,
+    data: {
+      kind,
+      wallet: first.wallet,
+      recipient: first.recipient,
+      tokenIds: events.map(event => event.nft?.identifier).filter(Boolean),
+      orderHash: first.order_hash,
+      transactions: [...new Set(events.map(event => event.transaction).filter(Boolean))],
+      payment: first.payment,
+      quantity: first.quantity,
+      valueFiat: value.fiat,
+      floorPercent: details.floorPercent,
+      walletTier: kind === 'transfer' ? details.senderTier : details.walletTier,
+      scenario,
+      template: variant
+    }
+  }, group.deliveredTo || []);
+}
+
+// Build and publish the post for one sale group (a sweep or a single sale) to every channel that
+// doesn't have it yet. context: { registry, dossiers, traitCache } - the buyer's dossier is opened
+// if it has none. Returns publishPost's { delivered, failed }.
+async function postSaleGroup(collection, publishers, context, group, salesGroup) {
+  const { unitName } = collection;
+  const { registry, dossiers, traitCache } = context;
+  const isSweep = salesGroup.length > 1;
+  const firstSale = salesGroup[0];
+
+  console.log(`Processing ${isSweep ? 'sweep' : 'sale'}: ${salesGroup.length} NFTs`);
+
+  const buyerAddress = group.buyer;
+  // A sweep can take from several sellers; the one who supplied the most is the accomplice
+  const sellerBreakdown = getSellerBreakdown(salesGroup);
+  const sellerAddress = sellerBreakdown[0].seller;
+  const multiSeller = sellerBreakdown.length > 1;
+
+  console.log(`🔍 Buyer: ${buyerAddress}, ${isSweep ? 'SWEEP' : 'Single'}: ${salesGroup.length} NFT(s)`);
+
+  // Holdings right before and after this transaction: the buyer is shown as they stand
+  // after buying, the seller as they stood before selling
+  const buyerHoldings = await getSaleHoldings(collection, registry, buyerAddress, salesGroup);
+  const sellerHoldings = sellerAddress
+    ? await getSaleHoldings(collection, registry, sellerAddress, salesGroup)
+    : { before: null, after: null };
+  const buyerCount = buyerHoldings.after;
+  const buyerTier = getHolderTier(collection, buyerCount);
+  const buyerTierBefore = getHolderTier(collection, buyerHoldings.before);
+  const sellerCount = sellerHoldings.before;
+  const sellerTier = getHolderTier(collection, sellerCount);
+  const sellerTierAfter = getHolderTier(collection, sellerHoldings.after);
+  const buyerPromoted = buyerHoldings.before !== null && getTierRank(collection, buyerTier) > getTierRank(collection, buyerTierBefore);
+  const sellerDemoted = sellerHoldings.after !== null && getTierRank(collection, sellerTierAfter) < getTierRank(collection, sellerTier);
+
+  // ENS names and opted-in X handles where the wallets have them, short addresses otherwise
+  const walletNames = getWalletNames(collection);
+  const buyer = await walletNames.describeWallet(buyerAddress);
+  const sellers = [];
+  for (const [index, entry] of sellerBreakdown.entries()) {
+    const holdings = index === 0 ? sellerHoldings
+      : entry.seller ? await getSaleHoldings(collection, registry, entry.seller, salesGroup) : { before: null, after: null };
+    const { name } = await walletNames.describeWallet(entry.seller);
+    sellers.push({ ...entry, holdings, name, tier: getHolderTier(collection, holdings.before) });
+  }
+  const seller = await walletNames.describeWallet(sellerAddress);
+  const sellerNamed = Boolean(seller.handle || seller.ens);
+
+  // The buyer's standing case number, and which of their acquisitions this is (the first of
+  // the group's when a sweep window merged deals)
+  const dossier = openDossier(dossiers, buyerAddress, collection.caseNumberPrefix, new Date(firstSale.event_timestamp * 1000).toISOString());
+  const caseNum = dossier.caseNumber;
+  const acquisitions = salesGroup.map(sale => sale.acquisition).filter(Number.isInteger);
+  const acquisition = acquisitions.length > 0 ? Math.min(...acquisitions) : null;
+  const repeatOffender = acquisition !== null && acquisition > 1;
+  // Sales an anomaly check flagged still go out, marked as suspicious
+  const anomalies = salesGroup.flatMap(sale => sale.anomalies || []);
+  const suspicious = anomalies.length > 0;
+  const status = suspicious
+    ? collection.templates.status.suspicious
+    : getTransactionStatus(collection, buyerTier, sellerTier);
+  const buyerLabel = getTierLabel(collection, buyerTier);
+  const sellerLabel = getTierLabel(collection, sellerTier);
+
+  await fillNFTDetails(collection, firstSale);
+  const nftName = getNFTName(firstSale);
+  const saleLink = firstSale.nft.opensea_url || getNFTOpenSeaLink(collection.contract, firstSale.nft.identifier);
+  // Sweeps sum the value of every NFT taken, per currency
+  const totals = getTotals(salesGroup);
+  const { text: value, fiat: valueFiat } = await describeValue(collection, totals);
+  // Rarity and last sale of the NFT the post names; rare single sales get the "rare" templates
+  const history = await describeTokenHistory(collection, traitCache, registry, firstSale);
+  const rarity = history?.rarity || null;
+  const rare = Boolean(rarity?.rare);
+
+  // A suspicious sale is no rare find - it keeps the status line of the plain sale templates
+  const scenario = isSweep ? 'sweep' : rare && !suspicious ? 'rare' : 'sale';
+  const { text: message, variant } = await renderMessage(collection, scenario, {
+    caseNumber: caseNum,
+    buyer: buyer.name,
+    buyerTier: buyerLabel,
+    buyerCount: formatCount(buyerCount),
+    buyerTierBefore: getTierLabel(collection, buyerTierBefore),
+    buyerCountBefore: formatCount(buyerHoldings.before),
+    seller: seller.name,
+    sellerTier: sellerLabel,
+    sellerCount: formatCount(sellerCount),
+    sellerTierAfter: getTierLabel(collection, sellerTierAfter),
+    sellerCountAfter: formatCount(sellerHoldings.after),
+    sellers: sellers.length,
+    nft: nftName,
+    price: value,
+    count: salesGroup.length,
+    units: unitName,
+    status,
+    link: saleLink,
+    collection: collection.name,
+    sweep: isSweep,
+    single: !isSweep,
+    multiSeller,
+    highRanking: isHighRankingTier(collection, buyerTier),
+    buyerPromoted,
+    sellerDemoted,
+    traits: history?.traits || '',
+    rarityRank: rarity?.rank ?? '',
+    supply: rarity?.supply ?? '',
+    previousPrice: history?.previousPrice || '',
+    priceChange: history?.priceChange || '',
+    rare,
+    suspicious,
+    acquisition: acquisition ? formatOrdinal(acquisition) : '',
+    repeatOffender,
+    sellerNamed
+  });
+
+  const fields = [
+    { name: 'Suspect', value: `${buyer.name} (${buyerLabel} - ${formatCount(buyerCount)} ${unitName})` },
+    { name: 'Accomplice', value: sellerNamed
+      ? `${seller.name} (${sellerLabel} - ${formatCount(sellerCount)} ${unitName})`
+      : `${sellerLabel} (${formatCount(sellerCount)} ${unitName})` },
+    { name: 'Acquired', value: nftName }
+  ];
+  if (isSweep) {
+    fields.push({ name: 'Sweep', value: `${salesGroup.length} ${unitName} acquired` });
+  }
+  if (multiSeller) {
+    fields.push({ name: 'Sellers', value: sellers.map(entry => describeSeller(collection, entry)).join('\n'), inline: false });
+  }
+  fields.push({ name: 'Value', value });
+  fields.push({
+    name: 'Dossier',
+    value: `CASE #${caseNum}${acquisition ? ` - ${formatOrdinal(acquisition)} acquisition` : ''}, ${dossier.buys} bought, ${dossier.sells} sold`
+  });
+  if (rarity) {
+    const notable = history.traits ? ` - ${history.traits}` : '';
+    fields.push({ name: 'Rarity', value: `#${rarity.rank}${rarity.supply ? ` of ${rarity.supply}` : ''}${notable}` });
+  }
+  if (history?.previousPrice) {
+    fields.push({ name: 'Last sale', value: `${history.previousPrice}${history.priceChange ? ` (${history.priceChange})` : ''}` });
+  }
+  if (suspicious) {
+    fields.push({ name: 'Anomalies', value: anomalies.map(anomaly => anomaly.reason).join('\n'), inline: false });
+  }
+
+  const evidenceCard = await renderCard(collection, renderEvidenceCard, {
+    collection: collection.name,
+    caseNumber: caseNum,
+    nftName,
+    nft: firstSale.nft,
+    buyer: { name: buyer.name, tierLabel: buyerLabel, tierRank: getTierRank(collection, buyerTier), count: formatCount(buyerCount) },
+    seller: { name: multiSeller ? `${seller.name} +${sellers.length - 1}` : seller.name, tierLabel: sellerLabel, tierRank: getTierRank(collection, sellerTier), count: formatCount(sellerCount) },
+    tierCount: collection.tiers.length,
+    units: unitName,
+    price: value,
+    sweepCount: salesGroup.length,
+    status,
+    filedAt: firstSale.event_timestamp * 1000
+  });
+
+  // Sweeps also get an evidence board of the first few NFTs and a reply thread itemising every one
+  let collage = null;
+  let thread = [];
+  if (isSweep) {
+    if (collection.cards.collage) {
+      const exhibitSales = salesGroup.slice(0, COLLAGE_EXHIBITS);
+      for (const sale of exhibitSales) await fillNFTDetails(collection, sale);
+      collage = await renderCard(collection, renderCollageCard, {
+        collection: collection.name,
+        caseNumber: caseNum,
+        exhibits: exhibitSales.map(sale => ({ nftName: getNFTName(sale), nft: sale.nft })),
+        sweepCount: salesGroup.length,
+        units: unitName,
+        price: value,
+        filedAt: firstSale.event_timestamp * 1000
+      });
+    }
+    if (collection.sweeps.thread) {
+      thread = buildEvidenceThread(`CASE #${caseNum} - EVIDENCE LOG`, sellers.map(entry => ({
+        heading: `From ${describeSeller(collection, entry)}`,
+        lines: entry.sales.map(sale => `#${sale.nft.identifier} - ${formatPrice(sale)}`)
+      })), collection.sweeps.maxThreadPosts);
+    }
+  }
+
+  // Without a card the NFT goes out itself, animated if it is
+  const media = await loadNFTMedia(collection, firstSale.nft, { animation: !evidenceCard });
+
+  // Channels that already got this group on an earlier attempt are skipped
+  return sendPost(collection, publishers, {
+    type: isSweep ? 'sweep' : 'sale',
+    title: `CASE #${caseNum}`,
+    text: message,
+    status,
+    fields,
+    image: evidenceCard,
+    collage,
+    media,
+    imageUrl: media?.image?.source || firstSale.nft.image_url,
+    url: saleLink,
+    thread,
+    data: {
+      buyer: buyerAddress,
+      buyerName: buyer.name,
+      buyerTier,
+      buyerCount,
+      buyerCountBefore: buyerHoldings.before,
+      seller: sellerAddress || null,
+      sellerName: seller.name,
+      sellerTier,
+      sellerCount,
+      sellerCountAfter: sellerHoldings.after,
+      sellers: sellers.map(entry => ({
+        seller: entry.seller,
+        tier: entry.tier,
+        countBefore: entry.holdings.before,
+        countAfter: entry.holdings.after,
+        tokenIds: entry.sales.map(sale => sale.nft.identifier)
+      })),
+      tokenIds: salesGroup.map(sale => sale.nft.identifier),
+      transactions: [...new Set(salesGroup.map(sale => sale.transaction))],
+      value,
+      totals: serializeTotals(totals),
+      valueFiat,
+      rarity: rarity ? {
+        tokenId: firstSale.nft.identifier,
+        rank: rarity.rank,
+        supply: rarity.supply,
+        source: rarity.source,
+        notableTraits: rarity.notable,
+        rare
+      } : null,
+      previousSale: history?.previousSale || null,
+      anomalies,
+      scenario,
+      dossier: {
+        caseNumber: caseNum,
+        acquisition,
+        acquisitions: dossier.acquisitions,
+        buys: dossier.buys,
+        sells: dossier.sells,
+        firstSeen: dossier.firstSeen
+      },
+      template: variant
+    }
+  }, group.deliveredTo || []);
+}
+
+// Post one queued group, whatever its kind. context: { registry, dossiers, traitCache, floorSnapshot }
+async function postGroup(collection, publishers, context, group, events) {
+  if (group.kind === 'rank') return postRankAnnouncement(collection, publishers, group, events[0]);
+  if (group.kind === 'wiretap') {
+    return postWiretapGroup(collection, publishers, group, events, context.registry, context.floorSnapshot);
+  }
+  return postSaleGroup(collection, publishers, context, group, events);
+}
+
+// Mark every event left in expired queue groups as skipped
+function expireGroups(ledger, groups) {
+  for (const group of groups) {
+    group.saleKeys.forEach(key => {
+      const event = getRetryableSale(ledger, key);
+      if (event) markSale(ledger, event, SALE_STATUS.skipped, 'expired in queue');
+    });
+  }
+}
+
+// Mark queued events the operator blocked (--control skip / block) as skipped and drop them from
+// the queue. Returns how many there were.
+function skipBlockedEvents(ledger, queue, controls) {
+  let skipped = 0;
+  for (const key of getQueuedSaleKeys(queue)) {
+    const event = getRetryableSale(ledger, key);
+    const reason = event && getBlockReason(controls, key, event);
+    if (!reason) continue;
+    markSale(ledger, event, SALE_STATUS.skipped, reason);
+    skipped++;
+  }
+  if (skipped > 0) reconcileQueue(queue, key => Boolean(getRetryableSale(ledger, key)));
+  return skipped;
+}
+
+// Record a posted group's outcome right away so a crash or re-run never posts it twice. Channels
+// that chose not to post it (X's budget) count as done; when every failed channel only deferred
+// it, the group waits for the latest retryAt without using up an attempt.
+async function settleGroup(collection, ledger, queue, group, events, { delivered, failed, skipped = [] }) {
+  group.deliveredTo = [...(group.deliveredTo || []), ...delivered, ...skipped.map(skip => skip.channel)];
+
+  // Wait between posts to avoid rate limiting
+  await sleep(POST_DELAY);
+
+  const postError = failed.map(failure => `${failure.channel}: ${failure.error}`).join('; ');
+  if (failed.length > 0 && failed.every(failure => failure.retryAt)) {
+    group.retryAt = failed.map(failure => failure.retryAt).sort().at(-1);
+    console.log(`⏳ Holding this post until ${group.retryAt}`);
+    await saveQueue(collection.stateDir, queue);
+    return;
+  }
+  delete group.retryAt;
+
+  const posted = failed.length === 0;
+  // Nothing went out because every channel passed on it
+  const passed = posted && delivered.length === 0 && skipped.length > 0;
+  for (const event of events) {
+    if (passed) {
+      markSale(ledger, event, SALE_STATUS.skipped, skipped.map(skip => `${skip.channel}: ${skip.reason}`).join('; '));
+    } else {
+      markSale(ledger, event, posted ? SALE_STATUS.posted : SALE_STATUS.failed, posted ? null : postError);
+    }
+  }
+  if (posted) {
+    removeGroup(queue, group.id);
+  } else {
+    // Failed groups stay queued (for the failed channels only) until they run out of attempts
+    reconcileQueue(queue, key => Boolean(getRetryableSale(ledger, key)));
+  }
+  await saveLedger(collection.stateDir, ledger);
+  await saveQueue(collection.stateDir, queue);
+}
 
-${firstSale.nft.opensea_url || getNFTOpenSeaLink(AL_CABONE_CONTRACT, firstSale.nft.identifier)}`;
+// Process one collection: fetch, queue and post its sales (or a floor alert)
+// One pass over a collection. jobs.floor: check the floor this pass (every pass outside daemon mode,
+// on its own interval in it - wiretap filters then use the last recorded floor).
+async function runCollection(collection, jobs = { floor: true }) {
+  console.log(`🔎 Checking ${collection.name} (${collection.slug})...`);
+  
+  const { stateDir } = collection;
+  const publishers = buildPublishers(collection);
+  
+  // Taken before fetching so sales landing mid-run fall inside the next run's window
+  const runStartedAt = now();
+  
+  try {
+    const ledger = await loadLedger(stateDir);
+    runReport?.trackLedger(ledger);
+    // Read up front: a run that can't keep case numbers stable stops before it changes any state
+    const dossiers = await loadDossiers(stateDir);
+    
+    // Holder counts come from the registry, kept current from transfer events
+    const registry = await loadHolderRegistry(stateDir);
+    const newTransfers = await syncHolderRegistry(collection, registry);
+    
+    // If paging fails, still retry what the ledger already holds but keep the check cursor in place
+    let fetchComplete = true;
+    let lastBlock = null;
+    let sales;
+    let chainTransfers = [];
+    try {
+      if (getSalesSource(collection) === 'rpc') {
+        ({ sales, transfers: chainTransfers, scannedTo: lastBlock } = await fetchChainSales(collection, ledger, registry));
+      } else {
+        const salesCursor = await getSalesCursor(collection);
+        let resumeCursor;
+        ({ sales, resumeCursor } = await fetchRecentSales(collection, ledger, registry, salesCursor));
+        if (resumeCursor !== salesCursor) await saveSalesCursor(collection, resumeCursor);
+        // Sales past the page cap are still to come - the check cursor waits for them
+        if (resumeCursor) fetchComplete = false;
       }
+    } catch (fetchError) {
+      console.error('Failed to fetch sales after retries:', fetchError.message);
+      runReport?.recordError(`Sales fetch failed: ${fetchError.message}`);
+      fetchComplete = false;
+      sales = getRetryableSales(ledger);
+    }
+    // Wash trades and mispriced sales are caught before they're queued
+    sales = await screenSales(collection, ledger, sales);
+    // After the sales, so transfers can be told apart from them
+    const wiretapEvents = await fetchWiretapEvents(collection, ledger, [...newTransfers, ...chainTransfers]);
+    await saveLedger(stateDir, ledger);
+    await saveHolderRegistry(stateDir, registry);
+    console.log(`Found ${sales.length} valid sales to process`);
+    
+    // Queue newly seen sales - the queue carries groups over until they get a tweet slot
+    const queue = await loadQueue(stateDir);
+    reconcileQueue(queue, key => Boolean(getRetryableSale(ledger, key)));
+    const newSaleGroups = await queueNewSales(collection, queue, sales, registry, ledger);
+    const ranks = await loadRanks(stateDir);
+    await queueRankChanges(collection, queue, ranks, registry, ledger, newSaleGroups);
+    await saveRanks(stateDir, ranks);
+    fileSaleGroups(collection, dossiers, registry, newSaleGroups);
+
+    // Traits for sale posts: a few more tokens per run, and every sale seen for price history
+    const traitCache = await loadTraitCache(stateDir);
+    await fillTraitCache(collection, traitCache, registry);
+    if (collection.traits.enabled) sales.forEach(sale => recordTokenSale(traitCache, sale));
+    await saveTraitCache(stateDir, traitCache);
+
+    // The floor is recorded every run - every floor check in daemon mode (wiretap filters measure
+    // prices against the latest one). Threshold alerts take a post slot even with sales queued; the
+    // routine report only goes out when there's nothing else to post.
+    const floor = jobs.floor ? await trackFloor(collection, registry) : null;
+    const floorSnapshot = jobs.floor ? floor?.snapshot : (await loadFloorHistory(stateDir)).snapshots.at(-1) || null;
+    await queueWiretapEvents(collection, queue, wiretapEvents, registry, ledger, floorSnapshot);
+    // Events the operator skipped or blocked leave the queue before anything is posted
+    const controls = await loadControls();
+    const blocked = skipBlockedEvents(ledger, queue, controls);
+    if (blocked > 0) console.log(`🚫 Skipping ${blocked} events blocked by the operator`);
+    // Saved together: the ledger's sales carry the acquisition stamps that keep them from being filed twice
+    await saveLedger(stateDir, ledger);
+    await saveQueue(stateDir, queue);
+    await saveDossiers(stateDir, dossiers);
+
+    // Engagement of earlier posts, on its own schedule - pausing stops posts, not this
+    await pullPostMetrics(collection, publishers);
+
+    // While paused, runs keep fetching and queueing (and the cursor moves on) but nothing is posted
+    const pause = getPause(controls, collection.id);
+    if (pause) {
+      console.log(`⏸️ Posting paused since ${pause.at} by ${pause.by}${pause.reason ? ` (${pause.reason})` : ''} - ${queue.groups.length} groups queued`);
+      if (fetchComplete) await updateLastCheckTime(collection, runStartedAt, lastBlock);
+      return;
+    }
 
-      // Get NFT image URL from first sale
-      const nftImageUrl = firstSale.nft.image_url;
+    const floorTriggered = Boolean(floor) && floor.triggers.length > 0;
+    const routineFloorAlert = Boolean(floor) && !floorTriggered && queue.groups.length === 0 &&
+      await shouldPostFloorAlert(collection);
+
+    // Like every other post, a floor alert needs a slot - one that doesn't get one keeps its
+    // triggers off cooldown for the next run
+    let postSlots = collection.tweetsPerRun;
+    if ((floorTriggered || routineFloorAlert) && postSlots > 0) {
+      console.log(floorTriggered
+        ? `🚨 Floor alert triggered: ${floor.triggers.map(trigger => trigger.label).join(', ')}`
+        : '🔍 Posting routine floor alert...');
+      try {
+        await postFloorAlert(collection, publishers, floor);
+        postSlots = Math.max(postSlots - 1, 0);
+      } catch (floorError) {
+        console.error('Error posting floor alert:', floorError.message);
+      }
+    }
 
-      // Post to Twitter with just NFT image
+    // Digests go out on their schedule, each taking a post slot
+    const lastDigests = await getLastDigests(collection);
+    for (const period of Object.keys(DIGEST_PERIODS)) {
+      if (postSlots <= 0 || !isDigestDue(period, collection.digest[period], lastDigests[period], runStartedAt)) continue;
       try {
-        const mediaIds = [];
-
-        // Upload NFT image if available
-        if (nftImageUrl) {
-          try {
-            const nftImageResponse = await axios.get(nftImageUrl, {
-              responseType: 'arraybuffer',
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Accept': 'image/*,*/*;q=0.8'
-              },
-              timeout: 10000
-            });
-            const nftImageBuffer = Buffer.from(nftImageResponse.data);
-            const nftUpload = await twitterClient.v1.uploadMedia(nftImageBuffer, { mimeType: 'image/png' });
-            mediaIds.push(nftUpload);
-            console.log(`📸 Added NFT image`);
-          } catch (imageError) {
-            console.log('Continuing without image (fetch failed)...');
-          }
-        }
+        await postDigest(collection, publishers, period, registry, ledger);
+        postSlots = Math.max(postSlots - 1, 0);
+      } catch (digestError) {
+        console.error(`Error posting ${period} digest:`, digestError.message);
+      }
+    }
 
-        // Try posting tweet (with graceful fallback)
-        try {
-          await twitterClient.v2.tweet({
-            text: message,
-            media: mediaIds.length > 0 ? { media_ids: mediaIds } : undefined
-          });
-          console.log(`✅ Posted tweet for ${isSweep ? 'sweep of ' + salesGroup.length : 'sale'}`);
-        } catch (tweetError) {
-          console.error('Twitter posting error:', tweetError.message);
-          console.error('Tweet content length:', message.length);
-          console.error('Tweet content preview:', message.substring(0, 100) + '...');
-          if (tweetError.data) {
-            console.error('Twitter API error details:', JSON.stringify(tweetError.data, null, 2));
-          }
+    if (queue.groups.length === 0) {
+      console.log(floorTriggered || routineFloorAlert ? 'No new sales to process after floor alert' : 'No new sales found and no floor alert needed');
+      if (fetchComplete) await updateLastCheckTime(collection, runStartedAt, lastBlock);
+      return;
+    }
 
-          // Try posting without media as fallback
-          if (mediaIds.length > 0) {
-            console.log('Retrying without image...');
-            try {
-              await twitterClient.v2.tweet({ text: message });
-              console.log(`✅ Posted tweet (no image) for ${isSweep ? 'sweep' : 'sale'}`);
-            } catch (fallbackError) {
-              console.error('Fallback tweet also failed:', fallbackError.message);
-              if (fallbackError.data) {
-                console.error('Fallback error details:', JSON.stringify(fallbackError.data, null, 2));
-              }
-            }
-          }
-        }
 
-        // Wait between posts to avoid rate limiting
-        await sleep(TWITTER_DELAY);
+    // Wiretap events are only news for a few hours and rank announcements as long as sales -
+    // stale ones expire quietly
+    const staleEvents = [
+      ...takeStaleGroups(queue, collection.wiretap.maxAgeHours, 'wiretap'),
+      ...takeStaleGroups(queue, collection.queue.maxAgeHours, 'rank')
+    ];
+    if (staleEvents.length > 0) {
+      console.log(`🗑️ Expiring ${staleEvents.length} stale wiretap events and rank announcements`);
+      expireGroups(ledger, staleEvents);
+      await saveLedger(stateDir, ledger);
+      await saveQueue(stateDir, queue);
+    }
 
-      } catch (twitterError) {
-        console.error('Twitter error:', twitterError.message);
+    // Stale groups either expire quietly or get rolled into one "while you were away" post, which
+    // waits in the queue for a run with a slot left
+    const summarizeStale = collection.queue.staleMode === 'summary';
+    const staleGroups = summarizeStale && postSlots <= 0 ? [] : takeStaleGroups(queue, collection.queue.maxAgeHours);
+    if (staleGroups.length > 0) {
+      if (summarizeStale) {
+        await postAwaySummary(collection, publishers, staleGroups, queue, ledger);
+        postSlots = Math.max(postSlots - 1, 0);
+      } else {
+        console.log(`🗑️ Expiring ${staleGroups.length} stale transactions`);
+        expireGroups(ledger, staleGroups);
       }
+      await saveLedger(stateDir, ledger);
+      await saveQueue(stateDir, queue);
     }
+
+    // Highest priority groups get this run's tweet slots; the rest wait in the queue
+    const groupedSales = getNextGroups(queue, collection.queue.priority, postSlots);
+    console.log(`Processing ${groupedSales.length} transactions (${queue.groups.length} queued)...`);
+    if (queue.groups.length > groupedSales.length) {
+      console.log(`⏳ Deferring ${queue.groups.length - groupedSales.length} transactions to a later run`);
+    }
+
+    for (const group of groupedSales) {
+      // On shutdown the groups not posted yet stay queued for the next run
+      if (stopSignal?.isStopped()) {
+        console.log('🛑 Leaving the rest of the queue for the next run');
+        break;
+      }
+      const events = group.saleKeys.map(key => getRetryableSale(ledger, key)).filter(Boolean);
+      const outcome = await postGroup(collection, publishers, { registry, dossiers, traitCache, floorSnapshot }, group, events);
+      await settleGroup(collection, ledger, queue, group, events, outcome);
+    }
+    await saveTraitCache(stateDir, traitCache);
+    // Buyers queued before dossiers existed get theirs opened when posted
+    await saveDossiers(stateDir, dossiers);
     
-    await updateLastCheckTime();
-    console.log('✅ Bot run completed');
+    if (fetchComplete) await updateLastCheckTime(collection, runStartedAt, lastBlock);
+    console.log(`✅ Finished ${collection.name}`);
     
   } catch (error) {
-    console.error('Bot error:', error.message);
+    console.error(`Bot error (${collection.name}):`, error.message);
+    runReport?.recordError(error.message);
+  }
+}
+
+// Post one collection's digest on demand (--digest), whatever its schedule says. Counts the sales
+// earlier runs recorded; only the holder registry is brought up to date first.
+async function runDigest(collection, period) {
+  console.log(`📰 ${collection.name}: ${period} digest...`);
+  try {
+    const ledger = await loadLedger(collection.stateDir);
+    const registry = await loadHolderRegistry(collection.stateDir);
+    await syncHolderRegistry(collection, registry);
+    await saveHolderRegistry(collection.stateDir, registry);
+    await postDigest(collection, buildPublishers(collection), period, registry, ledger);
+  } catch (error) {
+    console.error(`Digest error (${collection.name}):`, error.message);
+    runReport?.recordError(error.message);
+  }
+}
+
+// Print the dossier of a wallet (address or case number) for one collection. Read-only.
+async function printDossier(collection, query) {
+  const dossiers = await loadDossiers(collection.stateDir);
+  const found = findDossier(dossiers, query);
+  if (!found) {
+    console.log(`📂 ${collection.name}: no dossier for ${query}`);
+    return false;
+  }
+  const registry = await loadHolderRegistry(collection.stateDir);
+  console.log(formatDossier(found.wallet, found.dossier, {
+    collection: collection.name,
+    units: collection.unitName,
+    holding: isRegistryReady(registry) ? getHoldings(registry, found.wallet) : null,
+    getTierLabel: tier => getTierLabel(collection, tier)
+  }));
+  return true;
+}
+
+// Print a collection's engagement report, with the variant weights analytics.optimize would use.
+// Read-only.
+async function printEngagementReport(collection) {
+  const report = buildEngagementReport(await loadPostLog(collection.stateDir));
+  const { optimize } = collection.analytics;
+  console.log(formatEngagementReport(report, {
+    collection: collection.name,
+    getTierLabel: tier => getTierLabel(collection, tier),
+    weights: optimize.enabled ? getVariantWeights(report, optimize) : {}
+  }));
+}
+
+/*
+Operator commands (--control <command> [target] [reason], --collection <id> to act on one collection):
+
+  status                   pauses, blocks, and each collection's queue and check cursor
+  preview <event|token>    render the post for a sale (transaction hash or ledger key), a queued
+                           wiretap event or rank announcement (ledger key), or a token's latest sale
+  post <event|token>       post it now to every channel - again if it already went out
+  skip <sale> [reason]     never post this sale (transaction hash or ledger key), queued or not seen yet
+  block <wallet> [reason]  never post anything the wallet is part of
+  unblock <wallet|sale>    lift a block or skip
+  pause [reason]           stop posting until resumed - runs keep fetching and queueing
+  resume                   lift the pause (with --collection, only that collection's own)
+  floor                    check the floor and post a floor alert now, trigger or not
+  reset-cursor <time>      next run looks for sales from <time> on (ISO 8601)
+
+post, floor and reset-cursor write what a run writes, so they take the state lock and fail while a
+run or daemon holds it. The rest only touch state/controls.json, which every run reads - a running
+daemon picks them up on its next poll. Forced posts ignore pauses and blocks. Every command but
+status and preview is recorded in the audit log.
+*/
+function controlEntry(reason) {
+  return { reason, by: getOperator(), at: now().toISOString() };
+}
+
+function getControlCollections() {
+  return CONTROL_COLLECTION
+    ? config.collections.filter(collection => collection.id === CONTROL_COLLECTION)
+    : config.collections;
+}
+
+async function printControlStatus() {
+  const controls = await loadControls();
+  const describe = entry => `since ${entry.at} by ${entry.by}${entry.reason ? ` (${entry.reason})` : ''}`;
+  if (controls.paused['*']) console.log(`⏸️ Posting paused for every collection ${describe(controls.paused['*'])}`);
+  for (const [wallet, entry] of Object.entries(controls.blocked.wallets)) console.log(`🚫 Wallet ${wallet} blocked ${describe(entry)}`);
+  for (const [target, entry] of Object.entries(controls.blocked.events)) console.log(`🚫 ${target} skipped ${describe(entry)}`);
+
+  for (const collection of getControlCollections()) {
+    const queue = await loadQueue(collection.stateDir);
+    const pause = controls.paused[collection.id];
+    console.log(`\n📁 ${collection.name} (${collection.id})`);
+    console.log(`Last check: ${await getLastCheckTime(collection)}`);
+    console.log(`Queued: ${queue.groups.length} groups (${getQueuedSaleKeys(queue).size} events)`);
+    if (pause) console.log(`⏸️ Paused ${describe(pause)}`);
+
+    const { twitter } = collection.publishers;
+    if (twitter?.enabled) {
+      const usage = await loadUsage(twitter.credentialsEnv);
+      const { today, month } = getPostCounts(usage);
+      const caps = [twitter.budget.daily > 0 && `${twitter.budget.daily}/day`, twitter.budget.monthly > 0 && `${twitter.budget.monthly}/month`].filter(Boolean);
+      const budget = caps.length > 0 ? ` - budget ${caps.join(', ')}, ${Math.floor(getBudgetLeft(usage, twitter.budget))}% left` : '';
+      console.log(`X (${twitter.credentialsEnv}): ${today} posts today, ${month} this month${budget}`);
+      if (usage.blockedUntil && new Date(usage.blockedUntil) > now()) console.log(`⏳ X rate limited until ${usage.blockedUntil}`);
+    }
+  }
+}
+
+/*
+Find what --control preview / post names in one collection. A queued event brings its whole queued
+group; anything else has to be a sale, read from the ledger or fetched again from OpenSea.
+Returns [{ group, events, queued }] - empty when the collection doesn't know the target.
+*/
+async function findControlGroups(collection, ledger, queue, target) {
+  const type = getTargetType(target);
+  let keys;
+  let sales = [];
+  if (type === 'token') {
+    const tokenId = target.replace(/^#/, '');
+    const [latest] = await fetchTokenSales(collection, tokenId, 1);
+    if (!latest) return [];
+    keys = [getSaleKey(latest)];
+    sales = [latest];
+  } else {
+    keys = Object.entries(ledger.sales)
+      .filter(([key, entry]) => (type === 'key' ? key === target : (entry.kind || 'sale') === 'sale' && entry.transaction?.toLowerCase() === target))
+      .map(([key]) => key);
+  }
+
+  const queued = queue.groups.find(group => group.saleKeys.some(key => keys.includes(key)));
+  if (queued) {
+    return [{ group: queued, events: queued.saleKeys.map(key => getRetryableSale(ledger, key)).filter(Boolean), queued: true }];
+  }
+
+  for (const key of keys) {
+    if (sales.some(sale => getSaleKey(sale) === key)) continue;
+    const entry = ledger.sales[key];
+    if ((entry.kind || 'sale') !== 'sale') throw new Error(`${key} is no longer queued - only sales can be posted again`);
+    const event = entry.event || (await fetchTokenSales(collection, entry.tokenId, 50)).find(sale => getSaleKey(sale) === key);
+    if (!event) throw new Error(`Could not fetch ${key} from OpenSea again`);
+    sales.push(event);
+  }
+  return groupSales(sales, 0).map(group => ({
+    group: { id: group.id, buyer: group.buyer, saleKeys: group.sales.map(getSaleKey) },
+    events: group.sales,
+    queued: false
+  }));
+}
+
+// --control preview / post: render or post what the target names, in the collections that know it.
+// Returns the channels it went out on.
+async function postControlTarget(target) {
+  const collections = getControlCollections();
+  if (getTargetType(target) === 'token' && collections.length > 1) {
+    throw new Error('Token ids are per collection - add --collection <id>');
+  }
+
+  const channels = [];
+  let found = false;
+  for (const collection of collections) {
+    const { stateDir } = collection;
+    const ledger = await loadLedger(stateDir);
+    const queue = await loadQueue(stateDir);
+    const groups = await findControlGroups(collection, ledger, queue, target);
+    if (groups.length === 0) continue;
+    found = true;
+
+    const registry = await loadHolderRegistry(stateDir);
+    const dossiers = await loadDossiers(stateDir);
+    const traitCache = await loadTraitCache(stateDir);
+    const floorSnapshot = (await loadFloorHistory(stateDir)).snapshots.at(-1) || null;
+    const publishers = buildPublishers(collection);
+    for (const { group, events, queued } of groups) {
+      // Sales the bot never saw are filed like any new sale; ones seen before already were
+      const unseen = events.filter(event => !hasSale(ledger, event));
+      if (!queued && unseen.length > 0) fileSaleGroups(collection, dossiers, registry, [{ buyer: group.buyer, sales: unseen }]);
+
+      const outcome = await postGroup(collection, publishers, { registry, dossiers, traitCache, floorSnapshot },
+        { ...group, deliveredTo: [] }, events);
+      await settleGroup(collection, ledger, queue, group, events, outcome);
+      channels.push(...outcome.delivered);
+      if (outcome.failed.length > 0) {
+        throw new Error(`Post failed on ${outcome.failed.map(failure => `${failure.channel}: ${failure.error}`).join('; ')}`);
+      }
+    }
+    await saveDossiers(stateDir, dossiers);
+    await saveTraitCache(stateDir, traitCache);
+  }
+  if (!found) {
+    throw new Error(getTargetType(target) === 'token'
+      ? `No sale found for token ${target}`
+      : `No collection has ${target} in its ledger - try the token id`);
+  }
+  return channels;
+}
+
+async function postControlFloor() {
+  for (const collection of getControlCollections()) {
+    const registry = await loadHolderRegistry(collection.stateDir);
+    const floor = await trackFloor(collection, registry);
+    if (!floor) throw new Error(`${collection.name}: no floor listing found`);
+    await postFloorAlert(collection, buildPublishers(collection), floor);
+  }
+}
+
+async function resetControlCursor(time) {
+  const at = new Date(time);
+  for (const collection of getControlCollections()) {
+    // The on-chain scan restarts from the block at that time too
+    await updateStateFile(path.join(collection.stateDir, 'last-check.json'), ({ lastBlock, salesCursor, ...data }) => ({
+      ...data,
+      lastCheck: at.toISOString()
+    }));
+    console.log(`⏮️ ${collection.name}: next run looks for sales from ${at.toISOString()}`);
+  }
+}
+
+async function setControls(command, target, reason) {
+  const scope = CONTROL_COLLECTION || '*';
+  await updateControls(controls => {
+    if (command === 'pause') {
+      controls.paused[scope] = controlEntry(reason);
+    } else if (command === 'resume') {
+      if (!CONTROL_COLLECTION) controls.paused = {};
+      else delete controls.paused[scope];
+    } else if (command === 'block') {
+      controls.blocked.wallets[target] = controlEntry(reason);
+    } else if (command === 'skip') {
+      controls.blocked.events[target] = controlEntry(reason);
+    } else if (command === 'unblock') {
+      if (!controls.blocked.wallets[target] && !controls.blocked.events[target]) throw new Error(`${target} isn't blocked`);
+      delete controls.blocked.wallets[target];
+      delete controls.blocked.events[target];
+    }
+  });
+  const messages = {
+    pause: `⏸️ Posting paused${CONTROL_COLLECTION ? ` for ${CONTROL_COLLECTION}` : ''} - queued posts wait for resume`,
+    resume: `▶️ Posting resumed${CONTROL_COLLECTION ? ` for ${CONTROL_COLLECTION}` : ''}`,
+    block: `🚫 Nothing involving ${target} will be posted`,
+    skip: `🚫 ${target} will be skipped`,
+    unblock: `✅ ${target} unblocked`
+  };
+  console.log(messages[command]);
+  if (command === 'resume' && CONTROL_COLLECTION && getPause(await loadControls(), CONTROL_COLLECTION)) {
+    console.log('⚠️ Every collection is still paused - run resume without --collection to lift that');
+  }
+}
+
+// Run one operator command and record it in the audit log. Exit code 1 if it fails.
+async function runControl({ command, target, reason }) {
+  const { lock } = CONTROL_COMMANDS[command];
+  let result = 'ok';
+  try {
+    if (lock) {
+      await acquireStateLock();
+      await migrateState(config.collections, { readOnly: DRY_RUN });
+    }
+    if (command === 'status') {
+      await printControlStatus();
+    } else if (command === 'preview' || command === 'post') {
+      const channels = await postControlTarget(target);
+      if (command === 'post') result = `posted to ${channels.join(', ') || 'no channel'}`;
+    } else if (command === 'floor') {
+      await postControlFloor();
+    } else if (command === 'reset-cursor') {
+      await resetControlCursor(target);
+    } else {
+      await setControls(command, target, reason);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    result = `failed: ${error.message}`;
+    process.exitCode = 1;
+  } finally {
+    if (lock) await releaseStateLock();
+  }
+  if (command !== 'status' && command !== 'preview') {
+    await appendAuditLog({ command, target, collection: CONTROL_COLLECTION, reason, result });
+  }
+}
+
+// One line for the run (its totals as fields in JSON logs), then what failed
+function logRunSummary(report) {
+  const { sales, posts } = summarizeReport(report);
+  const { api } = report;
+  logWithFields(report.status === 'ok' ? 'info' : 'error',
+    `📋 Run ${report.runId} ${report.status}: ${sales.seen} new sales, ${sales.posted} posted, ${sales.skipped} skipped, ` +
+    `${sales.failed} failed, ${sales.pending} queued - ${posts.delivered} posts out - ${api.calls} API calls (${api.retries} retries, ${api.failures} failed)`,
+    { status: report.status, sales, posts, api });
+  for (const collection of config.collections) {
+    const entry = report.collections[collection.id];
+    if (entry?.status === 'failed') console.error(`❌ ${collection.name}: ${entry.errors.join('; ')}`);
+  }
+}
+
+// Main bot function - one pass over every collection (one poll in daemon mode). Saves the run's
+// report, sends any alerts it calls for (not in dry runs) and returns it.
+async function runBot(jobs = { floor: true }) {
+  runReport = createRunReport();
+  variantWeightsByCollection.clear();
+  clearMediaMemo();
+  console.log(`🤖 Al Cabone Sales Bot starting (run ${runReport.runId})...`);
+  
+  // Collections run one after another so they share the OpenSea rate limit
+  for (const collection of config.collections) {
+    if (stopSignal?.isStopped()) break;
+    runReport.startCollection(collection);
+    if (DIGEST_PERIOD) {
+      await runDigest(collection, DIGEST_PERIOD);
+    } else {
+      await runCollection(collection, jobs);
+    }
+    runReport.endCollection();
+  }
+  
+  const report = runReport.finish();
+  runReport = null;
+  logRunSummary(report);
+  try {
+    const health = await saveRunReport(report);
+    if (!DRY_RUN) await checkAlerts(health, config.alerts, report.runId);
+  } catch (error) {
+    console.error('Error saving run report:', error.message);
+  }
+  console.log('✅ Bot run completed');
+  return report;
+}
+
+// Normal runs, once or polling (--daemon): take the state lock, bring the state up to this build's
+// version, then run. SIGTERM / SIGINT stop the run between posts. Exit code 1 if the state can't
+// be used (locked by another process, or from a newer build) or a single run failed (see
+// lib/run-report.js) - a daemon keeps going and leaves failures to the alerts.
+async function startBot() {
+  stopSignal = createStopSignal();
+  try {
+    await acquireStateLock();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    stopSignal.dispose();
+    return;
+  }
+  try {
+    await migrateState(config.collections, { readOnly: DRY_RUN });
+    if (DAEMON) {
+      await runDaemon({ ...config.daemon, stop: stopSignal, runCycle: runBot });
+    } else {
+      const report = await runBot();
+      if (report.status === 'failed') process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await releaseStateLock();
+    stopSignal.dispose();
   }
 }
 
@@ -638,51 +2717,132 @@ ${firstSale.nft.opensea_url || getNFTOpenSeaLink(AL_CABONE_CONTRACT, firstSale.n
 if (process.argv.includes('--test')) {
   console.log('🧪 Running in test mode...');
   
+  // Every check runs; any that fails sets exit code 1
   async function runTests() {
     console.log('Testing API connections...');
+    let failures = 0;
     
-    // Test OpenSea API
-    try {
-      console.log('1. Testing OpenSea API...');
-      const sales = await fetchRecentSales();
-      console.log(`✅ OpenSea API working - Found ${sales.length} recent sales`);
+    for (const collection of config.collections) {
+      console.log(`\n📁 ${collection.name} (${collection.slug})`);
       
-      // Test floor price
-      const floorNFT = await getFloorPriceNFT();
-      if (floorNFT) {
-        console.log(`✅ Floor price API working - Floor: ${formatPrice(floorNFT)}`);
+      // Test OpenSea API
+      try {
+        console.log('1. Testing OpenSea API...');
+        // Fresh in-memory ledger: nothing is saved in test mode
+        const { sales } = await fetchRecentSales(collection, { sales: {} });
+        console.log(`✅ OpenSea API working - Found ${sales.length} recent sales`);
+        
+        // Test floor price
+        const floorNFT = await getFloorPriceNFT(collection);
+        if (floorNFT) {
+          console.log(`✅ Floor price API working - Floor: ${formatPrice(floorNFT)}`);
+        }
+        
+      } catch (error) {
+        console.error('❌ OpenSea API error:', error.message);
+        failures++;
       }
       
-    } catch (error) {
-      console.error('❌ OpenSea API error:', error.message);
-    }
-    
-    // Test Twitter API (without posting)
-    try {
-      console.log('2. Testing Twitter API...');
-      const me = await twitterClient.v2.me();
-      console.log(`✅ Twitter API working - Authenticated as: @${me.data.username}`);
-    } catch (error) {
-      console.error('❌ Twitter API error:', error.message);
-    }
-    
-    // Test NFT image fetching
-    try {
-      console.log('3. Testing NFT image fetching...');
-      const testImageUrl = await getNFTImageUrl(AL_CABONE_CONTRACT, '1');
-      if (testImageUrl) {
-        console.log('✅ NFT image fetching works');
-      } else {
-        console.log('⚠️ NFT image fetching returned null - check API');
+      // Test the on-chain sale source (when this collection reads sales from the chain)
+      if (getSalesSource(collection) === 'rpc') {
+        try {
+          console.log('1b. Testing JSON-RPC endpoint...');
+          const chain = getChainReader(collection);
+          if (chain) {
+            console.log(`✅ JSON-RPC working - Head block: ${await chain.getBlockNumber()}`);
+          } else {
+            console.log(`⚠️ No RPC URL set - export ${collection.sales.rpcUrlEnv}`);
+          }
+        } catch (error) {
+          console.error('❌ JSON-RPC error:', error.message);
+          failures++;
+        }
+      }
+      
+      // Test Twitter API (without posting)
+      try {
+        console.log('2. Testing Twitter API...');
+        const twitter = buildPublishers(collection).find(publisher => publisher.name === 'twitter');
+        if (twitter) {
+          const me = await twitter.client.v2.me();
+          console.log(`✅ Twitter API working - Authenticated as: @${me.data.username}`);
+        } else {
+          console.log('⚠️ X publishing is disabled or not configured for this collection');
+        }
+      } catch (error) {
+        console.error('❌ Twitter API error:', error.message);
+        failures++;
+      }
+      
+      // Test NFT image fetching
+      try {
+        console.log('3. Testing NFT image fetching...');
+        const testImageUrl = await getNFTImageUrl(collection.contract, '1');
+        if (testImageUrl) {
+          console.log('✅ NFT image fetching works');
+        } else {
+          console.log('⚠️ NFT image fetching returned null - check API');
+        }
+      } catch (error) {
+        console.error('❌ NFT image fetching error:', error.message);
+        failures++;
       }
-    } catch (error) {
-      console.error('❌ NFT image fetching error:', error.message);
     }
     
-    console.log('\n🧪 Test completed!');
+    if (failures > 0) {
+      console.error(`\n❌ Test completed - ${failures} check(s) failed`);
+      process.exitCode = 1;
+    } else {
+      console.log('\n🧪 Test completed!');
+    }
   }
   
-  runTests();
+  runTests().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+} else if (DOSSIER_QUERY) {
+  // Lookups only read state; exit code 1 when no collection has the wallet on file
+  configureStateFiles({ readOnly: true });
+  (async () => {
+    let found = false;
+    for (const collection of config.collections) {
+      if (await printDossier(collection, DOSSIER_QUERY)) found = true;
+    }
+    if (!found) process.exitCode = 1;
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+} else if (ANALYTICS) {
+  configureStateFiles({ readOnly: true });
+  (async () => {
+    for (const collection of config.collections) await printEngagementReport(collection);
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+} else if (REPLAY_DIR) {
+  prepareReplay(REPLAY_DIR, config.collections.map(collection => collection.stateDir))
+    .then(async source => {
+      replaySource = source;
+      replayFiatRates = (await loadReplaySettings(REPLAY_DIR)).fiatRates || {};
+      await migrateState(config.collections);
+      if (CONTROL) return runControl(CONTROL);
+      const report = await runBot();
+      if (report.status === 'failed') process.exitCode = 1;
+    })
+    .catch(error => {
+      console.error('Replay setup failed:', error.message);
+      process.exitCode = 1;
+    });
+} else if (CONTROL) {
+  if (DRY_RUN) configureStateFiles({ readOnly: true });
+  runControl(CONTROL);
 } else {
-  runBot();
+  if (DRY_RUN) {
+    console.log('🧪 Dry run - posts are rendered, not sent, and state is not saved');
+    configureStateFiles({ readOnly: true });
+  }
+  startBot();
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+// ==========================================
+// FILE: lib/alerts.js
+// ==========================================
+const axios = require('axios');
+const { updateRunHealth } = require('./run-report');
+const { logWithFields } = require('./logger');
+const { now } = require('./clock');
+
+/*
+Alerts for the operator (config "alerts"), checked after every run against the run health
+(lib/run-report.js). Posted as JSON to the webhook in webhookUrlEnv when:
+
+  failing   the last failedRuns runs all failed
+  silent    nothing was posted for silentHours (a routine floor report goes out every
+            floorAlertHours even without sales, so a quiet bot for longer than that is stuck)
+
+and once more when the problem clears. An alert still standing is sent again every repeatHours.
+0 turns a check off. Alert text starts with settings.name (the collections' names by default). The body carries `text` and `content` so Slack and Discord webhooks show it:
+
+{ type: 'alert', alert: 'failing' | 'silent' | 'recovered', problem, text, content, runId, health, sentAt }
+*/
+const HOUR_MS = 60 * 60 * 1000;
+
+// Whether each problem is happening, with its description
+function getProblems(health, settings, at) {
+  const silentFrom = health.lastPostAt || health.firstRunAt;
+  const silentMs = silentFrom ? at.getTime() - new Date(silentFrom).getTime() : 0;
+  const lastErrors = health.runs.at(-1)?.errors || [];
+  return {
+    failing: settings.failedRuns > 0 && health.consecutiveFailures >= settings.failedRuns
+      ? `The last ${health.consecutiveFailures} runs failed${lastErrors.length > 0 ? ` - latest: ${lastErrors.join('; ')}` : ''}`
+      : null,
+    silent: settings.silentHours > 0 && silentMs >= settings.silentHours * HOUR_MS
+      ? `Nothing posted for ${Math.floor(silentMs / HOUR_MS)} hours${health.lastPostAt ? ` (last post ${health.lastPostAt})` : ''}`
+      : null
+  };
+}
+
+async function sendAlert(url, alert, problem, text, runId, health) {
+  await axios.post(url, {
+    type: 'alert',
+    alert,
+    problem,
+    text,
+    content: text,
+    runId,
+    health: {
+      consecutiveFailures: health.consecutiveFailures,
+      lastRunAt: health.lastRunAt || null,
+      lastSuccessAt: health.lastSuccessAt || null,
+      lastPostAt: health.lastPostAt || null
+    },
+    sentAt: now().toISOString()
+  }, { headers: { 'Content-Type': 'application/json' }, timeout: 10000 });
+}
+
+// Send the alerts the run health calls for and remember them. An alert that can't be sent (no
+// webhook, or the webhook fails) is logged and tried again after the next run.
+async function checkAlerts(health, settings, runId) {
+  const at = now();
+  const url = settings.webhookUrlEnv ? process.env[settings.webhookUrlEnv] : null;
+  const problems = getProblems(health, settings, at);
+  const alerts = { ...health.alerts };
+
+  for (const [problem, description] of Object.entries(problems)) {
+    const standing = alerts[problem];
+    let alert;
+    let text;
+    if (description) {
+      if (standing && at.getTime() - new Date(standing.sentAt).getTime() < settings.repeatHours * HOUR_MS) continue;
+      alert = problem;
+      text = `🚨 ${settings.name}: ${description}`;
+    } else if (standing) {
+      alert = 'recovered';
+      text = `✅ ${settings.name}: ${problem === 'failing' ? 'runs are succeeding again' : 'posting again'} (${problem} since ${standing.since})`;
+    } else {
+      continue;
+    }
+
+    logWithFields(alert === 'recovered' ? 'info' : 'error', text, { alert, problem });
+    if (!url) {
+      console.log(`⚠️ No alert webhook - set ${settings.webhookUrlEnv} to be notified`);
+      continue;
+    }
+    try {
+      await sendAlert(url, alert, problem, text, runId, health);
+    } catch (error) {
+      console.error('Error sending alert:', error.message);
+      continue;
+    }
+    alerts[problem] = alert === 'recovered' ? null : { since: standing?.since || at.toISOString(), sentAt: at.toISOString() };
+  }
+
+  await updateRunHealth(saved => {
+    saved.alerts = alerts;
+  });
+}
+
+module.exports = { checkAlerts };
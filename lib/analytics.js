@@ -0,0 +1,224 @@
+// ==========================================
+// FILE: lib/analytics.js
+// ==========================================
+const path = require('path');
+const { readStateFile, updateStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+Engagement analytics. Every post that goes out on X is logged in the collection's
+state/<id>/post-log.json with what it was, and runs pull its public metrics while it's recent
+(analytics.metricsDays), so engagement can be compared by template variant, status line, post
+type and tier:
+
+{
+  posts: {
+    '<X post id>': {
+      postedAt: ISO,
+      type: 'sale' | 'sweep' | 'floor' | 'summary' | 'rank' | 'wiretap' | 'digest',
+      scenario: 'rare',              the template scenario it was written from
+      variant: 'case-file',          the template variant
+      status: 'POWER VACUUM' | null,
+      tiers: { buyer: 'godfather', seller: 'soldier' },   the wallets' tiers, by role
+      metrics: { likes, reposts, replies, quotes, bookmarks, impressions } | null,
+      metricsAt: ISO | null          when the metrics were pulled
+    }
+  }
+}
+
+Posts leave the log after POST_LOG_DAYS.
+*/
+const POST_LOG_FILE = 'post-log.json';
+const POST_LOG_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ENGAGEMENTS = ['likes', 'reposts', 'replies', 'quotes', 'bookmarks'];
+
+// Load a collection's post log (empty if missing or unreadable)
+async function loadPostLog(stateDir) {
+  try {
+    const log = await readStateFile(path.join(stateDir, POST_LOG_FILE));
+    return { posts: log?.posts || {} };
+  } catch (error) {
+    console.error('Error reading post log, starting fresh:', error.message);
+    return { posts: {} };
+  }
+}
+
+// The tiers of the wallets a post is about, by role
+function getPostTiers(post) {
+  const data = post.data || {};
+  const tiers = {
+    sale: { buyer: data.buyerTier, seller: data.sellerTier },
+    sweep: { buyer: data.buyerTier, seller: data.sellerTier },
+    floor: { seller: data.sellerTier },
+    rank: { from: data.fromTier, to: data.toTier },
+    wiretap: { wallet: data.walletTier }
+  }[post.type] || {};
+  return Object.fromEntries(Object.entries(tiers).filter(([, tier]) => tier));
+}
+
+// Add a post that just went out on X, dropping those past POST_LOG_DAYS
+async function recordPost(stateDir, id, post, at = now()) {
+  await updateStateFile(path.join(stateDir, POST_LOG_FILE), data => {
+    const cutoff = at.getTime() - POST_LOG_DAYS * DAY_MS;
+    const posts = Object.fromEntries(Object.entries(data.posts || {})
+      .filter(([, entry]) => new Date(entry.postedAt).getTime() >= cutoff));
+    posts[id] = {
+      postedAt: at.toISOString(),
+      type: post.type,
+      scenario: post.data?.scenario || post.type,
+      variant: post.data?.template || null,
+      status: post.status || null,
+      tiers: getPostTiers(post),
+      metrics: null,
+      metricsAt: null
+    };
+    return { posts };
+  });
+}
+
+// Ids of the posts from the last `days`, still gathering engagement
+function getRecentPostIds(log, days, at = now()) {
+  const cutoff = at.getTime() - days * DAY_MS;
+  return Object.entries(log.posts)
+    .filter(([, entry]) => new Date(entry.postedAt).getTime() >= cutoff)
+    .map(([id]) => id);
+}
+
+// Store the public_metrics of posts looked up on X (v2 tweet objects)
+async function saveMetrics(stateDir, tweets, at = now()) {
+  await updateStateFile(path.join(stateDir, POST_LOG_FILE), data => {
+    const posts = data.posts || {};
+    for (const tweet of tweets) {
+      const metrics = tweet.public_metrics;
+      if (!posts[tweet.id] || !metrics) continue;
+      posts[tweet.id].metrics = {
+        likes: metrics.like_count,
+        reposts: metrics.retweet_count,
+        replies: metrics.reply_count,
+        quotes: metrics.quote_count,
+        bookmarks: metrics.bookmark_count ?? 0,
+        impressions: metrics.impression_count ?? 0
+      };
+      posts[tweet.id].metricsAt = at.toISOString();
+    }
+    return { posts };
+  });
+}
+
+/*
+Engagement of a group of posts: per-post averages, and
+  rate:  engagements (likes, reposts, replies, quotes, bookmarks) per impression - null when X
+         reported no impressions
+  score: what variants are ranked by - the rate, or engagements per post without impressions
+*/
+function summarizeEngagement(entries) {
+  const total = field => entries.reduce((sum, entry) => sum + (entry.metrics[field] || 0), 0);
+  const engagements = ENGAGEMENTS.reduce((sum, field) => sum + total(field), 0);
+  const impressions = total('impressions');
+  const average = value => Math.round((value / entries.length) * 10) / 10;
+  const rate = impressions > 0 ? engagements / impressions : null;
+  return {
+    posts: entries.length,
+    likes: average(total('likes')),
+    reposts: average(total('reposts')),
+    replies: average(total('replies')),
+    impressions: average(impressions),
+    engagements: average(engagements),
+    rate,
+    score: rate ?? engagements / entries.length
+  };
+}
+
+function groupEngagement(entries, keyOf) {
+  const groups = {};
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (key) (groups[key] = groups[key] || []).push(entry);
+  }
+  return Object.fromEntries(Object.entries(groups)
+    .map(([key, group]) => [key, summarizeEngagement(group)])
+    .sort(([, a], [, b]) => b.score - a.score));
+}
+
+/*
+Engagement of the measured posts in a log, best first in each group:
+{
+  measured,                                   posts with metrics
+  variants: { '<scenario>': { '<variant>': summary } },
+  statuses: { 'POWER VACUUM': summary, ... },
+  types: { sale: summary, sweep: summary, ... },
+  buyerTiers: { godfather: summary, ... }
+}
+*/
+function buildEngagementReport(log) {
+  const measured = Object.values(log.posts).filter(entry => entry.metrics);
+  const scenarios = [...new Set(measured.map(entry => entry.scenario))];
+  return {
+    measured: measured.length,
+    variants: Object.fromEntries(scenarios.map(scenario => [scenario, groupEngagement(
+      measured.filter(entry => entry.scenario === scenario), entry => entry.variant)])),
+    statuses: groupEngagement(measured, entry => entry.status),
+    types: groupEngagement(measured, entry => entry.type),
+    buyerTiers: groupEngagement(measured, entry => entry.tiers?.buyer)
+  };
+}
+
+/*
+Weight multipliers for template variants ({ '<scenario>': { '<variant>': multiplier } }, see
+renderTemplate), from analytics.optimize { minPosts, maxShift }. Variants with at least minPosts
+measured posts are scored against the average of their scenario's, and their weight moved that
+way by up to maxShift (0.5: between half and one and a half times). Variants with fewer posts
+keep their weight so they still get tried, and a scenario needs two measured variants to compare.
+*/
+function getVariantWeights(report, { minPosts, maxShift }) {
+  const weights = {};
+  for (const [scenario, variants] of Object.entries(report.variants)) {
+    const measured = Object.entries(variants).filter(([, summary]) => summary.posts >= minPosts);
+    if (measured.length < 2) continue;
+    const average = measured.reduce((sum, [, summary]) => sum + summary.score, 0) / measured.length;
+    if (average === 0) continue;
+    weights[scenario] = Object.fromEntries(measured.map(([variant, summary]) => {
+      const multiplier = Math.min(1 + maxShift, Math.max(1 - maxShift, summary.score / average));
+      return [variant, Math.round(multiplier * 100) / 100];
+    }));
+  }
+  return weights;
+}
+
+// Plain-text engagement report (--analytics). options: { collection, getTierLabel, weights }
+function formatEngagementReport(report, options) {
+  const lines = [`ENGAGEMENT - ${options.collection}`, `${report.measured} posts with metrics`];
+  const describe = (label, summary, note = '') => {
+    const rate = summary.rate !== null ? `, ${(summary.rate * 100).toFixed(2)}% engaged` : '';
+    return `  ${label}: ${summary.posts} post${summary.posts === 1 ? '' : 's'} - ${summary.likes} likes, ${summary.reposts} reposts, ` +
+      `${summary.replies} replies, ${summary.impressions} views per post${rate}${note}`;
+  };
+  const section = (title, groups, label = key => key) => {
+    if (Object.keys(groups).length === 0) return;
+    lines.push('', title);
+    Object.entries(groups).forEach(([key, summary]) => lines.push(describe(label(key), summary)));
+  };
+
+  for (const [scenario, variants] of Object.entries(report.variants)) {
+    lines.push('', `Template variants - ${scenario}`);
+    for (const [variant, summary] of Object.entries(variants)) {
+      const weight = options.weights[scenario]?.[variant];
+      lines.push(describe(variant, summary, weight !== undefined ? ` (weight x${weight})` : ''));
+    }
+  }
+  section('Status lines', report.statuses);
+  section('Post types', report.types);
+  section('Buyer tiers', report.buyerTiers, options.getTierLabel);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  loadPostLog,
+  recordPost,
+  getRecentPostIds,
+  saveMetrics,
+  buildEngagementReport,
+  getVariantWeights,
+  formatEngagementReport
+};
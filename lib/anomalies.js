@@ -0,0 +1,184 @@
+// ==========================================
+// FILE: lib/anomalies.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now } = require('./clock');
+const { SALE_STATUS, getSalesBetween, getSaleKey, markSale } = require('./ledger');
+const { toAmount } = require('./money');
+const { getFloorPercent } = require('./wiretap');
+const { loadFloorHistory } = require('./floor');
+
+/*
+Anomaly screening: every new sale is checked once, before it's queued, for signs that it isn't
+a real market trade. Each check has its own action:
+
+  flag      post it anyway, with the "suspicious" status
+  review    don't post it; log it in review-log.json for a human to look at
+  suppress  don't post it
+  off       don't run the check
+
+The checks found are kept on the sale event as `anomalies: [{ check, action, reason }]`
+([] when it came out clean), so a sale is never screened twice.
+
+review-log.json: { entries: [{ key, tokenId, anomalies, loggedAt, event (the sale as fetched) }] },
+newest last.
+*/
+const REVIEW_LOG_FILE = 'review-log.json';
+const REVIEW_LOG_SIZE = 500; // Oldest entries are dropped past this
+const HOUR_SECONDS = 60 * 60;
+
+const ANOMALY_ACTIONS = ['off', 'flag', 'review', 'suppress']; // Least to most severe
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function sameWallet(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// The token comes back to a wallet that sold it within `hours`
+function checkRoundTrip(sale, { ledger }, settings) {
+  const since = sale.event_timestamp - settings.hours * HOUR_SECONDS;
+  const earlier = getSalesBetween(ledger, since, sale.event_timestamp).find(entry =>
+    entry.tokenId === String(sale.nft.identifier) &&
+    entry.transaction?.toLowerCase() !== String(sale.transaction).toLowerCase() &&
+    sameWallet(entry.seller, sale.buyer));
+  if (!earlier) return null;
+  const hours = Math.max(1, Math.round((sale.event_timestamp - earlier.eventTimestamp) / HOUR_SECONDS));
+  return `#${sale.nft.identifier} back with ${shortAddress(sale.buyer)} after ${hours}h`;
+}
+
+// The same two wallets have traded with each other (either way) `trades` times within `hours`
+function checkRepeatedPair(sale, { ledger }, settings) {
+  if (!sale.seller) return null;
+  const since = sale.event_timestamp - settings.hours * HOUR_SECONDS;
+  const transactions = new Set(getSalesBetween(ledger, since, sale.event_timestamp)
+    .filter(entry =>
+      (sameWallet(entry.buyer, sale.buyer) && sameWallet(entry.seller, sale.seller)) ||
+      (sameWallet(entry.buyer, sale.seller) && sameWallet(entry.seller, sale.buyer)))
+    .map(entry => entry.transaction?.toLowerCase()));
+  transactions.add(String(sale.transaction).toLowerCase());
+  if (transactions.size < settings.trades) return null;
+  return `${shortAddress(sale.seller)} and ${shortAddress(sale.buyer)} traded ${transactions.size} times in ${settings.hours}h`;
+}
+
+// The price is outside minFloorPercent..maxFloorPercent of the recorded floor (skipped without one)
+function checkPriceBand(sale, { floorSnapshot }, settings) {
+  const percent = getFloorPercent(toAmount(sale.payment), floorSnapshot);
+  if (percent === null) return null;
+  if (percent < settings.minFloorPercent || percent > settings.maxFloorPercent) {
+    return `sold at ${Math.round(percent)}% of floor`;
+  }
+  return null;
+}
+
+// A private order (sold to a named buyer) that paid no marketplace fee or royalty. Only sales
+// read from the chain say so - OpenSea's events don't carry fees.
+function checkPrivateSale(sale) {
+  return sale.private_sale === true && sale.fees_paid === false ? 'zero-fee private sale' : null;
+}
+
+// Each check returns why the sale looks off, or null
+const CHECKS = {
+  roundTrip: checkRoundTrip,
+  repeatedPair: checkRepeatedPair,
+  priceBand: checkPriceBand,
+  privateSale: checkPrivateSale
+};
+
+// Run a collection's checks (settings: the collection's "anomalies") against a sale already in
+// the ledger. context: { ledger, floorSnapshot (latest recorded, null without one) }
+function detectAnomalies(sale, context, settings) {
+  const anomalies = [];
+  for (const [check, run] of Object.entries(CHECKS)) {
+    const { action } = settings[check];
+    if (action === 'off') continue;
+    const reason = run(sale, context, settings[check]);
+    if (reason) anomalies.push({ check, action, reason });
+  }
+  return anomalies;
+}
+
+// The most severe action among a sale's anomalies (null when there are none)
+function getAnomalyAction(anomalies) {
+  if (!anomalies || anomalies.length === 0) return null;
+  return anomalies.reduce((worst, anomaly) =>
+    (ANOMALY_ACTIONS.indexOf(anomaly.action) > ANOMALY_ACTIONS.indexOf(worst) ? anomaly.action : worst), 'off');
+}
+
+// "roundTrip: #1337 back with 0x5e1d...ccbb after 1h; ..."
+function describeAnomalies(anomalies) {
+  return anomalies.map(anomaly => `${anomaly.check}: ${anomaly.reason}`).join('; ');
+}
+
+// Add sales held for review to the collection's review log
+async function appendReviewLog(stateDir, sales) {
+  const file = path.join(stateDir, REVIEW_LOG_FILE);
+  try {
+    const log = await readStateFile(file);
+    const entries = log?.entries || [];
+    const loggedAt = now().toISOString();
+    for (const sale of sales) {
+      entries.push({
+        key: getSaleKey(sale),
+        tokenId: sale.nft.identifier,
+        anomalies: sale.anomalies,
+        loggedAt,
+        event: sale
+      });
+    }
+    await writeStateFile(file, { entries: entries.slice(-REVIEW_LOG_SIZE) });
+  } catch (error) {
+    console.error('Error writing review log:', error.message);
+  }
+}
+
+// Screen sales that haven't been checked yet for wash trading and mispricing, against the ledger
+// and the last recorded floor. Suppressed sales and sales held for review are skipped in the
+// ledger with their anomalies (held ones also go to the review log, and digests leave both out);
+// flagged ones keep their anomalies for the post. Returns the sales still to be posted.
+async function screenSales(collection, ledger, sales) {
+  const history = await loadFloorHistory(collection.stateDir);
+  const context = { ledger, floorSnapshot: history.snapshots.at(-1) || null };
+  const held = [];
+  const remaining = [];
+
+  for (const sale of sales) {
+    // Sales screened on an earlier run and still pending came out clean or flagged
+    if (sale.anomalies) {
+      remaining.push(sale);
+      continue;
+    }
+    sale.anomalies = detectAnomalies(sale, context, collection.anomalies);
+    const action = getAnomalyAction(sale.anomalies);
+    if (!action) {
+      remaining.push(sale);
+      continue;
+    }
+
+    const reason = describeAnomalies(sale.anomalies);
+    if (action === 'flag') {
+      console.log(`🕵️ Flagging #${sale.nft.identifier} as suspicious (${reason})`);
+      remaining.push(sale);
+      continue;
+    }
+    console.log(`🕵️ ${action === 'review' ? 'Holding' : 'Suppressing'} #${sale.nft.identifier} (${reason})`);
+    const entry = markSale(ledger, sale, SALE_STATUS.skipped, `${action === 'review' ? 'held for review' : 'suppressed'}: ${reason}`);
+    entry.anomalies = sale.anomalies;
+    if (action === 'review') held.push(sale);
+  }
+
+  if (held.length > 0) await appendReviewLog(collection.stateDir, held);
+  return remaining;
+}
+
+module.exports = {
+  ANOMALY_ACTIONS,
+  detectAnomalies,
+  getAnomalyAction,
+  describeAnomalies,
+  appendReviewLog,
+  screenSales
+};
@@ -0,0 +1,67 @@
+// ==========================================
+// FILE: lib/cards/collage-card.js
+// ==========================================
+const {
+  COLORS,
+  createCanvas,
+  decodeImage,
+  encodePng,
+  drawFittedText,
+  drawPaper,
+  drawMugshot,
+  drawStamp
+} = require('./draw');
+const { drawHeader, formatFiledDate, WIDTH, HEIGHT } = require('./evidence-card');
+
+const MAX_EXHIBITS = 4;
+const SLOT_WIDTH = 270;
+const MUGSHOT_SIZE = 220;
+const EXHIBIT_LETTERS = 'ABCD';
+
+/*
+Render the evidence board for a sweep: up to four of the swept NFTs side by side.
+
+card: {
+  collection: 'Al Cabone',
+  caseNumber: 'AC-72317',
+  exhibits: [{ nftName: 'Skeleton #4521', image: NFT image bytes (optional) }, ...] (first four are drawn),
+  sweepCount: 12,
+  units: 'Mobsters',
+  price: '4.200 ETH',
+  filedAt: sale time (Date, ISO string or ms)
+}
+*/
+async function renderCollageCard(card) {
+  const { bitmap, ctx } = createCanvas(WIDTH, HEIGHT);
+  drawPaper(ctx, WIDTH, HEIGHT);
+
+  drawHeader(ctx, 'EVIDENCE BOARD',
+    `${card.collection.toUpperCase()} TASK FORCE - SEIZED ${formatFiledDate(card.filedAt)}`,
+    `CASE #${card.caseNumber}`);
+
+  // Exhibits are centred as a row, however many there are
+  const exhibits = card.exhibits.slice(0, MAX_EXHIBITS);
+  const left = (WIDTH - exhibits.length * SLOT_WIDTH) / 2;
+  for (const [index, exhibit] of exhibits.entries()) {
+    const image = exhibit.image ? await decodeImage(exhibit.image) : null;
+    const x = Math.round(left + index * SLOT_WIDTH + (SLOT_WIDTH - MUGSHOT_SIZE) / 2);
+    drawMugshot(ctx, image, x, 200, MUGSHOT_SIZE, `${EXHIBIT_LETTERS[index]}: ${exhibit.nftName}`);
+  }
+
+  ctx.fillStyle = COLORS.paperEdge;
+  ctx.fillRect(60, 506, WIDTH - 120, 2);
+
+  const shown = card.sweepCount > exhibits.length ? ` (${exhibits.length} SHOWN)` : '';
+  drawFittedText(ctx, 'SEIZED', 70, 552, { font: 'typewriter', size: 22, maxWidth: 200, color: COLORS.fadedInk });
+  drawFittedText(ctx, `${card.sweepCount} ${card.units}${shown}`, 70, 596, { font: 'monoBold', size: 36, maxWidth: 420 });
+  drawFittedText(ctx, 'VALUE', 520, 552, { font: 'typewriter', size: 22, maxWidth: 200, color: COLORS.fadedInk });
+  drawFittedText(ctx, card.price, 520, 596, { font: 'monoBold', size: 36, maxWidth: 330 });
+
+  drawStamp(ctx, 'EVIDENCE', 1010, 580, { size: 42, angle: -0.14 });
+
+  return encodePng(bitmap);
+}
+
+module.exports = {
+  renderCollageCard
+};
@@ -0,0 +1,198 @@
+// ==========================================
+// FILE: lib/cards/draw.js
+// ==========================================
+const path = require('path');
+const { PassThrough } = require('stream');
+const PImage = require('pureimage');
+const { detectImageType } = require('../images');
+
+// Pure-JS rasteriser (pureimage) with bundled fonts: no native canvas build, and the same
+// input always produces the same PNG bytes on any machine.
+const FONT_DIR = path.join(__dirname, '..', '..', 'assets', 'fonts');
+const FONTS = {
+  typewriter: { file: 'SpecialElite-Regular.ttf', family: 'Special Elite' },
+  mono: { file: 'CourierPrime-Regular.ttf', family: 'Courier Prime' },
+  monoBold: { file: 'CourierPrime-Bold.ttf', family: 'Courier Prime Bold' }
+};
+
+const COLORS = {
+  paper: '#efe4c8',
+  paperEdge: '#d9c9a3',
+  ink: '#1f1d1a',
+  fadedInk: '#5c5548',
+  stamp: '#b3261e',
+  frame: '#2b2925',
+  placeholder: '#cfc2a0'
+};
+
+let fontsLoaded = false;
+
+function loadFonts() {
+  if (fontsLoaded) return;
+  for (const font of Object.values(FONTS)) {
+    PImage.registerFont(path.join(FONT_DIR, font.file), font.family).loadSync();
+  }
+  fontsLoaded = true;
+}
+
+// New blank bitmap and its 2D context
+function createCanvas(width, height) {
+  loadFonts();
+  const bitmap = PImage.make(width, height);
+  return { bitmap, ctx: bitmap.getContext('2d') };
+}
+
+function setFont(ctx, font, size) {
+  ctx.font = `${size}px '${FONTS[font].family}'`;
+}
+
+// Decode a PNG or JPEG buffer into a bitmap (null for anything else, or if decoding fails)
+async function decodeImage(buffer) {
+  const type = detectImageType(buffer);
+  if (type !== 'png' && type !== 'jpeg') return null;
+
+  const stream = new PassThrough();
+  stream.end(buffer);
+  try {
+    return type === 'png' ? await PImage.decodePNGFromStream(stream) : await PImage.decodeJPEGFromStream(stream);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function encodePng(bitmap) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  await PImage.encodePNGToStream(bitmap, stream);
+  return Buffer.concat(chunks);
+}
+
+// Draw text no wider than maxWidth: shrink the font down to minSize, then cut with "..."
+function drawFittedText(ctx, text, x, y, { font, size, minSize = Math.round(size * 0.6), maxWidth, color = COLORS.ink, align = 'left' }) {
+  let value = String(text);
+  let fontSize = size;
+  setFont(ctx, font, fontSize);
+  while (ctx.measureText(value).width > maxWidth && fontSize > minSize) {
+    fontSize -= 2;
+    setFont(ctx, font, fontSize);
+  }
+  if (ctx.measureText(value).width > maxWidth) {
+    while (value.length > 1 && ctx.measureText(`${value}...`).width > maxWidth) {
+      value = value.slice(0, -1);
+    }
+    value = `${value.trimEnd()}...`;
+  }
+
+  const width = ctx.measureText(value).width;
+  const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+  ctx.fillStyle = color;
+  ctx.fillText(value, left, y);
+  return { width, size: fontSize };
+}
+
+function tracePath(ctx, points) {
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (const [x, y] of points.slice(1)) ctx.lineTo(x, y);
+  ctx.closePath();
+}
+
+// Rectangle outline drawn as a path (so it follows rotate/translate)
+function strokeBox(ctx, x, y, width, height, color, lineWidth) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  tracePath(ctx, [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]);
+  ctx.stroke();
+}
+
+// Aged paper background with a double rule border
+function drawPaper(ctx, width, height) {
+  ctx.fillStyle = COLORS.paperEdge;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = COLORS.paper;
+  ctx.fillRect(12, 12, width - 24, height - 24);
+  strokeBox(ctx, 24, 24, width - 48, height - 48, COLORS.ink, 3);
+  strokeBox(ctx, 32, 32, width - 64, height - 64, COLORS.ink, 1);
+}
+
+// NFT image in a framed square, cropped to fill it; a "no photo" placeholder when missing
+function drawMugshot(ctx, image, x, y, size, caption) {
+  ctx.fillStyle = COLORS.frame;
+  ctx.fillRect(x - 8, y - 8, size + 16, size + 16);
+
+  if (image) {
+    const side = Math.min(image.width, image.height);
+    const sx = Math.floor((image.width - side) / 2);
+    const sy = Math.floor((image.height - side) / 2);
+    ctx.drawImage(image, sx, sy, side, side, x, y, size, size);
+  } else {
+    ctx.fillStyle = COLORS.placeholder;
+    ctx.fillRect(x, y, size, size);
+    // Height chart lines behind an empty frame
+    ctx.fillStyle = COLORS.paperEdge;
+    for (let line = y + size / 8; line < y + size; line += size / 8) {
+      ctx.fillRect(x, Math.round(line), size, 2);
+    }
+    drawFittedText(ctx, 'NO PHOTO ON FILE', x + size / 2, y + size / 2 + 10, {
+      font: 'typewriter', size: 30, maxWidth: size - 40, color: COLORS.fadedInk, align: 'center'
+    });
+  }
+
+  if (caption) {
+    drawFittedText(ctx, caption, x + size / 2, y + size + 44, {
+      font: 'typewriter', size: 26, maxWidth: size, align: 'center'
+    });
+  }
+}
+
+// Fixed colour per tier rung: top of the ladder gold, down through red and blue to grey
+const BADGE_COLORS = ['#b8860b', '#8b0000', '#5b2c6f', '#1f4e79', '#2e5e3e', '#5c5548', '#707070'];
+
+function getBadgeColor(tierRank, tierCount) {
+  if (!tierRank || !tierCount) return BADGE_COLORS[BADGE_COLORS.length - 1];
+  const fromTop = tierCount - tierRank;
+  return BADGE_COLORS[Math.min(fromTop, BADGE_COLORS.length - 1)];
+}
+
+// Tier badge: filled label plate, returns its width
+function drawBadge(ctx, label, x, y, color) {
+  setFont(ctx, 'monoBold', 24);
+  const width = Math.ceil(ctx.measureText(label).width) + 28;
+  ctx.fillStyle = color;
+  ctx.fillRect(x, y, width, 40);
+  ctx.fillStyle = COLORS.paper;
+  ctx.fillText(label, x + 14, y + 29);
+  return width;
+}
+
+// Rotated rubber stamp with a double border
+function drawStamp(ctx, text, centerX, centerY, { size = 64, angle = -0.18, color = COLORS.stamp } = {}) {
+  setFont(ctx, 'typewriter', size);
+  const width = ctx.measureText(text).width + size * 0.8;
+  const height = size * 1.5;
+
+  ctx.save();
+  ctx.translate(centerX, centerY);
+  ctx.rotate(angle);
+  strokeBox(ctx, -width / 2, -height / 2, width, height, color, 6);
+  strokeBox(ctx, -width / 2 + 10, -height / 2 + 10, width - 20, height - 20, color, 2);
+  ctx.fillStyle = color;
+  ctx.fillText(text, -ctx.measureText(text).width / 2, size * 0.35);
+  ctx.restore();
+}
+
+module.exports = {
+  COLORS,
+  createCanvas,
+  setFont,
+  decodeImage,
+  encodePng,
+  drawFittedText,
+  strokeBox,
+  drawPaper,
+  drawMugshot,
+  getBadgeColor,
+  drawBadge,
+  drawStamp
+};
@@ -0,0 +1,104 @@
+// ==========================================
+// FILE: lib/cards/evidence-card.js
+// ==========================================
+const {
+  COLORS,
+  createCanvas,
+  decodeImage,
+  encodePng,
+  drawFittedText,
+  drawPaper,
+  drawMugshot,
+  getBadgeColor,
+  drawBadge,
+  drawStamp
+} = require('./draw');
+
+const WIDTH = 1200;
+const HEIGHT = 675; // 16:9, shown uncropped on X
+
+const RIGHT_COLUMN = 500;
+const RIGHT_EDGE = WIDTH - 60;
+
+// Case header shared by both card types: bureau name, task force line and case number
+function drawHeader(ctx, title, subtitle, caseLabel) {
+  drawFittedText(ctx, title, 60, 96, { font: 'typewriter', size: 46, maxWidth: 760 });
+  drawFittedText(ctx, subtitle, 62, 130, { font: 'mono', size: 22, maxWidth: 740, color: COLORS.fadedInk });
+  if (caseLabel) {
+    drawFittedText(ctx, caseLabel, RIGHT_EDGE, 96, { font: 'monoBold', size: 34, maxWidth: 330, align: 'right' });
+  }
+  ctx.fillStyle = COLORS.ink;
+  ctx.fillRect(60, 150, WIDTH - 120, 3);
+}
+
+function formatFiledDate(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// One party (suspect or accomplice): label, address, tier badge and holdings
+function drawParty(ctx, label, party, top, units, tierCount) {
+  drawFittedText(ctx, label, RIGHT_COLUMN, top, { font: 'typewriter', size: 22, maxWidth: 300, color: COLORS.fadedInk });
+  drawFittedText(ctx, party.name, RIGHT_COLUMN, top + 40, { font: 'monoBold', size: 34, maxWidth: RIGHT_EDGE - RIGHT_COLUMN });
+  const badgeWidth = drawBadge(ctx, party.tierLabel, RIGHT_COLUMN, top + 56, getBadgeColor(party.tierRank, tierCount));
+  drawFittedText(ctx, `${party.count} ${units} on file`, RIGHT_COLUMN + badgeWidth + 16, top + 85, {
+    font: 'mono', size: 24, maxWidth: RIGHT_EDGE - RIGHT_COLUMN - badgeWidth - 16
+  });
+}
+
+/*
+Render the FBI evidence card for a sale or sweep as a PNG buffer.
+
+card: {
+  collection: 'Al Cabone',
+  caseNumber: 'AC-72317',
+  nftName: 'Skeleton #4521',
+  image: NFT image bytes (PNG/JPEG, optional - a "no photo" frame is drawn otherwise),
+  buyer: { name: '0x7a9b...c3d4', tierLabel: 'UNDERBOSS', tierRank: 5, count: 23 },
+  seller: { name, tierLabel, tierRank, count },
+  tierCount: 7,
+  units: 'Mobsters',
+  price: '0.420 ETH',
+  sweepCount: 2 (0 or 1 for single sales),
+  status: 'EMPIRE EXPANSION',
+  filedAt: sale time (Date, ISO string or ms)
+}
+*/
+async function renderEvidenceCard(card) {
+  const { bitmap, ctx } = createCanvas(WIDTH, HEIGHT);
+  drawPaper(ctx, WIDTH, HEIGHT);
+
+  drawHeader(ctx, 'FEDERAL BUREAU OF INVESTIGATION',
+    `EVIDENCE CARD - ${card.collection.toUpperCase()} TASK FORCE - FILED ${formatFiledDate(card.filedAt)}`,
+    `CASE #${card.caseNumber}`);
+
+  const mugshot = card.image ? await decodeImage(card.image) : null;
+  drawMugshot(ctx, mugshot, 70, 190, 360, `EXHIBIT A: ${card.nftName}`);
+
+  drawParty(ctx, 'SUSPECT (BUYER)', card.buyer, 200, card.units, card.tierCount);
+  drawParty(ctx, 'ACCOMPLICE (SELLER)', card.seller, 326, card.units, card.tierCount);
+
+  ctx.fillStyle = COLORS.paperEdge;
+  ctx.fillRect(RIGHT_COLUMN, 440, RIGHT_EDGE - RIGHT_COLUMN, 2);
+
+  drawFittedText(ctx, 'VALUE', RIGHT_COLUMN, 478, { font: 'typewriter', size: 22, maxWidth: 200, color: COLORS.fadedInk });
+  drawFittedText(ctx, card.price, RIGHT_COLUMN, 522, { font: 'monoBold', size: 40, maxWidth: 300 });
+  if (card.sweepCount > 1) {
+    drawFittedText(ctx, 'SWEEP', 820, 478, { font: 'typewriter', size: 22, maxWidth: 200, color: COLORS.fadedInk });
+    drawFittedText(ctx, `${card.sweepCount} ${card.units}`, 820, 522, { font: 'monoBold', size: 40, maxWidth: RIGHT_EDGE - 820 });
+  }
+
+  drawFittedText(ctx, 'STATUS', RIGHT_COLUMN, 572, { font: 'typewriter', size: 22, maxWidth: 200, color: COLORS.fadedInk });
+  drawFittedText(ctx, card.status, RIGHT_COLUMN, 612, { font: 'typewriter', size: 36, maxWidth: 330 });
+
+  drawStamp(ctx, 'CLASSIFIED', 1010, 588, { size: 42, angle: -0.14 });
+
+  return encodePng(bitmap);
+}
+
+module.exports = {
+  renderEvidenceCard,
+  drawHeader,
+  formatFiledDate,
+  WIDTH,
+  HEIGHT
+};
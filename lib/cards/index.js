@@ -0,0 +1,14 @@
+// ==========================================
+// FILE: lib/cards/index.js
+// ==========================================
+const { renderEvidenceCard } = require('./evidence-card');
+const { renderWantedCard } = require('./wanted-card');
+const { renderCollageCard } = require('./collage-card');
+
+// Case-file images attached to posts: evidence cards for sales and sweeps (plus an evidence
+// board of the swept NFTs), WANTED posters for floor alerts
+module.exports = {
+  renderEvidenceCard,
+  renderWantedCard,
+  renderCollageCard
+};
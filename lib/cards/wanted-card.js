@@ -0,0 +1,69 @@
+// ==========================================
+// FILE: lib/cards/wanted-card.js
+// ==========================================
+const {
+  COLORS,
+  createCanvas,
+  decodeImage,
+  encodePng,
+  drawFittedText,
+  drawPaper,
+  drawMugshot,
+  getBadgeColor,
+  drawBadge,
+  drawStamp
+} = require('./draw');
+const { drawHeader, formatFiledDate, WIDTH, HEIGHT } = require('./evidence-card');
+
+const RIGHT_COLUMN = 500;
+const RIGHT_EDGE = WIDTH - 60;
+
+/*
+Render the WANTED poster for a floor alert as a PNG buffer.
+
+card: {
+  collection: 'Al Cabone',
+  nftName: 'Al Cabone #1337',
+  image: NFT image bytes (optional),
+  seller: { name: '0x5e1d...ccbb', tierLabel: 'SOLDIER', tierRank: 2, count: 6 },
+  tierCount: 7,
+  units: 'Mobsters',
+  price: '0.300 ETH',
+  status: 'Disgruntled mobster seeks new family',
+  issuedAt: alert time (Date, ISO string or ms)
+}
+*/
+async function renderWantedCard(card) {
+  const { bitmap, ctx } = createCanvas(WIDTH, HEIGHT);
+  drawPaper(ctx, WIDTH, HEIGHT);
+
+  drawHeader(ctx, 'FEDERAL BUREAU OF INVESTIGATION',
+    `WANTED NOTICE - ${card.collection.toUpperCase()} TASK FORCE - ISSUED ${formatFiledDate(card.issuedAt)}`,
+    null);
+
+  const mugshot = card.image ? await decodeImage(card.image) : null;
+  drawMugshot(ctx, mugshot, 70, 190, 360, card.nftName);
+
+  drawFittedText(ctx, 'WANTED', RIGHT_COLUMN - 6, 290, { font: 'typewriter', size: 136, maxWidth: RIGHT_EDGE - RIGHT_COLUMN, color: COLORS.stamp });
+  drawFittedText(ctx, 'FOR LISTING ON THE FLOOR', RIGHT_COLUMN, 334, { font: 'typewriter', size: 30, maxWidth: RIGHT_EDGE - RIGHT_COLUMN });
+
+  drawFittedText(ctx, 'LAST SEEN WITH', RIGHT_COLUMN, 392, { font: 'typewriter', size: 22, maxWidth: 300, color: COLORS.fadedInk });
+  const seller = card.seller;
+  const badgeWidth = drawBadge(ctx, seller.tierLabel, RIGHT_COLUMN, 406, getBadgeColor(seller.tierRank, card.tierCount));
+  drawFittedText(ctx, `${seller.name} - ${seller.count} ${card.units}`, RIGHT_COLUMN + badgeWidth + 16, 435, {
+    font: 'mono', size: 24, maxWidth: RIGHT_EDGE - RIGHT_COLUMN - badgeWidth - 16
+  });
+
+  ctx.fillStyle = COLORS.paperEdge;
+  ctx.fillRect(RIGHT_COLUMN, 470, RIGHT_EDGE - RIGHT_COLUMN, 2);
+
+  drawFittedText(ctx, 'ASKING PRICE', RIGHT_COLUMN, 508, { font: 'typewriter', size: 22, maxWidth: 300, color: COLORS.fadedInk });
+  drawFittedText(ctx, card.price, RIGHT_COLUMN, 552, { font: 'monoBold', size: 40, maxWidth: 330 });
+  drawFittedText(ctx, card.status, RIGHT_COLUMN, 608, { font: 'typewriter', size: 28, maxWidth: 400 });
+
+  drawStamp(ctx, 'AT LARGE', 1020, 560, { size: 42, angle: -0.14 });
+
+  return encodePng(bitmap);
+}
+
+module.exports = { renderWantedCard };
@@ -0,0 +1,83 @@
+// ==========================================
+// FILE: lib/chain/ens.js
+// ==========================================
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, hexToBytes, concatBytes, utf8ToBytes } = require('@noble/hashes/utils');
+const { ZERO_ADDRESS, topicToAddress } = require('./marketplaces');
+
+/*
+Reverse ENS lookups straight from the registry: the wallet's reverse record
+(<address>.addr.reverse) names a resolver, the resolver's name() gives the primary name. Anyone
+can set any reverse record, so a name only counts when it resolves forward to the same wallet.
+*/
+const ENS_REGISTRY = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e';
+
+// Plain lowercase names only - anything else could pass for another name in a post
+const PLAIN_NAME = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*\.eth$/;
+
+function selector(signature) {
+  return bytesToHex(keccak_256(signature)).slice(0, 8);
+}
+
+const SELECTORS = {
+  resolver: selector('resolver(bytes32)'),
+  name: selector('name(bytes32)'),
+  addr: selector('addr(bytes32)')
+};
+
+// EIP-137 namehash, as 64 hex characters
+function namehash(name) {
+  let node = new Uint8Array(32);
+  for (const label of name.split('.').reverse()) {
+    node = keccak_256(concatBytes(node, keccak_256(utf8ToBytes(label))));
+  }
+  return bytesToHex(node);
+}
+
+// A returned ABI string (offset word, length word, bytes); null for an empty or short result
+function decodeString(result) {
+  const hex = result?.startsWith('0x') ? result.slice(2) : '';
+  if (hex.length < 128) return null;
+  const start = Number(BigInt(`0x${hex.slice(0, 64)}`)) * 2;
+  const length = Number(BigInt(`0x${hex.slice(start, start + 64)}`)) * 2;
+  const bytes = hex.slice(start + 64, start + 64 + length);
+  if (bytes.length !== length) return null;
+  return new TextDecoder().decode(hexToBytes(bytes));
+}
+
+// A returned address word (null for an empty result or the zero address)
+function decodeAddress(result) {
+  const hex = result?.startsWith('0x') ? result.slice(2) : '';
+  if (hex.length < 64) return null;
+  const address = topicToAddress(`0x${hex.slice(0, 64)}`);
+  return address === ZERO_ADDRESS ? null : address;
+}
+
+async function getResolver(chain, node) {
+  return decodeAddress(await chain.callContract({ to: ENS_REGISTRY, data: `0x${SELECTORS.resolver}${node}` }));
+}
+
+// A wallet's verified primary ENS name, or null when it has none (or one that doesn't check out).
+// chain: a chain reader (see rpc.js). Throws if the node can't be reached.
+async function lookupEnsName(chain, address) {
+  const wallet = address.toLowerCase();
+  const reverseNode = namehash(`${wallet.slice(2)}.addr.reverse`);
+  const reverseResolver = await getResolver(chain, reverseNode);
+  if (!reverseResolver) return null;
+
+  const name = decodeString(await chain.callContract({ to: reverseResolver, data: `0x${SELECTORS.name}${reverseNode}` }));
+  if (!name || !PLAIN_NAME.test(name)) return null;
+
+  const node = namehash(name);
+  const resolver = await getResolver(chain, node);
+  if (!resolver) return null;
+  const resolved = decodeAddress(await chain.callContract({ to: resolver, data: `0x${SELECTORS.addr}${node}` }));
+  return resolved === wallet ? name : null;
+}
+
+module.exports = {
+  ENS_REGISTRY,
+  SELECTORS,
+  namehash,
+  lookupEnsName
+};
@@ -0,0 +1,17 @@
+// ==========================================
+// FILE: lib/chain/index.js
+// ==========================================
+const { RpcError, createRpcClient, createChainReader } = require('./rpc');
+const { decodeSettlements } = require('./marketplaces');
+const { getScanStart, scanChainSales } = require('./sales');
+const { lookupEnsName } = require('./ens');
+
+module.exports = {
+  RpcError,
+  createRpcClient,
+  createChainReader,
+  decodeSettlements,
+  getScanStart,
+  scanChainSales,
+  lookupEnsName
+};
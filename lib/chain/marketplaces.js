@@ -0,0 +1,215 @@
+// ==========================================
+// FILE: lib/chain/marketplaces.js
+// ==========================================
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex } = require('@noble/hashes/utils');
+
+/*
+Decoders for marketplace settlement events. Each turns one log into settlements:
+
+{ marketplace: 'opensea', protocolAddress, orderHash, contract, tokenId, payment: { token, amount }, privateSale, feesPaid }
+
+one per NFT in the order (amount is that NFT's share of the price, in the token's base units).
+privateSale is true for orders reserved for one buyer; feesPaid says whether anyone besides the
+seller got a cut (null when the event doesn't tell). Buyer and seller are not taken from here -
+they come from the NFT's own Transfer log.
+*/
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const BLUR_POOL = '0x0000000000a39bb272e79075ade125fd351887ac'; // Blur bid currency, 1:1 ETH
+const OPENSEA_FEE_RECIPIENT = '0x0000a26b00c1f0df003000390027140000faa719';
+
+function eventTopic(signature) {
+  return `0x${bytesToHex(keccak_256(signature))}`;
+}
+
+const BLUR_ORDER = '(address,uint8,address,address,uint256,uint256,address,uint256,uint256,uint256,(uint16,address)[],uint256,bytes)';
+
+const TOPICS = {
+  transfer: eventTopic('Transfer(address,address,uint256)'),
+  seaportOrderFulfilled: eventTopic('OrderFulfilled(bytes32,address,address,address,(uint8,address,uint256,uint256)[],(uint8,address,uint256,uint256,address)[])'),
+  blurOrdersMatched: eventTopic(`OrdersMatched(address,address,${BLUR_ORDER},bytes32,${BLUR_ORDER},bytes32)`),
+  blurExecution721: eventTopic('Execution721Packed(bytes32,uint256,uint256)'),
+  blurExecution721TakerFee: eventTopic('Execution721TakerFeePacked(bytes32,uint256,uint256,uint256)'),
+  blurExecution721MakerFee: eventTopic('Execution721MakerFeePacked(bytes32,uint256,uint256,uint256)')
+};
+
+// Exchange contracts whose events are trusted (anyone can emit a look-alike event)
+const SEAPORT_ADDRESSES = new Set([
+  '0x00000000006c3852cbef3e08e8df289169ede581', // 1.1
+  '0x00000000000006c7676171937c444f6bde3d6282', // 1.2
+  '0x0000000000000ad24e80fd803c6ac37206a45f15', // 1.3
+  '0x00000000000001ad428e4906ae43d8f9852d0dd6', // 1.4
+  '0x00000000000000adc04c56bf30ac9d3c0aaf14dc', // 1.5
+  '0x0000000000000068f116a894984e2db1123eb395' // 1.6
+]);
+const BLUR_V1_ADDRESS = '0x000000000000ad05ccc4f10045630fb830b95127';
+const BLUR_V2_ADDRESS = '0xb2ecfe4e4d61f8790bbb9de2d1259b9e2410cea5';
+
+// ------------------------------------------
+// ABI words
+// ------------------------------------------
+
+function getWords(data) {
+  const hex = data.startsWith('0x') ? data.slice(2) : data;
+  const words = [];
+  for (let offset = 0; offset < hex.length; offset += 64) {
+    words.push(BigInt(`0x${hex.slice(offset, offset + 64)}`));
+  }
+  return words;
+}
+
+const ADDRESS_MASK = (1n << 160n) - 1n;
+
+function toAddress(word) {
+  return `0x${(word & ADDRESS_MASK).toString(16).padStart(40, '0')}`;
+}
+
+function topicToAddress(topic) {
+  return toAddress(BigInt(topic));
+}
+
+// Dynamic array of static tuples: offset is in bytes from the start of the data
+function readTupleArray(words, offset, size) {
+  const start = Number(offset / 32n);
+  const length = Number(words[start]);
+  const items = [];
+  for (let index = 0; index < length; index++) {
+    items.push(words.slice(start + 1 + index * size, start + 1 + (index + 1) * size));
+  }
+  return items;
+}
+
+// ------------------------------------------
+// Seaport
+// ------------------------------------------
+
+const SEAPORT_NFT_TYPES = new Set([2, 3, 4, 5]); // ERC721, ERC1155 and their criteria forms
+const SEAPORT_PAYMENT_TYPES = new Set([0, 1]); // native, ERC20
+
+function toSeaportItem([itemType, token, identifier, amount, recipient]) {
+  return {
+    itemType: Number(itemType),
+    token: toAddress(token),
+    identifier,
+    amount,
+    recipient: recipient === undefined ? null : toAddress(recipient)
+  };
+}
+
+// Total paid in the first payment currency on one side of the order
+function sumPayments(items) {
+  const payments = items.filter(item => SEAPORT_PAYMENT_TYPES.has(item.itemType));
+  if (payments.length === 0) return null;
+  const token = payments[0].token;
+  const amount = payments.filter(item => item.token === token).reduce((sum, item) => sum + item.amount, 0n);
+  return { token, amount };
+}
+
+// OrderFulfilled(orderHash, offerer, zone, recipient, offer, consideration). A listing offers the
+// NFT and asks for payment (plus fees); an accepted bid offers payment and asks for the NFT (plus
+// fees). A private listing also asks for the NFT itself, sent on to the one buyer it's meant for.
+function decodeSeaport(log, contract) {
+  const words = getWords(log.data);
+  const offerer = topicToAddress(log.topics[1]);
+  const orderHash = `0x${words[0].toString(16).padStart(64, '0')}`;
+  const offer = readTupleArray(words, words[2], 4).map(toSeaportItem);
+  const consideration = readTupleArray(words, words[3], 5).map(toSeaportItem);
+
+  const isOurs = item => SEAPORT_NFT_TYPES.has(item.itemType) && item.token === contract;
+  const offeredNfts = offer.filter(isOurs);
+  const nfts = offeredNfts.length > 0 ? offeredNfts : consideration.filter(isOurs);
+  if (nfts.length === 0) return [];
+
+  const payment = offeredNfts.length > 0 ? sumPayments(consideration) : sumPayments(offer);
+  if (!payment || payment.amount === 0n) return [];
+
+  const paysOpenSea = consideration.some(item => item.recipient === OPENSEA_FEE_RECIPIENT);
+  const fees = consideration.filter(item => SEAPORT_PAYMENT_TYPES.has(item.itemType) &&
+    (offeredNfts.length === 0 || item.recipient !== offerer));
+  const share = payment.amount / BigInt(nfts.length);
+  return nfts.map(item => ({
+    marketplace: paysOpenSea ? 'opensea' : 'seaport',
+    protocolAddress: log.address.toLowerCase(),
+    orderHash,
+    contract,
+    tokenId: item.identifier.toString(),
+    payment: { token: payment.token, amount: share },
+    privateSale: offeredNfts.length > 0 && consideration.some(isOurs),
+    feesPaid: fees.some(fee => fee.amount > 0n)
+  }));
+}
+
+// ------------------------------------------
+// Blur
+// ------------------------------------------
+
+// OrdersMatched(maker, taker, sell, sellHash, buy, buyHash) - the sell order names the NFT and price
+function decodeBlurV1(log, contract) {
+  const words = getWords(log.data);
+  const sell = Number(words[0] / 32n);
+  const collection = toAddress(words[sell + 3]);
+  if (collection !== contract) return [];
+
+  return [{
+    marketplace: 'blur',
+    protocolAddress: log.address.toLowerCase(),
+    orderHash: `0x${words[1].toString(16).padStart(64, '0')}`,
+    contract,
+    tokenId: words[sell + 4].toString(),
+    payment: { token: toAddress(words[sell + 6]), amount: words[sell + 7] },
+    privateSale: false,
+    feesPaid: null
+  }];
+}
+
+// Execution721*Packed(orderHash, tokenIdListingIndexTrader, collectionPriceSide[, feeRate]):
+// tokenId (11 bytes) | listing index (1) | trader (20), and side (1) | price (11) | collection (20).
+// Only the TakerFee and MakerFee forms pay a fee.
+function decodeBlurV2(log, contract) {
+  const words = getWords(log.data);
+  const collectionPriceSide = words[2];
+  if (toAddress(collectionPriceSide) !== contract) return [];
+
+  const side = Number(collectionPriceSide >> 248n); // 0 = listing taken (ETH), 1 = bid taken (Blur Pool)
+  return [{
+    marketplace: 'blur',
+    protocolAddress: log.address.toLowerCase(),
+    orderHash: `0x${words[0].toString(16).padStart(64, '0')}`,
+    contract,
+    tokenId: (words[1] >> 168n).toString(),
+    payment: { token: side === 0 ? ZERO_ADDRESS : BLUR_POOL, amount: (collectionPriceSide >> 160n) & ((1n << 88n) - 1n) },
+    privateSale: false,
+    feesPaid: log.topics[0] !== TOPICS.blurExecution721
+  }];
+}
+
+const DECODERS = [
+  { topic: TOPICS.seaportOrderFulfilled, isExchange: address => SEAPORT_ADDRESSES.has(address), decode: decodeSeaport },
+  { topic: TOPICS.blurOrdersMatched, isExchange: address => address === BLUR_V1_ADDRESS, decode: decodeBlurV1 },
+  { topic: TOPICS.blurExecution721, isExchange: address => address === BLUR_V2_ADDRESS, decode: decodeBlurV2 },
+  { topic: TOPICS.blurExecution721TakerFee, isExchange: address => address === BLUR_V2_ADDRESS, decode: decodeBlurV2 },
+  { topic: TOPICS.blurExecution721MakerFee, isExchange: address => address === BLUR_V2_ADDRESS, decode: decodeBlurV2 }
+];
+
+// Every settlement for the collection's NFTs in a transaction's logs
+function decodeSettlements(logs, contract) {
+  const collection = contract.toLowerCase();
+  const settlements = [];
+  for (const log of logs) {
+    const decoder = DECODERS.find(candidate => candidate.topic === log.topics[0]);
+    if (!decoder || !decoder.isExchange(log.address.toLowerCase())) continue;
+    try {
+      settlements.push(...decoder.decode(log, collection));
+    } catch (error) {
+      console.error(`Could not decode ${log.address} log ${log.logIndex}:`, error.message);
+    }
+  }
+  return settlements;
+}
+
+module.exports = {
+  TOPICS,
+  ZERO_ADDRESS,
+  topicToAddress,
+  decodeSettlements
+};
@@ -0,0 +1,76 @@
+// ==========================================
+// FILE: lib/chain/rpc.js
+// ==========================================
+const axios = require('axios');
+
+// Error returned by the node itself (as opposed to a network failure)
+class RpcError extends Error {
+  constructor(method, error) {
+    super(`${method} failed: ${error.message || 'unknown error'}${error.code !== undefined ? ` (code ${error.code})` : ''}`);
+    this.name = 'RpcError';
+    this.code = error.code;
+  }
+}
+
+function toHex(number) {
+  return `0x${number.toString(16)}`;
+}
+
+function fromHex(hex) {
+  return Number(BigInt(hex));
+}
+
+// Minimal Ethereum JSON-RPC client over HTTP - works with any provider or a local anvil node
+function createRpcClient(url, { timeout = 30000 } = {}) {
+  let nextId = 1;
+
+  async function call(method, params = []) {
+    const response = await axios.post(url, { jsonrpc: '2.0', id: nextId++, method, params }, {
+      timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    if (response.data.error) throw new RpcError(method, response.data.error);
+    return response.data.result;
+  }
+
+  return { call };
+}
+
+// Typed helpers over any client with call(method, params) - live, replayed or recorded
+function createChainReader(client) {
+  return {
+    async getBlockNumber() {
+      return fromHex(await client.call('eth_blockNumber'));
+    },
+
+    // Logs for an address between two blocks (inclusive)
+    async getLogs({ address, topics, fromBlock, toBlock }) {
+      return await client.call('eth_getLogs', [{ address, topics, fromBlock: toHex(fromBlock), toBlock: toHex(toBlock) }]);
+    },
+
+    async getBlock(number) {
+      const block = await client.call('eth_getBlockByNumber', [toHex(number), false]);
+      if (!block) throw new Error(`Block ${number} not found`);
+      return { number, hash: block.hash, timestamp: fromHex(block.timestamp) };
+    },
+
+    async getReceipt(transactionHash) {
+      const receipt = await client.call('eth_getTransactionReceipt', [transactionHash]);
+      if (!receipt) throw new Error(`Receipt for ${transactionHash} not found`);
+      return receipt;
+    },
+
+    // Read-only contract call at the latest block (raw ABI-encoded result)
+    async callContract({ to, data }) {
+      return await client.call('eth_call', [{ to, data }, 'latest']);
+    }
+  };
+}
+
+module.exports = {
+  RpcError,
+  createRpcClient,
+  createChainReader,
+  toHex,
+  fromHex
+};
@@ -0,0 +1,144 @@
+// ==========================================
+// FILE: lib/chain/sales.js
+// ==========================================
+const { TOPICS, ZERO_ADDRESS, topicToAddress, decodeSettlements } = require('./marketplaces');
+const { fromHex } = require('./rpc');
+const { KNOWN_CURRENCIES } = require('../money');
+
+// ERC-721 Transfer(from, to, tokenId) logs have all three arguments indexed
+function decodeTransfer(log) {
+  if (log.topics[0] !== TOPICS.transfer || log.topics.length !== 4) return null;
+  return {
+    transaction: log.transactionHash.toLowerCase(),
+    blockNumber: fromHex(log.blockNumber),
+    logIndex: fromHex(log.logIndex),
+    from: topicToAddress(log.topics[1]),
+    to: topicToAddress(log.topics[2]),
+    tokenId: BigInt(log.topics[3]).toString()
+  };
+}
+
+// Currencies the bot doesn't know are shown as TOKEN, assuming 18 decimals
+function toPayment(settlement) {
+  const known = KNOWN_CURRENCIES[settlement.payment.token] || { symbol: 'TOKEN', decimals: 18 };
+  return {
+    quantity: settlement.payment.amount.toString(),
+    token_address: settlement.payment.token,
+    decimals: known.decimals,
+    symbol: known.symbol
+  };
+}
+
+// Sale in the shape of an OpenSea v2 sale event, so the rest of the bot can't tell them apart.
+// NFT name and image aren't on chain - the bot looks them up when it posts. private_sale and
+// fees_paid are extras OpenSea's events don't have (anomaly screening uses them).
+function toSaleEvent(collection, transfer, settlement, timestamp) {
+  return {
+    event_type: 'sale',
+    order_hash: settlement.orderHash,
+    chain: 'ethereum',
+    protocol_address: settlement.protocolAddress,
+    closing_date: timestamp,
+    nft: {
+      identifier: transfer.tokenId,
+      collection: collection.slug,
+      contract: collection.contract.toLowerCase(),
+      token_standard: 'erc721',
+      name: null,
+      image_url: null,
+      opensea_url: `https://opensea.io/assets/ethereum/${collection.contract.toLowerCase()}/${transfer.tokenId}`
+    },
+    quantity: 1,
+    seller: transfer.from,
+    buyer: transfer.to,
+    payment: toPayment(settlement),
+    transaction: transfer.transaction,
+    event_timestamp: timestamp,
+    marketplace: settlement.marketplace,
+    private_sale: settlement.privateSale,
+    fees_paid: settlement.feesPaid,
+    source: 'rpc'
+  };
+}
+
+// The same move as an OpenSea transfer event (feeds the holder registry)
+function toTransferEvent(transfer, timestamp) {
+  return {
+    event_type: 'transfer',
+    transaction: transfer.transaction,
+    from_address: transfer.from,
+    to_address: transfer.to,
+    nft: { identifier: transfer.tokenId },
+    event_timestamp: timestamp
+  };
+}
+
+const SECONDS_PER_BLOCK = 12; // Used to turn the last check time into a starting block
+const REORG_OVERLAP_BLOCKS = 12; // Re-scan a few blocks before the last one seen in case they were reorged
+
+/*
+First block to scan up to toBlock: REORG_OVERLAP_BLOCKS before the one after lastBlock, or - before
+any block was scanned - far enough back to cover lastCheck (unix seconds) less lookbackSeconds,
+estimated at SECONDS_PER_BLOCK. May come out past toBlock when there's nothing new.
+*/
+function getScanStart({ toBlock, lastBlock, lastCheck, lookbackSeconds, at }) {
+  if (lastBlock !== null) return lastBlock + 1 - REORG_OVERLAP_BLOCKS;
+  const secondsBack = at - lastCheck + lookbackSeconds;
+  return toBlock - Math.ceil(secondsBack / SECONDS_PER_BLOCK);
+}
+
+/*
+Scan blocks fromBlock..toBlock for the collection's sales, in chunks of blockRange blocks,
+stopping early after maxChunks. Every Transfer of the collection's tokens is checked against
+the settlement events in its transaction's receipt; transfers without one (gifts, mints,
+unsupported marketplaces) are returned as plain transfers.
+
+Returns { sales, transfers, scannedTo } - both lists oldest first, scannedTo the last block covered.
+*/
+async function scanChainSales(chain, collection, { fromBlock, toBlock, blockRange, maxChunks }) {
+  const contract = collection.contract.toLowerCase();
+  const blockTimes = new Map();
+  const receipts = new Map();
+  const sales = [];
+  const transfers = [];
+
+  async function getTimestamp(blockNumber) {
+    if (!blockTimes.has(blockNumber)) {
+      blockTimes.set(blockNumber, (await chain.getBlock(blockNumber)).timestamp);
+    }
+    return blockTimes.get(blockNumber);
+  }
+
+  let scannedTo = fromBlock - 1;
+  let chunks = 0;
+  while (scannedTo < toBlock && chunks < maxChunks) {
+    const chunkEnd = Math.min(scannedTo + blockRange, toBlock);
+    const logs = await chain.getLogs({ address: contract, topics: [TOPICS.transfer], fromBlock: scannedTo + 1, toBlock: chunkEnd });
+    const moves = logs.map(decodeTransfer).filter(Boolean)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const transfer of moves) {
+      const timestamp = await getTimestamp(transfer.blockNumber);
+      transfers.push(toTransferEvent(transfer, timestamp));
+      if (transfer.from === ZERO_ADDRESS || transfer.to === ZERO_ADDRESS) continue;
+
+      if (!receipts.has(transfer.transaction)) {
+        const receipt = await chain.getReceipt(transfer.transaction);
+        receipts.set(transfer.transaction, decodeSettlements(receipt.logs, contract));
+      }
+      // Matched orders can report a token twice - the decoder already dropped the unpriced side
+      const settlement = receipts.get(transfer.transaction).find(candidate => candidate.tokenId === transfer.tokenId);
+      if (settlement) sales.push(toSaleEvent(collection, transfer, settlement, timestamp));
+    }
+
+    scannedTo = chunkEnd;
+    chunks++;
+  }
+
+  return { sales, transfers, scannedTo };
+}
+
+module.exports = {
+  getScanStart,
+  scanChainSales
+};
@@ -0,0 +1,22 @@
+// ==========================================
+// FILE: lib/clock.js
+// ==========================================
+
+// Current time for everything time-based (check cursor, queue staleness, floor cadence).
+// Replay mode pins it so recorded fixtures give the same output on every run.
+let fixedNow = null;
+
+function setNow(date) {
+  fixedNow = date ? new Date(date) : null;
+}
+
+function now() {
+  return fixedNow ? new Date(fixedNow) : new Date();
+}
+
+// Current time as a unix timestamp (seconds), matching OpenSea's event_timestamp
+function nowSeconds() {
+  return Math.floor(now().getTime() / 1000);
+}
+
+module.exports = { setNow, now, nowSeconds };
@@ -0,0 +1,857 @@
+// ==========================================
+// FILE: lib/config.js
+// ==========================================
+const fs = require('fs');
+const path = require('path');
+const { loadTemplates, lintTemplates } = require('./templates');
+const { hasPriceProvider, formatFiat } = require('./fiat');
+const { WIRETAP_KINDS, getEnabledKinds } = require('./wiretap');
+const { DIGEST_PERIODS, WEEKDAYS } = require('./digest');
+const { formatNotableTraits } = require('./traits');
+const { ANOMALY_ACTIONS } = require('./anomalies');
+const { loadWalletRegistry } = require('./identities');
+const { PRIORITIES, BUDGET_CONTENT } = require('./post-budget');
+const { LOG_FORMATS } = require('./logger');
+
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+// Thrown when the config file is missing, unreadable or fails validation
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// ------------------------------------------
+// Schema
+// ------------------------------------------
+
+const tierSchema = {
+  type: 'object',
+  required: ['name', 'min'],
+  properties: {
+    name: { type: 'string', pattern: /^[a-z][a-z0-9_]*$/ },
+    label: { type: 'string' },
+    min: { type: 'integer', minimum: 0 }
+  }
+};
+
+const publishersSchema = {
+  type: 'object',
+  properties: {
+    twitter: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        credentialsEnv: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/ },
+        maxWaitSeconds: { type: 'integer', minimum: 0 },
+        budget: {
+          type: 'object',
+          properties: {
+            daily: { type: 'integer', minimum: 0 },
+            monthly: { type: 'integer', minimum: 0 },
+            lowValueEth: { type: 'number', minimum: 0 },
+            reserve: {
+              type: 'object',
+              properties: {
+                normal: { type: 'number', minimum: 0, maximum: 100 },
+                low: { type: 'number', minimum: 0, maximum: 100 }
+              }
+            },
+            priorities: {
+              type: 'object',
+              properties: Object.fromEntries(BUDGET_CONTENT.map(content => [content, { type: 'string', enum: PRIORITIES }]))
+            }
+          }
+        }
+      }
+    },
+    discord: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        webhookUrlEnv: { type: 'string' },
+        username: { type: 'string' }
+      }
+    },
+    telegram: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        botTokenEnv: { type: 'string' },
+        chatIdEnv: { type: 'string' }
+      }
+    },
+    webhook: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        urlEnv: { type: 'string' },
+        secretEnv: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Filters for one kind of wiretap event (listing, cancel, offer, ...)
+const wiretapFilterSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    minTier: { type: 'string' },
+    minFloorPercent: { type: 'number', minimum: 0 },
+    maxFloorPercent: { type: 'number', minimum: 0 },
+    minCount: { type: 'integer', minimum: 1 }
+  }
+};
+
+// What to do with a sale an anomaly check catches
+const anomalyActionSchema = { type: 'string', enum: ANOMALY_ACTIONS };
+
+// Settings a collection can set itself or inherit from "defaults"
+const collectionSettings = {
+  unitName: { type: 'string', minLength: 1 },
+  caseNumberPrefix: { type: 'string', pattern: /^[A-Z0-9]{1,6}$/ },
+  tiers: { type: 'array', minItems: 1, items: tierSchema },
+  highRankingTier: { type: 'string' },
+  templates: {
+    type: 'object',
+    properties: {
+      file: { type: 'string', minLength: 1 },
+      status: {
+        type: 'object',
+        required: ['empire_falls', 'consolidation', 'business_as_usual'],
+        properties: {
+          empire_falls: { type: 'string', minLength: 1 },
+          consolidation: { type: 'string', minLength: 1 },
+          business_as_usual: { type: 'string', minLength: 1 },
+          floor_high_ranking: { type: 'string', minLength: 1 },
+          floor_abandoned: { type: 'string', minLength: 1 },
+          summary: { type: 'string', minLength: 1 },
+          suspicious: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  },
+  cards: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      collage: { type: 'boolean' }
+    }
+  },
+  media: {
+    type: 'object',
+    properties: {
+      animations: { type: 'boolean' },
+      ipfsGateways: { type: 'array', minItems: 1, items: { type: 'string', pattern: /^https?:\/\/\S+$/ } },
+      maxDimension: { type: 'integer', minimum: 256, maximum: 8192 },
+      retryHours: { type: 'number', minimum: 0 }
+    }
+  },
+  sweeps: {
+    type: 'object',
+    properties: {
+      windowSeconds: { type: 'integer', minimum: 0 },
+      thread: { type: 'boolean' },
+      maxThreadPosts: { type: 'integer', minimum: 1 }
+    }
+  },
+  sales: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', enum: ['opensea', 'rpc'] },
+      rpcUrlEnv: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/ },
+      confirmations: { type: 'integer', minimum: 0 },
+      blockRange: { type: 'integer', minimum: 1 }
+    }
+  },
+  fiat: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      currency: { type: 'string', pattern: /^[a-z]{3}$/ },
+      provider: { type: 'string', pattern: /^[a-z][a-z0-9-]*$/ },
+      apiKeyEnv: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/ },
+      cacheMinutes: { type: 'number', minimum: 0 },
+      rates: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+    }
+  },
+  traits: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      lookupsPerRun: { type: 'integer', minimum: 0 },
+      notablePercent: { type: 'number', minimum: 0, maximum: 100 },
+      rarePercent: { type: 'number', minimum: 0, maximum: 100 },
+      maxNotable: { type: 'integer', minimum: 1 }
+    }
+  },
+  anomalies: {
+    type: 'object',
+    properties: {
+      roundTrip: {
+        type: 'object',
+        properties: {
+          action: anomalyActionSchema,
+          hours: { type: 'number', minimum: 1 }
+        }
+      },
+      repeatedPair: {
+        type: 'object',
+        properties: {
+          action: anomalyActionSchema,
+          trades: { type: 'integer', minimum: 2 },
+          hours: { type: 'number', minimum: 1 }
+        }
+      },
+      priceBand: {
+        type: 'object',
+        properties: {
+          action: anomalyActionSchema,
+          minFloorPercent: { type: 'number', minimum: 0 },
+          maxFloorPercent: { type: 'number', minimum: 0 }
+        }
+      },
+      privateSale: {
+        type: 'object',
+        properties: {
+          action: anomalyActionSchema
+        }
+      }
+    }
+  },
+  identities: {
+    type: 'object',
+    properties: {
+      registryFile: { type: 'string', minLength: 1 },
+      tagHandles: { type: 'boolean' },
+      maxNameLength: { type: 'integer', minimum: 1 },
+      ens: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          rpcUrlEnv: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/ },
+          cacheHours: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  },
+  floorAlertHours: { type: 'number', minimum: 1 },
+  floorAlerts: {
+    type: 'object',
+    properties: {
+      change24hPercent: { type: 'number', minimum: 0 },
+      change7dPercent: { type: 'number', minimum: 0 },
+      allTimeLow: { type: 'boolean' },
+      allTimeHigh: { type: 'boolean' },
+      highTierListing: { type: 'boolean' },
+      cooldownHours: { type: 'number', minimum: 0 },
+      nearFloorPercent: { type: 'number', minimum: 0 },
+      historyDays: { type: 'integer', minimum: 7 }
+    }
+  },
+  ranks: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      promotion: { type: 'boolean' },
+      demotion: { type: 'boolean' },
+      exit: { type: 'boolean' }
+    }
+  },
+  wiretap: {
+    type: 'object',
+    properties: {
+      maxAgeHours: { type: 'number', minimum: 1 },
+      ...Object.fromEntries(Object.keys(WIRETAP_KINDS).map(kind => [kind, wiretapFilterSchema]))
+    }
+  },
+  digest: {
+    type: 'object',
+    properties: {
+      daily: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          hour: { type: 'integer', minimum: 0, maximum: 23 }
+        }
+      },
+      weekly: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          weekday: { type: 'string', enum: WEEKDAYS },
+          hour: { type: 'integer', minimum: 0, maximum: 23 }
+        }
+      },
+      topWallets: { type: 'integer', minimum: 1 },
+      maxThreadPosts: { type: 'integer', minimum: 1 }
+    }
+  },
+  analytics: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      metricsHours: { type: 'number', minimum: 0 },
+      metricsDays: { type: 'number', minimum: 1 },
+      optimize: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          minPosts: { type: 'integer', minimum: 1 },
+          maxShift: { type: 'number', minimum: 0, maximum: 0.9 }
+        }
+      }
+    }
+  },
+  tweetsPerRun: { type: 'integer', minimum: 1 },
+  queue: {
+    type: 'object',
+    properties: {
+      priority: { type: 'array', items: { type: 'string', enum: ['sweep', 'value', 'tier'] } },
+      maxAgeHours: { type: 'number', minimum: 1 },
+      staleMode: { type: 'string', enum: ['summary', 'expire'] }
+    }
+  },
+  publishers: publishersSchema,
+  stateDir: { type: 'string', minLength: 1 }
+};
+
+const configSchema = {
+  type: 'object',
+  required: ['collections'],
+  properties: {
+    delays: {
+      type: 'object',
+      properties: {
+        opensea: { type: 'integer', minimum: 0 },
+        post: { type: 'integer', minimum: 0 },
+        retry: { type: 'integer', minimum: 0 }
+      }
+    },
+    daemon: {
+      type: 'object',
+      properties: {
+        pollMinutes: { type: 'number', minimum: 1 },
+        floorMinutes: { type: 'number', minimum: 1 }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: LOG_FORMATS }
+      }
+    },
+    alerts: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        webhookUrlEnv: { type: 'string' },
+        failedRuns: { type: 'integer', minimum: 0 },
+        silentHours: { type: 'number', minimum: 0 },
+        repeatHours: { type: 'number', minimum: 0 }
+      }
+    },
+    defaults: {
+      type: 'object',
+      properties: collectionSettings
+    },
+    collections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'contract', 'slug'],
+        properties: {
+          id: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/ },
+          name: { type: 'string' },
+          contract: { type: 'string', pattern: /^0x[0-9a-fA-F]{40}$/ },
+          slug: { type: 'string', pattern: /^[a-z0-9-_]+$/ },
+          ...collectionSettings
+        }
+      }
+    }
+  }
+};
+
+// Built-in values for anything neither the collection nor "defaults" sets
+const builtInDefaults = {
+  delays: { opensea: 250, post: 5000, retry: 2000 },
+  daemon: { pollMinutes: 5, floorMinutes: 30 },
+  logging: { format: 'text' },
+  alerts: { name: null, webhookUrlEnv: 'ALERT_WEBHOOK_URL', failedRuns: 3, silentHours: 96, repeatHours: 24 },
+  collection: {
+    unitName: 'NFTs',
+    caseNumberPrefix: 'AC',
+    highRankingTier: null,
+    templates: {
+      file: 'templates/default.json',
+      status: {
+        empire_falls: 'POWER VACUUM',
+        consolidation: 'EMPIRE EXPANSION',
+        business_as_usual: 'FAMILY BUSINESS',
+        floor_high_ranking: 'Possible dissolvement of higher ranks',
+        floor_abandoned: 'Disgruntled mobster seeks new family',
+        summary: 'COLD CASES REOPENED',
+        suspicious: 'SUSPICIOUS ACTIVITY'
+      }
+    },
+    cards: { enabled: true, collage: true },
+    media: {
+      animations: true,
+      ipfsGateways: ['https://ipfs.io/ipfs/', 'https://dweb.link/ipfs/', 'https://gateway.pinata.cloud/ipfs/'],
+      maxDimension: 2048,
+      retryHours: 6
+    },
+    sweeps: { windowSeconds: 0, thread: true, maxThreadPosts: 5 },
+    sales: { source: 'opensea', rpcUrlEnv: 'ETH_RPC_URL', confirmations: 2, blockRange: 2000 },
+    fiat: { enabled: false, currency: 'usd', provider: 'coingecko', cacheMinutes: 10, rates: {} },
+    traits: { enabled: true, lookupsPerRun: 50, notablePercent: 5, rarePercent: 10, maxNotable: 1 },
+    anomalies: {
+      roundTrip: { action: 'flag', hours: 24 },
+      repeatedPair: { action: 'flag', trades: 3, hours: 72 },
+      priceBand: { action: 'review', minFloorPercent: 50, maxFloorPercent: 1000 },
+      privateSale: { action: 'flag' }
+    },
+    identities: {
+      registryFile: 'handles.json',
+      tagHandles: false,
+      maxNameLength: 16,
+      ens: { enabled: true, rpcUrlEnv: 'ETH_RPC_URL', cacheHours: 24 }
+    },
+    floorAlertHours: 72,
+    floorAlerts: {
+      change24hPercent: 10,
+      change7dPercent: 20,
+      allTimeLow: true,
+      allTimeHigh: true,
+      highTierListing: true,
+      cooldownHours: 12,
+      nearFloorPercent: 5,
+      historyDays: 90
+    },
+    ranks: { enabled: true, promotion: true, demotion: true, exit: true },
+    wiretap: {
+      maxAgeHours: 6,
+      listing: { enabled: false },
+      cancel: { enabled: false },
+      offer: { enabled: false },
+      collectionOffer: { enabled: false },
+      transfer: { enabled: false }
+    },
+    digest: {
+      daily: { enabled: false, hour: 18 },
+      weekly: { enabled: false, weekday: 'sunday', hour: 18 },
+      topWallets: 3,
+      maxThreadPosts: 4
+    },
+    analytics: {
+      enabled: true,
+      metricsHours: 24,
+      metricsDays: 7,
+      optimize: { enabled: false, minPosts: 10, maxShift: 0.5 }
+    },
+    tweetsPerRun: 3,
+    queue: { priority: ['sweep', 'value', 'tier'], maxAgeHours: 48, staleMode: 'summary' },
+    publishers: {
+      twitter: {
+        enabled: true,
+        credentialsEnv: 'TWITTER',
+        maxWaitSeconds: 900,
+        budget: {
+          daily: 0,
+          monthly: 0,
+          lowValueEth: 0,
+          reserve: { normal: 20, low: 50 },
+          priorities: {
+            digest: 'high',
+            sweep: 'high',
+            rare: 'high',
+            sale: 'normal',
+            rank: 'normal',
+            summary: 'normal',
+            lowValue: 'low',
+            floor: 'low',
+            wiretap: 'low'
+          }
+        }
+      }
+    }
+  }
+};
+
+// ------------------------------------------
+// Validation
+// ------------------------------------------
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Check a value against a schema node, collecting "path: problem" strings
+function validateNode(value, schema, where, problems) {
+  const actual = describeType(value);
+  const typeOk = schema.type === 'integer' ? Number.isInteger(value) : actual === schema.type;
+  if (!typeOk) {
+    problems.push(`${where} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`} (got ${actual})`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} must be one of ${schema.enum.map(option => `"${option}"`).join(', ')} (got "${value}")`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    problems.push(`${where} has an invalid format: "${value}"`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    problems.push(`${where} must not be empty`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${where} must be at least ${schema.minimum} (got ${value})`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${where} must be at most ${schema.maximum} (got ${value})`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${where} must have at least ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, index) => validateNode(item, schema.items, `${where}[${index}]`, problems));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${where}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (!childSchema) {
+        // Unknown keys are almost always typos - fail loudly rather than ignore them
+        problems.push(`${where}.${key} is not a recognised setting`);
+        continue;
+      }
+      validateNode(child, childSchema, `${where}.${key}`, problems);
+    }
+  }
+}
+
+// Checks that span several fields (run after defaults are merged in)
+function validateCollection(collection, where, problems) {
+  const tierNames = collection.tiers.map(tier => tier.name);
+  const duplicateNames = tierNames.filter((name, index) => tierNames.indexOf(name) !== index);
+  if (duplicateNames.length > 0) {
+    problems.push(`${where}.tiers has duplicate tier names: ${[...new Set(duplicateNames)].join(', ')}`);
+  }
+
+  const mins = collection.tiers.map(tier => tier.min);
+  if (new Set(mins).size !== mins.length) {
+    problems.push(`${where}.tiers has two tiers with the same "min"`);
+  }
+  if (!mins.includes(0)) {
+    problems.push(`${where}.tiers needs a bottom tier with "min": 0`);
+  }
+
+  if (collection.highRankingTier && !tierNames.includes(collection.highRankingTier)) {
+    problems.push(`${where}.highRankingTier "${collection.highRankingTier}" is not one of its tiers (${tierNames.join(', ')})`);
+  }
+
+  for (const kind of Object.keys(WIRETAP_KINDS)) {
+    const { minTier } = collection.wiretap[kind];
+    if (minTier && !tierNames.includes(minTier)) {
+      problems.push(`${where}.wiretap.${kind}.minTier "${minTier}" is not one of its tiers (${tierNames.join(', ')})`);
+    }
+  }
+
+  const band = collection.anomalies.priceBand;
+  if (band.minFloorPercent > band.maxFloorPercent) {
+    problems.push(`${where}.anomalies.priceBand.minFloorPercent (${band.minFloorPercent}) is above maxFloorPercent (${band.maxFloorPercent})`);
+  }
+
+  if (!hasPriceProvider(collection.fiat.provider)) {
+    problems.push(`${where}.fiat.provider "${collection.fiat.provider}" is not a known price provider`);
+  }
+
+  // Low-priority posts have to stop first, so they need at least as much budget left as normal ones
+  const reserve = collection.publishers.twitter?.budget?.reserve;
+  if (reserve && reserve.low < reserve.normal) {
+    problems.push(`${where}.publishers.twitter.budget.reserve.low (${reserve.low}) is below reserve.normal (${reserve.normal})`);
+  }
+}
+
+function longest(values) {
+  return values.reduce((top, value) => (value.length > top.length ? value : top), '');
+}
+
+// The longest value each template variable can take for this collection, used to lint
+// templates against X's length limit before anything is posted
+function getWorstCaseValues(collection) {
+  const tierLabel = longest([...collection.tiers.map(tier => (tier.label || tier.name).toUpperCase()), 'UNKNOWN']);
+  const address = '0x0000...0000';
+  // Buyers and sellers in sale posts can go by an ENS name or X handle instead
+  const name = 'W'.repeat(Math.max(address.length, collection.identities.maxNameLength));
+  const fiat = collection.fiat.enabled ? ` (${formatFiat(999999999, collection.fiat.currency)})` : '';
+  const price = `99999.999 WETH${fiat}`;
+  const mixedPrice = `99999.999 WETH + 99999.99 USDC${fiat}`;
+  const status = collection.templates.status;
+  const shared = {
+    units: collection.unitName,
+    link: 'https://opensea.io/',
+    collection: collection.name
+  };
+  const wallet = {
+    ...shared,
+    wallet: address,
+    walletTier: tierLabel,
+    walletCount: '9999',
+    price,
+    floorPercent: '99999%'
+  };
+  const sale = {
+    ...shared,
+    caseNumber: `${collection.caseNumberPrefix}-999999`,
+    buyer: name,
+    buyerTier: tierLabel,
+    buyerCount: '9999',
+    buyerTierBefore: tierLabel,
+    buyerCountBefore: '9999',
+    seller: name,
+    sellerTier: tierLabel,
+    sellerCount: '9999',
+    sellerTierAfter: tierLabel,
+    sellerCountAfter: '9999',
+    price,
+    count: '999',
+    sellers: '999',
+    status: longest([status.empire_falls, status.consolidation, status.business_as_usual, status.suspicious]),
+    traits: formatNotableTraits(Array(collection.traits.maxNotable).fill({ value: 'W'.repeat(99), count: 99999 })),
+    rarityRank: '99999',
+    supply: '99999',
+    previousPrice: '99999.999 WETH',
+    priceChange: '+99999.9%',
+    acquisition: '99999th'
+  };
+
+  return {
+    sale,
+    sweep: { ...sale, price: mixedPrice },
+    rare: sale,
+    floor: {
+      ...shared,
+      seller: address,
+      sellerTier: tierLabel,
+      sellerCount: '9999',
+      price,
+      trigger: longest(['NEW ALL-TIME LOW', 'NEW ALL-TIME HIGH', 'FLOOR +99999.9% IN 24H', 'FLOOR +99999.9% IN 7D', 'HIGH-RANKING LISTING']),
+      move: '+99999.9%',
+      nearFloor: '999',
+      status: longest([status.floor_high_ranking, status.floor_abandoned])
+    },
+    summary: {
+      ...shared,
+      transactions: '999',
+      count: '9999',
+      buyer: address,
+      buyerTier: tierLabel,
+      biggestValue: mixedPrice,
+      value: mixedPrice,
+      status: status.summary
+    },
+    rank: {
+      ...shared,
+      wallet: address,
+      fromTier: tierLabel,
+      toTier: tierLabel,
+      rungs: '99',
+      countBefore: '9999',
+      countAfter: '9999'
+    },
+    digest: {
+      ...shared,
+      period: longest(Object.values(DIGEST_PERIODS).map(period => period.label)),
+      sales: '99999',
+      volume: mixedPrice,
+      average: mixedPrice,
+      topSale: price,
+      floor: price,
+      floorChange: '+99999.9%',
+      holders: '99999',
+      newWallets: '9999'
+    },
+    listing: wallet,
+    cancel: wallet,
+    offer: { ...wallet, quantity: '999' },
+    transfer: {
+      ...shared,
+      sender: address,
+      senderTier: tierLabel,
+      senderCount: '9999',
+      recipient: address,
+      recipientTier: tierLabel,
+      recipientCount: '9999',
+      count: '999'
+    }
+  };
+}
+
+// Load (once per file) and lint a collection's message templates
+function checkCollectionTemplates(collection, where, templateCache, problems) {
+  const { file } = collection.templates;
+  if (!templateCache.has(file)) {
+    try {
+      templateCache.set(file, loadTemplates(file));
+    } catch (error) {
+      templateCache.set(file, error);
+    }
+  }
+
+  const templates = templateCache.get(file);
+  if (templates instanceof Error) {
+    if (templates.problems?.length > 0) {
+      templates.problems.forEach(problem => problems.push(`${where}.templates (${file}): ${problem}`));
+    } else {
+      problems.push(`${where}.templates.file: ${templates.message}`);
+    }
+    return;
+  }
+
+  if (collection.ranks.enabled && !templates.rank) {
+    problems.push(`${where}.ranks is enabled but ${file} has no "rank" templates (add them or set ranks.enabled to false)`);
+  }
+  const digests = Object.keys(DIGEST_PERIODS).filter(period => collection.digest[period].enabled);
+  if (digests.length > 0 && !templates.digest) {
+    problems.push(`${where}.digest.${digests[0]} is enabled but ${file} has no "digest" templates`);
+  }
+  for (const kind of getEnabledKinds(collection.wiretap)) {
+    const { scenario } = WIRETAP_KINDS[kind];
+    if (!templates[scenario]) {
+      problems.push(`${where}.wiretap.${kind} is enabled but ${file} has no "${scenario}" templates`);
+    }
+  }
+
+  for (const problem of lintTemplates(templates, getWorstCaseValues(collection))) {
+    problems.push(`${where}.templates (${file}): ${problem}`);
+  }
+  collection.messageTemplates = templates;
+}
+
+// Load (once per file) a collection's wallet registry - X handles and opt-outs
+function checkWalletRegistry(collection, where, registryCache, problems) {
+  const file = collection.identities.registryFile;
+  if (!registryCache.has(file)) {
+    try {
+      registryCache.set(file, loadWalletRegistry(file));
+    } catch (error) {
+      registryCache.set(file, error);
+    }
+  }
+
+  const registry = registryCache.get(file);
+  if (registry instanceof Error) {
+    if (registry.problems?.length > 0) {
+      registry.problems.forEach(problem => problems.push(`${where}.identities (${file}): ${problem}`));
+    } else {
+      problems.push(`${where}.identities.registryFile: ${registry.message}`);
+    }
+    return;
+  }
+  collection.walletRegistry = registry;
+}
+
+// ------------------------------------------
+// Loading
+// ------------------------------------------
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge objects key by key (arrays and scalars are replaced, not merged)
+function deepMerge(...sources) {
+  const result = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+    }
+  }
+  return result;
+}
+
+// Build the runtime view of a collection: defaults merged in, tiers sorted top rung first
+function resolveCollection(rawCollection, defaults) {
+  const collection = deepMerge(builtInDefaults.collection, defaults, rawCollection);
+  collection.name = collection.name || collection.id;
+  collection.tiers = [...collection.tiers].sort((a, b) => b.min - a.min);
+  collection.stateDir = collection.stateDir || path.join('state', collection.id);
+  return collection;
+}
+
+// Load, validate and resolve the bot config. Throws ConfigError listing every problem found.
+function loadConfig(configFile = DEFAULT_CONFIG_FILE) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ConfigError(`Config file not found: ${configFile}`);
+    }
+    throw new ConfigError(`Could not read config file ${configFile}: ${error.message}`);
+  }
+
+  const problems = [];
+  validateNode(raw, configSchema, 'config', problems);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid config in ${configFile}`, problems);
+  }
+
+  const collections = raw.collections.map(collection => resolveCollection(collection, raw.defaults));
+  const templateCache = new Map();
+  const registryCache = new Map();
+  collections.forEach((collection, index) => {
+    if (!collection.tiers) {
+      problems.push(`config.collections[${index}].tiers is required (set it on the collection or in "defaults")`);
+      return;
+    }
+    validateCollection(collection, `config.collections[${index}]`, problems);
+    checkCollectionTemplates(collection, `config.collections[${index}]`, templateCache, problems);
+    checkWalletRegistry(collection, `config.collections[${index}]`, registryCache, problems);
+  });
+
+  const seen = new Map();
+  collections.forEach((collection, index) => {
+    for (const field of ['id', 'slug', 'stateDir']) {
+      const key = `${field}:${String(collection[field]).toLowerCase()}`;
+      if (seen.has(key)) {
+        problems.push(`config.collections[${index}].${field} "${collection[field]}" is already used by config.collections[${seen.get(key)}]`);
+      } else {
+        seen.set(key, index);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid config in ${configFile}`, problems);
+  }
+
+  // Alerts are about the whole process - named after every collection it runs unless set
+  const alerts = deepMerge(builtInDefaults.alerts, raw.alerts);
+  alerts.name = alerts.name || `${collections.map(collection => collection.name).join(' & ')} Sales Bot`;
+
+  return {
+    delays: deepMerge(builtInDefaults.delays, raw.delays),
+    daemon: deepMerge(builtInDefaults.daemon, raw.daemon),
+    logging: deepMerge(builtInDefaults.logging, raw.logging),
+    alerts,
+    collections
+  };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig
+};
@@ -0,0 +1,187 @@
+// ==========================================
+// FILE: lib/controls.js
+// ==========================================
+const path = require('path');
+const { readStateFile, updateStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+Operator controls (--control <command>, see bot.js). Pauses and blocks live in state/controls.json,
+shared by every collection and read at the start of each run, so they reach a running daemon on
+its next poll:
+
+{
+  paused: { "*": { reason, by, at }, "<collection id>": { ... } },   "*" pauses every collection
+  blocked: {
+    wallets: { "0x7a9b...": { reason, by, at } },         nothing the wallet is part of is posted
+    events: { "<tx hash or ledger key>": { reason, by, at } }
+  }
+}
+
+Every command that changes something is recorded in state/audit-log.json:
+{ entries: [{ at, by, command, target, collection, reason, result }] }   newest last
+*/
+const CONTROLS_FILE = path.join('state', 'controls.json');
+const AUDIT_LOG_FILE = path.join('state', 'audit-log.json');
+const AUDIT_LOG_SIZE = 1000; // Entries kept
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+const TRANSACTION_PATTERN = /^0x[0-9a-f]{64}$/;
+// Ledger keys: "<tx hash>_<token id>", wiretap and rank keys prefixed with their kind
+const EVENT_KEY_PATTERN = /^([a-zA-Z]+:)?0x[0-9a-f]{64}_\w+$/;
+const TOKEN_PATTERN = /^#?\d+$/;
+
+/*
+Commands: what each takes, and whether it needs the state lock (it writes the ledger, queue or
+cursor a run would be writing too). The others only touch controls.json or read.
+*/
+const CONTROL_COMMANDS = {
+  status: { args: [], lock: false },
+  preview: { args: ['event'], lock: false },
+  post: { args: ['event'], lock: true },
+  skip: { args: ['sale', 'reason?'], lock: false },
+  block: { args: ['wallet', 'reason?'], lock: false },
+  unblock: { args: ['blocked'], lock: false },
+  pause: { args: ['reason?'], lock: false },
+  resume: { args: [], lock: false },
+  floor: { args: [], lock: true },
+  'reset-cursor': { args: ['time'], lock: true }
+};
+
+// What an argument must look like, and how to describe it when it doesn't
+const ARG_TYPES = {
+  event: { test: value => EVENT_KEY_PATTERN.test(value) || TRANSACTION_PATTERN.test(value) || TOKEN_PATTERN.test(value),
+    expected: 'a transaction hash, ledger key or token id' },
+  sale: { test: value => EVENT_KEY_PATTERN.test(value) || TRANSACTION_PATTERN.test(value),
+    expected: 'a transaction hash or ledger key' },
+  wallet: { test: value => ADDRESS_PATTERN.test(value), expected: 'a wallet address' },
+  blocked: { test: value => ADDRESS_PATTERN.test(value) || EVENT_KEY_PATTERN.test(value) || TRANSACTION_PATTERN.test(value),
+    expected: 'a blocked wallet, transaction hash or ledger key' },
+  time: { test: value => !Number.isNaN(Date.parse(value)), expected: 'an ISO 8601 time' },
+  reason: { test: () => true, expected: 'a reason' }
+};
+
+// Thrown for a control command that can't be run as given
+class ControlError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ControlError';
+    this.problems = problems;
+  }
+}
+
+/*
+Check a command and its arguments (the words after --control). Returns { command, target, reason }.
+Addresses and hashes are lowercased; ledger keys keep their kind prefix.
+*/
+function parseControlCommand(words) {
+  const [command, ...args] = words;
+  const spec = CONTROL_COMMANDS[command];
+  if (!spec) {
+    throw new ControlError(`--control needs one of ${Object.keys(CONTROL_COMMANDS).join(', ')}${command ? ` (got "${command}")` : ''}`);
+  }
+
+  const problems = [];
+  const values = {};
+  if (args.length > spec.args.length) problems.push(`${command} takes at most ${spec.args.length} argument(s), got ${args.length}`);
+  spec.args.forEach((arg, index) => {
+    const name = arg.replace(/\?$/, '');
+    const value = args[index];
+    if (value === undefined) {
+      if (!arg.endsWith('?')) problems.push(`${command} needs ${ARG_TYPES[name].expected}`);
+      return;
+    }
+    const normalized = name === 'reason' || name === 'time' ? value : value.replace(/0x[0-9a-f]+/gi, hex => hex.toLowerCase());
+    if (!ARG_TYPES[name].test(normalized)) {
+      problems.push(`${command} needs ${ARG_TYPES[name].expected} (got "${value}")`);
+    }
+    values[name === 'reason' ? 'reason' : 'target'] = normalized;
+  });
+  if (problems.length > 0) throw new ControlError(`Invalid --control ${command}`, problems);
+  if (command === 'reset-cursor' && Date.parse(values.target) > now().getTime()) {
+    throw new ControlError(`reset-cursor can't move the cursor into the future (got ${values.target})`);
+  }
+  return { command, target: values.target ?? null, reason: values.reason ?? null };
+}
+
+// What a target argument names: 'wallet', 'transaction', 'key' (ledger key) or 'token'
+function getTargetType(target) {
+  if (ADDRESS_PATTERN.test(target)) return 'wallet';
+  if (TRANSACTION_PATTERN.test(target)) return 'transaction';
+  if (EVENT_KEY_PATTERN.test(target)) return 'key';
+  return 'token';
+}
+
+// Who ran a command: BOT_OPERATOR, the GitHub actor in Actions, or the shell user
+function getOperator() {
+  return process.env.BOT_OPERATOR || process.env.GITHUB_ACTOR || process.env.USER || 'unknown';
+}
+
+// Load the controls (no pauses or blocks if missing or unreadable)
+async function loadControls() {
+  try {
+    const controls = await readStateFile(CONTROLS_FILE);
+    return {
+      paused: controls?.paused || {},
+      blocked: { wallets: controls?.blocked?.wallets || {}, events: controls?.blocked?.events || {} }
+    };
+  } catch (error) {
+    console.error('Error reading operator controls, ignoring them:', error.message);
+    return { paused: {}, blocked: { wallets: {}, events: {} } };
+  }
+}
+
+// Change the controls in one read-modify-write, so two commands at once can't undo each other
+async function updateControls(update) {
+  await updateStateFile(CONTROLS_FILE, data => {
+    const controls = {
+      paused: data?.paused || {},
+      blocked: { wallets: data?.blocked?.wallets || {}, events: data?.blocked?.events || {} }
+    };
+    update(controls);
+    return controls;
+  });
+}
+
+// The pause holding a collection back (its own or the one on every collection), or null
+function getPause(controls, collectionId) {
+  return controls.paused[collectionId] || controls.paused['*'] || null;
+}
+
+// Why an event must not be posted ("blocked by operator: <reason>"), or null. Matches its ledger
+// key, its transaction and every wallet in it.
+function getBlockReason(controls, key, event) {
+  const { wallets, events } = controls.blocked;
+  const transaction = event.transaction?.toLowerCase();
+  const block = events[key] || (transaction && events[transaction]) ||
+    [event.buyer, event.seller, event.wallet, event.recipient]
+      .filter(Boolean)
+      .map(wallet => wallets[wallet.toLowerCase()])
+      .find(Boolean);
+  if (!block) return null;
+  return `blocked by operator${block.reason ? `: ${block.reason}` : ''}`;
+}
+
+// Add an entry to the audit log (times and operator filled in)
+async function appendAuditLog(entry) {
+  try {
+    await updateStateFile(AUDIT_LOG_FILE, data => ({
+      entries: [...(data?.entries || []), { at: now().toISOString(), by: getOperator(), ...entry }].slice(-AUDIT_LOG_SIZE)
+    }));
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+}
+
+module.exports = {
+  CONTROL_COMMANDS,
+  ControlError,
+  parseControlCommand,
+  getTargetType,
+  getOperator,
+  loadControls,
+  updateControls,
+  getPause,
+  getBlockReason,
+  appendAuditLog
+};
@@ -0,0 +1,88 @@
+// ==========================================
+// FILE: lib/daemon.js
+// ==========================================
+const { now } = require('./clock');
+
+/*
+Daemon mode (--daemon): instead of one pass per cron job, the bot stays up and polls. Each poll
+runs the sales job (fetch, queue, post - wiretap, rank announcements and scheduled digests ride
+along); the floor check runs on the first poll at least floorMinutes after the last one.
+
+SIGTERM or SIGINT asks the bot to stop: the post in progress finishes, the rest stay queued, state
+is saved and the process exits. A second signal exits at once (state files are written
+atomically, so that's safe too - at worst a post goes out again next run).
+*/
+const MINUTE_MS = 60 * 1000;
+
+// Listen for stop signals. Returns { isStopped(), wait(ms), dispose() } - wait() resolves early
+// when a stop is requested.
+function createStopSignal(signals = ['SIGTERM', 'SIGINT']) {
+  let stopped = false;
+  const waiters = new Set();
+
+  function onSignal(signal) {
+    if (stopped) {
+      console.log(`🛑 ${signal} again - exiting now`);
+      process.exit(1);
+    }
+    stopped = true;
+    console.log(`🛑 ${signal} received - finishing the current post, then shutting down`);
+    waiters.forEach(wake => wake());
+    waiters.clear();
+  }
+  signals.forEach(signal => process.on(signal, onSignal));
+
+  function wait(ms) {
+    if (stopped) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        waiters.delete(wake);
+        resolve();
+      }, ms);
+      function wake() {
+        clearTimeout(timer);
+        resolve();
+      }
+      waiters.add(wake);
+    });
+  }
+
+  return {
+    isStopped: () => stopped,
+    wait,
+    dispose: () => signals.forEach(signal => process.off(signal, onSignal))
+  };
+}
+
+/*
+Poll until stopped. options: { pollMinutes, floorMinutes, stop (from createStopSignal),
+runCycle(jobs) } - jobs is { floor: boolean }. A cycle that throws is logged and the next one
+runs on time; a cycle that overruns the interval is followed straight away by the next.
+*/
+async function runDaemon({ pollMinutes, floorMinutes, stop, runCycle }) {
+  console.log(`🕰️ Daemon started - polling every ${pollMinutes} min, floor every ${floorMinutes} min`);
+  let lastFloorRun = null;
+
+  while (!stop.isStopped()) {
+    const startedAt = now().getTime();
+    const floor = lastFloorRun === null || startedAt - lastFloorRun >= floorMinutes * MINUTE_MS;
+    if (floor) lastFloorRun = startedAt;
+
+    try {
+      await runCycle({ floor });
+    } catch (error) {
+      console.error('Poll failed:', error.message);
+    }
+    if (stop.isStopped()) break;
+
+    const waitMs = Math.max(0, startedAt + pollMinutes * MINUTE_MS - now().getTime());
+    console.log(`💤 Next poll at ${new Date(now().getTime() + waitMs).toISOString()}`);
+    await stop.wait(waitMs);
+  }
+  console.log('👋 Daemon stopped');
+}
+
+module.exports = {
+  createStopSignal,
+  runDaemon
+};
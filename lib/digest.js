@@ -0,0 +1,168 @@
+// ==========================================
+// FILE: lib/digest.js
+// ==========================================
+const { getEthValue, toAmount, sumAmounts } = require('./money');
+
+/*
+"Bureau briefing" digests: everything the ledger saw since the last digest of the same period,
+posted as a summary with a reply thread, and exported as text and JSON for community updates.
+
+The bot assembles the report; this module handles schedules, sale aggregation and layout:
+
+{
+  collection: 'Al Cabone', period: 'daily', from: ISO, to: ISO,
+  sales: { count, volume: '1.200 ETH', volumeFiat, totals, average: '0.240 ETH', top: { tokenId, price, buyer, transaction } },
+  floor: { from: '0.450 ETH', to: '0.365 ETH', change: '-18.9%' } (null without floor history),
+  buyers: [{ wallet, tier, holding, count, volume }], sellers: [...],   biggest first (tier and holding as of now)
+  tiers: [{ tier: 'commission', label: 'COMMISSION', holders: 2 }] (null while the holder registry is incomplete),
+  holders: 312, newWallets: ['0x...'] (null when the holder registry can't tell)
+}
+*/
+
+const DIGEST_PERIODS = {
+  daily: { hours: 24, label: 'DAILY' },
+  weekly: { hours: 24 * 7, label: 'WEEKLY' }
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Latest scheduled time at or before `at` for a period's schedule ({ hour, weekday } in UTC)
+function getScheduledSlot(period, schedule, at) {
+  const slot = new Date(at);
+  slot.setUTCHours(schedule.hour, 0, 0, 0);
+  if (period === 'weekly') {
+    slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - WEEKDAYS.indexOf(schedule.weekday) + 7) % 7));
+  }
+  if (slot > at) {
+    slot.setUTCDate(slot.getUTCDate() - (period === 'weekly' ? 7 : 1));
+  }
+  return slot;
+}
+
+// Whether a period's digest is due: its latest slot has passed since the last one went out
+// (a digest that never went out is due at once)
+function isDigestDue(period, schedule, lastDigest, at) {
+  if (!schedule.enabled) return false;
+  return !lastDigest || new Date(lastDigest) < getScheduledSlot(period, schedule, at);
+}
+
+function addToWallet(wallets, address, amount) {
+  if (!address) return;
+  const wallet = address.toLowerCase();
+  if (!wallets.has(wallet)) wallets.set(wallet, { wallet, count: 0, amounts: [] });
+  const entry = wallets.get(wallet);
+  entry.count++;
+  if (amount) entry.amounts.push(amount);
+}
+
+/*
+Aggregate sale ledger entries ({ payment, buyer, seller, tokenId, eventTimestamp }):
+{ count, amounts, averages (per currency), top (entry), buyers: [{ wallet, count, amounts }], sellers: [...] }
+Wallets are ranked by ETH value (ETH and WETH), then by count; `top` is the priciest sale.
+*/
+function summarizeSales(entries) {
+  const buyers = new Map();
+  const sellers = new Map();
+  const amounts = [];
+  let top = null;
+  let topValue = -1;
+
+  for (const entry of entries) {
+    const amount = toAmount(entry.payment);
+    if (amount) amounts.push(amount);
+    addToWallet(buyers, entry.buyer, amount);
+    addToWallet(sellers, entry.seller, amount);
+    const value = amount ? getEthValue([amount]) : 0;
+    if (value > topValue) {
+      top = entry;
+      topValue = value;
+    }
+  }
+
+  // Average per currency: each currency's total over the sales paid in it
+  const averages = sumAmounts(amounts).map(total => {
+    const count = amounts.filter(amount => amount.symbol === total.symbol && amount.decimals === total.decimals).length;
+    return { ...total, amount: total.amount / BigInt(count) };
+  });
+
+  const rank = wallets => [...wallets.values()].sort((a, b) =>
+    getEthValue(b.amounts) - getEthValue(a.amounts) || b.count - a.count);
+  return { count: entries.length, amounts, averages, top, buyers: rank(buyers), sellers: rank(sellers) };
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// One wallet line: "0x7a9b...7a8b (UNDERBOSS) - 3 Mobsters, 1.100 ETH"
+function describeWallet(entry, units) {
+  return `${shortAddress(entry.wallet)} (${entry.tier}) - ${entry.count} ${units}, ${entry.volume}`;
+}
+
+// The report's detail sections ({ heading, lines }), shared by the reply thread and the text export
+function getDigestSections(report, units) {
+  const sections = [];
+  if (report.sales.top) {
+    const { top } = report.sales;
+    const buyer = top.buyer ? ` to ${shortAddress(top.buyer)}` : '';
+    sections.push({ heading: 'Top sale', lines: [`#${top.tokenId} - ${top.price}${buyer}`] });
+  }
+  if (report.buyers.length > 0) {
+    sections.push({ heading: 'Biggest buyers', lines: report.buyers.map(entry => describeWallet(entry, units)) });
+  }
+  if (report.sellers.length > 0) {
+    sections.push({ heading: 'Biggest sellers', lines: report.sellers.map(entry => describeWallet(entry, units)) });
+  }
+  if (report.tiers) {
+    sections.push({ heading: 'Holders by tier', lines: report.tiers.map(entry => `${entry.label}: ${entry.holders}`) });
+  }
+  if (report.newWallets?.length > 0) {
+    sections.push({
+      heading: `New in the family (${report.newWallets.length})`,
+      lines: report.newWallets.map(shortAddress)
+    });
+  }
+  return sections;
+}
+
+// Plain-text export of a report (everything, no length limits)
+function formatDigestText(report, units) {
+  const lines = [
+    `BUREAU BRIEFING - ${DIGEST_PERIODS[report.period].label}`,
+    `${report.collection}, ${report.from} to ${report.to}`,
+    '',
+    `Sales: ${report.sales.count}${report.sales.count > 0 ? ` (${report.sales.volume})` : ''}`
+  ];
+  if (report.sales.count > 0) lines.push(`Average: ${report.sales.average}`);
+  if (report.floor) {
+    lines.push(`Floor: ${report.floor.from} -> ${report.floor.to}${report.floor.change ? ` (${report.floor.change})` : ''}`);
+  }
+  if (report.holders !== null) lines.push(`Holders: ${report.holders}`);
+
+  for (const section of getDigestSections(report, units)) {
+    lines.push('', section.heading, ...section.lines.map(line => `  ${line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Export file name for a report, without extension ("daily-2026-03-15")
+function getDigestFileName(report) {
+  return `${report.period}-${report.to.slice(0, 10)}`;
+}
+
+// Start of a digest's window: the last digest of its period, or one period back
+function getDigestStart(period, lastDigest, at) {
+  return lastDigest ? new Date(lastDigest) : new Date(at.getTime() - DIGEST_PERIODS[period].hours * HOUR_MS);
+}
+
+module.exports = {
+  DIGEST_PERIODS,
+  WEEKDAYS,
+  isDigestDue,
+  getDigestStart,
+  summarizeSales,
+  getDigestSections,
+  formatDigestText,
+  getDigestFileName
+};
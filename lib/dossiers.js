@@ -0,0 +1,189 @@
+// ==========================================
+// FILE: lib/dossiers.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { toAmount, sumAmounts, formatAmount, formatTotals, serializeTotals, deserializeTotals } = require('./money');
+
+/*
+Wallet dossiers: one for every wallet that bought or sold in the collection, kept in
+dossiers.json next to the ledger. A wallet's case number is handed out the first time it
+shows up and never changes, so every post about it names the same case:
+
+{
+  nextCase: 10043,
+  wallets: {
+    "0x7a9b...": {
+      caseNumber: 'AC-10042',
+      firstSeen, lastSeen (times of its first and latest deal),
+      buys: 12, sells: 3 (NFTs), acquisitions: 7 (buying deals - a sweep is one),
+      spent: [{ amount: '1200000000000000000', decimals: 18, symbol: 'ETH' }], received: [...],
+      tiers: [{ tier, count, at }]   every rung it stood on after a deal, oldest first
+      recent: [{ side: 'buy' | 'sell', tokenId, transaction, payment, at }]   newest last
+    }
+  }
+}
+*/
+const DOSSIER_FILE = 'dossiers.json';
+const FIRST_CASE = 10001;
+const RECENT_KEPT = 10; // Deals remembered per wallet
+const TIERS_KEPT = 50; // Tier changes remembered per wallet
+
+// Load a collection's dossiers from its state dir (empty if missing). An unreadable file stops
+// the run instead: starting fresh would hand its case numbers out again to other wallets.
+async function loadDossiers(stateDir) {
+  let dossiers;
+  try {
+    dossiers = await readStateFile(path.join(stateDir, DOSSIER_FILE));
+  } catch (error) {
+    throw new Error(`Can't read wallet dossiers (${error.message}) - repair or restore ${path.join(stateDir, DOSSIER_FILE)}`);
+  }
+  return { nextCase: dossiers?.nextCase || FIRST_CASE, wallets: dossiers?.wallets || {} };
+}
+
+async function saveDossiers(stateDir, dossiers) {
+  try {
+    await writeStateFile(path.join(stateDir, DOSSIER_FILE), dossiers);
+  } catch (error) {
+    console.error('Error saving wallet dossiers:', error.message);
+  }
+}
+
+function getDossier(dossiers, wallet) {
+  return dossiers.wallets[wallet.toLowerCase()] || null;
+}
+
+// A wallet's dossier, opened under the next case number if it has none yet
+function openDossier(dossiers, wallet, prefix, at) {
+  const address = wallet.toLowerCase();
+  if (!dossiers.wallets[address]) {
+    dossiers.wallets[address] = {
+      caseNumber: `${prefix}-${dossiers.nextCase++}`,
+      firstSeen: at,
+      lastSeen: at,
+      buys: 0,
+      sells: 0,
+      acquisitions: 0,
+      spent: [],
+      received: [],
+      tiers: [],
+      recent: []
+    };
+  }
+  return dossiers.wallets[address];
+}
+
+// Look a dossier up by wallet address or case number ("AC-10042", "#AC-10042", any case).
+// Returns { wallet, dossier } or null.
+function findDossier(dossiers, query) {
+  const needle = String(query).replace(/^#/, '').toLowerCase();
+  for (const [wallet, dossier] of Object.entries(dossiers.wallets)) {
+    if (wallet === needle || dossier.caseNumber.toLowerCase() === needle) return { wallet, dossier };
+  }
+  return null;
+}
+
+function addDeal(dossier, side, sale, at) {
+  dossier.lastSeen = at > dossier.lastSeen ? at : dossier.lastSeen;
+  dossier.recent.push({
+    side,
+    tokenId: sale.nft.identifier,
+    transaction: sale.transaction,
+    payment: sale.payment || null,
+    at
+  });
+  dossier.recent = dossier.recent.slice(-RECENT_KEPT);
+}
+
+function addTotals(serialized, sales) {
+  return serializeTotals(sumAmounts([...deserializeTotals(serialized), ...sales.map(sale => toAmount(sale.payment))]));
+}
+
+/*
+File one buying deal (a sale or sweep by one buyer, not filed before) in the buyer's and every
+seller's dossier. Returns the buyer's dossier - its `acquisitions` count includes this deal.
+*/
+function fileDeal(dossiers, buyer, sales, prefix) {
+  const at = new Date(Math.max(...sales.map(sale => sale.event_timestamp)) * 1000).toISOString();
+  const buyerDossier = openDossier(dossiers, buyer, prefix, at);
+  buyerDossier.acquisitions++;
+  buyerDossier.buys += sales.length;
+  buyerDossier.spent = addTotals(buyerDossier.spent, sales);
+  sales.forEach(sale => addDeal(buyerDossier, 'buy', sale, at));
+
+  for (const sale of sales) {
+    if (!sale.seller) continue;
+    const sellerDossier = openDossier(dossiers, sale.seller, prefix, at);
+    sellerDossier.sells++;
+    sellerDossier.received = addTotals(sellerDossier.received, [sale]);
+    addDeal(sellerDossier, 'sell', sale, at);
+  }
+  return buyerDossier;
+}
+
+// Note the rung a wallet stands on after a deal (only kept when it changed)
+function recordTier(dossier, tier, count, at) {
+  const last = dossier.tiers.at(-1);
+  if (last && last.tier === tier) {
+    last.count = count;
+    return;
+  }
+  dossier.tiers.push({ tier, count, at });
+  dossier.tiers = dossier.tiers.slice(-TIERS_KEPT);
+}
+
+// 1st, 2nd, 3rd, 4th, 11th, 12th, 13th, 21st, ...
+function formatOrdinal(number) {
+  const teens = number % 100 >= 11 && number % 100 <= 13;
+  const suffix = teens ? 'th' : ['th', 'st', 'nd', 'rd'][number % 10] || 'th';
+  return `${number}${suffix}`;
+}
+
+/*
+Full plain-text dossier for the CLI. options: { collection (name), units, holding (current count
+or null), getTierLabel(tier) }
+*/
+function formatDossier(wallet, dossier, options) {
+  const day = at => at.slice(0, 10);
+  const lines = [
+    `CASE #${dossier.caseNumber} - ${wallet}`,
+    options.collection,
+    '',
+    `First seen: ${day(dossier.firstSeen)}`,
+    `Last seen: ${day(dossier.lastSeen)}`
+  ];
+  if (options.holding !== null) lines.push(`Holding: ${options.holding} ${options.units}`);
+  // "3 Mobsters for 1.220 ETH" ("none" before the first one)
+  const describeSide = (count, totals) => (count === 0 ? 'none'
+    : `${count} ${options.units}${totals.length > 0 ? ` for ${formatTotals(deserializeTotals(totals))}` : ''}`);
+  lines.push(
+    `Bought: ${describeSide(dossier.buys, dossier.spent)}${dossier.acquisitions > 1 ? ` in ${dossier.acquisitions} acquisitions` : ''}`,
+    `Sold: ${describeSide(dossier.sells, dossier.received)}`
+  );
+
+  if (dossier.tiers.length > 0) {
+    lines.push('', 'Tier history');
+    dossier.tiers.forEach(entry => lines.push(`  ${day(entry.at)} ${options.getTierLabel(entry.tier)} (${entry.count} ${options.units})`));
+  }
+  if (dossier.recent.length > 0) {
+    lines.push('', 'Recent deals');
+    for (const deal of [...dossier.recent].reverse()) {
+      const amount = toAmount(deal.payment);
+      const price = amount ? ` for ${formatAmount(amount)}` : '';
+      lines.push(`  ${day(deal.at)} ${deal.side === 'buy' ? 'bought' : 'sold'} #${deal.tokenId}${price} (${deal.transaction})`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  loadDossiers,
+  saveDossiers,
+  getDossier,
+  openDossier,
+  findDossier,
+  fileDeal,
+  recordTier,
+  formatOrdinal,
+  formatDossier
+};
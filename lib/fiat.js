@@ -0,0 +1,172 @@
+// ==========================================
+// FILE: lib/fiat.js
+// ==========================================
+const path = require('path');
+const axios = require('axios');
+const { readStateFile, updateStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+Fiat values for posts ("0.420 ETH (~$1,340)"). A provider turns currency symbols into prices
+in one fiat currency:
+
+{
+  name: 'coingecko',
+  async getRates(symbols, currency) -> { ETH: 3190.42, USDC: 1 }   (symbols it can't price are left out)
+}
+
+Rates are cached in state/fiat-rates.json, one entry per provider and fiat currency shared by
+every collection that uses them, so frequent runs don't hit the provider each time. A stale
+entry is still used (for up to a day) when the provider is down:
+
+{
+  '<provider>:<currency>': { provider, currency, fetchedAt: ISO, symbols: ['ETH', ...], rates: { ETH: 3190.42 } }
+}
+*/
+const RATES_FILE = path.join('state', 'fiat-rates.json');
+const MAX_STALE_HOURS = 24;
+
+function getCacheKey(provider, currency) {
+  return `${provider}:${currency}`;
+}
+
+// Wrapped tokens priced as what they wrap when the provider has no rate of their own
+const PEGGED = { WETH: 'ETH' };
+
+// CoinGecko coin ids for the currencies sales settle in
+const COINGECKO_IDS = {
+  ETH: 'ethereum',
+  WETH: 'ethereum',
+  USDC: 'usd-coin',
+  USDT: 'tether',
+  DAI: 'dai',
+  APE: 'apecoin'
+};
+
+const PROVIDERS = {
+  // Public CoinGecko API (optional demo key from the env variable named in apiKeyEnv)
+  coingecko(options) {
+    return {
+      name: 'coingecko',
+      async getRates(symbols, currency) {
+        const ids = [...new Set(symbols.map(symbol => COINGECKO_IDS[symbol]).filter(Boolean))];
+        if (ids.length === 0) return {};
+        const apiKey = options.apiKeyEnv ? process.env[options.apiKeyEnv] : null;
+        const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+          params: { ids: ids.join(','), vs_currencies: currency },
+          headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {},
+          timeout: 10000
+        });
+        const rates = {};
+        for (const symbol of symbols) {
+          const price = response.data[COINGECKO_IDS[symbol]]?.[currency];
+          if (typeof price === 'number') rates[symbol] = price;
+        }
+        return rates;
+      }
+    };
+  },
+
+  // Fixed rates from config (or replay.json) - for tests, replays and pegged-only setups
+  fixed(options) {
+    return {
+      name: 'fixed',
+      async getRates(symbols) {
+        const rates = {};
+        for (const symbol of symbols) {
+          if (typeof options.rates?.[symbol] === 'number') rates[symbol] = options.rates[symbol];
+        }
+        return rates;
+      }
+    };
+  }
+};
+
+// Add a provider under a name usable as fiat.provider in config.json (register before loading the config)
+function registerPriceProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+function hasPriceProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/*
+Cached fiat rates for a collection's "fiat" settings:
+{ enabled, currency: 'usd', provider: 'coingecko', apiKeyEnv, cacheMinutes: 10, rates: { ETH: 3200 } }
+
+Returns { getRates(symbols) } resolving to a symbol -> price map, or null when fiat is off or
+no rate (fresh or stale) is available. Never throws.
+*/
+function createFiatRates(options) {
+  const factory = PROVIDERS[options.provider];
+  if (!factory) throw new Error(`Unknown fiat price provider "${options.provider}"`);
+  const provider = factory(options);
+  const cacheKey = getCacheKey(provider.name, options.currency);
+  let cache = null;
+
+  const ageMinutes = data => (now() - new Date(data.fetchedAt)) / (60 * 1000);
+  // Symbols the provider couldn't price are remembered too, so they don't force a refetch
+  const hasAll = (data, symbols) => symbols.every(symbol => (data.symbols || Object.keys(data.rates)).includes(symbol));
+
+  function withPegs(rates) {
+    const result = { ...rates };
+    for (const [symbol, base] of Object.entries(PEGGED)) {
+      if (!(symbol in result) && base in result) result[symbol] = result[base];
+    }
+    return result;
+  }
+
+  async function getRates(requested) {
+    if (!options.enabled || requested.length === 0) return null;
+    const symbols = [...new Set(requested.flatMap(symbol => (PEGGED[symbol] ? [symbol, PEGGED[symbol]] : [symbol])))];
+
+    if (!cache) {
+      try {
+        const stored = await readStateFile(RATES_FILE);
+        cache = stored?.[cacheKey]?.rates ? stored[cacheKey] : null;
+      } catch (error) {
+        cache = null;
+      }
+    }
+
+    if (cache && ageMinutes(cache) < options.cacheMinutes && hasAll(cache, symbols)) {
+      return withPegs(cache.rates);
+    }
+
+    try {
+      const wanted = [...new Set([...symbols, ...(cache?.symbols || [])])];
+      const rates = await provider.getRates(wanted, options.currency);
+      cache = { provider: provider.name, currency: options.currency, fetchedAt: now().toISOString(), symbols: wanted, rates };
+      await updateStateFile(RATES_FILE, data => ({ ...data, [cacheKey]: cache }));
+      return withPegs(rates);
+    } catch (error) {
+      console.error(`Fiat rates unavailable (${provider.name}):`, error.message);
+      if (cache && ageMinutes(cache) < MAX_STALE_HOURS * 60) return withPegs(cache.rates);
+      return null;
+    }
+  }
+
+  return { getRates };
+}
+
+// "~$1,340" for a fiat value (cents only below 100)
+function formatFiat(value, currency) {
+  const formatter = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    maximumFractionDigits: value < 100 ? 2 : 0,
+    minimumFractionDigits: value < 100 ? 2 : 0
+  });
+  return `~${formatter.format(value)}`;
+}
+
+module.exports = {
+  RATES_FILE,
+  COINGECKO_IDS,
+  getCacheKey,
+  registerPriceProvider,
+  hasPriceProvider,
+  createFiatRates,
+  formatFiat
+};
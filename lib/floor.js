@@ -0,0 +1,164 @@
+// ==========================================
+// FILE: lib/floor.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now } = require('./clock');
+const { toNumber } = require('./money');
+
+/*
+Floor price history: one snapshot per run, kept in floor-history.json next to the ledger.
+
+{
+  snapshots: [{ at, amount: '365000000000000000', decimals: 18, symbol: 'ETH', tokenId, seller, listing, nearFloor }],
+  allTimeLow: snapshot, allTimeHigh: snapshot,   (kept past the snapshot retention window)
+  alerts: { allTimeLow: { at }, highTierListing: { at, listing }, ... }   (last alert per trigger)
+}
+
+Floor alerts fire on triggers worked out from the history, each with its own cooldown.
+*/
+const HISTORY_FILE = 'floor-history.json';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Triggers in the order they're reported (the first one leads the post)
+const TRIGGERS = ['allTimeLow', 'allTimeHigh', 'change24h', 'change7d', 'highTierListing'];
+
+function emptyHistory() {
+  return { snapshots: [], allTimeLow: null, allTimeHigh: null, alerts: {} };
+}
+
+// Load a collection's floor history from its state dir (empty history if missing or unreadable)
+async function loadFloorHistory(stateDir) {
+  try {
+    const history = await readStateFile(path.join(stateDir, HISTORY_FILE));
+    return { ...emptyHistory(), ...history };
+  } catch (error) {
+    console.error('Error reading floor history, starting fresh:', error.message);
+    return emptyHistory();
+  }
+}
+
+// Save a collection's floor history, dropping snapshots older than historyDays
+async function saveFloorHistory(stateDir, history, historyDays) {
+  try {
+    const cutoff = now().getTime() - historyDays * 24 * HOUR_MS;
+    history.snapshots = history.snapshots.filter(snapshot => new Date(snapshot.at).getTime() >= cutoff);
+    await writeStateFile(path.join(stateDir, HISTORY_FILE), history);
+  } catch (error) {
+    console.error('Error saving floor history:', error.message);
+  }
+}
+
+function getPrice(snapshot) {
+  return toNumber({ amount: BigInt(snapshot.amount), decimals: snapshot.decimals });
+}
+
+// Percentage move from one snapshot to another (null when they aren't in the same currency)
+function getChange(from, to) {
+  if (!from || from.symbol !== to.symbol) return null;
+  const base = getPrice(from);
+  return base > 0 ? (getPrice(to) - base) / base * 100 : null;
+}
+
+// "+4.2%" / "-12.5%"
+function formatChange(change) {
+  const rounded = Math.round(change * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${(rounded === 0 ? 0 : rounded).toFixed(1)}%`;
+}
+
+// Latest snapshot taken at least `hours` before the given one
+function getSnapshotBefore(history, snapshot, hours) {
+  const cutoff = new Date(snapshot.at).getTime() - hours * HOUR_MS;
+  return history.snapshots.filter(candidate => new Date(candidate.at).getTime() <= cutoff).at(-1) || null;
+}
+
+// Floor move since a time: { from, to, change } between the last snapshot at or before `since`
+// (or the first one after it) and the latest one. Null with fewer than two snapshots to compare.
+function getFloorChangeSince(history, since) {
+  const cutoff = new Date(since).getTime();
+  const latest = history.snapshots.at(-1);
+  const from = history.snapshots.filter(snapshot => new Date(snapshot.at).getTime() <= cutoff).at(-1) ||
+    history.snapshots.find(snapshot => new Date(snapshot.at).getTime() > cutoff);
+  if (!latest || !from || from === latest) return null;
+  return { from, to: latest, change: getChange(from, latest) };
+}
+
+/*
+Add this run's floor to the history and compare it with what came before:
+
+{ previous, change (vs previous), change24h, change7d, allTimeLow, allTimeHigh }
+
+changes are percentages (null without a comparable snapshot); allTimeLow/High are true when this
+floor beat the record. The first snapshot sets the records without counting as either.
+*/
+function recordFloorSnapshot(history, snapshot) {
+  const previous = history.snapshots.at(-1) || null;
+  const analysis = {
+    previous,
+    change: getChange(previous, snapshot),
+    change24h: getChange(getSnapshotBefore(history, snapshot, 24), snapshot),
+    change7d: getChange(getSnapshotBefore(history, snapshot, 24 * 7), snapshot),
+    allTimeLow: false,
+    allTimeHigh: false
+  };
+
+  const low = getChange(history.allTimeLow, snapshot);
+  if (!history.allTimeLow || (low !== null && low < 0)) {
+    analysis.allTimeLow = Boolean(history.allTimeLow);
+    history.allTimeLow = snapshot;
+  }
+  const high = getChange(history.allTimeHigh, snapshot);
+  if (!history.allTimeHigh || (high !== null && high > 0)) {
+    analysis.allTimeHigh = Boolean(history.allTimeHigh);
+    history.allTimeHigh = snapshot;
+  }
+
+  history.snapshots.push(snapshot);
+  return analysis;
+}
+
+function isCoolingDown(history, trigger, cooldownHours) {
+  const last = history.alerts[trigger]?.at;
+  return Boolean(last) && now() - new Date(last) < cooldownHours * HOUR_MS;
+}
+
+/*
+Triggers this snapshot sets off, per the collection's floorAlerts settings:
+{ change24hPercent, change7dPercent, allTimeLow, allTimeHigh, highTierListing, cooldownHours }
+
+Returns [{ id, label }] in report order. A high-tier listing only counts once per listing.
+*/
+function getFloorTriggers(history, snapshot, analysis, settings, { highRanking }) {
+  const candidates = {
+    allTimeLow: settings.allTimeLow && analysis.allTimeLow && 'NEW ALL-TIME LOW',
+    allTimeHigh: settings.allTimeHigh && analysis.allTimeHigh && 'NEW ALL-TIME HIGH',
+    change24h: settings.change24hPercent > 0 && analysis.change24h !== null &&
+      Math.abs(analysis.change24h) >= settings.change24hPercent && `FLOOR ${formatChange(analysis.change24h)} IN 24H`,
+    change7d: settings.change7dPercent > 0 && analysis.change7d !== null &&
+      Math.abs(analysis.change7d) >= settings.change7dPercent && `FLOOR ${formatChange(analysis.change7d)} IN 7D`,
+    highTierListing: settings.highTierListing && highRanking &&
+      history.alerts.highTierListing?.listing !== snapshot.listing && 'HIGH-RANKING LISTING'
+  };
+
+  return TRIGGERS
+    .filter(id => candidates[id] && !isCoolingDown(history, id, settings.cooldownHours))
+    .map(id => ({ id, label: candidates[id] }));
+}
+
+// Start each posted trigger's cooldown
+function markFloorAlerted(history, triggers, snapshot) {
+  const at = now().toISOString();
+  for (const trigger of triggers) {
+    history.alerts[trigger.id] = trigger.id === 'highTierListing' ? { at, listing: snapshot.listing } : { at };
+  }
+}
+
+module.exports = {
+  loadFloorHistory,
+  saveFloorHistory,
+  recordFloorSnapshot,
+  getFloorTriggers,
+  markFloorAlerted,
+  getFloorChangeSince,
+  formatChange
+};
@@ -0,0 +1,225 @@
+// ==========================================
+// FILE: lib/holders.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { nowSeconds } = require('./clock');
+
+/*
+Holder registry: who owns each token, rebuilt from the collection's transfer history and
+kept current from new transfer (and sale) events every run. Answers "how many did this
+wallet hold right before and right after this transaction" without a per-wallet API call.
+
+{
+  owners: { "<tokenId>": "<wallet>" },   current owner of every token seen (ERC-721)
+  transfers: [{ key, transaction, timestamp, tokenId, from, to }],   recent transfers, oldest first
+  syncedTo: unix seconds of the newest sync,
+  gap: { cursor, boundary } | null   a sync that stopped at its page cap: the OpenSea cursor it
+                                     stopped at and the time it has to page back to (unix seconds)
+  bootstrapCursor: OpenSea cursor while the history walk is still running,
+  complete: true once the whole history has been walked
+}
+
+Balances are derived from owners when the registry is loaded. Before/after counts for a
+transaction come from the current balance minus the transfers logged since, so they are only
+answered for transactions inside the transfer log window.
+*/
+const HOLDERS_FILE = 'holders.json';
+const TRANSFER_LOG_DAYS = 14; // Transfers kept for before/after lookups
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+function emptyRegistry() {
+  return { owners: {}, transfers: [], syncedTo: null, gap: null, bootstrapCursor: null, complete: false };
+}
+
+function normalizeAddress(address) {
+  return address ? String(address).toLowerCase() : ZERO_ADDRESS;
+}
+
+// Count tokens per wallet from the owners map (the zero address holds burned tokens, not counted)
+function countBalances(owners) {
+  const balances = new Map();
+  for (const owner of Object.values(owners)) {
+    if (owner === ZERO_ADDRESS) continue;
+    balances.set(owner, (balances.get(owner) || 0) + 1);
+  }
+  return balances;
+}
+
+// Load a collection's registry from its state dir (empty registry if missing or unreadable)
+async function loadHolderRegistry(stateDir) {
+  let registry = emptyRegistry();
+  try {
+    const data = await readStateFile(path.join(stateDir, HOLDERS_FILE));
+    if (data) registry = { ...registry, ...data };
+  } catch (error) {
+    console.error('Error reading holder registry, rebuilding:', error.message);
+  }
+  registry.balances = countBalances(registry.owners);
+  registry.transferKeys = new Set(registry.transfers.map(transfer => transfer.key));
+  return registry;
+}
+
+function getLogCutoff() {
+  return nowSeconds() - TRANSFER_LOG_DAYS * 24 * 60 * 60;
+}
+
+// Save a collection's registry to its state dir (transfers past the log window are dropped)
+async function saveHolderRegistry(stateDir, registry) {
+  try {
+    const cutoff = getLogCutoff();
+    registry.transfers = registry.transfers.filter(transfer => transfer.timestamp >= cutoff);
+    const { owners, transfers, syncedTo, gap, bootstrapCursor, complete } = registry;
+    await writeStateFile(path.join(stateDir, HOLDERS_FILE), { owners, transfers, syncedTo, gap, bootstrapCursor, complete });
+  } catch (error) {
+    console.error('Error saving holder registry:', error.message);
+  }
+}
+
+// Start over (used when the registry fell too far behind to catch up incrementally)
+function resetHolderRegistry(registry) {
+  Object.assign(registry, emptyRegistry());
+  registry.balances = new Map();
+  registry.transferKeys = new Set();
+}
+
+// Turn an OpenSea transfer, mint or sale event into a transfer (null if it has no token)
+function toTransfer(event) {
+  const tokenId = event.nft?.identifier ?? event.asset?.token_id;
+  if (tokenId === undefined || tokenId === null) return null;
+
+  const from = normalizeAddress(event.from_address ?? event.seller);
+  const to = normalizeAddress(event.to_address ?? event.buyer);
+  const transaction = (event.transaction || event.order_hash || 'unknown').toLowerCase();
+  return {
+    key: `${transaction}_${tokenId}_${from}_${to}`,
+    transaction,
+    timestamp: event.event_timestamp,
+    tokenId: String(tokenId),
+    from,
+    to
+  };
+}
+
+function setOwner(registry, tokenId, owner) {
+  const previous = registry.owners[tokenId];
+  if (previous && previous !== ZERO_ADDRESS) {
+    registry.balances.set(previous, registry.balances.get(previous) - 1);
+  }
+  registry.owners[tokenId] = owner;
+  if (owner !== ZERO_ADDRESS) {
+    registry.balances.set(owner, (registry.balances.get(owner) || 0) + 1);
+  }
+}
+
+function logTransfer(registry, transfer) {
+  if (transfer.timestamp < getLogCutoff()) return;
+  registry.transfers.push(transfer);
+  registry.transferKeys.add(transfer.key);
+}
+
+// Apply a new event (call oldest first). Duplicates - e.g. the sale and transfer events for
+// the same token move - are ignored. Returns true if it was new.
+function applyTransfer(registry, event) {
+  const transfer = toTransfer(event);
+  if (!transfer || registry.transferKeys.has(transfer.key)) return false;
+
+  // A late-indexed event older than the token's last logged move doesn't change its owner
+  const newerMove = registry.transfers.some(logged => logged.tokenId === transfer.tokenId && logged.timestamp > transfer.timestamp);
+  if (!newerMove) setOwner(registry, transfer.tokenId, transfer.to);
+
+  logTransfer(registry, transfer);
+  return true;
+}
+
+// Apply an event from the history walk (newest first): the first move seen for a token is its latest
+function applyHistoricalTransfer(registry, event) {
+  const transfer = toTransfer(event);
+  if (!transfer || registry.transferKeys.has(transfer.key)) return false;
+
+  if (!(transfer.tokenId in registry.owners)) setOwner(registry, transfer.tokenId, transfer.to);
+  logTransfer(registry, transfer);
+  return true;
+}
+
+// Keep the log oldest first after a history walk added older entries
+function sortTransferLog(registry) {
+  registry.transfers.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Built, and no transfers missing from a sync that stopped short
+function isRegistryReady(registry) {
+  return registry.complete && !registry.gap;
+}
+
+// Can transfers from this time on still be applied out of order? (Only while the moves after
+// them are in the transfer log.)
+function isInTransferLog(timestamp) {
+  return timestamp >= getLogCutoff();
+}
+
+// Tokens a wallet holds now
+function getHoldings(registry, wallet) {
+  return registry.balances.get(normalizeAddress(wallet)) || 0;
+}
+
+function getDelta(transfer, wallet) {
+  return (transfer.to === wallet ? 1 : 0) - (transfer.from === wallet ? 1 : 0);
+}
+
+// Holdings right before and right after a transaction (or the transactions of one sweep).
+// Returns null when the registry can't answer: still bootstrapping, or the transaction is
+// older than the transfer log. Other transactions in the same block count as earlier.
+function getHoldingsAround(registry, wallet, transactions, timestamp) {
+  if (!isRegistryReady(registry) || timestamp < getLogCutoff()) return null;
+
+  const address = normalizeAddress(wallet);
+  const txHashes = new Set(transactions.map(tx => String(tx).toLowerCase()));
+  let after = getHoldings(registry, address);
+  let change = 0;
+
+  for (const transfer of registry.transfers) {
+    if (transfer.timestamp > timestamp) {
+      after -= getDelta(transfer, address);
+    } else if (txHashes.has(transfer.transaction)) {
+      change += getDelta(transfer, address);
+    }
+  }
+
+  return { before: after - change, after };
+}
+
+// Every token in the collection (burned ones aren't); only complete once the registry is ready
+function getTokenIds(registry) {
+  return Object.keys(registry.owners).filter(tokenId => registry.owners[tokenId] !== ZERO_ADDRESS);
+}
+
+// Wallets holding now that held nothing at `timestamp` (unix seconds). Null when the registry
+// can't answer: still bootstrapping, or the timestamp is older than the transfer log.
+function getNewHolders(registry, timestamp) {
+  if (!isRegistryReady(registry) || timestamp < getLogCutoff()) return null;
+
+  const balances = new Map(registry.balances);
+  for (const transfer of registry.transfers) {
+    if (transfer.timestamp <= timestamp) continue;
+    balances.set(transfer.to, (balances.get(transfer.to) || 0) - 1);
+    balances.set(transfer.from, (balances.get(transfer.from) || 0) + 1);
+  }
+  return [...registry.balances.keys()].filter(wallet =>
+    wallet !== ZERO_ADDRESS && registry.balances.get(wallet) > 0 && balances.get(wallet) === 0);
+}
+
+module.exports = {
+  loadHolderRegistry,
+  saveHolderRegistry,
+  resetHolderRegistry,
+  applyTransfer,
+  applyHistoricalTransfer,
+  sortTransferLog,
+  isRegistryReady,
+  isInTransferLog,
+  getHoldings,
+  getHoldingsAround,
+  getNewHolders,
+  getTokenIds
+};
@@ -0,0 +1,154 @@
+// ==========================================
+// FILE: lib/identities.js
+// ==========================================
+const fs = require('fs');
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+What posts call a wallet, best first:
+
+  @handle        its X handle, when the holder asked to be tagged (and tagHandles is on)
+  name.eth       its primary ENS name
+  0x1234...abcd  the short address
+
+Names longer than maxNameLength fall through to the next one. Holders opt in and out through the
+wallet registry (handles.json unless identities.registryFile says otherwise), a file reviewed like
+any other change to the repo:
+
+{
+  "handles": {
+    "0x7a9b...": { "handle": "vaultboss", "proof": "https://x.com/vaultboss/status/..." }
+  },
+  "optOut": ["0x5e1d..."]   always the short address - no ENS name, no tag
+}
+
+proof points at where the holder asked, from that handle, to be tagged for that wallet.
+ENS names are cached in state/ens-names.json, shared by all collections:
+{ names: { "0x7a9b...": { name: 'vaultboss.eth' | null, checkedAt } } }
+*/
+const ENS_CACHE_FILE = path.join('state', 'ens-names.json');
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const HANDLE_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+// Thrown when the wallet registry can't be read or has bad entries
+class RegistryError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'RegistryError';
+    this.problems = problems;
+  }
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Read and check a wallet registry. A missing file is an empty registry.
+// Returns { handles: Map(wallet -> handle), optOut: Set(wallet) }, wallets lowercased.
+function loadWalletRegistry(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { handles: new Map(), optOut: new Set() };
+    throw new RegistryError(`Could not read ${file}: ${error.message}`);
+  }
+
+  const problems = [];
+  const handles = new Map();
+  const optOut = new Set();
+  for (const wallet of raw.optOut || []) {
+    if (typeof wallet !== 'string' || !ADDRESS_PATTERN.test(wallet)) {
+      problems.push(`optOut has an invalid wallet: ${JSON.stringify(wallet)}`);
+      continue;
+    }
+    optOut.add(wallet.toLowerCase());
+  }
+  for (const [wallet, entry] of Object.entries(raw.handles || {})) {
+    const address = wallet.toLowerCase();
+    if (!ADDRESS_PATTERN.test(wallet)) {
+      problems.push(`handles has an invalid wallet: "${wallet}"`);
+    } else if (!HANDLE_PATTERN.test(entry?.handle || '')) {
+      problems.push(`handles.${wallet}.handle must be an X handle without the @ (got ${JSON.stringify(entry?.handle)})`);
+    } else if (typeof entry.proof !== 'string' || entry.proof.length === 0) {
+      problems.push(`handles.${wallet}.proof is required (where the holder asked to be tagged)`);
+    } else if (handles.has(address)) {
+      problems.push(`handles lists ${wallet} twice`);
+    } else if (optOut.has(address)) {
+      problems.push(`handles.${wallet} is also on the optOut list`);
+    } else {
+      handles.set(address, entry.handle);
+    }
+  }
+
+  if (problems.length > 0) throw new RegistryError(`Invalid wallet registry ${file}`, problems);
+  return { handles, optOut };
+}
+
+// One ENS cache for the whole run, whichever collections share it
+let ensCache = null;
+
+async function loadEnsCache() {
+  if (!ensCache) {
+    try {
+      ensCache = (await readStateFile(ENS_CACHE_FILE)) || { names: {} };
+    } catch (error) {
+      ensCache = { names: {} };
+    }
+  }
+  return ensCache;
+}
+
+/*
+Names for one "identities" setting. options: the collection's identities plus
+  registry   from loadWalletRegistry
+  lookupEns  async (wallet) -> verified name or null, throws when the node can't be reached;
+             null when there's no node to ask (ENS is then skipped)
+*/
+function createWalletNames(options) {
+  // Cached ENS name, looked up again once cacheHours old (a stale one stands in when the node is down)
+  async function getEnsName(wallet) {
+    if (!options.ens.enabled || !options.lookupEns) return null;
+    const cache = await loadEnsCache();
+    const { names } = cache;
+    const cached = names[wallet];
+    const ageHours = cached ? (now() - new Date(cached.checkedAt)) / (60 * 60 * 1000) : Infinity;
+    if (ageHours < options.ens.cacheHours) return cached.name;
+
+    try {
+      const name = await options.lookupEns(wallet);
+      names[wallet] = { name, checkedAt: now().toISOString() };
+      await writeStateFile(ENS_CACHE_FILE, cache);
+      return name;
+    } catch (error) {
+      console.error(`ENS lookup failed for ${wallet}:`, error.message);
+      return cached ? cached.name : null;
+    }
+  }
+
+  // { name (what posts show), handle, ens, short } for a wallet; handle and ens are null when
+  // not shown. Unknown wallets (no address) are "unknown".
+  async function describeWallet(address) {
+    if (!address) return { name: 'unknown', handle: null, ens: null, short: 'unknown' };
+    const wallet = address.toLowerCase();
+    const short = shortAddress(wallet);
+    if (options.registry.optOut.has(wallet)) return { name: short, handle: null, ens: null, short };
+
+    const handle = options.tagHandles ? options.registry.handles.get(wallet) || null : null;
+    const ens = await getEnsName(wallet);
+    const fits = name => name.length <= options.maxNameLength;
+    const tag = handle && fits(`@${handle}`) ? `@${handle}` : null;
+    const ensName = ens && fits(ens) ? ens : null;
+    return { name: tag || ensName || short, handle: tag ? handle : null, ens: ensName, short };
+  }
+
+  return { describeWallet };
+}
+
+module.exports = {
+  RegistryError,
+  loadWalletRegistry,
+  createWalletNames
+};
@@ -0,0 +1,174 @@
+// ==========================================
+// FILE: lib/ledger.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+// Durable record of every sale event the bot has seen, keyed by tx hash + token id. Wiretap
+// events (listings, offers, ...) and rank announcements share it, their keys prefixed with their kind.
+const LEDGER_FILE = 'sales-ledger.json';
+const LEDGER_RETENTION_DAYS = 30; // Drop finished entries older than this
+const MAX_POST_ATTEMPTS = 3; // Failed sales are retried on later runs up to this many times
+
+const SALE_STATUS = {
+  pending: 'pending',
+  posted: 'posted',
+  failed: 'failed',
+  skipped: 'skipped'
+};
+
+// What a ledger event is: 'sale', a wiretap kind ('listing', 'offer', 'transfer', ...) or a rank
+// change ('promotion', 'demotion', 'exit')
+function getEventKind(event) {
+  return event.event_type === 'wiretap' || event.event_type === 'rank' ? event.kind : 'sale';
+}
+
+// Build the ledger key for a sale event (transaction hash + token id; "listing:<order hash>_<token id>"
+// for wiretap events, "promotion:<tx hash>_<wallet>" for rank changes)
+function getSaleKey(sale) {
+  const txHash = (sale.transaction || sale.order_hash || 'unknown').toLowerCase();
+  const tokenId = sale.event_type === 'rank'
+    ? sale.wallet.toLowerCase()
+    : sale.nft?.identifier ?? sale.asset?.token_id ?? 'unknown';
+  const kind = getEventKind(sale);
+  return kind === 'sale' ? `${txHash}_${tokenId}` : `${kind}:${txHash}_${tokenId}`;
+}
+
+// Load a collection's ledger from its state dir (empty ledger if missing or unreadable)
+async function loadLedger(stateDir) {
+  try {
+    const ledger = await readStateFile(path.join(stateDir, LEDGER_FILE));
+    return { sales: ledger?.sales || {} };
+  } catch (error) {
+    console.error('Error reading sales ledger, starting fresh:', error.message);
+    return { sales: {} };
+  }
+}
+
+// Remove finished entries past the retention window
+function pruneLedger(ledger) {
+  const cutoff = now().getTime() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [key, entry] of Object.entries(ledger.sales)) {
+    const finished = entry.status === SALE_STATUS.posted || entry.status === SALE_STATUS.skipped ||
+      (entry.status === SALE_STATUS.failed && entry.attempts >= MAX_POST_ATTEMPTS);
+    if (finished && new Date(entry.updatedAt).getTime() < cutoff) {
+      delete ledger.sales[key];
+    }
+  }
+}
+
+// Save a collection's ledger to its state dir
+async function saveLedger(stateDir, ledger) {
+  try {
+    pruneLedger(ledger);
+    await writeStateFile(path.join(stateDir, LEDGER_FILE), ledger);
+  } catch (error) {
+    console.error('Error saving sales ledger:', error.message);
+  }
+}
+
+function hasSale(ledger, sale) {
+  return Boolean(ledger.sales[getSaleKey(sale)]);
+}
+
+// Add a newly seen sale to the ledger (no-op if already recorded)
+function recordSale(ledger, sale, status = SALE_STATUS.pending, reason = null) {
+  const key = getSaleKey(sale);
+  if (ledger.sales[key]) return ledger.sales[key];
+
+  const seenAt = now().toISOString();
+  const kind = getEventKind(sale);
+  const entry = {
+    status,
+    kind,
+    transaction: sale.transaction || null,
+    tokenId: sale.nft?.identifier ?? null,
+    eventTimestamp: sale.event_timestamp,
+    // Who traded and for what stays after the event is dropped, for digests
+    buyer: kind === 'sale' ? sale.buyer || null : undefined,
+    seller: kind === 'sale' ? sale.seller || null : undefined,
+    payment: kind === 'sale' ? sale.payment || null : undefined,
+    firstSeen: seenAt,
+    updatedAt: seenAt,
+    attempts: 0,
+    reason,
+    // Keep the raw event while it still needs posting so later runs can retry without refetching
+    event: status === SALE_STATUS.pending ? sale : undefined
+  };
+  ledger.sales[key] = entry;
+  return entry;
+}
+
+// Update the status of a recorded sale
+function markSale(ledger, sale, status, reason = null) {
+  const entry = ledger.sales[getSaleKey(sale)] || recordSale(ledger, sale);
+  entry.status = status;
+  entry.reason = reason;
+  entry.updatedAt = now().toISOString();
+
+  if (status === SALE_STATUS.failed) {
+    entry.attempts += 1;
+  }
+  if (status === SALE_STATUS.posted || status === SALE_STATUS.skipped) {
+    delete entry.event;
+  }
+  return entry;
+}
+
+// Whether a ledger entry still needs posting (pending, or failed with attempts left)
+function isRetryable(entry) {
+  return Boolean(entry && entry.event && (
+    entry.status === SALE_STATUS.pending ||
+    (entry.status === SALE_STATUS.failed && entry.attempts < MAX_POST_ATTEMPTS)
+  ));
+}
+
+// Events of the given kinds still waiting to be posted, oldest first
+function getRetryableEvents(ledger, kinds) {
+  return Object.values(ledger.sales)
+    .filter(entry => isRetryable(entry) && kinds.includes(getEventKind(entry.event)))
+    .sort((a, b) => a.eventTimestamp - b.eventTimestamp)
+    .map(entry => entry.event);
+}
+
+// Sales still waiting to be posted, oldest first
+function getRetryableSales(ledger) {
+  return getRetryableEvents(ledger, ['sale']);
+}
+
+// Whether a transaction was recorded as a sale (entries from before wiretap events have no kind)
+function isSaleTransaction(ledger, transaction) {
+  const txHash = String(transaction).toLowerCase();
+  return Object.values(ledger.sales).some(entry =>
+    (entry.kind || 'sale') === 'sale' && entry.transaction?.toLowerCase() === txHash);
+}
+
+// Sale entries (any status) that happened after `from` and up to `to` (unix seconds)
+function getSalesBetween(ledger, from, to) {
+  return Object.values(ledger.sales)
+    .filter(entry => (entry.kind || 'sale') === 'sale' && entry.eventTimestamp > from && entry.eventTimestamp <= to)
+    .sort((a, b) => a.eventTimestamp - b.eventTimestamp);
+}
+
+// Look up the stored event for a sale key, or null if it no longer needs posting
+function getRetryableSale(ledger, key) {
+  const entry = ledger.sales[key];
+  return isRetryable(entry) ? entry.event : null;
+}
+
+module.exports = {
+  SALE_STATUS,
+  MAX_POST_ATTEMPTS,
+  getSaleKey,
+  loadLedger,
+  saveLedger,
+  hasSale,
+  recordSale,
+  markSale,
+  getRetryableEvents,
+  getRetryableSales,
+  getRetryableSale,
+  isSaleTransaction,
+  getSalesBetween
+};
@@ -0,0 +1,64 @@
+// ==========================================
+// FILE: lib/logger.js
+// ==========================================
+const crypto = require('crypto');
+const util = require('util');
+const { now } = require('./clock');
+
+/*
+Log output. The bot logs through console everywhere; in JSON mode (logging.format "json", or
+LOG_FORMAT=json) every line becomes one JSON object instead, for log collectors:
+
+{ ts, level: 'info' | 'warn' | 'error', runId, collection, msg, ...fields }
+
+runId names the run (each poll in daemon mode) and matches its report (lib/run-report.js);
+collection is the id of the collection being worked on, null between them. Text mode prints as
+before.
+*/
+const LOG_FORMATS = ['text', 'json'];
+
+const context = { runId: null, collection: null };
+let format = 'text';
+
+// Sortable and unique enough to tell runs apart: 20260315T101500-a1b2c3
+function createRunId() {
+  const stamp = now().toISOString().replace(/[-:]/g, '').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Change the run ID or collection stamped on the lines that follow
+function setLogContext(values) {
+  Object.assign(context, values);
+}
+
+function writeJsonLine(level, msg, fields = {}) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, ...context, msg, ...fields });
+  (level === 'info' ? process.stdout : process.stderr).write(`${line}\n`);
+}
+
+// Switch console output to the given format (once, at startup)
+function configureLogging(logFormat) {
+  format = logFormat;
+  if (format !== 'json') return;
+  const levels = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  for (const [method, level] of Object.entries(levels)) {
+    console[method] = (...args) => writeJsonLine(level, util.format(...args));
+  }
+}
+
+// A line with structured fields: kept as fields in JSON mode, left off in text mode
+function logWithFields(level, msg, fields) {
+  if (format === 'json') {
+    writeJsonLine(level, msg, fields);
+  } else {
+    (level === 'info' ? console.log : console.error)(msg);
+  }
+}
+
+module.exports = {
+  LOG_FORMATS,
+  createRunId,
+  setLogContext,
+  configureLogging,
+  logWithFields
+};
@@ -0,0 +1,318 @@
+// ==========================================
+// FILE: lib/media.js
+// ==========================================
+const path = require('path');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const PImage = require('pureimage');
+const { detectImageType } = require('./images');
+const { decodeImage } = require('./cards/draw');
+const { readStateFile, readStateBuffer, writeStateFile, writeStateText } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+An NFT's own media, ready to post: { image, animation }, each null or
+
+  { buffer, mimeType, kind: 'image' | 'gif' | 'video', source (the URL it came from), fetchedAt }
+
+OpenSea's CDN copy is tried first, then the original from the token's metadata - IPFS links
+through each of media.ipfsGateways in turn, Arweave through arweave.net. What comes back is
+identified by its bytes, not its URL or Content-Type (both are often wrong). Still images go by
+X's limits: PNG and JPEG over maxDimension pixels a side or 5 MB are scaled down and re-encoded
+as JPEG; other formats over the limit are passed over. Animations are kept when they are an
+animated GIF (15 MB) or an MP4 (512 MB, but downloads stop at 64 MB).
+
+Media is cached per token under state/media-cache/<contract>/ (git-ignored, it's only a cache):
+  <token id>-image.<ext>, <token id>-animation.<ext>
+  index.json   { tokens: { "<token id>": { image, animation, checkedAt } } }
+               image / animation: { file, mimeType, kind, source, fetchedAt }, or null when none
+               could be fetched - tried again once retryHours have passed
+*/
+const CACHE_DIR = path.join('state', 'media-cache');
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'; // OpenSea's CDN rejects bots
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_DOWNLOAD_BYTES = 64 * 1024 * 1024;
+const JPEG_QUALITY = 85;
+
+// What X takes per kind of media
+const X_LIMITS = {
+  image: 5 * 1024 * 1024,
+  gif: 15 * 1024 * 1024,
+  video: 512 * 1024 * 1024
+};
+
+const FORMATS = {
+  png: { mimeType: 'image/png', ext: 'png' },
+  jpeg: { mimeType: 'image/jpeg', ext: 'jpg' },
+  gif: { mimeType: 'image/gif', ext: 'gif' },
+  webp: { mimeType: 'image/webp', ext: 'webp' },
+  mp4: { mimeType: 'video/mp4', ext: 'mp4' },
+  mov: { mimeType: 'video/quicktime', ext: 'mov' }
+};
+
+// Identify media from its first bytes: an image type, 'mp4' or 'mov' (null for anything else -
+// SVG, WebM, HTML error pages...)
+function detectMediaType(buffer) {
+  const imageType = detectImageType(buffer);
+  if (imageType) return imageType;
+  if (!buffer || buffer.length < 12 || buffer.toString('ascii', 4, 8) !== 'ftyp') return null;
+  return buffer.toString('ascii', 8, 10) === 'qt' ? 'mov' : 'mp4';
+}
+
+// A GIF that loops (the NETSCAPE2.0 extension) - good enough to tell animations from stills
+function isAnimatedGif(buffer) {
+  return buffer.includes('NETSCAPE2.0');
+}
+
+// { width, height } of a PNG or JPEG from its header, or null
+function getImageSize(buffer, type) {
+  if (type === 'png') return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  if (type !== 'jpeg') return null;
+  // Walk the JPEG segments to the first start-of-frame marker
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Scale a PNG or JPEG down to fit maxDimension (and X's size limit), on white, as JPEG.
+// Null if it can't be decoded.
+async function shrinkImage(buffer, maxDimension) {
+  const source = await decodeImage(buffer);
+  if (!source) return null;
+
+  let side = maxDimension;
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const scale = Math.min(1, side / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+    const bitmap = PImage.make(width, height);
+    const ctx = bitmap.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(source, 0, 0, source.width, source.height, 0, 0, width, height);
+
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await PImage.encodeJPEGToStream(bitmap, stream, JPEG_QUALITY);
+    const encoded = Buffer.concat(chunks);
+    if (encoded.length <= X_LIMITS.image) return encoded;
+    side = Math.round(side * 0.7);
+  }
+  return null;
+}
+
+/*
+Turn downloaded bytes into postable media of the wanted kind ('image' or 'animation'), or null
+with why not: { media } or { problem }.
+*/
+async function prepareMedia(buffer, wanted, { maxDimension }) {
+  const type = detectMediaType(buffer);
+  if (!type) return { problem: 'not a format X takes' };
+  const animated = type === 'mp4' || type === 'mov' || (type === 'gif' && isAnimatedGif(buffer));
+
+  if (wanted === 'animation') {
+    if (!animated) return { problem: 'not animated' };
+    const kind = type === 'gif' ? 'gif' : 'video';
+    if (buffer.length > X_LIMITS[kind]) return { problem: `${kind} over X's ${X_LIMITS[kind] / 1024 / 1024} MB limit` };
+    return { media: { buffer, mimeType: FORMATS[type].mimeType, kind } };
+  }
+
+  if (type === 'mp4' || type === 'mov') return { problem: 'a video, not an image' };
+  const size = getImageSize(buffer, type);
+  const oversized = buffer.length > X_LIMITS.image || (size && Math.max(size.width, size.height) > maxDimension);
+  if (!oversized) return { media: { buffer, mimeType: FORMATS[type].mimeType, kind: 'image' } };
+  if (type !== 'png' && type !== 'jpeg') return { problem: `${type} over X's limits` };
+
+  const shrunk = await shrinkImage(buffer, maxDimension);
+  if (!shrunk) return { problem: 'could not be scaled down' };
+  console.log(`🖼️ Scaled NFT image down (${Math.round(buffer.length / 1024)} KB -> ${Math.round(shrunk.length / 1024)} KB)`);
+  return { media: { buffer: shrunk, mimeType: FORMATS.jpeg.mimeType, kind: 'image' } };
+}
+
+// The IPFS path ("<cid>/<path>") behind an ipfs:// link or a gateway URL, or null
+function getIpfsPath(url) {
+  const native = url.match(/^ipfs:\/\/(?:ipfs\/)?(.+)$/);
+  if (native) return native[1];
+  const gateway = url.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/);
+  if (gateway) return gateway[1];
+  const subdomain = url.match(/^https?:\/\/([a-z0-9]+)\.ipfs\.[^/]+\/?(.*)$/i);
+  return subdomain ? `${subdomain[1]}/${subdomain[2]}`.replace(/\/$/, '') : null;
+}
+
+// URLs to try for a media link, in order: the link itself when it's http(s), then the gateways
+function getMediaUrls(url, gateways) {
+  if (!url || typeof url !== 'string') return [];
+  if (url.startsWith('ar://')) return [`https://arweave.net/${url.slice(5)}`];
+  const ipfsPath = getIpfsPath(url);
+  const urls = /^https?:\/\//.test(url) ? [url] : [];
+  if (ipfsPath) urls.push(...gateways.map(gateway => `${gateway.replace(/\/$/, '')}/${ipfsPath}`));
+  return [...new Set(urls)];
+}
+
+async function download(url) {
+  if (url.startsWith('data:')) {
+    const [, meta, data] = url.match(/^data:([^,]*),(.*)$/s) || [];
+    if (meta === undefined) throw new Error('malformed data URI');
+    return meta.endsWith(';base64') ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+  }
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'image/*,video/*,*/*;q=0.8' },
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_DOWNLOAD_BYTES
+  });
+  return Buffer.from(response.data);
+}
+
+// The token's metadata JSON, through the gateways for IPFS (null if it can't be fetched)
+async function fetchMetadata(metadataUrl, gateways) {
+  const urls = metadataUrl?.startsWith('data:') ? [metadataUrl] : getMediaUrls(metadataUrl, gateways);
+  for (const url of urls) {
+    try {
+      return JSON.parse((await download(url)).toString('utf8'));
+    } catch (error) {
+      console.log(`Metadata unavailable from ${url.slice(0, 80)} (${error.message})`);
+    }
+  }
+  return null;
+}
+
+// First source of the links that gives postable media of the wanted kind (null if none does)
+async function fetchFirst(links, wanted, options) {
+  for (const link of links) {
+    const urls = link.startsWith('data:') ? [link] : getMediaUrls(link, options.ipfsGateways);
+    for (const url of urls) {
+      const shortUrl = url.startsWith('data:') ? 'data URI' : url.slice(0, 80);
+      try {
+        const { media, problem } = await prepareMedia(await download(url), wanted, options);
+        if (media) return { ...media, source: url.startsWith('data:') ? null : url };
+        console.log(`NFT ${wanted} from ${shortUrl} skipped: ${problem}`);
+      } catch (error) {
+        console.log(`NFT ${wanted} unavailable from ${shortUrl} (${error.message})`);
+      }
+    }
+  }
+  return null;
+}
+
+/*
+Fetch an NFT's media. nft: OpenSea's NFT fields (image_url, display_image_url, animation_url,
+display_animation_url, metadata_url). The metadata is only read when OpenSea's links don't work.
+options: { ipfsGateways, maxDimension, animation (also look for an animation) }
+*/
+async function fetchNFTMedia(nft, options) {
+  const cdnImages = [nft.image_url, nft.display_image_url].filter(Boolean);
+  const cdnAnimations = [nft.display_animation_url, nft.animation_url].filter(Boolean);
+
+  let image = await fetchFirst(cdnImages, 'image', options);
+  let animation = options.animation ? await fetchFirst(cdnAnimations, 'animation', options) : null;
+  if ((!image || (options.animation && !animation)) && nft.metadata_url) {
+    const metadata = await fetchMetadata(nft.metadata_url, options.ipfsGateways);
+    const originalImage = metadata?.image || metadata?.image_url;
+    if (!image && originalImage) image = await fetchFirst([originalImage], 'image', options);
+    if (options.animation && !animation && metadata?.animation_url) {
+      animation = await fetchFirst([metadata.animation_url], 'animation', options);
+    }
+  }
+  const fetchedAt = now().toISOString();
+  return {
+    image: image && { ...image, fetchedAt },
+    animation: animation && { ...animation, fetchedAt }
+  };
+}
+
+// Media fetched this run, so a card and its post share one download. Cleared when a run starts
+// (clearMediaMemo), so a daemon doesn't hold every buffer it ever fetched and failed lookups get
+// their retry.
+const memo = new Map();
+
+function clearMediaMemo() {
+  memo.clear();
+}
+
+function getCacheDir(contract) {
+  return path.join(CACHE_DIR, contract.toLowerCase());
+}
+
+async function readCached(dir, entry) {
+  if (!entry) return null;
+  const buffer = await readStateBuffer(path.join(dir, entry.file));
+  if (!buffer) return null;
+  const { file, ...media } = entry;
+  return { ...media, buffer };
+}
+
+async function writeCached(dir, tokenId, label, media) {
+  if (!media) return null;
+  const type = detectMediaType(media.buffer);
+  const file = `${tokenId}-${label}.${FORMATS[type].ext}`;
+  await writeStateText(path.join(dir, file), media.buffer);
+  const { buffer, ...entry } = media;
+  return { file, ...entry };
+}
+
+/*
+An NFT's media ({ image, animation }, see above), from the cache when it has the token. nft needs
+contract and identifier. options: { ipfsGateways, maxDimension, animation, retryHours }
+*/
+async function getNFTMedia(nft, options) {
+  const contract = nft.contract;
+  const tokenId = nft.identifier ?? nft.token_id;
+  if (!contract || tokenId === undefined || tokenId === null) return null;
+  const key = `${contract.toLowerCase()}/${tokenId}/${options.animation ? 'animated' : 'still'}`;
+  if (memo.has(key)) return memo.get(key);
+
+  const dir = getCacheDir(contract);
+  const indexFile = path.join(dir, 'index.json');
+  let index;
+  try {
+    index = (await readStateFile(indexFile)) || { tokens: {} };
+  } catch (error) {
+    index = { tokens: {} };
+  }
+
+  // A cached lookup stands if it found an image, or failed less than retryHours ago - and looked
+  // for an animation, when one is wanted
+  const entry = index.tokens[tokenId];
+  const ageHours = entry ? (now() - new Date(entry.checkedAt)) / (60 * 60 * 1000) : Infinity;
+  const covered = entry && (!options.animation || entry.animation !== undefined);
+  let media = null;
+  if (covered && (entry.image || ageHours < options.retryHours)) {
+    media = {
+      image: await readCached(dir, entry.image),
+      animation: options.animation ? await readCached(dir, entry.animation) : null
+    };
+  }
+
+  // Nothing cached, a failed lookup due for a retry, or cache files gone missing
+  if (!media || (entry.image && !media.image)) {
+    media = await fetchNFTMedia(nft, options);
+    try {
+      index.tokens[tokenId] = {
+        image: await writeCached(dir, tokenId, 'image', media.image),
+        animation: options.animation ? await writeCached(dir, tokenId, 'animation', media.animation) : entry?.animation,
+        checkedAt: now().toISOString()
+      };
+      await writeStateFile(indexFile, index);
+    } catch (error) {
+      console.error('Error caching NFT media:', error.message);
+    }
+  }
+
+  memo.set(key, media);
+  return media;
+}
+
+module.exports = {
+  detectMediaType,
+  getNFTMedia,
+  clearMediaMemo
+};
@@ -0,0 +1,136 @@
+// ==========================================
+// FILE: lib/money.js
+// ==========================================
+
+/*
+Exact token amounts. Payments are kept as BigInt base units with their currency until they
+are shown, so 0.1 + 0.2 WETH is 0.3 WETH and a sweep paid in ETH and USDC isn't summed into
+one number.
+
+{ amount: 420000000000000000n, decimals: 18, symbol: 'ETH' }
+*/
+
+// Currencies by contract, overriding whatever symbol/decimals the API reported
+const KNOWN_CURRENCIES = {
+  '0x0000000000000000000000000000000000000000': { symbol: 'ETH', decimals: 18 },
+  '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18 },
+  '0x0000000000a39bb272e79075ade125fd351887ac': { symbol: 'ETH', decimals: 18 }, // Blur Pool, 1:1 ETH
+  '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6 },
+  '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6 },
+  '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18 },
+  '0x4d224452801aced8b2f0aebe155379bb5d594381': { symbol: 'APE', decimals: 18 }
+};
+
+// Worth exactly 1 ETH each - summed together when ranking by value
+const ETH_EQUIVALENTS = new Set(['ETH', 'WETH']);
+
+// Parse a base-unit quantity ("420000000000000000", 4.2e17, "4.2e17") into a BigInt (null if it isn't one)
+function parseQuantity(quantity) {
+  if (quantity === null || quantity === undefined) return null;
+  if (typeof quantity === 'bigint') return quantity;
+
+  const text = String(quantity).trim();
+  if (/^\d+$/.test(text)) return BigInt(text);
+
+  // Scientific or decimal notation (JSON numbers past 2^53 come back like this)
+  const match = /^(\d+)(?:\.(\d+))?e\+?(\d+)$/i.exec(text);
+  if (!match) return null;
+  const [, whole, fraction = '', exponent] = match;
+  const shift = Number(exponent) - fraction.length;
+  if (shift < 0) return null;
+  return BigInt(whole + fraction) * 10n ** BigInt(shift);
+}
+
+// Normalise an OpenSea-style payment ({ quantity, token_address, decimals, symbol }) into an
+// amount. Returns null when there's nothing to show (missing, zero or unreadable).
+function toAmount(payment) {
+  if (!payment) return null;
+  const amount = parseQuantity(payment.quantity);
+  if (amount === null || amount <= 0n) return null;
+
+  const known = KNOWN_CURRENCIES[String(payment.token_address || '').toLowerCase()];
+  const decimals = known?.decimals ?? (Number.isInteger(Number(payment.decimals)) ? Number(payment.decimals) : 18);
+  const symbol = known?.symbol || String(payment.symbol || 'ETH').toUpperCase();
+  return { amount, decimals, symbol };
+}
+
+// Digits shown after the point: 3 for 18-decimal tokens like ETH, 2 for stablecoins
+function getDisplayDigits(decimals) {
+  return Math.min(decimals, decimals >= 18 ? 3 : 2);
+}
+
+// "0.420 ETH" - rounded half up; amounts too small to show read "<0.001 ETH"
+function formatAmount({ amount, decimals, symbol }) {
+  const digits = getDisplayDigits(decimals);
+  const unit = 10n ** BigInt(decimals - digits);
+  const rounded = (amount + unit / 2n) / unit;
+  if (rounded === 0n && amount > 0n) {
+    return `<${(1 / 10 ** digits).toFixed(digits)} ${symbol}`;
+  }
+
+  const scale = 10n ** BigInt(digits);
+  const whole = rounded / scale;
+  const fraction = (rounded % scale).toString().padStart(digits, '0');
+  return `${whole}${digits > 0 ? `.${fraction}` : ''} ${symbol}`;
+}
+
+// Sum payments per currency, in the order the currencies first appear
+function sumAmounts(amounts) {
+  const totals = [];
+  for (const amount of amounts) {
+    if (!amount) continue;
+    const total = totals.find(candidate => candidate.symbol === amount.symbol && candidate.decimals === amount.decimals);
+    if (total) {
+      total.amount += amount.amount;
+    } else {
+      totals.push({ ...amount });
+    }
+  }
+  return totals;
+}
+
+// "0.800 ETH + 350.00 USDC" ("Price undisclosed" when nothing was paid)
+function formatTotals(totals) {
+  if (totals.length === 0) return 'Price undisclosed';
+  return totals.map(formatAmount).join(' + ');
+}
+
+// Plain number for an amount (for ranking and fiat maths - not for display)
+function toNumber({ amount, decimals }) {
+  return Number(amount) / 10 ** decimals;
+}
+
+// Total in ETH for ranking: ETH and WETH 1:1, other currencies through fiat rates when known
+function getEthValue(totals, rates = null) {
+  let value = 0;
+  for (const total of totals) {
+    if (ETH_EQUIVALENTS.has(total.symbol)) {
+      value += toNumber(total);
+    } else if (rates?.[total.symbol] && rates.ETH) {
+      value += toNumber(total) * rates[total.symbol] / rates.ETH;
+    }
+  }
+  return value;
+}
+
+// JSON-safe copies (BigInt can't be stringified) for state files and post data
+function serializeTotals(totals) {
+  return totals.map(({ amount, decimals, symbol }) => ({ amount: amount.toString(), decimals, symbol }));
+}
+
+function deserializeTotals(totals) {
+  return (totals || []).map(({ amount, decimals, symbol }) => ({ amount: BigInt(amount), decimals, symbol }));
+}
+
+module.exports = {
+  KNOWN_CURRENCIES,
+  parseQuantity,
+  toAmount,
+  formatAmount,
+  sumAmounts,
+  formatTotals,
+  toNumber,
+  getEthValue,
+  serializeTotals,
+  deserializeTotals
+};
@@ -0,0 +1,173 @@
+// ==========================================
+// FILE: lib/post-budget.js
+// ==========================================
+const path = require('path');
+const { readStateFile, updateStateFile } = require('./state-files');
+const { getEthValue, deserializeTotals } = require('./money');
+const { now } = require('./clock');
+
+/*
+X's free and basic tiers cap posts per day and per month. The bot counts its posts per X account
+(credentialsEnv - collections posting with the same account share the count) in
+state/x-usage.json, along with how long X's rate limits hold further posts back:
+
+{
+  accounts: {
+    TWITTER: {
+      days: { '2026-03-15': 12 },   posts made per UTC day (thread replies count), last 31 days
+      months: { '2026-03': 140 },   per UTC month, last 12 months
+      blockedUntil: ISO | null      X won't take posts before then (a 429 or a spent rate limit)
+    }
+  }
+}
+
+The budget (publishers.twitter.budget) sets daily and monthly caps (0 = none). Each post has a
+priority by what it is - its type, or 'rare' / 'lowValue' for sales and sweeps that are rare
+finds / worth less than lowValueEth. Low-priority posts stop once less than reserve.low percent
+of the budget is left, normal ones below reserve.normal. High-priority posts go out until the cap
+is spent, then wait for the next day or month. What's left is the smaller of the day's share and
+the month's, the month measured against the part of it still to come - a month on pace is 100%.
+*/
+const USAGE_FILE = path.join('state', 'x-usage.json');
+const DAYS_KEPT = 31;
+const MONTHS_KEPT = 12;
+
+const PRIORITIES = ['high', 'normal', 'low'];
+// What a post can be, for budget.priorities
+const BUDGET_CONTENT = ['sale', 'sweep', 'rare', 'lowValue', 'floor', 'summary', 'rank', 'wiretap', 'digest'];
+
+function getDayKey(at) {
+  return at.toISOString().slice(0, 10);
+}
+
+function getMonthKey(at) {
+  return at.toISOString().slice(0, 7);
+}
+
+function emptyUsage() {
+  return { days: {}, months: {}, blockedUntil: null };
+}
+
+// One account's usage (empty if missing or unreadable)
+async function loadUsage(account) {
+  try {
+    const usage = await readStateFile(USAGE_FILE);
+    return { ...emptyUsage(), ...usage?.accounts?.[account] };
+  } catch (error) {
+    console.error('Error reading X usage, starting fresh:', error.message);
+    return emptyUsage();
+  }
+}
+
+// Change one account's usage on disk, leaving the others alone. Returns the account's usage after.
+async function updateUsage(account, update) {
+  const saved = await updateStateFile(USAGE_FILE, data => {
+    const accounts = data.accounts || {};
+    const usage = { ...emptyUsage(), ...accounts[account] };
+    update(usage);
+    return { accounts: { ...accounts, [account]: usage } };
+  });
+  return saved.accounts[account];
+}
+
+function keepLatest(counts, size) {
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)).slice(-size));
+}
+
+// Count posts just made (replies included)
+async function recordPosts(account, count, at = now()) {
+  return updateUsage(account, usage => {
+    const day = getDayKey(at);
+    const month = getMonthKey(at);
+    usage.days = keepLatest({ ...usage.days, [day]: (usage.days[day] || 0) + count }, DAYS_KEPT);
+    usage.months = keepLatest({ ...usage.months, [month]: (usage.months[month] || 0) + count }, MONTHS_KEPT);
+  });
+}
+
+async function setBlockedUntil(account, until) {
+  return updateUsage(account, usage => {
+    usage.blockedUntil = until ? until.toISOString() : null;
+  });
+}
+
+// { today, month } posts made so far
+function getPostCounts(usage, at = now()) {
+  return { today: usage.days[getDayKey(at)] || 0, month: usage.months[getMonthKey(at)] || 0 };
+}
+
+// Posts still allowed right now (Infinity without caps)
+function getPostsLeft(usage, budget, at = now()) {
+  const { today, month } = getPostCounts(usage, at);
+  const day = budget.daily > 0 ? budget.daily - today : Infinity;
+  const rest = budget.monthly > 0 ? budget.monthly - month : Infinity;
+  return Math.max(0, Math.min(day, rest));
+}
+
+// Percent of the budget left (100 without caps) - see above
+function getBudgetLeft(usage, budget, at = now()) {
+  const { today, month } = getPostCounts(usage, at);
+  const shares = [];
+  if (budget.daily > 0) shares.push((budget.daily - today) / budget.daily);
+  if (budget.monthly > 0) {
+    const monthStart = Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1);
+    const monthEnd = Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1);
+    const timeLeft = (monthEnd - at.getTime()) / (monthEnd - monthStart);
+    shares.push(Math.min(1, (budget.monthly - month) / (budget.monthly * timeLeft)));
+  }
+  return shares.length > 0 ? Math.max(0, Math.min(...shares)) * 100 : 100;
+}
+
+// When a spent cap frees up: the next UTC month if the monthly cap is spent, else the next UTC day
+function getBudgetReset(usage, budget, at = now()) {
+  const monthSpent = budget.monthly > 0 && getPostCounts(usage, at).month >= budget.monthly;
+  return monthSpent
+    ? new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1))
+    : new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() + 1));
+}
+
+// What a post is, for its priority (see BUDGET_CONTENT). Sales paid partly in currencies without
+// an ETH value are never low-value.
+function getPostContent(post, budget) {
+  if (post.type !== 'sale' && post.type !== 'sweep') return post.type;
+  if (post.data?.rarity?.rare) return 'rare';
+  const totals = deserializeTotals(post.data?.totals);
+  const priced = totals.length > 0 && totals.every(total => getEthValue([total]) > 0);
+  if (budget.lowValueEth > 0 && priced && getEthValue(totals) < budget.lowValueEth) return 'lowValue';
+  return post.type;
+}
+
+/*
+Whether the budget lets a post out:
+  { action: 'post', replies }       replies: how many of its thread replies fit
+  { action: 'drop', reason }        not worth the budget left - it isn't retried
+  { action: 'wait', until, reason } high priority, cap spent - retried once it frees up
+*/
+function checkBudget(usage, budget, post, at = now()) {
+  const content = getPostContent(post, budget);
+  const priority = budget.priorities[content] || 'normal';
+  const postsLeft = getPostsLeft(usage, budget, at);
+  if (postsLeft < 1) {
+    const reason = `X budget spent (${content} post)`;
+    return priority === 'high'
+      ? { action: 'wait', until: getBudgetReset(usage, budget, at), reason }
+      : { action: 'drop', reason };
+  }
+
+  const left = getBudgetLeft(usage, budget, at);
+  const reserve = priority === 'high' ? 0 : budget.reserve[priority];
+  if (left < reserve) {
+    return { action: 'drop', reason: `${Math.floor(left)}% of the X budget left, ${priority}-priority ${content} posts need ${reserve}%` };
+  }
+  return { action: 'post', replies: Math.min((post.thread || []).length, postsLeft - 1) };
+}
+
+module.exports = {
+  PRIORITIES,
+  BUDGET_CONTENT,
+  loadUsage,
+  recordPosts,
+  setBlockedUntil,
+  getPostCounts,
+  getBudgetLeft,
+  checkBudget
+};
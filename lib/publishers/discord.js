@@ -0,0 +1,62 @@
+// ==========================================
+// FILE: lib/publishers/discord.js
+// ==========================================
+const axios = require('axios');
+
+// Embed side-bar colours per post type
+const embedColors = {
+  sale: 0x8b0000,
+  sweep: 0xb8860b,
+  floor: 0x2f4f4f,
+  summary: 0x444444,
+  rank: 0x6b4c9a,
+  wiretap: 0x1f3a5f,
+  digest: 0x2e6b4f
+};
+
+// Discord webhook publisher: rich embed with the case card (or NFT image) and buyer/seller fields
+function createDiscordPublisher(config) {
+  if (!config.webhookUrl) throw new Error('webhook URL not set');
+
+  async function publish(post) {
+    const embed = {
+      title: post.title,
+      url: post.url,
+      description: post.status ? `**Status:** ${post.status}` : undefined,
+      color: embedColors[post.type] || embedColors.sale,
+      fields: (post.fields || []).map(field => ({
+        name: field.name,
+        value: String(field.value).slice(0, 1024), // Discord field value limit
+        inline: field.inline !== false
+      })),
+      image: post.image ? { url: 'attachment://case-card.png' } : post.imageUrl ? { url: post.imageUrl } : undefined,
+      footer: { text: 'Federal Bureau of Investigation - Al Cabone Task Force' },
+      timestamp: new Date().toISOString()
+    };
+
+    const payload = {
+      username: config.username || 'Al Cabone Bureau',
+      embeds: [embed]
+    };
+
+    if (post.image || post.collage) {
+      // Rendered cards are uploaded alongside the embed; the case card is referenced as its
+      // image and an evidence board shows under it
+      const form = new FormData();
+      form.append('payload_json', JSON.stringify(payload));
+      const files = [[post.image, 'case-card.png'], [post.collage, 'evidence-board.png']].filter(([buffer]) => buffer);
+      files.forEach(([buffer, name], index) => {
+        form.append(`files[${index}]`, new Blob([buffer], { type: 'image/png' }), name);
+      });
+      await axios.post(config.webhookUrl, form, { timeout: 20000 });
+    } else {
+      await axios.post(config.webhookUrl, payload, { timeout: 10000 });
+    }
+
+    return {};
+  }
+
+  return { name: 'discord', publish };
+}
+
+module.exports = { createDiscordPublisher };
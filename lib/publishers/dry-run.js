@@ -0,0 +1,93 @@
+// ==========================================
+// FILE: lib/publishers/dry-run.js
+// ==========================================
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+const imageExtensions = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov'
+};
+
+function describeMedia(item) {
+  return `NFT ${item.kind} (${item.mimeType}, ${Math.round(item.buffer.length / 1024)} KB)`;
+}
+
+// Dry-run publisher: renders each post to stdout, or to numbered files in outDir
+// (text and thread, full post JSON, the case card or the NFT's media and any evidence board) -
+// nothing is sent anywhere
+function createDryRunPublisher(config = {}) {
+  let postCount = 0;
+
+  async function saveImage(imageUrl, baseName) {
+    try {
+      const response = await axios.get(imageUrl, { responseType: 'arraybuffer', timeout: 10000 });
+      const contentType = (response.headers['content-type'] || '').split(';')[0];
+      const imageFile = `${baseName}.${imageExtensions[contentType] || 'img'}`;
+      await fs.writeFile(path.join(config.outDir, imageFile), Buffer.from(response.data));
+      return imageFile;
+    } catch (error) {
+      console.log(`[dry-run] Could not download image (${error.message}) - URL kept in JSON`);
+      return null;
+    }
+  }
+
+  async function publish(post) {
+    postCount++;
+
+    if (!config.outDir) {
+      console.log(`\n──────── [dry-run] ${post.type}: ${post.title} ────────`);
+      console.log(post.text);
+      const nftMedia = post.media?.image && describeMedia(post.media.image);
+      console.log(`[image] ${post.image ? `case card (${Math.round(post.image.length / 1024)} KB)` : nftMedia || post.imageUrl || 'none'}`);
+      if (!post.image && post.media?.animation) console.log(`[animation] ${describeMedia(post.media.animation)}`);
+      if (post.collage) console.log(`[image] evidence board (${Math.round(post.collage.length / 1024)} KB)`);
+      for (const [index, reply] of (post.thread || []).entries()) {
+        console.log(`──── reply ${index + 1}/${post.thread.length} ────`);
+        console.log(reply);
+      }
+      console.log('────────────────────────────────────────\n');
+      return { id: `dry-run-${postCount}` };
+    }
+
+    await fs.mkdir(config.outDir, { recursive: true });
+    const baseName = `${String(postCount).padStart(3, '0')}-${post.type}`;
+    let imageFile = null;
+    if (post.image) {
+      // Rendered locally, so written even when image downloads are skipped
+      imageFile = `${baseName}.png`;
+      await fs.writeFile(path.join(config.outDir, imageFile), post.image);
+    } else if (post.media?.animation || post.media?.image) {
+      // The NFT as X would get it: its animation, else its still image
+      const item = post.media.animation || post.media.image;
+      imageFile = `${baseName}.${imageExtensions[item.mimeType] || 'img'}`;
+      await fs.writeFile(path.join(config.outDir, imageFile), item.buffer);
+    } else if (post.imageUrl && !config.skipImages) {
+      imageFile = await saveImage(post.imageUrl, baseName);
+    }
+
+    let collageFile = null;
+    if (post.collage) {
+      collageFile = `${baseName}-collage.png`;
+      await fs.writeFile(path.join(config.outDir, collageFile), post.collage);
+    }
+
+    // Thread replies go in the same .txt, after the main post
+    const replies = (post.thread || []).map((reply, index) => `\n──── reply ${index + 1}/${post.thread.length} ────\n${reply}\n`);
+    await fs.writeFile(path.join(config.outDir, `${baseName}.txt`), `${post.text}\n${replies.join('')}`);
+    await fs.writeFile(path.join(config.outDir, `${baseName}.json`),
+      JSON.stringify({ ...post, image: undefined, collage: undefined, media: undefined, imageFile, collageFile }, null, 2));
+    console.log(`[dry-run] Wrote ${baseName}.txt${imageFile ? ` + ${imageFile}` : ''}${collageFile ? ` + ${collageFile}` : ''}`);
+    return { id: `dry-run-${postCount}` };
+  }
+
+  return { name: 'dry-run', publish };
+}
+
+module.exports = { createDryRunPublisher };
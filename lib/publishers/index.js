@@ -0,0 +1,101 @@
+// ==========================================
+// FILE: lib/publishers/index.js
+// ==========================================
+const { createTwitterPublisher } = require('./twitter');
+const { createDiscordPublisher } = require('./discord');
+const { createTelegramPublisher } = require('./telegram');
+const { createWebhookPublisher } = require('./webhook');
+const { createDryRunPublisher } = require('./dry-run');
+
+/*
+Every publisher takes the same channel-agnostic post and formats it its own way:
+
+{
+  type: 'sale' | 'sweep' | 'floor' | 'summary' | 'rank' | 'wiretap' | 'digest',
+  title: 'CASE #AC-72317',
+  text: full plain-text message (X format, link included),
+  status: 'POWER VACUUM' (optional),
+  fields: [{ name: 'Suspect', value: '0x7a9b...c3d4 (UNDERBOSS - 23 Mobsters)' }, ...],
+  image: rendered case card PNG buffer (optional, preferred over imageUrl),
+  collage: sweep evidence board PNG buffer (optional, posted next to the card),
+  media: the NFT's own media, downloaded and checked against X's limits (optional, lib/media.js),
+  imageUrl: NFT image (optional, the URL its media came from when there is some),
+  url: OpenSea link,
+  thread: follow-up texts posted as replies where the channel threads (optional),
+  data: structured sale/floor/rank/wiretap/digest details for machine consumers
+}
+
+publish(post) resolves when the channel has the post (with its { id } where the channel gives
+one), or with { skipped: reason } when the channel chose not to post it (X's post budget) - that
+isn't retried. An error with a retryAt date means the channel can't take it before then; the post
+should wait for that rather than count a failure.
+*/
+
+const publisherFactories = {
+  twitter: createTwitterPublisher,
+  discord: createDiscordPublisher,
+  telegram: createTelegramPublisher,
+  webhook: createWebhookPublisher,
+  dryRun: createDryRunPublisher
+};
+
+// Build the enabled publishers from per-channel config ({ twitter: { enabled, ... }, discord: {...} })
+function createPublishers(config) {
+  const publishers = [];
+  for (const [name, channelConfig] of Object.entries(config)) {
+    if (!channelConfig || !channelConfig.enabled) continue;
+
+    const factory = publisherFactories[name];
+    if (!factory) {
+      console.error(`Unknown publisher "${name}" - skipping`);
+      continue;
+    }
+
+    try {
+      publishers.push(factory(channelConfig));
+    } catch (error) {
+      // A misconfigured channel must not take the others down with it
+      console.error(`Publisher "${name}" disabled:`, error.message);
+    }
+  }
+  return publishers;
+}
+
+// Fan a post out to every publisher. Each channel fails on its own; channels listed in
+// alreadyDelivered are skipped so retries never double-post. Returns { delivered, failed:
+// [{ channel, error, retryAt? }], skipped: [{ channel, reason }], ids: { channel: post id } }.
+async function publishPost(publishers, post, alreadyDelivered = []) {
+  const delivered = [];
+  const failed = [];
+  const skipped = [];
+  const ids = {};
+
+  for (const publisher of publishers) {
+    if (alreadyDelivered.includes(publisher.name)) continue;
+
+    try {
+      const result = await publisher.publish(post);
+      if (result?.skipped) {
+        skipped.push({ channel: publisher.name, reason: result.skipped });
+        console.log(`⏭️ [${publisher.name}] Not posting ${post.type}: ${result.skipped}`);
+        continue;
+      }
+      delivered.push(publisher.name);
+      if (result?.id) ids[publisher.name] = result.id;
+      console.log(`✅ [${publisher.name}] Posted ${post.type}: ${post.title}`);
+    } catch (error) {
+      failed.push({ channel: publisher.name, error: error.message, ...(error.retryAt && { retryAt: error.retryAt.toISOString() }) });
+      console.error(`❌ [${publisher.name}] Failed to post ${post.type}:`, error.message);
+      if (error.data) {
+        console.error(`[${publisher.name}] Error details:`, JSON.stringify(error.data, null, 2));
+      }
+    }
+  }
+
+  return { delivered, failed, skipped, ids };
+}
+
+module.exports = {
+  createPublishers,
+  publishPost
+};
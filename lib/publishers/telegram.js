@@ -0,0 +1,77 @@
+// ==========================================
+// FILE: lib/publishers/telegram.js
+// ==========================================
+const axios = require('axios');
+
+const CAPTION_LIMIT = 1024; // Telegram photo caption limit
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Telegram bot publisher: photo (or card + evidence board album) with an HTML caption, or a
+// plain message when there's no image
+function createTelegramPublisher(config) {
+  if (!config.botToken) throw new Error('bot token not set');
+  if (!config.chatId) throw new Error('chat id not set');
+
+  const apiBase = `https://api.telegram.org/bot${config.botToken}`;
+
+  function formatCaption(post) {
+    const lines = [`<b>${escapeHtml(post.title)}</b>`, ''];
+    for (const field of post.fields || []) {
+      lines.push(`<b>${escapeHtml(field.name)}:</b> ${escapeHtml(field.value)}`);
+    }
+    if (post.status) lines.push(`<b>Status:</b> ${escapeHtml(post.status)}`);
+    if (post.url) lines.push('', `<a href="${escapeHtml(post.url)}">View on OpenSea</a>`);
+    return lines.join('\n');
+  }
+
+  async function publish(post) {
+    const caption = formatCaption(post);
+    let response;
+
+    if (post.image && post.collage && caption.length <= CAPTION_LIMIT) {
+      // Case card and evidence board as one album, captioned on the first photo
+      const form = new FormData();
+      form.append('chat_id', String(config.chatId));
+      form.append('media', JSON.stringify([
+        { type: 'photo', media: 'attach://card', caption, parse_mode: 'HTML' },
+        { type: 'photo', media: 'attach://collage' }
+      ]));
+      form.append('card', new Blob([post.image], { type: 'image/png' }), 'case-card.png');
+      form.append('collage', new Blob([post.collage], { type: 'image/png' }), 'evidence-board.png');
+      response = await axios.post(`${apiBase}/sendMediaGroup`, form, { timeout: 30000 });
+    } else if (post.image && caption.length <= CAPTION_LIMIT) {
+      const form = new FormData();
+      form.append('chat_id', String(config.chatId));
+      form.append('caption', caption);
+      form.append('parse_mode', 'HTML');
+      form.append('photo', new Blob([post.image], { type: 'image/png' }), 'case-card.png');
+      response = await axios.post(`${apiBase}/sendPhoto`, form, { timeout: 20000 });
+    } else if (post.imageUrl && caption.length <= CAPTION_LIMIT) {
+      response = await axios.post(`${apiBase}/sendPhoto`, {
+        chat_id: config.chatId,
+        photo: post.imageUrl,
+        caption,
+        parse_mode: 'HTML'
+      }, { timeout: 10000 });
+    } else {
+      response = await axios.post(`${apiBase}/sendMessage`, {
+        chat_id: config.chatId,
+        text: caption,
+        parse_mode: 'HTML'
+      }, { timeout: 10000 });
+    }
+
+    if (!response.data?.ok) {
+      throw new Error(`Telegram API error: ${response.data?.description || 'unknown error'}`);
+    }
+    const result = response.data.result;
+    return { id: Array.isArray(result) ? result[0]?.message_id : result?.message_id };
+  }
+
+  return { name: 'telegram', publish };
+}
+
+module.exports = { createTelegramPublisher };
@@ -0,0 +1,222 @@
+// ==========================================
+// FILE: lib/publishers/twitter.js
+// ==========================================
+const { TwitterApi, ApiResponseError } = require('twitter-api-v2');
+const { loadUsage, recordPosts, setBlockedUntil, checkBudget } = require('../post-budget');
+const { now } = require('../clock');
+
+const RATE_LIMIT_FALLBACK_MS = 15 * 60 * 1000; // A 429 without reset headers: X's window length
+const DUPLICATE_ERROR_CODE = 187; // v1.1 "Status is a duplicate"
+const UPLOAD_CHUNK_BYTES = 1024 * 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown when X won't take the post before retryAt (rate limited, or the budget is spent for a
+// high-priority post). The queue keeps it for then without counting a failed attempt.
+class PostDeferredError extends Error {
+  constructor(message, retryAt) {
+    super(`${message} - retrying after ${retryAt.toISOString()}`);
+    this.name = 'PostDeferredError';
+    this.retryAt = retryAt;
+  }
+}
+
+// When X takes posts again, from a response's rate-limit headers: the 15-minute window, or the
+// app's or the user's 24-hour cap, whichever ran out. null while posts are left.
+function getRateLimitReset(headers = {}, rateLimit) {
+  const resets = [];
+  if (rateLimit?.remaining === 0) resets.push(rateLimit.reset);
+  if (rateLimit?.day?.remaining === 0) resets.push(rateLimit.day.reset);
+  if (headers['x-user-limit-24hour-remaining'] === '0') resets.push(Number(headers['x-user-limit-24hour-reset']));
+  const valid = resets.filter(reset => Number.isFinite(reset) && reset > 0);
+  return valid.length > 0 ? new Date(Math.max(...valid) * 1000) : null;
+}
+
+// X answers a post it has already seen with a 403 (v2) or error 187 (v1.1)
+function isDuplicateError(error) {
+  if (!(error instanceof ApiResponseError)) return false;
+  if (error.hasErrorCode(DUPLICATE_ERROR_CODE)) return true;
+  return error.code === 403 && /duplicate/i.test(`${error.data?.detail || ''} ${error.message}`);
+}
+
+// X publisher: posts the plain-text message with the case card (or the NFT's media) and any evidence
+// board attached, then the thread replies under it - as far as X's rate limits and the post
+// budget (lib/post-budget.js) allow
+function createTwitterPublisher(config) {
+  const envPrefix = config.credentialsEnv || 'TWITTER';
+  const credentials = config.credentials || {};
+  const envNames = {
+    appKey: `${envPrefix}_API_KEY`,
+    appSecret: `${envPrefix}_API_SECRET`,
+    accessToken: `${envPrefix}_ACCESS_TOKEN`,
+    accessSecret: `${envPrefix}_ACCESS_SECRET`
+  };
+  const missing = Object.keys(envNames).filter(key => !credentials[key]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.map(key => envNames[key]).join(', ')} not set`);
+  }
+
+  const maxWaitMs = (config.maxWaitSeconds ?? 900) * 1000;
+  // Usage is counted per account, so collections sharing credentials share the budget
+  const account = envPrefix;
+  // Set from the headers of the last post sent, saved once the post is done
+  let rateLimitReset = null;
+
+  const client = new TwitterApi(credentials, {
+    plugins: [{
+      onAfterRequest({ url, params, response }) {
+        if (params.method.toUpperCase() === 'POST' && url.pathname.endsWith('/2/tweets')) {
+          rateLimitReset = getRateLimitReset(response.headers, response.rateLimit);
+        }
+      }
+    }]
+  });
+
+  // Sit out a rate limit that lifts within maxWaitSeconds; defer the post past a longer one. With
+  // a stop signal (config.stop, see lib/daemon.js) a stop request cuts the wait short and defers
+  // the post too, so shutting down never waits on X.
+  async function waitForReset(until, reason) {
+    const waitMs = until.getTime() - now().getTime();
+    if (waitMs <= 0) return;
+    if (waitMs > maxWaitMs || config.stop?.isStopped()) throw new PostDeferredError(reason, until);
+    console.log(`⏳ ${reason} - waiting ${Math.ceil(waitMs / 1000)}s for it to reset`);
+    if (!config.stop) {
+      await sleep(waitMs + 1000);
+      return;
+    }
+    await config.stop.wait(waitMs + 1000);
+    if (config.stop.isStopped()) throw new PostDeferredError(`${reason}, stopping`, until);
+  }
+
+  // Remember a 429's reset for later runs. Returns when X takes posts again.
+  async function blockUntilReset(error) {
+    const until = getRateLimitReset(error.headers, error.rateLimit) ||
+      new Date(now().getTime() + RATE_LIMIT_FALLBACK_MS);
+    await setBlockedUntil(account, until);
+    return until;
+  }
+
+  function isRateLimitError(error) {
+    return error instanceof ApiResponseError && error.code === 429;
+  }
+
+  // Send a post or reply. A 429 is remembered for later runs, waited out if it's short and
+  // retried once; a second 429 defers the post past its reset.
+  async function send(request) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isRateLimitError(error)) throw error;
+      await waitForReset(await blockUntilReset(error), 'X rate limit hit (429)');
+    }
+    try {
+      return await request();
+    } catch (error) {
+      if (!isRateLimitError(error)) throw error;
+      throw new PostDeferredError('X rate limit hit again after waiting (429)', await blockUntilReset(error));
+    }
+  }
+
+  // Upload the NFT itself: its animation if it has one (uploaded in chunks, videos waited on
+  // until X has processed them), else or if that fails its still image. Null if neither goes up.
+  async function uploadNFTMedia(media) {
+    for (const item of [media.animation, media.image].filter(Boolean)) {
+      try {
+        const mediaId = await client.v1.uploadMedia(item.buffer, { mimeType: item.mimeType, target: 'tweet', chunkLength: UPLOAD_CHUNK_BYTES });
+        console.log(item.kind === 'image' ? '📸 Added NFT image' : `🎞️ Added NFT animation (${item.kind})`);
+        return mediaId;
+      } catch (uploadError) {
+        console.log(`Could not upload NFT ${item.kind === 'image' ? 'image' : 'animation'} (${uploadError.message})`);
+      }
+    }
+    console.log('Continuing without image...');
+    return null;
+  }
+
+  async function publish(post) {
+    const usage = await loadUsage(account);
+    if (usage.blockedUntil) await waitForReset(new Date(usage.blockedUntil), 'X rate limit reached');
+
+    const budget = config.budget
+      ? checkBudget(usage, config.budget, post)
+      : { action: 'post', replies: (post.thread || []).length };
+    if (budget.action === 'drop') return { skipped: budget.reason };
+    if (budget.action === 'wait') throw new PostDeferredError(budget.reason, budget.until);
+
+    const mediaIds = [];
+
+    if (post.image) {
+      try {
+        mediaIds.push(await client.v1.uploadMedia(post.image, { mimeType: 'image/png' }));
+        console.log('📸 Added case card');
+      } catch (imageError) {
+        console.log('Continuing without case card (upload failed)...');
+      }
+    } else if (post.media) {
+      const mediaId = await uploadNFTMedia(post.media);
+      if (mediaId) mediaIds.push(mediaId);
+    }
+
+    if (post.collage) {
+      try {
+        mediaIds.push(await client.v1.uploadMedia(post.collage, { mimeType: 'image/png' }));
+        console.log('📸 Added evidence board');
+      } catch (imageError) {
+        console.log('Continuing without evidence board (upload failed)...');
+      }
+    }
+
+    let id;
+    try {
+      const result = await send(() => client.v2.tweet({
+        text: post.text,
+        media: mediaIds.length > 0 ? { media_ids: mediaIds } : undefined
+      }));
+      id = result.data?.id;
+    } catch (tweetError) {
+      // Already on X from an earlier try whose answer got lost - nothing left to do
+      if (isDuplicateError(tweetError)) {
+        console.log('🔁 X says this post is a duplicate - treating it as posted');
+        return { id: null, duplicate: true };
+      }
+      if (mediaIds.length === 0 || tweetError instanceof PostDeferredError || tweetError.code === 429) throw tweetError;
+
+      // Try posting without media as fallback
+      console.error('Twitter posting error:', tweetError.message);
+      if (tweetError.data) {
+        console.error('Twitter API error details:', JSON.stringify(tweetError.data, null, 2));
+      }
+      console.log('Retrying without image...');
+      const result = await send(() => client.v2.tweet({ text: post.text }));
+      id = result.data?.id;
+    }
+
+    // Replies are extras: once the main post is out, a failed reply is logged, not retried
+    // (retrying would post the main one again). Those past the budget are left off.
+    const thread = (post.thread || []).slice(0, budget.replies);
+    if (thread.length < (post.thread || []).length) {
+      console.log(`✂️ Posting ${thread.length} of ${post.thread.length} thread replies to stay within the X budget`);
+    }
+    let replyTo = id;
+    let posted = 1;
+    for (const [index, reply] of thread.entries()) {
+      if (!replyTo) break;
+      try {
+        const result = await send(() => client.v2.reply(reply, replyTo));
+        replyTo = result.data?.id;
+        posted++;
+      } catch (replyError) {
+        console.error(`Thread reply ${index + 1}/${thread.length} failed:`, replyError.message);
+        break;
+      }
+    }
+
+    await recordPosts(account, posted);
+    await setBlockedUntil(account, rateLimitReset);
+    return { id };
+  }
+
+  return { name: 'twitter', client, publish };
+}
+
+module.exports = { PostDeferredError, createTwitterPublisher };
@@ -0,0 +1,35 @@
+// ==========================================
+// FILE: lib/publishers/webhook.js
+// ==========================================
+const axios = require('axios');
+
+// Generic JSON webhook publisher: sends the post as-is for downstream tools
+function createWebhookPublisher(config) {
+  if (!config.url) throw new Error('webhook URL not set');
+
+  async function publish(post) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.secret) {
+      headers['X-Webhook-Secret'] = config.secret;
+    }
+
+    await axios.post(config.url, {
+      type: post.type,
+      title: post.title,
+      text: post.text,
+      status: post.status || null,
+      fields: post.fields || [],
+      imageUrl: post.imageUrl || null,
+      url: post.url || null,
+      thread: post.thread || [],
+      data: post.data || {},
+      sentAt: new Date().toISOString()
+    }, { headers, timeout: 10000 });
+
+    return {};
+  }
+
+  return { name: 'webhook', publish };
+}
+
+module.exports = { createWebhookPublisher };
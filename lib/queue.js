@@ -0,0 +1,117 @@
+// ==========================================
+// FILE: lib/queue.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now, nowSeconds } = require('./clock');
+
+// Outbound post queue: sale groups (sweeps or singles), rank announcements (kind: 'rank') and
+// wiretap groups (kind: 'wiretap') waiting for a tweet slot. Groups only hold ledger keys - the
+// events themselves live in the ledger.
+const QUEUE_FILE = 'post-queue.json';
+
+// Which kinds of group go first, whatever the priority rules say (groups without a kind are sales)
+const KIND_ORDER = { sale: 0, rank: 1, wiretap: 2 };
+
+// Comparators for each priority rule (negative = a goes first)
+const priorityRules = {
+  sweep: (a, b) => Number(b.isSweep) - Number(a.isSweep),
+  value: (a, b) => b.totalValue - a.totalValue,
+  tier: (a, b) => b.buyerTierRank - a.buyerTierRank
+};
+
+// Load a collection's queue from its state dir (empty queue if missing or unreadable)
+async function loadQueue(stateDir) {
+  try {
+    const queue = await readStateFile(path.join(stateDir, QUEUE_FILE));
+    return { groups: queue?.groups || [] };
+  } catch (error) {
+    console.error('Error reading post queue, starting fresh:', error.message);
+    return { groups: [] };
+  }
+}
+
+// Save a collection's queue to its state dir
+async function saveQueue(stateDir, queue) {
+  try {
+    await writeStateFile(path.join(stateDir, QUEUE_FILE), queue);
+  } catch (error) {
+    console.error('Error saving post queue:', error.message);
+  }
+}
+
+// Set of every sale key currently sitting in the queue
+function getQueuedSaleKeys(queue) {
+  return new Set(queue.groups.flatMap(group => group.saleKeys));
+}
+
+// Add a group to the queue (no-op if a group with the same id is already queued)
+function enqueueGroup(queue, group) {
+  if (queue.groups.some(existing => existing.id === group.id)) return;
+  queue.groups.push({ ...group, enqueuedAt: now().toISOString() });
+}
+
+function removeGroup(queue, groupId) {
+  queue.groups = queue.groups.filter(group => group.id !== groupId);
+}
+
+// Drop sale keys that no longer need posting, and groups left with none
+function reconcileQueue(queue, needsPosting) {
+  for (const group of queue.groups) {
+    group.saleKeys = group.saleKeys.filter(needsPosting);
+  }
+  queue.groups = queue.groups.filter(group => group.saleKeys.length > 0);
+}
+
+function getGroupKind(group) {
+  return group.kind || 'sale';
+}
+
+// Remove and return groups of one kind ('sale', 'rank' or 'wiretap') whose event is older than maxAgeHours
+function takeStaleGroups(queue, maxAgeHours, kind = 'sale') {
+  const cutoff = nowSeconds() - maxAgeHours * 60 * 60;
+  const isStale = group => getGroupKind(group) === kind && group.eventTimestamp < cutoff;
+  const stale = queue.groups.filter(isStale);
+  queue.groups = queue.groups.filter(group => !isStale(group));
+  return stale;
+}
+
+// Groups a channel deferred (X rate limits or post budget) sit out until their retryAt
+function isDue(group) {
+  return !group.retryAt || new Date(group.retryAt) <= now();
+}
+
+// Highest priority groups first: sales, then rank announcements, then wiretap groups; within a
+// kind the rules are applied in order, oldest event breaks ties. Deferred groups aren't due yet.
+// A limit of 0 or less gets nothing.
+function getNextGroups(queue, priority, limit) {
+  if (limit <= 0) return [];
+  const rules = priority.map(name => {
+    if (!priorityRules[name]) throw new Error(`Unknown queue priority rule: ${name}`);
+    return priorityRules[name];
+  });
+
+  return queue.groups
+    .filter(isDue)
+    .sort((a, b) => {
+      const kindOrder = KIND_ORDER[getGroupKind(a)] - KIND_ORDER[getGroupKind(b)];
+      if (kindOrder !== 0) return kindOrder;
+      for (const rule of rules) {
+        const result = rule(a, b);
+        if (result !== 0) return result;
+      }
+      return a.eventTimestamp - b.eventTimestamp;
+    })
+    .slice(0, limit);
+}
+
+module.exports = {
+  loadQueue,
+  saveQueue,
+  getQueuedSaleKeys,
+  enqueueGroup,
+  removeGroup,
+  reconcileQueue,
+  takeStaleGroups,
+  getNextGroups
+};
@@ -0,0 +1,90 @@
+// ==========================================
+// FILE: lib/ranks.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+Last-known tier per wallet, kept in ranks.json next to the ledger:
+
+{ wallets: { '0x7a9b...': { tier: 'soldier', count: 7, updatedAt } } }
+
+When a sale moves a wallet onto another rung, the change becomes an announcement event that is
+stored in the sales ledger and queued like a sale:
+
+{
+  event_type: 'rank',
+  kind: 'promotion' | 'demotion' | 'exit',   (exit: sold out of the family entirely)
+  wallet, fromTier, toTier, rungs: 2, countBefore, countAfter,
+  transaction, nft: { identifier, name, ... } (the NFT that did it), event_timestamp
+}
+*/
+const RANKS_FILE = 'ranks.json';
+
+// Load a collection's wallet ranks from its state dir (empty if missing or unreadable)
+async function loadRanks(stateDir) {
+  try {
+    const ranks = await readStateFile(path.join(stateDir, RANKS_FILE));
+    return { wallets: ranks?.wallets || {} };
+  } catch (error) {
+    console.error('Error reading wallet ranks, starting fresh:', error.message);
+    return { wallets: {} };
+  }
+}
+
+async function saveRanks(stateDir, ranks) {
+  try {
+    await writeStateFile(path.join(stateDir, RANKS_FILE), ranks);
+  } catch (error) {
+    console.error('Error saving wallet ranks:', error.message);
+  }
+}
+
+// A wallet's last-known tier (null if it was never seen)
+function getLastRank(ranks, wallet) {
+  return ranks.wallets[wallet.toLowerCase()] || null;
+}
+
+// Remember a wallet's tier; wallets that sold out are forgotten
+function setRank(ranks, wallet, tier, count) {
+  const address = wallet.toLowerCase();
+  if (count === 0) {
+    delete ranks.wallets[address];
+  } else {
+    ranks.wallets[address] = { tier, count, updatedAt: now().toISOString() };
+  }
+}
+
+/*
+Announcement event for a wallet moving from one rung to another:
+change: { wallet, fromTier, toTier, fromRank, toRank, countBefore, countAfter, sale }
+where sale is the (last) sale that moved it. Null when the rung didn't change.
+*/
+function toRankEvent(change) {
+  if (change.fromRank === change.toRank) return null;
+  let kind = change.toRank > change.fromRank ? 'promotion' : 'demotion';
+  if (change.countAfter === 0) kind = 'exit';
+
+  return {
+    event_type: 'rank',
+    kind,
+    wallet: change.wallet,
+    fromTier: change.fromTier,
+    toTier: change.toTier,
+    rungs: Math.abs(change.toRank - change.fromRank),
+    countBefore: change.countBefore,
+    countAfter: change.countAfter,
+    transaction: change.sale.transaction,
+    nft: change.sale.nft || null,
+    event_timestamp: change.sale.event_timestamp
+  };
+}
+
+module.exports = {
+  loadRanks,
+  saveRanks,
+  getLastRank,
+  setRank,
+  toRankEvent
+};
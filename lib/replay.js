@@ -0,0 +1,291 @@
+// ==========================================
+// FILE: lib/replay.js
+// ==========================================
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { configureStateFiles } = require('./state-files');
+const { setNow } = require('./clock');
+
+/*
+Recorded OpenSea responses, laid out like the API paths they came from:
+
+fixtures/
+  replay.json                                  optional { "now", "lastCheck", "fiatRates": { "ETH": 3200 } } to pin the clock, check cursor and fiat rates
+  state/<collection-id>/                       optional starting state per collection (last-check.json, ...)
+  events/collection/<slug>/<type>/page-1.json  first page of events per event type (sale, transfer, ...), page-2.json, ...
+  account/<wallet>/nfts.json                   holdings per wallet (account/default/nfts.json as fallback)
+  listings/collection/<slug>/best.json         cheapest listings (floor)
+  contract/<contract>/nfts/<tokenId>.json      single NFT lookups (with traits)
+  events/contract/<contract>/nfts/<tokenId>/sale/page-1.json   one NFT's sale history
+  rpc/chain.json                               JSON-RPC chain data for on-chain sales (see createRpcReplaySource)
+*/
+
+// Map an OpenSea API v2 path to its fixture file (without page suffix)
+function getFixtureBase(apiPath) {
+  return apiPath
+    .replace(/(^|\/)chain\/ethereum\//, '$1')
+    .split('/')
+    .map(part => part.toLowerCase())
+    .join('/');
+}
+
+function isEventsPath(apiPath) {
+  return apiPath.startsWith('events/');
+}
+
+// Event pages live in a folder per event type (sale when the request doesn't say)
+function getEventsBase(apiPath, params) {
+  const eventType = String(params.event_type || 'sale').toLowerCase();
+  return `${getFixtureBase(apiPath)}/${eventType}`;
+}
+
+// Serve OpenSea responses from a fixtures directory instead of the network
+function createReplaySource(fixturesDir) {
+  async function readFixture(relativePath) {
+    try {
+      const data = await fs.readFile(path.join(fixturesDir, relativePath), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function get(apiPath, params = {}) {
+    // Event pages are numbered; rewrite `next` so cursors walk page-1, page-2, ...
+    if (isEventsPath(apiPath)) {
+      const base = getEventsBase(apiPath, params);
+      const page = params.next ? Number(String(params.next).replace('page-', '')) : 1;
+      const data = await readFixture(`${base}/page-${page}.json`);
+      if (!data) {
+        if (page === 1) return { asset_events: [], next: null };
+        throw notFound(apiPath);
+      }
+      const hasNextPage = await readFixture(`${base}/page-${page + 1}.json`);
+      return { ...data, next: hasNextPage ? `page-${page + 1}` : null };
+    }
+
+    const base = getFixtureBase(apiPath);
+    const data = await readFixture(`${base}.json`);
+    if (data) return data;
+
+    // Wallets without their own fixture fall back to account/default/nfts.json
+    if (base.startsWith('account/')) {
+      const fallback = await readFixture(base.replace(/^account\/[^/]+/, 'account/default') + '.json');
+      return fallback || { nfts: [] };
+    }
+
+    throw notFound(apiPath);
+  }
+
+  return { get };
+}
+
+function notFound(apiPath) {
+  const error = new Error(`No replay fixture for ${apiPath}`);
+  error.status = 404;
+  return error;
+}
+
+// Save live OpenSea responses in the replay layout (for building fixture sets)
+function createRecorder(fixturesDir) {
+  const eventPages = {};
+
+  async function record(apiPath, params, data) {
+    let relativePath = `${getFixtureBase(apiPath)}.json`;
+
+    if (isEventsPath(apiPath)) {
+      const base = getEventsBase(apiPath, params);
+      eventPages[base] = params.next ? (eventPages[base] || 1) + 1 : 1;
+      relativePath = `${base}/page-${eventPages[base]}.json`;
+    }
+
+    try {
+      const filePath = path.join(fixturesDir, relativePath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error(`Error recording fixture ${relativePath}:`, error.message);
+    }
+  }
+
+  return { record };
+}
+
+/*
+Chain data for the on-chain sale source and ENS lookups. Logs are answered from the receipts, so
+every transaction the scan needs is one entry:
+
+{
+  "blockNumber": 24650000,                                   chain head
+  "blocks": { "24649998": { "hash": "0x...", "timestamp": 1773612000 } },
+  "receipts": { "0x<tx>": { "transactionHash", "blockNumber", "logs": [...] } },
+  "calls": { "<to>:<data>": "0x..." }                         eth_call results (missing ones return "0x")
+}
+*/
+const CHAIN_FIXTURE = path.join('rpc', 'chain.json');
+
+function emptyChain() {
+  return { blockNumber: 0, blocks: {}, receipts: {}, calls: {} };
+}
+
+function getCallKey({ to, data }) {
+  return `${to}:${data}`.toLowerCase();
+}
+
+function toHex(number) {
+  return `0x${Number(number).toString(16)}`;
+}
+
+// Does a log match an eth_getLogs filter (address, topic0 list, block range)?
+function matchesFilter(log, filter) {
+  const block = Number(BigInt(log.blockNumber));
+  if (filter.fromBlock && block < Number(BigInt(filter.fromBlock))) return false;
+  if (filter.toBlock && block > Number(BigInt(filter.toBlock))) return false;
+  if (filter.address && log.address.toLowerCase() !== filter.address.toLowerCase()) return false;
+  const topic0 = filter.topics?.[0];
+  if (topic0 && ![].concat(topic0).includes(log.topics[0])) return false;
+  return true;
+}
+
+// Serve JSON-RPC calls from rpc/chain.json instead of a node
+function createRpcReplaySource(fixturesDir) {
+  let chain = null;
+
+  async function loadChain() {
+    if (!chain) {
+      try {
+        chain = JSON.parse(await fs.readFile(path.join(fixturesDir, CHAIN_FIXTURE), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        chain = emptyChain();
+      }
+    }
+    return chain;
+  }
+
+  async function call(method, params = []) {
+    const { blockNumber, blocks, receipts, calls = {} } = await loadChain();
+    switch (method) {
+      case 'eth_blockNumber':
+        return toHex(blockNumber);
+      case 'eth_getBlockByNumber': {
+        const block = blocks[Number(BigInt(params[0]))];
+        return block ? { number: params[0], hash: block.hash, timestamp: toHex(block.timestamp) } : null;
+      }
+      case 'eth_getTransactionReceipt':
+        return receipts[params[0].toLowerCase()] || null;
+      case 'eth_getLogs':
+        return Object.values(receipts).flatMap(receipt => receipt.logs).filter(log => matchesFilter(log, params[0]));
+      case 'eth_call':
+        return calls[getCallKey(params[0])] || '0x';
+      default:
+        throw new Error(`No replay support for ${method}`);
+    }
+  }
+
+  return { call };
+}
+
+// Wrap a live JSON-RPC client so the blocks, receipts and call results it returns are saved as rpc/chain.json
+function createRpcRecorder(fixturesDir, client) {
+  const filePath = path.join(fixturesDir, CHAIN_FIXTURE);
+  let chain = null;
+
+  async function save() {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(chain, null, 2));
+    } catch (error) {
+      console.error(`Error recording fixture ${CHAIN_FIXTURE}:`, error.message);
+    }
+  }
+
+  async function call(method, params = []) {
+    const result = await client.call(method, params);
+    if (!chain) {
+      try {
+        chain = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        chain = emptyChain();
+      }
+    }
+
+    if (method === 'eth_blockNumber') {
+      chain.blockNumber = Number(BigInt(result));
+    } else if (method === 'eth_getBlockByNumber' && result) {
+      chain.blocks[Number(BigInt(params[0]))] = { hash: result.hash, timestamp: Number(BigInt(result.timestamp)) };
+    } else if (method === 'eth_getTransactionReceipt' && result) {
+      const { transactionHash, blockNumber, logs } = result;
+      chain.receipts[transactionHash.toLowerCase()] = { transactionHash, blockNumber, logs };
+    } else if (method === 'eth_getLogs') {
+      // Transactions whose receipt is never fetched (mints, burns) keep just their matched logs
+      for (const log of result) {
+        const hash = log.transactionHash.toLowerCase();
+        const receipt = chain.receipts[hash] || (chain.receipts[hash] = { transactionHash: log.transactionHash, blockNumber: log.blockNumber, logs: [] });
+        if (!receipt.logs.some(logged => logged.logIndex === log.logIndex)) receipt.logs.push(log);
+      }
+    } else if (method === 'eth_call') {
+      chain.calls = { ...chain.calls, [getCallKey(params[0])]: result };
+    } else {
+      return result;
+    }
+    await save();
+    return result;
+  }
+
+  return { call };
+}
+
+// Read optional replay settings (replay.json) from a fixtures directory
+async function loadReplaySettings(fixturesDir) {
+  try {
+    const data = await fs.readFile(path.join(fixturesDir, 'replay.json'), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+// Set up an offline replay: pin the clock, run against scratch state seeded from
+// fixtures/state (so the real state files are never touched) and serve OpenSea from fixtures.
+// stateDirs are the collections' state directories, relative to the state base.
+async function prepareReplay(fixturesDir, stateDirs) {
+  const settings = await loadReplaySettings(fixturesDir);
+  if (settings.now) setNow(settings.now);
+
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'al-cabone-replay-'));
+  try {
+    await fs.cp(path.join(fixturesDir, 'state'), path.join(stateDir, 'state'), { recursive: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Without a recorded cursor every fixture event counts as new
+  for (const collectionStateDir of stateDirs) {
+    const lastCheckFile = path.join(stateDir, collectionStateDir, 'last-check.json');
+    try {
+      await fs.access(lastCheckFile);
+    } catch (error) {
+      await fs.mkdir(path.dirname(lastCheckFile), { recursive: true });
+      await fs.writeFile(lastCheckFile, JSON.stringify({
+        lastCheck: settings.lastCheck || new Date(0).toISOString()
+      }, null, 2));
+    }
+  }
+
+  configureStateFiles({ dir: stateDir });
+  console.log(`⏪ Replaying fixtures from ${fixturesDir} (scratch state in ${stateDir})`);
+  return createReplaySource(fixturesDir);
+}
+
+module.exports = {
+  createReplaySource,
+  createRecorder,
+  createRpcReplaySource,
+  createRpcRecorder,
+  loadReplaySettings,
+  prepareReplay
+};
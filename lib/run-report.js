@@ -0,0 +1,180 @@
+// ==========================================
+// FILE: lib/run-report.js
+// ==========================================
+const path = require('path');
+const { writeStateFile, updateStateFile } = require('./state-files');
+const { SALE_STATUS } = require('./ledger');
+const { createRunId, setLogContext } = require('./logger');
+const { now } = require('./clock');
+
+/*
+What a run did. Each run (each poll in daemon mode) fills a report as it goes and saves it to
+state/last-run.json when it ends:
+
+{
+  runId, startedAt, finishedAt,
+  status: 'ok' | 'failed',          failed if any collection failed
+  api: { calls, retries, failures },   OpenSea and JSON-RPC calls (apiCallWithRetry), summed over collections
+  collections: {
+    '<collection id>': {
+      status: 'ok' | 'failed',
+      errors: ['Sales fetch failed: Request failed with status code 401', ...],
+      api: { calls, retries, failures },
+      sales: { seen, posted, skipped, failed, pending },   seen: new this run; the rest: sales
+                                                            the run left in that status
+      reasons: { skipped: { '<reason>': count }, failed: { ... } },
+      posts: { delivered, skipped, failed, deferred }      every post sent (sales, floor, digests, ...)
+    }
+  }
+}
+
+A collection fails when an error stops its pass, its sales can't be fetched, a channel it posts to
+can't be set up, or it tried to post and nothing went out. state/run-health.json follows the
+reports across runs, for alerts (lib/alerts.js):
+
+{
+  firstRunAt, lastRunAt, lastSuccessAt, lastPostAt,   lastPostAt: when a post last went out
+  consecutiveFailures,
+  runs: [{ runId, startedAt, status, sales, posts, errors }],   newest last, RUNS_KEPT kept
+  alerts: { failing: { since, sentAt } | null, silent: { ... } | null }
+}
+*/
+const LAST_RUN_FILE = path.join('state', 'last-run.json');
+const HEALTH_FILE = path.join('state', 'run-health.json');
+const RUNS_KEPT = 100;
+
+function emptyCounts() {
+  return { calls: 0, retries: 0, failures: 0 };
+}
+
+// Start a run's report. Its run ID goes on every log line until the next one starts.
+function createRunReport() {
+  const runId = createRunId();
+  const startedAt = now().toISOString();
+  const collections = {};
+  const ledgers = new Map();
+  let current = null;
+  setLogContext({ runId, collection: null });
+
+  // Later calls count towards this collection
+  function startCollection(collection) {
+    current = {
+      status: 'ok',
+      errors: [],
+      api: emptyCounts(),
+      sales: { seen: 0, posted: 0, skipped: 0, failed: 0, pending: 0 },
+      reasons: { skipped: {}, failed: {} },
+      posts: { delivered: 0, skipped: 0, failed: 0, deferred: 0 }
+    };
+    collections[collection.id] = current;
+    setLogContext({ collection: collection.id });
+  }
+
+  function endCollection() {
+    current = null;
+    setLogContext({ collection: null });
+  }
+
+  function recordError(message) {
+    current?.errors.push(message);
+  }
+
+  // One apiCallWithRetry call: how many attempts it took, and whether it gave up
+  function recordApiCall(attempts, failed = false) {
+    if (!current) return;
+    current.api.calls++;
+    current.api.retries += attempts - 1;
+    if (failed) current.api.failures++;
+  }
+
+  // A publishPost outcome: delivered if any channel took it, deferred if every failure waits for a retryAt
+  function recordPost({ delivered, failed, skipped = [] }) {
+    if (!current) return;
+    if (delivered.length > 0) current.posts.delivered++;
+    else if (failed.length > 0 && failed.every(failure => failure.retryAt)) current.posts.deferred++;
+    else if (failed.length > 0) current.posts.failed++;
+    else if (skipped.length > 0) current.posts.skipped++;
+  }
+
+  // The collection's ledger, read when the run finishes for what happened to its sales
+  function trackLedger(ledger) {
+    if (current) ledgers.set(current, ledger);
+  }
+
+  // Count the sales a ledger saw or settled since the run started
+  function countSales(entry, ledger) {
+    for (const sale of Object.values(ledger.sales)) {
+      if ((sale.kind || 'sale') !== 'sale') continue;
+      if (sale.firstSeen >= startedAt) entry.sales.seen++;
+      if (sale.updatedAt < startedAt) continue;
+      entry.sales[sale.status]++;
+      if ((sale.status === SALE_STATUS.skipped || sale.status === SALE_STATUS.failed) && sale.reason) {
+        entry.reasons[sale.status][sale.reason] = (entry.reasons[sale.status][sale.reason] || 0) + 1;
+      }
+    }
+  }
+
+  // Close the report: count sales, settle each collection's status. Returns the report.
+  function finish() {
+    const api = emptyCounts();
+    for (const entry of Object.values(collections)) {
+      const ledger = ledgers.get(entry);
+      if (ledger) countSales(entry, ledger);
+      if (entry.posts.failed > 0 && entry.posts.delivered === 0) {
+        entry.errors.push(`${entry.posts.failed} post(s) failed on every channel and none went out`);
+      }
+      if (entry.errors.length > 0) entry.status = 'failed';
+      Object.keys(api).forEach(key => { api[key] += entry.api[key]; });
+    }
+    const failed = Object.values(collections).some(entry => entry.status === 'failed');
+    return { runId, startedAt, finishedAt: now().toISOString(), status: failed ? 'failed' : 'ok', api, collections };
+  }
+
+  return { runId, startCollection, endCollection, recordError, recordApiCall, recordPost, trackLedger, finish };
+}
+
+// Totals over a report's collections: { sales, posts, errors }
+function summarizeReport(report) {
+  const entries = Object.values(report.collections);
+  const sum = key => entries.reduce((totals, entry) => {
+    Object.entries(entry[key]).forEach(([field, count]) => { totals[field] = (totals[field] || 0) + count; });
+    return totals;
+  }, {});
+  return {
+    sales: sum('sales'),
+    posts: sum('posts'),
+    errors: entries.flatMap(entry => entry.errors)
+  };
+}
+
+// Save a finished report as the last run and add it to the run health. Returns the health.
+async function saveRunReport(report) {
+  await writeStateFile(LAST_RUN_FILE, report);
+  const { sales, posts, errors } = summarizeReport(report);
+  return updateRunHealth(health => {
+    const ok = report.status === 'ok';
+    health.firstRunAt = health.firstRunAt || report.startedAt;
+    health.lastRunAt = report.finishedAt;
+    if (ok) health.lastSuccessAt = report.finishedAt;
+    if (posts.delivered > 0) health.lastPostAt = report.finishedAt;
+    health.consecutiveFailures = ok ? 0 : (health.consecutiveFailures || 0) + 1;
+    health.runs = [...(health.runs || []), { runId: report.runId, startedAt: report.startedAt, status: report.status, sales, posts, errors }]
+      .slice(-RUNS_KEPT);
+  });
+}
+
+// Change the run health on disk. Returns it after.
+async function updateRunHealth(update) {
+  return updateStateFile(HEALTH_FILE, data => {
+    const health = { consecutiveFailures: 0, runs: [], alerts: {}, ...data };
+    update(health);
+    return health;
+  });
+}
+
+module.exports = {
+  createRunReport,
+  summarizeReport,
+  saveRunReport,
+  updateRunHealth
+};
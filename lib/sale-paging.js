@@ -0,0 +1,66 @@
+// ==========================================
+// FILE: lib/sale-paging.js
+// ==========================================
+const { hasSale } = require('./ledger');
+
+/*
+Paging back through OpenSea sale events. OpenSea returns them newest first, 50 a page, with a
+`next` cursor to the page after; fetchPage(cursor) fetches one (cursor null for the newest):
+
+{ events: [...], next: 'cursor' | null }
+*/
+const MAX_EVENT_PAGES = 20; // Safety cap on pages fetched per run (50 events each)
+
+// Page back through sale events from `cursor` (newest when null), collecting unseen ones into
+// newEvents, until the lookback boundary - or, with stopAtSeen, the first sale already in the
+// ledger. Returns { pages, cursor }: cursor is where paging stopped at maxPages short of that,
+// null when it got there.
+async function pageSales(fetchPage, ledger, boundaryTimestamp, cursor, stopAtSeen, newEvents, maxPages = MAX_EVENT_PAGES) {
+  let pages = 0;
+  let reached = false;
+
+  do {
+    const page = await fetchPage(cursor);
+    pages++;
+
+    for (const event of page.events) {
+      if (event.event_timestamp <= boundaryTimestamp) {
+        reached = true;
+        continue;
+      }
+      if (hasSale(ledger, event)) {
+        if (stopAtSeen) reached = true;
+        continue;
+      }
+      newEvents.push(event);
+    }
+
+    cursor = page.next;
+  } while (cursor && !reached && pages < maxPages);
+
+  return { pages, cursor: reached ? null : cursor };
+}
+
+// Sale events not in the ledger yet, newest first: from the newest down to the sales already
+// seen (or the boundary on a fresh ledger), then the rest of a gap an earlier run left at
+// resumeCursor. Sales that run recorded sit above the gap, so only the boundary ends it. (If new
+// sales opened another gap, resuming from that one walks through the older gap too.)
+// Returns { events, pages, cursor }: cursor is where to resume next run, null when caught up.
+async function collectNewSales(fetchPage, ledger, boundaryTimestamp, resumeCursor = null, maxPages = MAX_EVENT_PAGES) {
+  const events = [];
+  let { pages, cursor } = await pageSales(fetchPage, ledger, boundaryTimestamp, null, true, events, maxPages);
+
+  if (resumeCursor && !cursor) {
+    const resumed = await pageSales(fetchPage, ledger, boundaryTimestamp, resumeCursor, false, events, maxPages);
+    pages += resumed.pages;
+    cursor = resumed.cursor;
+  }
+
+  return { events, pages, cursor };
+}
+
+module.exports = {
+  MAX_EVENT_PAGES,
+  pageSales,
+  collectNewSales
+};
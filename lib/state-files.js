@@ -0,0 +1,189 @@
+// ==========================================
+// FILE: lib/state-files.js
+// ==========================================
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Base directory for the bot's JSON state. Each collection keeps its files
+// (last-check.json, sales-ledger.json, ...) in its own stateDir under here.
+// Replay mode points this at a scratch directory; dry runs make it read-only.
+let stateDir = '.';
+let readOnly = false;
+
+function configureStateFiles(options = {}) {
+  if (options.dir !== undefined) stateDir = options.dir;
+  if (options.readOnly !== undefined) readOnly = options.readOnly;
+}
+
+function getStatePath(fileName) {
+  return path.join(stateDir, fileName);
+}
+
+// Read and parse a state file (null if it doesn't exist yet)
+async function readStateFile(fileName) {
+  try {
+    const data = await fs.readFile(getStatePath(fileName), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Raw bytes of a file under the state dir (null if it doesn't exist)
+async function readStateBuffer(fileName) {
+  try {
+    return await fs.readFile(getStatePath(fileName));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write a state file via temp file + rename so a crash never leaves half a file
+async function writeStateFile(fileName, data) {
+  await writeStateText(fileName, JSON.stringify(data, null, 2));
+}
+
+// Same for plain text (reports exported next to the state) or bytes (cached media). The temp file is flushed to disk
+// before the rename, so a power cut leaves either the old file or the new one.
+async function writeStateText(fileName, text) {
+  if (readOnly) return;
+
+  const filePath = getStatePath(fileName);
+  const tmpFile = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(text);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tmpFile, filePath);
+}
+
+// Read-modify-write of one state file. Updates to the same file run one at a time, so two
+// parts of a run (or two jobs in daemon mode) can't overwrite each other's fields.
+// update(data) gets the current contents ({} if missing or unreadable) and returns the new ones.
+const pendingUpdates = new Map();
+function updateStateFile(fileName, update) {
+  const previous = pendingUpdates.get(fileName) || Promise.resolve();
+  const next = previous.then(async () => {
+    let data = {};
+    try {
+      data = (await readStateFile(fileName)) || {};
+    } catch (error) {
+      // Unreadable file, start fresh
+    }
+    const updated = update(data);
+    await writeStateFile(fileName, updated);
+    return updated;
+  });
+  // A failed update doesn't block the ones queued behind it
+  pendingUpdates.set(fileName, next.catch(() => {}));
+  return next;
+}
+
+/*
+One process at a time may write the state: a daemon and a cron run (or two daemons) would race on
+the ledger and queue. The lock file holds { pid, host, startedAt }. A lock left by a process that
+is gone - or by another machine, e.g. a CI runner whose state was copied here - is taken over.
+*/
+const LOCK_FILE = path.join('state', 'bot.lock');
+
+// Thrown when another live process holds the state lock
+class StateLockError extends Error {
+  constructor(lock) {
+    super(`State is locked by process ${lock.pid} on ${lock.host} (since ${lock.startedAt})`);
+    this.name = 'StateLockError';
+    this.lock = lock;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Take the state lock (a no-op for read-only runs). Throws StateLockError if it's held.
+async function acquireStateLock() {
+  if (readOnly) return;
+
+  const lockPath = getStatePath(LOCK_FILE);
+  const lock = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() };
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  try {
+    await fs.writeFile(lockPath, JSON.stringify(lock, null, 2), { flag: 'wx' });
+    return;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  let held = null;
+  try {
+    held = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    // Half-written or unreadable lock - treat it as stale
+  }
+  if (held && held.host === lock.host && held.pid === process.pid) return;
+  if (held && held.host === lock.host && isProcessAlive(held.pid)) {
+    throw new StateLockError(held);
+  }
+  if (held) console.log(`🔓 Taking over stale state lock from process ${held.pid} on ${held.host}`);
+  await writeStateFile(LOCK_FILE, lock);
+}
+
+// Give the lock back (only if this process still holds it)
+async function releaseStateLock() {
+  if (readOnly) return;
+
+  try {
+    const held = await readStateFile(LOCK_FILE);
+    if (held?.pid === process.pid && held.host === os.hostname()) await fs.unlink(getStatePath(LOCK_FILE));
+  } catch (error) {
+    console.error('Error releasing state lock:', error.message);
+  }
+}
+
+// Move state files left in the base directory by older versions into a collection's stateDir
+async function migrateLegacyStateFiles(targetDir, fileNames) {
+  if (readOnly) return;
+
+  for (const fileName of fileNames) {
+    const legacyPath = getStatePath(fileName);
+    const targetPath = getStatePath(path.join(targetDir, fileName));
+    try {
+      await fs.access(legacyPath);
+    } catch (error) {
+      continue;
+    }
+    try {
+      await fs.access(targetPath);
+      console.log(`⚠️ Ignoring legacy ${fileName} - ${targetPath} already exists`);
+    } catch (error) {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.rename(legacyPath, targetPath);
+      console.log(`📦 Moved legacy ${fileName} to ${targetPath}`);
+    }
+  }
+}
+
+module.exports = {
+  StateLockError,
+  configureStateFiles,
+  migrateLegacyStateFiles,
+  getStatePath,
+  readStateFile,
+  readStateBuffer,
+  writeStateFile,
+  writeStateText,
+  updateStateFile,
+  acquireStateLock,
+  releaseStateLock
+};
@@ -0,0 +1,108 @@
+// ==========================================
+// FILE: lib/state-migrations.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile, migrateLegacyStateFiles } = require('./state-files');
+const { RATES_FILE, getCacheKey } = require('./fiat');
+const { now } = require('./clock');
+
+/*
+The layout of the state files is versioned. state/state-version.json records the version the
+state is at and every migration applied to it:
+
+{ version: 2, history: [{ version: 1, name: 'collection-dirs', at }, ...] }
+
+State without the file is version 0. Each run brings it up to STATE_VERSION before touching
+anything else; the version is saved after every step, so a crash part-way resumes from there.
+Migrations must be safe to run twice. State from a newer build is refused, not guessed at.
+*/
+const VERSION_FILE = path.join('state', 'state-version.json');
+
+// Thrown when the state was written by a newer build than this one
+class StateVersionError extends Error {
+  constructor(version) {
+    super(`State is at version ${version}, but this build only knows up to ${STATE_VERSION} - update the bot`);
+    this.name = 'StateVersionError';
+    this.version = version;
+  }
+}
+
+// Each migration gets { collections } (resolved config collections) and brings the state from
+// the version before it to its own
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'collection-dirs',
+    // State used to live in the repo root before multi-collection support
+    async migrate({ collections }) {
+      await migrateLegacyStateFiles(collections[0].stateDir, ['last-check.json', 'sales-ledger.json', 'post-queue.json']);
+    }
+  },
+  {
+    version: 2,
+    name: 'schedule-file',
+    // The floor and digest times move out of last-check.json into schedule.json, so the sales
+    // cursor and the schedules are written by their own jobs
+    async migrate({ collections }) {
+      for (const { stateDir } of collections) {
+        const lastCheckFile = path.join(stateDir, 'last-check.json');
+        const lastCheck = await readStateFile(lastCheckFile);
+        if (!lastCheck || (lastCheck.lastFloorAlert === undefined && lastCheck.lastDigests === undefined)) continue;
+
+        const scheduleFile = path.join(stateDir, 'schedule.json');
+        const schedule = (await readStateFile(scheduleFile)) || {};
+        const { lastFloorAlert, lastDigests, ...cursor } = lastCheck;
+        await writeStateFile(scheduleFile, {
+          lastFloorAlert: schedule.lastFloorAlert || lastFloorAlert,
+          lastDigests: { ...lastDigests, ...schedule.lastDigests }
+        });
+        await writeStateFile(lastCheckFile, cursor);
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'fiat-rates-by-currency',
+    // The fiat rate cache held a single provider and currency; collections pricing in different
+    // currencies kept replacing each other's rates. It now keeps an entry for each.
+    async migrate() {
+      const rates = await readStateFile(RATES_FILE);
+      if (!rates?.provider || !rates.currency) return;
+      await writeStateFile(RATES_FILE, { [getCacheKey(rates.provider, rates.currency)]: rates });
+    }
+  }
+];
+
+const STATE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/*
+Bring the state up to STATE_VERSION. Returns the migrations applied (names). Read-only runs
+(dry runs) only report what a real run would apply - their writes are dropped.
+*/
+async function migrateState(collections, { readOnly = false } = {}) {
+  const stored = (await readStateFile(VERSION_FILE)) || { version: 0, history: [] };
+  if (stored.version > STATE_VERSION) throw new StateVersionError(stored.version);
+
+  const pending = MIGRATIONS.filter(migration => migration.version > stored.version);
+  if (readOnly) {
+    if (pending.length > 0) {
+      console.log(`⚠️ State is at version ${stored.version} (this build uses ${STATE_VERSION}) - a real run will migrate it first`);
+    }
+    return [];
+  }
+
+  for (const migration of pending) {
+    console.log(`📦 Migrating state to version ${migration.version} (${migration.name})`);
+    await migration.migrate({ collections });
+    stored.version = migration.version;
+    stored.history = [...(stored.history || []), { version: migration.version, name: migration.name, at: now().toISOString() }];
+    await writeStateFile(VERSION_FILE, stored);
+  }
+  return pending.map(migration => migration.name);
+}
+
+module.exports = {
+  STATE_VERSION,
+  StateVersionError,
+  migrateState
+};
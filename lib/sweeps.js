@@ -0,0 +1,127 @@
+// ==========================================
+// FILE: lib/sweeps.js
+// ==========================================
+const { X_MAX_WEIGHTED_LENGTH, getWeightedLength } = require('./templates');
+
+/*
+Sale groups: every sale in one transaction (per buyer) is one post. With a time window, a
+buyer's transactions that follow each other within windowSeconds are one post too - a sweep
+split over several blocks, or bought through several separate checkouts.
+
+{ id: '0xabc..._0x7a9b...', buyer, sales: [...], transactions: ['0xabc...'], firstTimestamp, lastTimestamp }
+*/
+
+function getBuyer(sale) {
+  return String(sale.buyer).toLowerCase();
+}
+
+// Group sales by transaction and buyer, then merge a buyer's groups that are no more than
+// windowSeconds apart. Groups come out oldest first, their sales in the order they came in.
+function groupSales(sales, windowSeconds = 0) {
+  const byTransaction = new Map();
+  for (const sale of sales) {
+    const key = `${sale.transaction}_${getBuyer(sale)}`;
+    if (!byTransaction.has(key)) {
+      byTransaction.set(key, {
+        id: key,
+        buyer: sale.buyer,
+        sales: [],
+        transactions: [sale.transaction],
+        firstTimestamp: sale.event_timestamp,
+        lastTimestamp: sale.event_timestamp
+      });
+    }
+    const group = byTransaction.get(key);
+    group.sales.push(sale);
+    group.firstTimestamp = Math.min(group.firstTimestamp, sale.event_timestamp);
+    group.lastTimestamp = Math.max(group.lastTimestamp, sale.event_timestamp);
+  }
+
+  const groups = [...byTransaction.values()].sort((a, b) => a.firstTimestamp - b.firstTimestamp);
+  if (windowSeconds <= 0) return groups;
+
+  const merged = [];
+  for (const group of groups) {
+    const previous = merged.findLast(candidate => getBuyer(candidate) === getBuyer(group));
+    if (previous && group.firstTimestamp - previous.lastTimestamp <= windowSeconds) {
+      previous.sales.push(...group.sales);
+      previous.transactions.push(...group.transactions);
+      previous.lastTimestamp = Math.max(previous.lastTimestamp, group.lastTimestamp);
+    } else {
+      merged.push(group);
+    }
+  }
+  return merged;
+}
+
+// Sales per seller, biggest supplier first (ties keep the order they were sold in)
+function getSellerBreakdown(sales) {
+  const sellers = [];
+  for (const sale of sales) {
+    const address = sale.seller ? sale.seller.toLowerCase() : null;
+    let entry = sellers.find(candidate => candidate.address === address);
+    if (!entry) {
+      entry = { address, seller: sale.seller || null, sales: [] };
+      sellers.push(entry);
+    }
+    entry.sales.push(sale);
+  }
+  return sellers
+    .map((entry, order) => ({ ...entry, order }))
+    .sort((a, b) => b.sales.length - a.sales.length || a.order - b.order)
+    .map(({ order, ...entry }) => entry);
+}
+
+/*
+Pack a sweep's evidence log into reply posts that each fit X's limit:
+
+sections: [{ heading: 'From 0x12...5678 (CAPO, 12 -> 9)', lines: ['#4521 - 0.420 ETH', ...] }]
+
+Each post starts with "<title> (1/3)"; a section cut across posts repeats its heading.
+Past maxPosts, the last post ends with "+ N more". Returns a list of post texts.
+*/
+function buildEvidenceThread(title, sections, maxPosts) {
+  const posts = [];
+  let current = null;
+
+  // Room for the widest "(99/99)" counter, added once the number of posts is known
+  const fits = lines => getWeightedLength([`${title} (99/99)`, ...lines].join('\n')) <= X_MAX_WEIGHTED_LENGTH;
+
+  for (const section of sections) {
+    let headingShown = false;
+    for (const line of section.lines) {
+      const next = headingShown ? [line] : ['', section.heading, line];
+      if (!current || !fits([...current.lines, ...next])) {
+        current = { lines: [], entries: 0 };
+        posts.push(current);
+        current.lines.push('', section.heading, line);
+      } else {
+        current.lines.push(...next);
+      }
+      current.entries++;
+      headingShown = true;
+    }
+  }
+
+  if (posts.length > maxPosts) {
+    const dropped = posts.splice(maxPosts);
+    const last = posts[posts.length - 1];
+    let hidden = dropped.reduce((sum, post) => sum + post.entries, 0);
+    while (!fits([...last.lines, '', `+ ${hidden} more`]) && last.entries > 1) {
+      // Drop the last entry (and its heading if the entry was alone under it)
+      last.lines.pop();
+      if (last.lines.length >= 2 && last.lines[last.lines.length - 2] === '') last.lines.splice(-2);
+      last.entries--;
+      hidden++;
+    }
+    last.lines.push('', `+ ${hidden} more`);
+  }
+
+  return posts.map((post, index) => [`${title} (${index + 1}/${posts.length})`, ...post.lines].join('\n'));
+}
+
+module.exports = {
+  groupSales,
+  getSellerBreakdown,
+  buildEvidenceThread
+};
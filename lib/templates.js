@@ -0,0 +1,392 @@
+// ==========================================
+// FILE: lib/templates.js
+// ==========================================
+const fs = require('fs');
+
+/*
+Message templates live in a JSON file (templates/default.json unless a collection sets
+templates.file). Each scenario has one or more weighted variants; each variant is a list
+of lines:
+
+{
+  "sale": [
+    { "id": "case-file", "weight": 3, "lines": [
+      "CASE #{{caseNumber}}",
+      "",
+      "Suspect: {{buyer}} ({{buyerTier}} - {{buyerCount}} {{units}})",
+      "{{#if sweep}}SWEEP: {{count}} {{units}} acquired{{/if}}",
+      "{{link}}"
+    ] }
+  ]
+}
+
+{{name}} inserts a variable. {{#if name}}...{{else}}...{{/if}} and {{#unless name}}...{{/unless}}
+are conditional sections within a line; a line that only held a section and renders empty is
+dropped, so optional lines don't leave gaps.
+*/
+
+const X_MAX_WEIGHTED_LENGTH = 280;
+const X_URL_LENGTH = 23; // t.co wraps every link to this length
+const MIN_NFT_NAME_LENGTH = 12; // Room every template must leave for the NFT name
+const TRUNCATION_MARK = '...';
+
+// Sales, sweeps and rare finds are written from the same sale data
+const SALE_VARIABLES = ['caseNumber', 'buyer', 'buyerTier', 'buyerCount', 'buyerTierBefore', 'buyerCountBefore',
+  'seller', 'sellerTier', 'sellerCount', 'sellerTierAfter', 'sellerCountAfter', 'sellers',
+  'nft', 'price', 'count', 'units', 'status', 'link', 'collection', 'traits', 'rarityRank', 'supply',
+  'previousPrice', 'priceChange', 'acquisition'];
+const SALE_FLAGS = ['single', 'highRanking', 'buyerPromoted', 'sellerDemoted', 'rare', 'suspicious', 'repeatOffender', 'sellerNamed'];
+const SWEEP_FLAGS = ['sweep', 'multiSeller'];
+
+// Variables each scenario can use. Booleans drive conditional sections.
+const SCENARIOS = {
+  sale: {
+    variables: SALE_VARIABLES,
+    flags: [...SWEEP_FLAGS, ...SALE_FLAGS]
+  },
+  sweep: {
+    variables: SALE_VARIABLES,
+    flags: [...SWEEP_FLAGS, ...SALE_FLAGS],
+    fallback: 'sale' // Sweeps use the sale templates unless the file defines its own
+  },
+  rare: {
+    variables: SALE_VARIABLES,
+    flags: SALE_FLAGS,
+    fallback: 'sale' // Single sales in the rarest traits.rarePercent use these when the file has them
+  },
+  floor: {
+    variables: ['seller', 'sellerTier', 'sellerCount', 'nft', 'price', 'trigger', 'move', 'nearFloor', 'units',
+      'status', 'link', 'collection'],
+    flags: ['highRanking']
+  },
+  summary: {
+    variables: ['transactions', 'count', 'units', 'buyer', 'buyerTier', 'biggestValue', 'value', 'status',
+      'link', 'collection'],
+    flags: []
+  },
+  // Rank, digest and wiretap scenarios are optional: only collections that switch them on need them
+  digest: {
+    variables: ['period', 'sales', 'volume', 'average', 'topSale', 'floor', 'floorChange', 'holders', 'newWallets',
+      'units', 'link', 'collection'],
+    flags: ['quiet', 'weekly'],
+    optional: true
+  },
+  rank: {
+    variables: ['wallet', 'fromTier', 'toTier', 'rungs', 'countBefore', 'countAfter', 'nft', 'units', 'link',
+      'collection'],
+    flags: ['promotion', 'exit', 'multiRung'],
+    optional: true
+  },
+  listing: {
+    variables: ['wallet', 'walletTier', 'walletCount', 'nft', 'price', 'floorPercent', 'units', 'link', 'collection'],
+    flags: ['underFloor', 'highRanking'],
+    optional: true
+  },
+  cancel: {
+    variables: ['wallet', 'walletTier', 'walletCount', 'nft', 'price', 'floorPercent', 'units', 'link', 'collection'],
+    flags: ['highRanking'],
+    optional: true
+  },
+  offer: {
+    variables: ['wallet', 'walletTier', 'walletCount', 'nft', 'price', 'floorPercent', 'quantity', 'units', 'link',
+      'collection'],
+    flags: ['collectionOffer', 'highRanking'],
+    optional: true
+  },
+  transfer: {
+    variables: ['sender', 'senderTier', 'senderCount', 'recipient', 'recipientTier', 'recipientCount', 'nft', 'count',
+      'units', 'link', 'collection'],
+    flags: ['bulk', 'relocation', 'highRanking'],
+    optional: true
+  }
+};
+
+// Thrown when a template file can't be read or parsed
+class TemplateError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'TemplateError';
+    this.problems = problems;
+  }
+}
+
+// ------------------------------------------
+// Parsing
+// ------------------------------------------
+
+const TAG_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([A-Za-z][A-Za-z0-9]*)?\s*\}\}/g;
+
+// Parse one template line into a tree of text, variable and section nodes
+function parseLine(line, where, problems) {
+  const root = [];
+  // Each frame is an open section and the branch (children or otherwise) being filled
+  const stack = [{ section: null, branch: root }];
+  let lastIndex = 0;
+
+  for (const match of line.matchAll(TAG_PATTERN)) {
+    const [tag, keyword, name] = match;
+    const frame = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      frame.branch.push({ type: 'text', value: line.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (!keyword) {
+      if (!name) {
+        problems.push(`${where} has an empty tag "${tag}"`);
+        continue;
+      }
+      frame.branch.push({ type: 'variable', name });
+    } else if (keyword === '#if' || keyword === '#unless') {
+      if (!name) {
+        problems.push(`${where} has "${tag}" without a variable name`);
+        continue;
+      }
+      const section = { type: 'section', name, negate: keyword === '#unless', children: [], otherwise: null };
+      frame.branch.push(section);
+      stack.push({ section, branch: section.children });
+    } else if (keyword === 'else') {
+      if (!frame.section || frame.section.otherwise) {
+        problems.push(`${where} has an {{else}} outside a section`);
+        continue;
+      }
+      frame.section.otherwise = [];
+      frame.branch = frame.section.otherwise;
+    } else {
+      const closesUnless = keyword === '/unless';
+      if (!frame.section || frame.section.negate !== closesUnless) {
+        problems.push(`${where} has an unmatched "${tag}"`);
+        continue;
+      }
+      stack.pop();
+    }
+  }
+
+  if (lastIndex < line.length) {
+    stack[stack.length - 1].branch.push({ type: 'text', value: line.slice(lastIndex) });
+  }
+  if (stack.length > 1) {
+    const { section } = stack[stack.length - 1];
+    problems.push(`${where} has an unclosed {{#${section.negate ? 'unless' : 'if'} ${section.name}}}`);
+  }
+  return root;
+}
+
+// Names used by a parsed line (variables and section conditions)
+function collectNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (node.type === 'variable') names.add(node.name);
+    if (node.type === 'section') {
+      names.add(node.name);
+      collectNames(node.children, names);
+      collectNames(node.otherwise || [], names);
+    }
+  }
+  return names;
+}
+
+// Read and parse a template file. Throws TemplateError listing every problem found.
+function loadTemplates(templateFile) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(templateFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new TemplateError(`Template file not found: ${templateFile}`);
+    }
+    throw new TemplateError(`Could not read template file ${templateFile}: ${error.message}`);
+  }
+
+  const problems = [];
+  const scenarios = {};
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new TemplateError(`Template file ${templateFile} must contain an object of scenarios`);
+  }
+
+  for (const [scenario, variants] of Object.entries(raw)) {
+    const definition = SCENARIOS[scenario];
+    if (!definition) {
+      problems.push(`"${scenario}" is not a known scenario (${Object.keys(SCENARIOS).join(', ')})`);
+      continue;
+    }
+    if (!Array.isArray(variants) || variants.length === 0) {
+      problems.push(`${scenario} must be a non-empty array of variants`);
+      continue;
+    }
+
+    const known = new Set([...definition.variables, ...definition.flags]);
+    scenarios[scenario] = variants.map((variant, index) => {
+      const where = `${scenario}[${index}]`;
+      const weight = variant?.weight ?? 1;
+      if (typeof weight !== 'number' || weight <= 0) {
+        problems.push(`${where}.weight must be a positive number`);
+      }
+      if (!Array.isArray(variant?.lines) || variant.lines.some(line => typeof line !== 'string')) {
+        problems.push(`${where}.lines must be an array of strings`);
+        return null;
+      }
+
+      const lines = variant.lines.map((line, lineIndex) => {
+        const nodes = parseLine(line, `${where}.lines[${lineIndex}]`, problems);
+        for (const name of collectNames(nodes)) {
+          if (!known.has(name)) {
+            problems.push(`${where}.lines[${lineIndex}] uses unknown variable "${name}"`);
+          }
+        }
+        return { nodes, conditional: nodes.some(node => node.type === 'section') };
+      });
+
+      return { id: variant.id || `${scenario}-${index + 1}`, weight, lines };
+    });
+  }
+
+  for (const scenario of Object.keys(SCENARIOS)) {
+    if (!(scenario in raw) && !SCENARIOS[scenario].fallback && !SCENARIOS[scenario].optional) {
+      problems.push(`${scenario} has no variants`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new TemplateError(`Invalid templates in ${templateFile}`, problems);
+  }
+  return scenarios;
+}
+
+// ------------------------------------------
+// Rendering
+// ------------------------------------------
+
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'variable') return String(values[node.name] ?? '');
+    const truthy = Boolean(values[node.name]);
+    return renderNodes(truthy !== node.negate ? node.children : node.otherwise || [], values);
+  }).join('');
+}
+
+function renderVariant(variant, values) {
+  return variant.lines
+    .map(line => ({ text: renderNodes(line.nodes, values), conditional: line.conditional }))
+    .filter(line => !(line.conditional && line.text.trim() === ''))
+    .map(line => line.text)
+    .join('\n');
+}
+
+// Characters X counts as one; everything else (CJK, emoji, ...) counts as two
+const SINGLE_WEIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+// X's weighted character count: links count as 23, wide characters as 2
+function getWeightedLength(text) {
+  let length = 0;
+  const withoutUrls = text.replace(/https?:\/\/\S+/g, () => {
+    length += X_URL_LENGTH;
+    return '';
+  });
+  for (const char of withoutUrls) {
+    const code = char.codePointAt(0);
+    if (code === 0xfe0f || code === 0x200d) continue; // Emoji presentation / joiners ride along free
+    length += SINGLE_WEIGHT_RANGES.some(([low, high]) => code >= low && code <= high) ? 1 : 2;
+  }
+  return length;
+}
+
+// Shorten a name by a weighted amount, ending it with "..."
+function truncateName(name, excess) {
+  const chars = [...name];
+  const target = Math.max(getWeightedLength(name) - excess - TRUNCATION_MARK.length, 0);
+  let kept = '';
+  for (const char of chars) {
+    if (getWeightedLength(kept + char) > target) break;
+    kept += char;
+  }
+  return kept.trimEnd() + TRUNCATION_MARK;
+}
+
+// Pick a variant at random, weighted by "weight" times its multiplier in weights ({ id: multiplier })
+function pickVariant(variants, random = Math.random, weights = {}) {
+  const weightOf = variant => variant.weight * (weights[variant.id] ?? 1);
+  const total = variants.reduce((sum, variant) => sum + weightOf(variant), 0);
+  let roll = random() * total;
+  for (const variant of variants) {
+    roll -= weightOf(variant);
+    if (roll < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+function getVariants(templates, scenario) {
+  const variants = templates[scenario] || templates[SCENARIOS[scenario]?.fallback];
+  if (!variants) throw new Error(`No templates for scenario: ${scenario}`);
+  return variants;
+}
+
+// Render a scenario with a weighted-random variant; options.weights shifts the file's weights
+// (see lib/analytics.js). Over-long NFT names are shortened until the post fits X's limit.
+// Returns { text, variant } (variant id is kept for analytics).
+function renderTemplate(templates, scenario, values, { weights, random = Math.random } = {}) {
+  const variant = pickVariant(getVariants(templates, scenario), random, weights);
+  let text = renderVariant(variant, values);
+
+  const excess = getWeightedLength(text) - X_MAX_WEIGHTED_LENGTH;
+  if (excess > 0 && values.nft && getWeightedLength(values.nft) > MIN_NFT_NAME_LENGTH) {
+    const nft = truncateName(values.nft, excess);
+    text = renderVariant(variant, { ...values, nft });
+  }
+
+  return { text, variant: variant.id };
+}
+
+// ------------------------------------------
+// Linting
+// ------------------------------------------
+
+// Every true/false combination of a scenario's flags (kept consistent: sweep XOR single, only
+// sweeps have several sellers, and an exit is never a promotion)
+function getFlagCombinations(flags) {
+  let combinations = [{}];
+  for (const flag of flags) {
+    if (flag === 'single') continue;
+    combinations = combinations.flatMap(combo => [{ ...combo, [flag]: true }, { ...combo, [flag]: false }]);
+  }
+  if (flags.includes('single')) {
+    combinations.forEach(combo => { combo.single = !combo.sweep; });
+  }
+  return combinations.filter(combo => !(combo.multiSeller && combo.sweep === false) && !(combo.promotion && combo.exit));
+}
+
+// Check every variant fits X's limit with the longest values the collection can produce.
+// The NFT name is left out and MIN_NFT_NAME_LENGTH reserved for it, since it gets truncated.
+// Returns a list of problems (empty when everything fits).
+function lintTemplates(templates, worstCase) {
+  const problems = [];
+  for (const [scenario, definition] of Object.entries(SCENARIOS)) {
+    if (!templates[scenario]) continue;
+    const values = worstCase[scenario] || {};
+
+    for (const variant of templates[scenario]) {
+      const usesNft = variant.lines.some(line => collectNames(line.nodes).has('nft'));
+      let worst = null;
+      for (const flags of getFlagCombinations(definition.flags)) {
+        const text = renderVariant(variant, { ...values, ...flags, nft: '' });
+        const length = getWeightedLength(text) + (usesNft ? MIN_NFT_NAME_LENGTH : 0);
+        if (!worst || length > worst.length) worst = { length, flags };
+      }
+
+      if (worst.length > X_MAX_WEIGHTED_LENGTH) {
+        const flagText = Object.entries(worst.flags).filter(([, on]) => on).map(([flag]) => flag).join(', ');
+        problems.push(`${variant.id}${flagText ? ` (${flagText})` : ''} can reach ${worst.length} of ${X_MAX_WEIGHTED_LENGTH} characters on X`);
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  X_MAX_WEIGHTED_LENGTH,
+  TemplateError,
+  loadTemplates,
+  lintTemplates,
+  renderTemplate,
+  getWeightedLength
+};
@@ -0,0 +1,196 @@
+// ==========================================
+// FILE: lib/traits.js
+// ==========================================
+const path = require('path');
+const { readStateFile, writeStateFile } = require('./state-files');
+const { now } = require('./clock');
+
+/*
+Trait cache: every token's traits, filled from the single-NFT endpoint a few lookups per run
+and kept in traits.json next to the ledger, plus the last few sales seen per token:
+
+{
+  tokens: {
+    "4521": {
+      traits: [{ type: 'Weapon', value: 'Golden Tommy Gun' }],
+      openseaRank: 3 (OpenSea's own rarity rank, null when it has none),
+      fetchedAt,
+      sales: [{ transaction, timestamp, payment }]   newest last
+      historyFetched: true once older sales were looked up
+    }
+  }
+}
+
+Once every token in the collection is cached, trait counts and rarity ranks are computed across
+the whole collection. Until then ranks come from OpenSea (when it has them) and trait counts are
+left out, since a partial count would be wrong.
+*/
+const TRAITS_FILE = 'traits.json';
+const SALES_KEPT = 3; // Sales remembered per token (only the latest before a new one is ever needed)
+const MAX_TRAIT_VALUE_LENGTH = 20; // Trait values are shortened to this in posts
+
+// Load a collection's trait cache from its state dir (empty if missing or unreadable)
+async function loadTraitCache(stateDir) {
+  try {
+    const cache = await readStateFile(path.join(stateDir, TRAITS_FILE));
+    return { tokens: cache?.tokens || {} };
+  } catch (error) {
+    console.error('Error reading trait cache, starting fresh:', error.message);
+    return { tokens: {} };
+  }
+}
+
+async function saveTraitCache(stateDir, cache) {
+  try {
+    await writeStateFile(path.join(stateDir, TRAITS_FILE), { tokens: cache.tokens });
+  } catch (error) {
+    console.error('Error saving trait cache:', error.message);
+  }
+}
+
+function getToken(cache, tokenId) {
+  const id = String(tokenId);
+  if (!cache.tokens[id]) cache.tokens[id] = { traits: null, openseaRank: null, fetchedAt: null, sales: [] };
+  return cache.tokens[id];
+}
+
+function hasTraits(cache, tokenId) {
+  return Boolean(cache.tokens[String(tokenId)]?.fetchedAt);
+}
+
+// Store a token's traits from getNFTDetails ({ traits: [{ trait_type, value }], rarityRank })
+function setTokenTraits(cache, tokenId, details) {
+  const token = getToken(cache, tokenId);
+  token.traits = (details.traits || [])
+    .filter(trait => trait.trait_type && trait.value !== undefined && trait.value !== null)
+    .map(trait => ({ type: String(trait.trait_type), value: String(trait.value) }));
+  token.openseaRank = details.rarityRank ?? null;
+  token.fetchedAt = now().toISOString();
+  delete cache.rarity;
+}
+
+// Tokens of the collection whose traits aren't cached yet
+function getUncachedTokens(cache, tokenIds) {
+  return tokenIds.filter(tokenId => !hasTraits(cache, tokenId));
+}
+
+/*
+Trait counts and statistical rarity over the whole collection (tokenIds: every token in it).
+A token's score is the sum of 1 / frequency of each of its traits; rank 1 is the highest score
+and tied tokens share a rank. Null until every token is cached. Kept in memory until the cache changes.
+*/
+function computeRarity(cache, tokenIds) {
+  if (cache.rarity?.supply === tokenIds.length) return cache.rarity;
+  if (tokenIds.length === 0 || getUncachedTokens(cache, tokenIds).length > 0) return null;
+
+  const counts = new Map();
+  const key = trait => `${trait.type}\u0000${trait.value}`;
+  for (const tokenId of tokenIds) {
+    for (const trait of cache.tokens[String(tokenId)].traits) {
+      counts.set(key(trait), (counts.get(key(trait)) || 0) + 1);
+    }
+  }
+
+  const scores = tokenIds.map(tokenId => ({
+    tokenId: String(tokenId),
+    score: cache.tokens[String(tokenId)].traits.reduce((sum, trait) => sum + tokenIds.length / counts.get(key(trait)), 0)
+  })).sort((a, b) => b.score - a.score);
+
+  const ranks = new Map();
+  scores.forEach((entry, index) => {
+    const tied = index > 0 && entry.score === scores[index - 1].score;
+    ranks.set(entry.tokenId, tied ? ranks.get(scores[index - 1].tokenId) : index + 1);
+  });
+
+  // Not saved - rebuilt on the next run, or when setTokenTraits changes the cache
+  Object.defineProperty(cache, 'rarity', {
+    value: { supply: tokenIds.length, counts, ranks, key },
+    configurable: true,
+    enumerable: false
+  });
+  return cache.rarity;
+}
+
+/*
+What's known about a token's rarity, per the collection's traits settings
+({ notablePercent, rarePercent, maxNotable }):
+
+{ rank, supply, source: 'computed' | 'opensea', notable: [{ type, value, count }] (rarest first), rare }
+
+supply and notable traits need the full collection cached (null / [] until then); rank falls back
+to OpenSea's. Null when nothing is known about the token.
+*/
+function getTokenRarity(cache, tokenIds, tokenId, settings) {
+  const token = cache.tokens[String(tokenId)];
+  if (!token?.fetchedAt) return null;
+
+  const rarity = computeRarity(cache, tokenIds);
+  if (!rarity) {
+    if (token.openseaRank === null) return null;
+    return { rank: token.openseaRank, supply: null, source: 'opensea', notable: [], rare: false };
+  }
+
+  const rank = rarity.ranks.get(String(tokenId)) ?? null;
+  const notable = token.traits
+    .map(trait => ({ ...trait, count: rarity.counts.get(rarity.key(trait)) }))
+    .filter(trait => trait.count / rarity.supply * 100 <= settings.notablePercent)
+    .sort((a, b) => a.count - b.count)
+    .slice(0, settings.maxNotable);
+  return {
+    rank,
+    supply: rarity.supply,
+    source: 'computed',
+    notable,
+    rare: rank !== null && rank / rarity.supply * 100 <= settings.rarePercent
+  };
+}
+
+// "1/12 Golden Tommy Gun, 1/30 Pinstripe Fedora"
+function formatNotableTraits(notable) {
+  return notable.map(trait => {
+    const value = trait.value.length > MAX_TRAIT_VALUE_LENGTH
+      ? `${trait.value.slice(0, MAX_TRAIT_VALUE_LENGTH - 3).trimEnd()}...`
+      : trait.value;
+    return `1/${trait.count} ${value}`;
+  }).join(', ');
+}
+
+// Remember a sale of a token (so the next sale can show what it went for last time)
+function recordTokenSale(cache, sale) {
+  const token = getToken(cache, sale.nft.identifier);
+  const transaction = String(sale.transaction).toLowerCase();
+  if (token.sales.some(entry => entry.transaction === transaction)) return;
+  token.sales.push({ transaction, timestamp: sale.event_timestamp, payment: sale.payment || null });
+  token.sales.sort((a, b) => a.timestamp - b.timestamp);
+  token.sales = token.sales.slice(-SALES_KEPT);
+}
+
+// The token's last sale before this one from the cache (null if none is known)
+function getPreviousSale(cache, sale) {
+  const token = cache.tokens[String(sale.nft.identifier)];
+  const transaction = String(sale.transaction).toLowerCase();
+  return token?.sales.filter(entry => entry.timestamp < sale.event_timestamp && entry.transaction !== transaction).at(-1) || null;
+}
+
+// Whether the token's sales from before the bot saw it still need looking up
+function needsSaleHistory(cache, tokenId) {
+  return !cache.tokens[String(tokenId)]?.historyFetched;
+}
+
+function markSaleHistoryFetched(cache, tokenId) {
+  getToken(cache, tokenId).historyFetched = true;
+}
+
+module.exports = {
+  loadTraitCache,
+  saveTraitCache,
+  hasTraits,
+  setTokenTraits,
+  getUncachedTokens,
+  getTokenRarity,
+  formatNotableTraits,
+  recordTokenSale,
+  getPreviousSale,
+  needsSaleHistory,
+  markSaleHistoryFetched
+};
@@ -0,0 +1,197 @@
+// ==========================================
+// FILE: lib/wiretap.js
+// ==========================================
+const { toAmount, getEthValue } = require('./money');
+
+/*
+Wiretap: market activity short of a sale - listings, cancelled orders, item and collection
+offers, and transfers that aren't sales (gifts, wallet moves). OpenSea order events and
+transfers are normalised into one shape, stored in the sales ledger like sales are:
+
+{
+  event_type: 'wiretap',
+  kind: 'listing' | 'cancel' | 'offer' | 'collectionOffer' | 'transfer',
+  order_hash, transaction,
+  nft: { identifier, name, image_url, opensea_url } (null for collection offers),
+  wallet: maker or sender, recipient: receiver (transfers only),
+  payment: { quantity, decimals, symbol, token_address } (null when unpriced),
+  quantity: 1,
+  event_timestamp
+}
+*/
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Per kind: the template scenario it posts with, and the OpenSea event type it's fetched as
+// (transfers come from the holder registry sync or the chain scan instead)
+const WIRETAP_KINDS = {
+  listing: { scenario: 'listing', eventType: 'listing', title: 'WIRETAP: LISTING' },
+  cancel: { scenario: 'cancel', eventType: 'cancel', title: 'WIRETAP: ORDER PULLED' },
+  offer: { scenario: 'offer', eventType: 'offer', title: 'WIRETAP: OFFER' },
+  collectionOffer: { scenario: 'offer', eventType: 'offer', title: 'WIRETAP: COLLECTION OFFER' },
+  transfer: { scenario: 'transfer', eventType: null, title: 'WIRETAP: TRANSFER' }
+};
+
+// Kinds a collection has switched on
+function getEnabledKinds(settings) {
+  return Object.keys(WIRETAP_KINDS).filter(kind => settings[kind]?.enabled);
+}
+
+// OpenSea event types to page through for the enabled kinds
+function getOrderEventTypes(settings) {
+  return [...new Set(getEnabledKinds(settings).map(kind => WIRETAP_KINDS[kind].eventType).filter(Boolean))];
+}
+
+// Which kind an OpenSea order event is (null for anything the wiretap doesn't cover)
+function getOrderKind(event) {
+  if (event.event_type === 'cancel') return 'cancel';
+  const orderType = event.order_type || event.event_type;
+  if (orderType === 'listing') return 'listing';
+  if (orderType === 'item_offer') return 'offer';
+  if (orderType === 'collection_offer' || orderType === 'trait_offer') return 'collectionOffer';
+  if (orderType === 'offer') return event.asset || event.nft ? 'offer' : 'collectionOffer';
+  return null;
+}
+
+function toNft(asset) {
+  if (!asset || asset.identifier === undefined) return null;
+  return {
+    identifier: String(asset.identifier),
+    name: asset.name || null,
+    image_url: asset.image_url || null,
+    opensea_url: asset.opensea_url || null
+  };
+}
+
+// Normalise an OpenSea listing, offer or cancel event (null if it isn't one)
+function toWiretapEvent(event) {
+  const kind = getOrderKind(event);
+  if (!kind) return null;
+  const wallet = event.maker?.address || event.maker || event.from_address || null;
+  if (!wallet) return null;
+
+  return {
+    event_type: 'wiretap',
+    kind,
+    order_hash: event.order_hash || null,
+    transaction: event.transaction || null,
+    nft: kind === 'collectionOffer' ? null : toNft(event.asset || event.nft),
+    wallet,
+    recipient: null,
+    payment: event.payment || null,
+    quantity: Number(event.quantity) || 1,
+    event_timestamp: event.event_timestamp
+  };
+}
+
+// Normalise a transfer (OpenSea transfer event or on-chain Transfer). Mints and burns aren't
+// wiretap material and come back null.
+function toTransferEvent(transfer) {
+  const from = String(transfer.from_address || ZERO_ADDRESS).toLowerCase();
+  const to = String(transfer.to_address || ZERO_ADDRESS).toLowerCase();
+  if (from === ZERO_ADDRESS || to === ZERO_ADDRESS || from === to || !transfer.transaction) return null;
+
+  return {
+    event_type: 'wiretap',
+    kind: 'transfer',
+    order_hash: null,
+    transaction: transfer.transaction,
+    nft: toNft(transfer.nft || transfer.asset),
+    wallet: from,
+    recipient: to,
+    from_address: from,
+    to_address: to,
+    payment: null,
+    quantity: Number(transfer.quantity) || 1,
+    event_timestamp: transfer.event_timestamp
+  };
+}
+
+// Price per NFT of a listing or offer (collection offers quote a total for `quantity` NFTs).
+// Null when unpriced.
+function getUnitPrice(event) {
+  const total = toAmount(event.payment);
+  if (!total) return null;
+  return { ...total, amount: total.amount / BigInt(Math.max(event.quantity, 1)) };
+}
+
+// A price as a percentage of the floor snapshot (null when either can't be valued in ETH)
+function getFloorPercent(price, floorSnapshot) {
+  if (!price || !floorSnapshot) return null;
+  const floor = getEthValue([{ amount: BigInt(floorSnapshot.amount), decimals: floorSnapshot.decimals, symbol: floorSnapshot.symbol }]);
+  const value = getEthValue([price]);
+  return floor > 0 && value > 0 ? value / floor * 100 : null;
+}
+
+/*
+Group wiretap events into posts: one per order, and one per transaction for transfers
+(a wallet moving 20 NFTs in one go is one post).
+
+[{ id, kind, wallet, recipient, events: [...], firstTimestamp, lastTimestamp }], oldest first
+*/
+function groupWiretapEvents(events, getKey) {
+  const groups = new Map();
+  for (const event of events) {
+    const id = event.kind === 'transfer'
+      ? `transfer:${event.transaction.toLowerCase()}_${event.wallet}_${event.recipient}`
+      : getKey(event);
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        kind: event.kind,
+        wallet: event.wallet,
+        recipient: event.recipient,
+        events: [],
+        firstTimestamp: event.event_timestamp,
+        lastTimestamp: event.event_timestamp
+      });
+    }
+    const group = groups.get(id);
+    group.events.push(event);
+    group.firstTimestamp = Math.min(group.firstTimestamp, event.event_timestamp);
+    group.lastTimestamp = Math.max(group.lastTimestamp, event.event_timestamp);
+  }
+  return [...groups.values()].sort((a, b) => a.firstTimestamp - b.firstTimestamp);
+}
+
+/*
+Check a group against its kind's filters:
+filters: { enabled, minTier, minFloorPercent, maxFloorPercent, minCount }
+facts: { tierRank, minTierRank (null without minTier), floorPercent (null when unknown), count }
+
+Returns null when it gets posted, otherwise why not (kept as the ledger reason). A floor filter
+can't pass without a known floor percentage.
+*/
+function getFilterReason(filters, facts) {
+  if (facts.minTierRank !== null && facts.tierRank < facts.minTierRank) {
+    return `below ${filters.minTier}`;
+  }
+  if (filters.minFloorPercent !== undefined && !(facts.floorPercent >= filters.minFloorPercent)) {
+    return `under ${filters.minFloorPercent}% of floor`;
+  }
+  if (filters.maxFloorPercent !== undefined && !(facts.floorPercent <= filters.maxFloorPercent)) {
+    return `over ${filters.maxFloorPercent}% of floor`;
+  }
+  if (filters.minCount !== undefined && facts.count < filters.minCount) {
+    return `fewer than ${filters.minCount}`;
+  }
+  return null;
+}
+
+// "96%" of floor
+function formatFloorPercent(percent) {
+  return percent === null ? '' : `${Math.round(percent)}%`;
+}
+
+module.exports = {
+  WIRETAP_KINDS,
+  getEnabledKinds,
+  getOrderEventTypes,
+  toWiretapEvent,
+  toTransferEvent,
+  getUnitPrice,
+  getFloorPercent,
+  groupWiretapEvents,
+  getFilterReason,
+  formatFloorPercent
+};
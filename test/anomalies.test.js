@@ -0,0 +1,155 @@
+// ==========================================
+// FILE: test/anomalies.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setNow } = require('../lib/clock');
+const { recordSale, markSale, getSaleKey, SALE_STATUS } = require('../lib/ledger');
+const { detectAnomalies, getAnomalyAction, screenSales } = require('../lib/anomalies');
+
+// Floor history and the review log live under state/, relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const originalDir = process.cwd();
+const STATE_DIR = path.join('state', 'alcabone');
+
+const ALICE = '0xa11ce00000000000000000000000000000000001';
+const BOB = '0xb0b0000000000000000000000000000000000002';
+const CAROL = '0xca40100000000000000000000000000000000003';
+const HOUR = 60 * 60;
+const START = 1773600000;
+
+// The collection's defaults, with each check's action overridable
+const settings = (actions = {}) => ({
+  roundTrip: { action: 'flag', hours: 24, ...actions.roundTrip },
+  repeatedPair: { action: 'flag', trades: 3, hours: 72, ...actions.repeatedPair },
+  priceBand: { action: 'review', minFloorPercent: 50, maxFloorPercent: 1000, ...actions.priceBand },
+  privateSale: { action: 'flag', ...actions.privateSale }
+});
+
+// A sale of `eth` ETH `hoursIn` hours after START
+const sale = (tx, tokenId, seller, buyer, hoursIn, eth = 1, extra = {}) => ({
+  event_type: 'sale',
+  transaction: tx,
+  seller,
+  buyer,
+  nft: { identifier: String(tokenId) },
+  payment: { quantity: String(BigInt(eth * 1000) * 10n ** 15n), token_address: '0x0000000000000000000000000000000000000000', decimals: 18, symbol: 'ETH' },
+  event_timestamp: START + hoursIn * HOUR,
+  ...extra
+});
+
+// A ledger holding the given sales, marked posted like earlier runs left them
+function ledgerOf(...sales) {
+  const ledger = { sales: {} };
+  sales.forEach(earlier => markSale(ledger, earlier, SALE_STATUS.posted));
+  return ledger;
+}
+
+const FLOOR = { at: '2026-03-15T18:00:00.000Z', amount: '1000000000000000000', decimals: 18, symbol: 'ETH' };
+const checksOf = anomalies => anomalies.map(anomaly => anomaly.check);
+
+test.before(() => {
+  process.chdir(workDir);
+  setNow('2026-03-15T22:00:00.000Z');
+});
+
+test.after(() => {
+  setNow(null);
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a clean sale has no anomalies', () => {
+  const ledger = ledgerOf(sale('0x01', 7, ALICE, BOB, 0));
+  const anomalies = detectAnomalies(sale('0x02', 8, CAROL, BOB, 1), { ledger, floorSnapshot: FLOOR }, settings());
+  assert.deepStrictEqual(anomalies, []);
+  assert.strictEqual(getAnomalyAction(anomalies), null);
+});
+
+test('a token sold back to its earlier seller within the window is a round trip', () => {
+  const ledger = ledgerOf(sale('0x01', 7, ALICE, BOB, 0));
+  const back = sale('0x02', 7, BOB, ALICE.toUpperCase().replace('0X', '0x'), 5);
+  assert.deepStrictEqual(detectAnomalies(back, { ledger, floorSnapshot: null }, settings()), [
+    { check: 'roundTrip', action: 'flag', reason: '#7 back with 0xA11C...0001 after 5h' }
+  ]);
+
+  // Past the window it's just a trade
+  const later = sale('0x03', 7, BOB, ALICE, 30);
+  assert.deepStrictEqual(detectAnomalies(later, { ledger, floorSnapshot: null }, settings()), []);
+});
+
+test('the same two wallets trading again and again is a repeated pair, either way round', () => {
+  const ledger = ledgerOf(sale('0x01', 7, ALICE, BOB, 0), sale('0x02', 9, BOB, ALICE, 10));
+  const third = sale('0x03', 11, ALICE, BOB, 20);
+  assert.deepStrictEqual(checksOf(detectAnomalies(third, { ledger, floorSnapshot: null }, settings())), ['repeatedPair']);
+
+  // Two trades are below the threshold, and a sweep's several tokens in one transaction count once
+  const sweep = ledgerOf(sale('0x01', 7, ALICE, BOB, 0), sale('0x01', 8, ALICE, BOB, 0));
+  assert.deepStrictEqual(detectAnomalies(sale('0x02', 9, ALICE, BOB, 1), { ledger: sweep, floorSnapshot: null }, settings()), []);
+});
+
+test('a price far from the floor is out of band, and the band is skipped without a floor', () => {
+  const context = { ledger: { sales: {} }, floorSnapshot: FLOOR };
+  assert.deepStrictEqual(detectAnomalies(sale('0x01', 7, ALICE, BOB, 0, 0.4), context, settings()), [
+    { check: 'priceBand', action: 'review', reason: 'sold at 40% of floor' }
+  ]);
+  assert.deepStrictEqual(checksOf(detectAnomalies(sale('0x02', 8, ALICE, BOB, 0, 11), context, settings())), ['priceBand']);
+  assert.deepStrictEqual(detectAnomalies(sale('0x03', 9, ALICE, BOB, 0, 5), context, settings()), []);
+  assert.deepStrictEqual(detectAnomalies(sale('0x04', 10, ALICE, BOB, 0, 11), { ...context, floorSnapshot: null }, settings()), []);
+});
+
+test('only a private sale that paid no fees is flagged', () => {
+  const context = { ledger: { sales: {} }, floorSnapshot: null };
+  const privateSale = extra => sale('0x01', 7, ALICE, BOB, 0, 1, extra);
+  assert.deepStrictEqual(checksOf(detectAnomalies(privateSale({ private_sale: true, fees_paid: false }), context, settings())), ['privateSale']);
+  assert.deepStrictEqual(detectAnomalies(privateSale({ private_sale: true, fees_paid: true }), context, settings()), []);
+  assert.deepStrictEqual(detectAnomalies(privateSale({}), context, settings()), []);
+});
+
+test('checks set to off are not run, and the most severe action wins', () => {
+  const ledger = ledgerOf(sale('0x01', 7, ALICE, BOB, 0));
+  const back = sale('0x02', 7, BOB, ALICE, 5, 1, { private_sale: true, fees_paid: false });
+  const context = { ledger, floorSnapshot: null };
+
+  assert.deepStrictEqual(checksOf(detectAnomalies(back, context, settings({ roundTrip: { action: 'off' } }))), ['privateSale']);
+  const anomalies = detectAnomalies(back, context, settings({ roundTrip: { action: 'suppress' } }));
+  assert.strictEqual(getAnomalyAction(anomalies), 'suppress');
+  assert.strictEqual(getAnomalyAction([{ action: 'flag' }, { action: 'review' }, { action: 'flag' }]), 'review');
+});
+
+test('screenSales posts clean and flagged sales, skips held and suppressed ones and logs the held', async t => {
+  t.mock.method(console, 'log', () => {});
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(STATE_DIR, 'floor-history.json'), JSON.stringify({ snapshots: [FLOOR] }));
+
+  const ledger = ledgerOf(sale('0x01', 7, ALICE, BOB, 0));
+  const clean = sale('0x10', 8, CAROL, BOB, 1);
+  const flagged = sale('0x11', 7, BOB, ALICE, 2);
+  const held = sale('0x12', 9, CAROL, BOB, 3, 20);
+  const suppressed = sale('0x13', 10, CAROL, ALICE, 4, 1, { private_sale: true, fees_paid: false });
+  const fresh = [clean, flagged, held, suppressed];
+  fresh.forEach(event => recordSale(ledger, event));
+
+  const collection = { stateDir: STATE_DIR, anomalies: settings({ privateSale: { action: 'suppress' } }) };
+  const remaining = await screenSales(collection, ledger, fresh);
+
+  assert.deepStrictEqual(remaining, [clean, flagged]);
+  assert.deepStrictEqual(clean.anomalies, []);
+  assert.deepStrictEqual(checksOf(flagged.anomalies), ['roundTrip']);
+  assert.deepStrictEqual([clean, flagged, held, suppressed].map(event => ledger.sales[getSaleKey(event)].status),
+    ['pending', 'pending', 'skipped', 'skipped']);
+  assert.match(ledger.sales[getSaleKey(held)].reason, /^held for review: priceBand: sold at 2000% of floor/);
+  assert.match(ledger.sales[getSaleKey(suppressed)].reason, /^suppressed: privateSale/);
+  assert.deepStrictEqual(checksOf(ledger.sales[getSaleKey(suppressed)].anomalies), ['privateSale']);
+
+  const log = JSON.parse(fs.readFileSync(path.join(STATE_DIR, 'review-log.json'), 'utf8'));
+  assert.deepStrictEqual(log.entries.map(entry => entry.key), [getSaleKey(held)]);
+
+  // Sales screened on an earlier run aren't screened again
+  flagged.anomalies = [];
+  assert.deepStrictEqual(await screenSales(collection, ledger, [flagged]), [flagged]);
+  assert.deepStrictEqual(flagged.anomalies, []);
+});
@@ -0,0 +1,123 @@
+// ==========================================
+// FILE: test/cards.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setNow, now } = require('../lib/clock');
+const { renderEvidenceCard, renderWantedCard, renderCollageCard } = require('../lib/cards');
+const { createCanvas, encodePng } = require('../lib/cards/draw');
+
+// Cards are compared by the sha256 of their PNG bytes. After a deliberate change to how cards
+// look, check the new ones by eye and rewrite the hashes with UPDATE_SNAPSHOTS=1.
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'cards.json');
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const snapshots = fs.existsSync(SNAPSHOT_FILE) ? JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8')) : {};
+
+test.before(() => setNow('2026-03-15T22:00:00.000Z'));
+test.after(() => {
+  setNow(null);
+  if (UPDATE) fs.writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(snapshots, null, 2)}\n`);
+});
+
+// A small striped square standing in for the NFT image, drawn rather than checked in
+async function makeMugshot(color) {
+  const { bitmap, ctx } = createCanvas(96, 96);
+  ctx.fillStyle = '#20201e';
+  ctx.fillRect(0, 0, 96, 96);
+  ctx.fillStyle = color;
+  for (let y = 0; y < 96; y += 24) ctx.fillRect(0, y, 96, 12);
+  return encodePng(bitmap);
+}
+
+async function assertSnapshot(name, png) {
+  assert.deepStrictEqual([...png.subarray(1, 4)], [...Buffer.from('PNG')], `${name} is not a PNG`);
+  const hash = crypto.createHash('sha256').update(png).digest('hex');
+  if (UPDATE) {
+    snapshots[name] = hash;
+    return;
+  }
+  assert.ok(snapshots[name], `No snapshot for ${name} - run with UPDATE_SNAPSHOTS=1`);
+  assert.strictEqual(hash, snapshots[name], `${name} card changed`);
+}
+
+const buyer = { name: '0x7a9b...c3d4', tierLabel: 'UNDERBOSS', tierRank: 5, count: 23 };
+const seller = { name: 'vinnie.eth', tierLabel: 'SOLDIER', tierRank: 2, count: 6 };
+
+test('evidence card', async () => {
+  const png = await renderEvidenceCard({
+    collection: 'Al Cabone',
+    caseNumber: 'AC-72317',
+    nftName: 'Al Cabone #4521',
+    image: await makeMugshot('#b3261e'),
+    buyer,
+    seller,
+    tierCount: 7,
+    units: 'Mobsters',
+    price: '0.420 ETH',
+    sweepCount: 0,
+    status: 'EMPIRE EXPANSION',
+    filedAt: now()
+  });
+  await assertSnapshot('evidence', png);
+});
+
+test('evidence card for a sweep, without a photo', async () => {
+  const png = await renderEvidenceCard({
+    collection: 'Al Cabone',
+    caseNumber: 'AC-72318',
+    nftName: 'Al Cabone #101',
+    image: null,
+    buyer,
+    seller,
+    tierCount: 7,
+    units: 'Mobsters',
+    price: '1.260 ETH',
+    sweepCount: 3,
+    status: 'HOSTILE TAKEOVER',
+    filedAt: now()
+  });
+  await assertSnapshot('evidence-sweep', png);
+});
+
+test('wanted card', async () => {
+  const png = await renderWantedCard({
+    collection: 'Al Cabone',
+    nftName: 'Al Cabone #1337',
+    image: await makeMugshot('#d9c9a3'),
+    seller,
+    tierCount: 7,
+    units: 'Mobsters',
+    price: '0.300 ETH',
+    status: 'Disgruntled mobster seeks new family',
+    issuedAt: now()
+  });
+  await assertSnapshot('wanted', png);
+});
+
+test('collage card', async () => {
+  const png = await renderCollageCard({
+    collection: 'Al Cabone',
+    caseNumber: 'AC-72318',
+    exhibits: [
+      { nftName: 'Al Cabone #101', image: await makeMugshot('#b3261e') },
+      { nftName: 'Al Cabone #102', image: await makeMugshot('#5c5548') },
+      { nftName: 'Al Cabone #103', image: null }
+    ],
+    sweepCount: 3,
+    units: 'Mobsters',
+    price: '1.260 ETH',
+    filedAt: now()
+  });
+  await assertSnapshot('collage', png);
+});
+
+test('cards render the same bytes every time', async () => {
+  const card = { collection: 'Al Cabone', nftName: 'Al Cabone #1337', image: null, seller, tierCount: 7,
+    units: 'Mobsters', price: '0.300 ETH', status: 'On the run', issuedAt: now() };
+  const [first, second] = await Promise.all([renderWantedCard(card), renderWantedCard(card)]);
+  assert.ok(first.equals(second));
+});
@@ -0,0 +1,89 @@
+// ==========================================
+// FILE: test/chain.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createChainReader, getScanStart, scanChainSales } = require('../lib/chain');
+const { createRpcReplaySource } = require('../lib/replay');
+
+// The recorded chain in fixtures/sample/rpc/chain.json: head 24650000, a gift and six sales -
+// a two-token OpenSea sweep, an OpenSea sale, a Blur sale paid in Blur Pool ETH, a private
+// Seaport sale and a last OpenSea sale in the block before the head
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'sample');
+const COLLECTION = { slug: 'thealcabones', contract: '0x8Ca5209d8CCe34b0de91C2C4b4B14F20AFf8BA23' };
+const HEAD = 24650000;
+const ETH = '0x0000000000000000000000000000000000000000';
+const BLUR_POOL = '0x0000000000a39bb272e79075ade125fd351887ac';
+
+function createChain() {
+  return createChainReader(createRpcReplaySource(FIXTURES_DIR));
+}
+
+function scan(fromBlock, { toBlock = HEAD, blockRange = 2000, maxChunks = 20 } = {}) {
+  return scanChainSales(createChain(), COLLECTION, { fromBlock, toBlock, blockRange, maxChunks });
+}
+
+test('decodes price, currency and marketplace of every sale', async () => {
+  const { sales, transfers, scannedTo } = await scan(24649000);
+  assert.strictEqual(scannedTo, HEAD);
+  assert.strictEqual(transfers.length, 7);
+  assert.deepStrictEqual(sales.map(sale => [sale.nft.identifier, sale.marketplace, sale.payment.quantity, sale.payment.token_address, sale.payment.symbol]), [
+    ['212', 'opensea', '399000000000000000', ETH, 'ETH'],
+    ['213', 'opensea', '401000000000000000', ETH, 'ETH'],
+    ['1337', 'opensea', '385000000000000000', ETH, 'ETH'],
+    ['777', 'blur', '350000000000000000', BLUR_POOL, 'ETH'],
+    ['1337', 'seaport', '50000000000000000', ETH, 'ETH'],
+    ['4521', 'opensea', '420000000000000000', ETH, 'ETH']
+  ]);
+});
+
+test('sales come out in the OpenSea event shape', async () => {
+  const { sales } = await scan(24649000);
+  const sale = sales.at(-1);
+  assert.strictEqual(sale.event_type, 'sale');
+  assert.strictEqual(sale.seller, '0xc4f0a1b2c3d4e5f60718293a4b5c6d7e8f901234');
+  assert.strictEqual(sale.buyer, '0x7a9b3c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b');
+  assert.strictEqual(sale.event_timestamp, 1773612000);
+  assert.strictEqual(sale.nft.contract, COLLECTION.contract.toLowerCase());
+  assert.strictEqual(sale.source, 'rpc');
+
+  const [privateSale] = sales.filter(candidate => candidate.marketplace === 'seaport');
+  assert.strictEqual(privateSale.private_sale, true);
+  assert.strictEqual(privateSale.fees_paid, false);
+});
+
+test('a transfer without a settlement is not a sale', async () => {
+  const { sales, transfers } = await scan(24649000);
+  const gift = transfers[0];
+  assert.strictEqual(gift.nft.identifier, '300');
+  assert.ok(!sales.some(sale => sale.transaction === gift.transaction));
+});
+
+test('stops after maxChunks and reports how far it got', async () => {
+  const { sales, scannedTo } = await scan(24649000, { blockRange: 500, maxChunks: 1 });
+  assert.strictEqual(scannedTo, 24649499);
+  assert.deepStrictEqual(sales.map(sale => sale.nft.identifier), ['212', '213']);
+});
+
+test('the first scan reaches back to the last check, estimated at 12 seconds a block', () => {
+  // Last check 4 hours ago, plus the hour of lookback: 18000 seconds, 1500 blocks
+  const fromBlock = getScanStart({ toBlock: HEAD, lastBlock: null, lastCheck: 1773597600, lookbackSeconds: 3600, at: 1773612000 });
+  assert.strictEqual(fromBlock, HEAD - 1500);
+  // A part-block rounds up, so the boundary is never skipped
+  assert.strictEqual(getScanStart({ toBlock: HEAD, lastBlock: null, lastCheck: 1773611995, lookbackSeconds: 0, at: 1773612000 }), HEAD - 1);
+});
+
+test('later scans re-read the last 12 blocks in case they were reorged', async () => {
+  const lastBlock = 24649998;
+  const fromBlock = getScanStart({ toBlock: HEAD, lastBlock, lastCheck: 0, lookbackSeconds: 3600, at: 1773612000 });
+  assert.strictEqual(fromBlock, lastBlock - 11);
+
+  // The sale in the last block seen is found again (the ledger drops it as a duplicate)
+  const { sales } = await scan(fromBlock);
+  assert.deepStrictEqual(sales.map(sale => sale.nft.identifier), ['4521']);
+});
+
+test('nothing to scan once the confirmed head is behind the overlap', () => {
+  assert.ok(getScanStart({ toBlock: 24649980, lastBlock: 24650000, lastCheck: 0, lookbackSeconds: 3600, at: 0 }) > 24649980);
+});
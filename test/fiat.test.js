@@ -0,0 +1,138 @@
+// ==========================================
+// FILE: test/fiat.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setNow } = require('../lib/clock');
+const { RATES_FILE, registerPriceProvider, createFiatRates } = require('../lib/fiat');
+const { STATE_VERSION, migrateState } = require('../lib/state-migrations');
+
+// The rate cache lives under state/, relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const originalDir = process.cwd();
+
+// A provider that prices everything at a per-currency rate and records each call.
+// `down` makes it fail like an unreachable API.
+const calls = [];
+let down = false;
+const PRICES = { usd: { ETH: 3000, USDC: 1 }, eur: { ETH: 2800, USDC: 0.93 } };
+
+registerPriceProvider('counting', () => ({
+  name: 'counting',
+  async getRates(symbols, currency) {
+    calls.push({ symbols, currency });
+    if (down) throw new Error('connect ECONNREFUSED');
+    return Object.fromEntries(symbols.filter(symbol => symbol in PRICES[currency]).map(symbol => [symbol, PRICES[currency][symbol]]));
+  }
+}));
+
+const settings = overrides => ({ enabled: true, provider: 'counting', currency: 'usd', cacheMinutes: 10, ...overrides });
+const readRates = () => JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+
+test.before(() => {
+  process.chdir(workDir);
+  fs.mkdirSync('state');
+});
+
+test.beforeEach(() => {
+  fs.rmSync(RATES_FILE, { force: true });
+  calls.length = 0;
+  down = false;
+  setNow('2026-03-15T10:00:00.000Z');
+});
+
+test.after(() => {
+  setNow(null);
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('rates are cached for cacheMinutes, and WETH is priced as ETH', async () => {
+  const fiat = createFiatRates(settings());
+  assert.deepStrictEqual(await fiat.getRates(['WETH']), { ETH: 3000, WETH: 3000 });
+  assert.deepStrictEqual(await fiat.getRates(['ETH']), { ETH: 3000, WETH: 3000 });
+  assert.strictEqual(calls.length, 1);
+
+  // Another process (the next run) reads the cache from disk
+  setNow('2026-03-15T10:09:00.000Z');
+  await createFiatRates(settings()).getRates(['ETH']);
+  assert.strictEqual(calls.length, 1);
+
+  setNow('2026-03-15T10:11:00.000Z');
+  await createFiatRates(settings()).getRates(['ETH']);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('a symbol missing from the cache is fetched with the ones already cached', async () => {
+  const fiat = createFiatRates(settings());
+  await fiat.getRates(['ETH']);
+  assert.deepStrictEqual(await fiat.getRates(['USDC']), { ETH: 3000, USDC: 1, WETH: 3000 });
+  assert.deepStrictEqual(calls[1].symbols.sort(), ['ETH', 'USDC']);
+
+  // A symbol the provider can't price is remembered and doesn't force a refetch
+  await fiat.getRates(['PEPE']);
+  await fiat.getRates(['PEPE', 'ETH']);
+  assert.strictEqual(calls.length, 3);
+});
+
+test('each provider and currency keeps its own cache entry', async () => {
+  await createFiatRates(settings()).getRates(['ETH']);
+  await createFiatRates(settings({ currency: 'eur' })).getRates(['ETH']);
+  await createFiatRates(settings({ provider: 'fixed', rates: { ETH: 1234 } })).getRates(['ETH']);
+
+  const stored = readRates();
+  assert.deepStrictEqual(Object.keys(stored).sort(), ['counting:eur', 'counting:usd', 'fixed:usd']);
+  assert.deepStrictEqual(stored['counting:eur'].rates, { ETH: 2800 });
+  assert.deepStrictEqual(stored['fixed:usd'].rates, { ETH: 1234 });
+
+  // The usd entry still serves usd - it wasn't replaced by the eur fetch
+  assert.deepStrictEqual(await createFiatRates(settings()).getRates(['ETH']), { ETH: 3000, WETH: 3000 });
+  assert.strictEqual(calls.length, 2);
+});
+
+test('a stale entry is used for up to a day while the provider is down', async t => {
+  t.mock.method(console, 'error', () => {});
+  await createFiatRates(settings()).getRates(['ETH']);
+  down = true;
+
+  setNow('2026-03-16T09:00:00.000Z');
+  assert.deepStrictEqual(await createFiatRates(settings()).getRates(['ETH']), { ETH: 3000, WETH: 3000 });
+
+  setNow('2026-03-16T11:00:00.000Z');
+  assert.strictEqual(await createFiatRates(settings()).getRates(['ETH']), null);
+});
+
+test('nothing is fetched when fiat is off or nothing is asked for', async () => {
+  assert.strictEqual(await createFiatRates(settings({ enabled: false })).getRates(['ETH']), null);
+  assert.strictEqual(await createFiatRates(settings()).getRates([]), null);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('migration 3 moves the single-entry rate cache under its provider and currency', async t => {
+  t.mock.method(console, 'log', () => {});
+  const versionFile = path.join('state', 'state-version.json');
+  const old = { provider: 'counting', currency: 'usd', fetchedAt: '2026-03-15T09:55:00.000Z', symbols: ['ETH'], rates: { ETH: 2950 } };
+  fs.writeFileSync(versionFile, JSON.stringify({ version: 2, history: [] }));
+  fs.writeFileSync(RATES_FILE, JSON.stringify(old));
+
+  assert.deepStrictEqual(await migrateState([{ stateDir: path.join('state', 'alcabone') }]), ['fiat-rates-by-currency']);
+  assert.deepStrictEqual(readRates(), { 'counting:usd': old });
+  assert.strictEqual(JSON.parse(fs.readFileSync(versionFile, 'utf8')).version, STATE_VERSION);
+
+  // The migrated entry is still fresh, so it is used without a fetch
+  assert.deepStrictEqual(await createFiatRates(settings()).getRates(['ETH']), { ETH: 2950, WETH: 2950 });
+  assert.strictEqual(calls.length, 0);
+});
+
+test('migration 3 leaves a cache already keyed by currency alone', async t => {
+  t.mock.method(console, 'log', () => {});
+  const current = { 'counting:usd': { provider: 'counting', currency: 'usd', fetchedAt: '2026-03-15T09:55:00.000Z', rates: { ETH: 2950 } } };
+  fs.writeFileSync(path.join('state', 'state-version.json'), JSON.stringify({ version: 2, history: [] }));
+  fs.writeFileSync(RATES_FILE, JSON.stringify(current));
+
+  await migrateState([{ stateDir: path.join('state', 'alcabone') }]);
+  assert.deepStrictEqual(readRates(), current);
+});
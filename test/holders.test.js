@@ -0,0 +1,159 @@
+// ==========================================
+// FILE: test/holders.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setNow, nowSeconds } = require('../lib/clock');
+const {
+  loadHolderRegistry,
+  saveHolderRegistry,
+  applyTransfer,
+  applyHistoricalTransfer,
+  sortTransferLog,
+  getHoldings,
+  getHoldingsAround,
+  getNewHolders,
+  getTokenIds
+} = require('../lib/holders');
+
+// The registry is saved under state/, relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const originalDir = process.cwd();
+const STATE_DIR = path.join('state', 'alcabone');
+
+const ZERO = '0x0000000000000000000000000000000000000000';
+const ALICE = '0xa11ce00000000000000000000000000000000001';
+const BOB = '0xb0b0000000000000000000000000000000000002';
+const CAROL = '0xca40100000000000000000000000000000000003';
+const HOUR = 60 * 60;
+
+test.before(() => {
+  process.chdir(workDir);
+  setNow('2026-03-15T22:00:00.000Z');
+});
+
+test.after(() => {
+  setNow(null);
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// An OpenSea transfer event `hoursAgo` before now
+const transfer = (tx, tokenId, from, to, hoursAgo) => ({
+  event_type: 'transfer',
+  transaction: tx,
+  from_address: from,
+  to_address: to,
+  nft: { identifier: String(tokenId) },
+  event_timestamp: nowSeconds() - hoursAgo * HOUR
+});
+
+// The history walk of a small collection, newest first: Alice mints 1-3 and Bob 4, Alice sells
+// token 2 to Bob, and Bob burns token 4
+const HISTORY = [
+  transfer('0xburn', 4, BOB, ZERO, 1),
+  transfer('0xsale', 2, ALICE, BOB, 5),
+  transfer('0xmintb', 4, ZERO, BOB, 48),
+  transfer('0xminta', 3, ZERO, ALICE, 50),
+  transfer('0xminta', 2, ZERO, ALICE, 50),
+  transfer('0xminta', 1, ZERO, ALICE, 50)
+];
+
+async function buildRegistry(events = HISTORY) {
+  const registry = await loadHolderRegistry(STATE_DIR);
+  events.forEach(event => applyHistoricalTransfer(registry, event));
+  sortTransferLog(registry);
+  registry.syncedTo = nowSeconds();
+  registry.complete = true;
+  return registry;
+}
+
+test('the history walk takes the newest move of each token as its owner', async () => {
+  const registry = await buildRegistry();
+
+  assert.deepStrictEqual(registry.owners, { 1: ALICE, 2: BOB, 3: ALICE, 4: ZERO });
+  assert.strictEqual(getHoldings(registry, ALICE), 2);
+  // Addresses match whatever their case
+  assert.strictEqual(getHoldings(registry, BOB.toUpperCase().replace('0X', '0x')), 1);
+  // Burned tokens aren't counted or listed
+  assert.strictEqual(getHoldings(registry, ZERO), 0);
+  assert.deepStrictEqual(getTokenIds(registry).sort(), ['1', '2', '3']);
+  assert.deepStrictEqual(registry.transfers.map(logged => logged.transaction), ['0xminta', '0xminta', '0xminta', '0xmintb', '0xsale', '0xburn']);
+});
+
+test('new transfers move tokens, and the sale and transfer events of one move count once', async () => {
+  const registry = await buildRegistry();
+  const move = transfer('0xnew', 1, ALICE, CAROL, 0);
+  const sale = { event_type: 'sale', transaction: '0xNEW', seller: ALICE, buyer: CAROL, nft: { identifier: '1' }, event_timestamp: move.event_timestamp };
+
+  assert.strictEqual(applyTransfer(registry, move), true);
+  assert.strictEqual(applyTransfer(registry, sale), false);
+  assert.strictEqual(getHoldings(registry, ALICE), 1);
+  assert.strictEqual(getHoldings(registry, CAROL), 1);
+});
+
+test('a late-indexed transfer older than the token\'s last move does not take it back', async () => {
+  const registry = await buildRegistry();
+  // Token 2 went to Bob 5 hours ago; an older move to Carol turns up only now
+  applyTransfer(registry, transfer('0xlate', 2, ALICE, CAROL, 6));
+  assert.strictEqual(registry.owners[2], BOB);
+  assert.strictEqual(getHoldings(registry, CAROL), 0);
+});
+
+test('holdings around a transaction come from the current balance and the log', async () => {
+  const registry = await buildRegistry();
+  applyTransfer(registry, transfer('0xlater', 3, ALICE, BOB, 0));
+
+  // Alice's sale of token 2: 3 -> 2 then; Bob 1 -> 2 (his burn and the later buy came after)
+  assert.deepStrictEqual(getHoldingsAround(registry, ALICE, ['0xSALE'], nowSeconds() - 5 * HOUR), { before: 3, after: 2 });
+  assert.deepStrictEqual(getHoldingsAround(registry, BOB, ['0xsale'], nowSeconds() - 5 * HOUR), { before: 1, after: 2 });
+  assert.deepStrictEqual(getHoldingsAround(registry, BOB, ['0xlater'], nowSeconds()), { before: 1, after: 2 });
+});
+
+test('the registry only answers once built, with no gap, inside the transfer log', async () => {
+  const registry = await buildRegistry();
+  const saleTime = nowSeconds() - 5 * HOUR;
+
+  registry.complete = false;
+  assert.strictEqual(getHoldingsAround(registry, ALICE, ['0xsale'], saleTime), null);
+  registry.complete = true;
+  registry.gap = { cursor: 'page-3', boundary: saleTime };
+  assert.strictEqual(getHoldingsAround(registry, ALICE, ['0xsale'], saleTime), null);
+  registry.gap = null;
+
+  assert.strictEqual(getHoldingsAround(registry, ALICE, ['0xold'], nowSeconds() - 15 * 24 * HOUR), null);
+  assert.strictEqual(getNewHolders(registry, nowSeconds() - 15 * 24 * HOUR), null);
+});
+
+test('new holders are wallets that held nothing at the time and hold something now', async () => {
+  const registry = await buildRegistry();
+  applyTransfer(registry, transfer('0xgift', 3, ALICE, CAROL, 0));
+
+  assert.deepStrictEqual(getNewHolders(registry, nowSeconds() - HOUR), [CAROL]);
+  assert.deepStrictEqual(getNewHolders(registry, nowSeconds() - 49 * HOUR).sort(), [BOB, CAROL].sort());
+});
+
+test('a saved registry loads with the same balances and drops transfers past the log window', async () => {
+  const registry = await buildRegistry([...HISTORY, transfer('0xancient', 5, ZERO, CAROL, 20 * 24)]);
+  // Too old to log on the way in
+  assert.strictEqual(registry.transfers.length, 6);
+
+  // Thirteen days on, the mints (two days older) have left the window
+  setNow('2026-03-28T22:00:00.000Z');
+  try {
+    await saveHolderRegistry(STATE_DIR, registry);
+    const loaded = await loadHolderRegistry(STATE_DIR);
+
+    assert.deepStrictEqual(loaded.owners, { 1: ALICE, 2: BOB, 3: ALICE, 4: ZERO, 5: CAROL });
+    assert.deepStrictEqual([ALICE, BOB, CAROL].map(wallet => getHoldings(loaded, wallet)), [2, 1, 1]);
+    assert.deepStrictEqual(loaded.transfers.map(logged => logged.transaction), ['0xsale', '0xburn']);
+    assert.strictEqual(loaded.complete, true);
+    // A move still in the log is recognised after loading
+    assert.strictEqual(applyTransfer(loaded, HISTORY[1]), false);
+  } finally {
+    setNow('2026-03-15T22:00:00.000Z');
+  }
+});
@@ -0,0 +1,155 @@
+// ==========================================
+// FILE: test/ledger.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setNow } = require('../lib/clock');
+const {
+  SALE_STATUS,
+  MAX_POST_ATTEMPTS,
+  getSaleKey,
+  loadLedger,
+  saveLedger,
+  hasSale,
+  recordSale,
+  markSale,
+  getRetryableEvents,
+  getRetryableSales,
+  getRetryableSale,
+  isSaleTransaction
+} = require('../lib/ledger');
+
+// The ledger is saved under state/, relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const originalDir = process.cwd();
+const STATE_DIR = path.join('state', 'alcabone');
+
+const TX = '0x4D2E6A8C0B1F3D5E7A9C1B3D5F7E9A1C3B5D7F9E1A3C5B7D9F1E3A5C7B9D1F3E';
+const WALLET = '0x5E1D2C3B4A59687766554433221100FFEEDDCCBB';
+
+const sale = (tx, tokenId, timestamp = 1773615600) => ({
+  event_type: 'sale',
+  transaction: tx,
+  seller: '0xc4f0a1b2c3d4e5f60718293a4b5c6d7e8f901234',
+  buyer: '0x7a9b3c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b',
+  nft: { identifier: String(tokenId) },
+  payment: { quantity: '420000000000000000', symbol: 'ETH', decimals: 18 },
+  event_timestamp: timestamp
+});
+
+test.before(() => {
+  process.chdir(workDir);
+  setNow('2026-03-15T23:30:00.000Z');
+});
+
+test.after(() => {
+  setNow(null);
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('keys are the transaction and token, prefixed with the kind for other events', () => {
+  assert.strictEqual(getSaleKey(sale(TX, 101)), `${TX.toLowerCase()}_101`);
+  // Older events carried the token under asset
+  assert.strictEqual(getSaleKey({ event_type: 'sale', transaction: TX, asset: { token_id: '101' } }), `${TX.toLowerCase()}_101`);
+  assert.strictEqual(getSaleKey({ event_type: 'wiretap', kind: 'listing', order_hash: '0xABC', nft: { identifier: '7' } }), 'listing:0xabc_7');
+  assert.strictEqual(getSaleKey({ event_type: 'rank', kind: 'promotion', transaction: TX, wallet: WALLET }),
+    `promotion:${TX.toLowerCase()}_${WALLET.toLowerCase()}`);
+});
+
+test('a sale is recorded once, whatever the case of its transaction hash', () => {
+  const ledger = { sales: {} };
+  const first = recordSale(ledger, sale(TX, 101));
+  setNow('2026-03-15T23:45:00.000Z');
+  const again = recordSale(ledger, sale(TX.toLowerCase(), 101), SALE_STATUS.skipped, 'seen twice');
+  setNow('2026-03-15T23:30:00.000Z');
+
+  assert.strictEqual(again, first);
+  assert.strictEqual(Object.keys(ledger.sales).length, 1);
+  assert.strictEqual(first.status, SALE_STATUS.pending);
+  assert.strictEqual(first.firstSeen, '2026-03-15T23:30:00.000Z');
+  assert.ok(hasSale(ledger, sale(TX.toLowerCase(), 101)));
+  // Another token in the same transaction (a sweep) is its own sale
+  assert.ok(!hasSale(ledger, sale(TX, 102)));
+  assert.ok(isSaleTransaction(ledger, TX.toLowerCase()));
+});
+
+test('a sale skipped when recorded keeps no event and is never retried', () => {
+  const ledger = { sales: {} };
+  const entry = recordSale(ledger, sale(TX, 101), SALE_STATUS.skipped, 'invalid sale event');
+  assert.strictEqual(entry.event, undefined);
+  assert.strictEqual(entry.reason, 'invalid sale event');
+  assert.deepStrictEqual(getRetryableSales(ledger), []);
+});
+
+test('a failed sale is retried until it has used MAX_POST_ATTEMPTS', () => {
+  const ledger = { sales: {} };
+  const event = sale(TX, 101);
+  recordSale(ledger, event);
+  const key = getSaleKey(event);
+
+  for (let attempt = 1; attempt < MAX_POST_ATTEMPTS; attempt++) {
+    const entry = markSale(ledger, event, SALE_STATUS.failed, 'X API error');
+    assert.strictEqual(entry.attempts, attempt);
+    assert.strictEqual(getRetryableSale(ledger, key), event);
+  }
+
+  const last = markSale(ledger, event, SALE_STATUS.failed, 'X API error');
+  assert.strictEqual(last.attempts, MAX_POST_ATTEMPTS);
+  assert.strictEqual(getRetryableSale(ledger, key), null);
+  assert.deepStrictEqual(getRetryableSales(ledger), []);
+});
+
+test('posting a sale drops its event and ends its retries', () => {
+  const ledger = { sales: {} };
+  const event = sale(TX, 101);
+  recordSale(ledger, event);
+  markSale(ledger, event, SALE_STATUS.failed, 'timeout');
+
+  setNow('2026-03-16T00:00:00.000Z');
+  const entry = markSale(ledger, event, SALE_STATUS.posted);
+  setNow('2026-03-15T23:30:00.000Z');
+
+  assert.strictEqual(entry.status, SALE_STATUS.posted);
+  assert.strictEqual(entry.event, undefined);
+  assert.strictEqual(entry.reason, null);
+  assert.strictEqual(entry.updatedAt, '2026-03-16T00:00:00.000Z');
+  // What digests need outlives the event
+  assert.strictEqual(entry.payment.quantity, '420000000000000000');
+  assert.strictEqual(getRetryableSale(ledger, getSaleKey(event)), null);
+});
+
+test('retryable events come oldest first, filtered by kind', () => {
+  const ledger = { sales: {} };
+  const listing = { event_type: 'wiretap', kind: 'listing', order_hash: '0x01', nft: { identifier: '5' }, event_timestamp: 1773612000 };
+  recordSale(ledger, sale('0x03', 103, 1773615600));
+  recordSale(ledger, sale('0x01', 101, 1773608400));
+  recordSale(ledger, listing);
+  recordSale(ledger, sale('0x02', 102, 1773612000));
+
+  assert.deepStrictEqual(getRetryableSales(ledger).map(event => event.nft.identifier), ['101', '102', '103']);
+  assert.deepStrictEqual(getRetryableEvents(ledger, ['listing']), [listing]);
+});
+
+test('saving drops finished entries past the retention window and keeps the rest', async () => {
+  const ledger = { sales: {} };
+  const oldPosted = sale('0x01', 101);
+  const oldFailed = sale('0x02', 102);
+  const oldPending = sale('0x03', 103);
+  setNow('2026-02-01T00:00:00.000Z');
+  [oldPosted, oldFailed, oldPending].forEach(event => recordSale(ledger, event));
+  markSale(ledger, oldPosted, SALE_STATUS.posted);
+  for (let attempt = 0; attempt < MAX_POST_ATTEMPTS; attempt++) markSale(ledger, oldFailed, SALE_STATUS.failed, 'X API error');
+  setNow('2026-03-15T23:30:00.000Z');
+  const recent = sale('0x04', 104);
+  recordSale(ledger, recent);
+  markSale(ledger, recent, SALE_STATUS.posted);
+
+  await saveLedger(STATE_DIR, ledger);
+  const loaded = await loadLedger(STATE_DIR);
+  assert.deepStrictEqual(Object.keys(loaded.sales).sort(), [getSaleKey(oldPending), getSaleKey(recent)].sort());
+  assert.deepStrictEqual(getRetryableSales(loaded).map(event => event.nft.identifier), ['103']);
+});
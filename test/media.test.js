@@ -0,0 +1,80 @@
+// ==========================================
+// FILE: test/media.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { setNow } = require('../lib/clock');
+const { getNFTMedia, clearMediaMemo } = require('../lib/media');
+const { createCanvas, encodePng } = require('../lib/cards/draw');
+
+// The media cache lives under state/, relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const originalDir = process.cwd();
+const originalAdapter = axios.defaults.adapter;
+
+// Downloads are served by swapping axios' adapter: `online` decides whether the CDN answers
+let online = false;
+let requests = 0;
+let png;
+
+test.before(async () => {
+  process.chdir(workDir);
+  const { bitmap, ctx } = createCanvas(8, 8);
+  ctx.fillStyle = '#b3261e';
+  ctx.fillRect(0, 0, 8, 8);
+  png = await encodePng(bitmap);
+  axios.defaults.adapter = async config => {
+    requests++;
+    if (!online) throw new Error('getaddrinfo ENOTFOUND cdn.example');
+    return { data: png, status: 200, statusText: 'OK', headers: {}, config, request: {} };
+  };
+});
+
+test.after(() => {
+  axios.defaults.adapter = originalAdapter;
+  setNow(null);
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const nft = { contract: '0x8Ca5209d8CCe34b0de91C2C4b4B14F20AFf8BA23', identifier: '4521', image_url: 'https://cdn.example/4521.png' };
+const options = { ipfsGateways: [], maxDimension: 1600, animation: false, retryHours: 6 };
+
+test('a failed lookup is retried on a later run once retryHours have passed', async () => {
+  setNow('2026-03-15T10:00:00.000Z');
+  const failed = await getNFTMedia(nft, options);
+  assert.strictEqual(failed.image, null);
+  assert.strictEqual(requests, 1);
+
+  // The same run asks again (card, then post): answered from memory
+  online = true;
+  await getNFTMedia(nft, options);
+  assert.strictEqual(requests, 1);
+
+  // Next run, within retryHours: the failure on file still stands
+  clearMediaMemo();
+  setNow('2026-03-15T12:00:00.000Z');
+  assert.strictEqual((await getNFTMedia(nft, options)).image, null);
+  assert.strictEqual(requests, 1);
+
+  // A run past retryHours fetches again and gets the image
+  clearMediaMemo();
+  setNow('2026-03-15T16:30:00.000Z');
+  const media = await getNFTMedia(nft, options);
+  assert.strictEqual(requests, 2);
+  assert.strictEqual(media.image.mimeType, 'image/png');
+  assert.ok(media.image.buffer.equals(png));
+});
+
+test('a later run reads found media from the cache without downloading it', async () => {
+  clearMediaMemo();
+  online = false;
+  const before = requests;
+  const media = await getNFTMedia(nft, options);
+  assert.strictEqual(requests, before);
+  assert.ok(media.image.buffer.equals(png));
+});
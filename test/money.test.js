@@ -0,0 +1,82 @@
+// ==========================================
+// FILE: test/money.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuantity, toAmount, formatAmount, sumAmounts, formatTotals, getEthValue } = require('../lib/money');
+
+const eth = amount => ({ amount, decimals: 18, symbol: 'ETH' });
+const weth = amount => ({ amount, decimals: 18, symbol: 'WETH' });
+const usdc = amount => ({ amount, decimals: 6, symbol: 'USDC' });
+
+test('parseQuantity reads digit strings, numbers and BigInts exactly', () => {
+  assert.strictEqual(parseQuantity('420000000000000000'), 420000000000000000n);
+  assert.strictEqual(parseQuantity(' 7 '), 7n);
+  assert.strictEqual(parseQuantity(1000), 1000n);
+  assert.strictEqual(parseQuantity(5n), 5n);
+  // Past 2^53 the digits must not drift
+  assert.strictEqual(parseQuantity('123456789012345678901'), 123456789012345678901n);
+});
+
+test('parseQuantity reads scientific notation from large JSON numbers', () => {
+  assert.strictEqual(parseQuantity(4.2e17), 420000000000000000n);
+  assert.strictEqual(parseQuantity('4.2e17'), 420000000000000000n);
+  assert.strictEqual(parseQuantity('1.25E+20'), 125000000000000000000n);
+});
+
+test('parseQuantity refuses anything that is not a whole quantity', () => {
+  for (const quantity of [null, undefined, '', 'abc', '-5', '1.5', '1.25e1', '0x10']) {
+    assert.strictEqual(parseQuantity(quantity), null, `${quantity}`);
+  }
+});
+
+test('toAmount takes symbol and decimals from known contracts over the API', () => {
+  const payment = { quantity: '350000000', token_address: '0xA0b86991c6218b36c1D19D4a2e9Eb0cE3606eB48', decimals: 18, symbol: 'weird' };
+  assert.deepStrictEqual(toAmount(payment), usdc(350000000n));
+  assert.deepStrictEqual(toAmount({ quantity: '10', symbol: 'pepe', decimals: 2 }), { amount: 10n, decimals: 2, symbol: 'PEPE' });
+  assert.strictEqual(toAmount({ quantity: '0', symbol: 'ETH' }), null);
+  assert.strictEqual(toAmount(null), null);
+});
+
+test('formatAmount shows three digits for ETH and two for stablecoins, rounding half up', () => {
+  assert.strictEqual(formatAmount(eth(420000000000000000n)), '0.420 ETH');
+  assert.strictEqual(formatAmount(eth(1234500000000000000n)), '1.235 ETH');
+  assert.strictEqual(formatAmount(eth(1234499999999999999n)), '1.234 ETH');
+  assert.strictEqual(formatAmount(usdc(350000000n)), '350.00 USDC');
+  assert.strictEqual(formatAmount(usdc(1005000n)), '1.01 USDC');
+  assert.strictEqual(formatAmount({ amount: 42n, decimals: 0, symbol: 'PTS' }), '42 PTS');
+});
+
+test('formatAmount never shows a paid amount as zero', () => {
+  assert.strictEqual(formatAmount(eth(400000000000000n)), '<0.001 ETH');
+  assert.strictEqual(formatAmount(eth(500000000000000n)), '0.001 ETH');
+  assert.strictEqual(formatAmount(usdc(4000n)), '<0.01 USDC');
+});
+
+test('sumAmounts adds exactly and keeps each currency apart, in first-seen order', () => {
+  const totals = sumAmounts([
+    usdc(100000000n),
+    eth(100000000000000000n),
+    null,
+    weth(300000000000000000n),
+    eth(200000000000000000n),
+    usdc(250000000n)
+  ]);
+
+  assert.deepStrictEqual(totals, [usdc(350000000n), eth(300000000000000000n), weth(300000000000000000n)]);
+  assert.strictEqual(formatTotals(totals), '350.00 USDC + 0.300 ETH + 0.300 WETH');
+  assert.strictEqual(formatTotals([]), 'Price undisclosed');
+});
+
+test('sumAmounts keeps a symbol with different decimals apart and leaves its inputs alone', () => {
+  const first = usdc(1000000n);
+  const totals = sumAmounts([first, usdc(2000000n), { amount: 5n, decimals: 18, symbol: 'USDC' }]);
+  assert.deepStrictEqual(totals, [usdc(3000000n), { amount: 5n, decimals: 18, symbol: 'USDC' }]);
+  assert.strictEqual(first.amount, 1000000n);
+});
+
+test('getEthValue counts ETH and WETH 1:1 and other currencies only through rates', () => {
+  const totals = [eth(500000000000000000n), weth(500000000000000000n), usdc(3000000000n)];
+  assert.strictEqual(getEthValue(totals), 1);
+  assert.strictEqual(getEthValue(totals, { ETH: 3000, USDC: 1 }), 2);
+});
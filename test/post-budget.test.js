@@ -0,0 +1,105 @@
+// ==========================================
+// FILE: test/post-budget.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { getBudgetLeft, checkBudget } = require('../lib/post-budget');
+const { serializeTotals } = require('../lib/money');
+
+// The default priorities (lib/config.js) with the caps under test
+function makeBudget(caps) {
+  return {
+    daily: 0,
+    monthly: 0,
+    lowValueEth: 0,
+    reserve: { normal: 20, low: 50 },
+    priorities: { digest: 'high', sweep: 'high', rare: 'high', sale: 'normal', rank: 'normal', summary: 'normal', lowValue: 'low', floor: 'low', wiretap: 'low' },
+    ...caps
+  };
+}
+
+function makeUsage(today, month, at) {
+  return {
+    days: { [at.toISOString().slice(0, 10)]: today },
+    months: { [at.toISOString().slice(0, 7)]: month },
+    blockedUntil: null
+  };
+}
+
+// Halfway through April (30 days): half the month still to come
+const MID_APRIL = new Date('2026-04-16T00:00:00.000Z');
+
+function sale(eth, extra = {}) {
+  return {
+    type: 'sale',
+    data: { totals: serializeTotals([{ amount: BigInt(Math.round(eth * 1000)) * 10n ** 15n, decimals: 18, symbol: 'ETH' }]) },
+    ...extra
+  };
+}
+
+test('getBudgetLeft is 100% without caps', () => {
+  assert.strictEqual(getBudgetLeft(makeUsage(40, 900, MID_APRIL), makeBudget(), MID_APRIL), 100);
+});
+
+test('getBudgetLeft is the day\'s share left', () => {
+  assert.strictEqual(getBudgetLeft(makeUsage(4, 0, MID_APRIL), makeBudget({ daily: 10 }), MID_APRIL), 60);
+  assert.strictEqual(getBudgetLeft(makeUsage(12, 0, MID_APRIL), makeBudget({ daily: 10 }), MID_APRIL), 0);
+});
+
+test('getBudgetLeft measures the month against the part still to come', () => {
+  const budget = makeBudget({ monthly: 300 });
+  // On pace (half used, half the month left) and ahead of pace both count as everything left
+  assert.strictEqual(getBudgetLeft(makeUsage(0, 150, MID_APRIL), budget, MID_APRIL), 100);
+  assert.strictEqual(getBudgetLeft(makeUsage(0, 30, MID_APRIL), budget, MID_APRIL), 100);
+  // 75 posts for the 150 the rest of the month would get on pace
+  assert.strictEqual(getBudgetLeft(makeUsage(0, 225, MID_APRIL), budget, MID_APRIL), 50);
+});
+
+test('getBudgetLeft takes the smaller of the day and the month', () => {
+  const budget = makeBudget({ daily: 10, monthly: 300 });
+  assert.strictEqual(getBudgetLeft(makeUsage(2, 225, MID_APRIL), budget, MID_APRIL), 50);
+  assert.strictEqual(getBudgetLeft(makeUsage(7, 150, MID_APRIL), budget, MID_APRIL), 30);
+});
+
+test('checkBudget lets posts out while there is budget, with the replies that fit', () => {
+  const budget = makeBudget({ daily: 10 });
+  const sweep = { type: 'sweep', thread: ['a', 'b', 'c'], data: {} };
+  assert.deepStrictEqual(checkBudget(makeUsage(0, 0, MID_APRIL), budget, sweep, MID_APRIL), { action: 'post', replies: 3 });
+  // Two posts left: the main one and one reply
+  assert.deepStrictEqual(checkBudget(makeUsage(8, 0, MID_APRIL), budget, sweep, MID_APRIL), { action: 'post', replies: 1 });
+});
+
+test('checkBudget drops lower-priority posts first as the budget runs down', () => {
+  const budget = makeBudget({ daily: 10 });
+  const usage = makeUsage(6, 0, MID_APRIL); // 40% left
+  assert.strictEqual(checkBudget(usage, budget, { type: 'floor' }, MID_APRIL).action, 'drop');
+  assert.strictEqual(checkBudget(usage, budget, sale(0.5), MID_APRIL).action, 'post');
+
+  const tight = makeUsage(9, 0, MID_APRIL); // 10% left
+  const dropped = checkBudget(tight, budget, sale(0.5), MID_APRIL);
+  assert.strictEqual(dropped.action, 'drop');
+  assert.match(dropped.reason, /10% of the X budget left, normal-priority sale posts need 20%/);
+  assert.strictEqual(checkBudget(tight, budget, { type: 'digest' }, MID_APRIL).action, 'post');
+});
+
+test('checkBudget counts sales under lowValueEth as low priority, rare finds as high', () => {
+  const budget = makeBudget({ daily: 10, lowValueEth: 0.1 });
+  const usage = makeUsage(6, 0, MID_APRIL); // 40% left
+  assert.match(checkBudget(usage, budget, sale(0.05), MID_APRIL).reason, /low-priority lowValue/);
+  assert.strictEqual(checkBudget(usage, budget, sale(0.5), MID_APRIL).action, 'post');
+
+  const spent = makeUsage(10, 0, MID_APRIL);
+  assert.strictEqual(checkBudget(spent, budget, sale(0.05, { data: { ...sale(0.05).data, rarity: { rare: true } } }), MID_APRIL).action, 'wait');
+});
+
+test('checkBudget holds high-priority posts until a spent cap frees up, drops the rest', () => {
+  const daySpent = makeUsage(10, 100, MID_APRIL);
+  const budget = makeBudget({ daily: 10, monthly: 300 });
+  assert.deepStrictEqual(checkBudget(daySpent, budget, { type: 'digest' }, MID_APRIL), {
+    action: 'wait', until: new Date('2026-04-17T00:00:00.000Z'), reason: 'X budget spent (digest post)'
+  });
+  assert.deepStrictEqual(checkBudget(daySpent, budget, sale(0.5), MID_APRIL), { action: 'drop', reason: 'X budget spent (sale post)' });
+
+  const monthSpent = makeUsage(0, 300, MID_APRIL);
+  assert.deepStrictEqual(checkBudget(monthSpent, budget, { type: 'sweep', data: {} }, MID_APRIL).until, new Date('2026-05-01T00:00:00.000Z'));
+});
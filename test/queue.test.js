@@ -0,0 +1,124 @@
+// ==========================================
+// FILE: test/queue.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { setNow, nowSeconds } = require('../lib/clock');
+const {
+  getQueuedSaleKeys,
+  enqueueGroup,
+  removeGroup,
+  reconcileQueue,
+  takeStaleGroups,
+  getNextGroups
+} = require('../lib/queue');
+
+const HOUR = 60 * 60;
+const PRIORITY = ['sweep', 'value', 'tier'];
+
+test.before(() => setNow('2026-03-15T22:00:00.000Z'));
+test.after(() => setNow(null));
+
+// A queued group whose event was `hoursAgo` before now
+const group = (id, { kind, isSweep = false, totalValue = 1, buyerTierRank = 0, hoursAgo = 1, retryAt } = {}) => ({
+  id,
+  ...(kind ? { kind } : {}),
+  saleKeys: [`${id}-key`],
+  eventTimestamp: nowSeconds() - hoursAgo * HOUR,
+  isSweep,
+  totalValue,
+  buyerTierRank,
+  ...(retryAt ? { retryAt } : {})
+});
+
+function queueOf(...groups) {
+  const queue = { groups: [] };
+  groups.forEach(queued => enqueueGroup(queue, queued));
+  return queue;
+}
+
+const ids = groups => groups.map(queued => queued.id);
+
+test('sales go before rank announcements, and rank announcements before wiretap groups', () => {
+  const queue = queueOf(
+    group('listing', { kind: 'wiretap', totalValue: 50 }),
+    group('promotion', { kind: 'rank', buyerTierRank: 6 }),
+    group('sale', { totalValue: 0.1 })
+  );
+  assert.deepStrictEqual(ids(getNextGroups(queue, PRIORITY, 3)), ['sale', 'promotion', 'listing']);
+});
+
+test('within a kind the rules apply in order, and the oldest event breaks a tie', () => {
+  const queue = queueOf(
+    group('cheap-single', { totalValue: 0.5 }),
+    group('rich-single', { totalValue: 9, buyerTierRank: 1 }),
+    group('small-sweep', { isSweep: true, totalValue: 1 }),
+    group('big-sweep', { isSweep: true, totalValue: 3 }),
+    group('newer-twin', { totalValue: 0.5, hoursAgo: 1 }),
+    group('older-twin', { totalValue: 0.5, hoursAgo: 2 })
+  );
+
+  assert.deepStrictEqual(ids(getNextGroups(queue, PRIORITY, 10)),
+    ['big-sweep', 'small-sweep', 'rich-single', 'older-twin', 'cheap-single', 'newer-twin']);
+  // Tier first: the buyer's rung beats the sweep and the value
+  assert.deepStrictEqual(ids(getNextGroups(queue, ['tier', 'value'], 2)), ['rich-single', 'big-sweep']);
+});
+
+test('the limit caps the groups taken, and a limit of 0 or less takes none', () => {
+  const queue = queueOf(group('a', { totalValue: 3 }), group('b', { totalValue: 2 }), group('c', { totalValue: 1 }));
+  assert.deepStrictEqual(ids(getNextGroups(queue, PRIORITY, 2)), ['a', 'b']);
+  assert.deepStrictEqual(getNextGroups(queue, PRIORITY, 0), []);
+  assert.deepStrictEqual(getNextGroups(queue, PRIORITY, -1), []);
+  // Taking groups leaves the queue alone
+  assert.strictEqual(queue.groups.length, 3);
+});
+
+test('deferred groups sit out until their retryAt', () => {
+  const queue = queueOf(
+    group('deferred', { totalValue: 9, retryAt: '2026-03-15T23:00:00.000Z' }),
+    group('due', { totalValue: 1, retryAt: '2026-03-15T21:00:00.000Z' })
+  );
+  assert.deepStrictEqual(ids(getNextGroups(queue, PRIORITY, 2)), ['due']);
+
+  setNow('2026-03-15T23:00:00.000Z');
+  try {
+    assert.deepStrictEqual(ids(getNextGroups(queue, PRIORITY, 2)), ['deferred', 'due']);
+  } finally {
+    setNow('2026-03-15T22:00:00.000Z');
+  }
+});
+
+test('an unknown priority rule is an error', () => {
+  assert.throws(() => getNextGroups(queueOf(group('a')), ['rarity'], 1), /Unknown queue priority rule: rarity/);
+});
+
+test('a group is only queued once, and keeps when it was queued', () => {
+  const queue = queueOf(group('a', { totalValue: 1 }), group('a', { totalValue: 5 }));
+  assert.strictEqual(queue.groups.length, 1);
+  assert.strictEqual(queue.groups[0].totalValue, 1);
+  assert.strictEqual(queue.groups[0].enqueuedAt, '2026-03-15T22:00:00.000Z');
+
+  removeGroup(queue, 'a');
+  assert.deepStrictEqual(queue.groups, []);
+});
+
+test('stale groups of one kind are taken out past maxAgeHours', () => {
+  const queue = queueOf(
+    group('old-sale', { hoursAgo: 49 }),
+    group('new-sale', { hoursAgo: 47 }),
+    group('old-rank', { kind: 'rank', hoursAgo: 49 })
+  );
+
+  assert.deepStrictEqual(ids(takeStaleGroups(queue, 48)), ['old-sale']);
+  assert.deepStrictEqual(ids(queue.groups), ['new-sale', 'old-rank']);
+  assert.deepStrictEqual(ids(takeStaleGroups(queue, 48, 'rank')), ['old-rank']);
+});
+
+test('reconciling drops sale keys that no longer need posting, and groups left empty', () => {
+  const queue = queueOf(group('single'), { ...group('sweep'), saleKeys: ['s1', 's2', 's3'] });
+  const posted = new Set(['single-key', 's2']);
+
+  reconcileQueue(queue, key => !posted.has(key));
+  assert.deepStrictEqual(queue.groups.map(queued => [queued.id, queued.saleKeys]), [['sweep', ['s1', 's3']]]);
+  assert.deepStrictEqual([...getQueuedSaleKeys(queue)], ['s1', 's3']);
+});
@@ -0,0 +1,90 @@
+// ==========================================
+// FILE: test/rank-queued.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Replays fixtures/rank-queued through the bot: a demotion waits in the queue from an earlier
+// run, and a sale comes in that promotes its buyer. Holder counts come from the transfer
+// history, so the ranks are worked out from the registry rather than per-wallet lookups.
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join('fixtures', 'rank-queued');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const DEMOTION = 'demotion:0x3b5d7f9a1c3e5b7d9f1a3c5e7b9d1f3a5c7e9b1d3f5a7c9e1b3d5f7a9c1e3b5d_0x5e1d2c3b4a59687766554433221100ffeeddccbb';
+const PROMOTION = 'promotion:0x4d2e6a8c0b1f3d5e7a9c1b3d5f7e9a1c3b5d7f9e1a3c5b7d9f1e3a5c7b9d1f3e_0x7a9b3c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b';
+const SALE = '0x4d2e6a8c0b1f3d5e7a9c1b3d5f7e9a1c3b5d7f9e1a3c5b7d9f1e3a5c7b9d1f3e_101';
+
+// Run the replay with the fixture config (changed by `adjust`). Returns its output, the posts
+// written to the out dir and the collection's state files as the run left them.
+function replay(name, adjust = config => config) {
+  const config = adjust(JSON.parse(fs.readFileSync(path.join(ROOT, FIXTURES, 'config.json'), 'utf8')));
+  const configFile = path.join(workDir, `${name}.json`);
+  const outDir = path.join(workDir, name);
+  fs.writeFileSync(configFile, JSON.stringify(config));
+
+  const output = execFileSync(process.execPath, ['bot.js', '--replay', FIXTURES, '--config', configFile, '--out', outDir], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: 120000,
+    env: { ...process.env, LOG_FORMAT: 'text' }
+  });
+
+  const scratchDir = output.match(/scratch state in (\S+)\)/)[1];
+  try {
+    const readState = file => JSON.parse(fs.readFileSync(path.join(scratchDir, 'state', 'alcabone', file), 'utf8'));
+    const postsDir = path.join(outDir, 'alcabone');
+    const posts = fs.existsSync(postsDir)
+      ? fs.readdirSync(postsDir).filter(file => file.endsWith('.json')).sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(postsDir, file), 'utf8')))
+      : [];
+    return { output, posts, ledger: readState('sales-ledger.json').sales, queue: readState('post-queue.json').groups };
+  } finally {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  }
+}
+
+test('the holder registry is built from the transfer history', () => {
+  const { output } = replay('registry');
+  assert.match(output, /Holder registry built \(15 tokens\)/);
+  assert.doesNotMatch(output, /API call attempt|Error/);
+});
+
+test('the queued demotion and the promotion the sale makes are both posted', () => {
+  const { posts, ledger, queue } = replay('posted');
+
+  assert.deepStrictEqual(posts.map(post => post.title), [
+    'CASE #AC-10001',
+    'DEMOTION: SOLDIER -> ASSOCIATE',
+    'PROMOTION: ASSOCIATE -> SOLDIER'
+  ]);
+  // Counts before and after the sale, from the registry (the template variant is picked at random,
+  // so the post data is checked rather than its text)
+  const { buyerCountBefore, buyerCount, buyerTier, sellerCount, sellerCountAfter } = posts[0].data;
+  assert.deepStrictEqual([buyerCountBefore, buyerCount, buyerTier], [4, 5, 'soldier']);
+  assert.deepStrictEqual([sellerCount, sellerCountAfter], [6, 5]);
+  assert.deepStrictEqual(
+    posts.slice(1).map(({ data }) => [data.kind, data.countBefore, data.countAfter]),
+    [['demotion', 5, 4], ['promotion', 4, 5]]
+  );
+
+  assert.deepStrictEqual([SALE, DEMOTION, PROMOTION].map(key => ledger[key]?.status), ['posted', 'posted', 'posted']);
+  assert.deepStrictEqual(queue, []);
+});
+
+test('with one post slot the sale goes first and both rank changes stay queued', () => {
+  const { posts, ledger, queue } = replay('one-slot', config => ({
+    ...config,
+    defaults: { ...config.defaults, tweetsPerRun: 1 }
+  }));
+
+  assert.deepStrictEqual(posts.map(post => post.type), ['sale']);
+  assert.deepStrictEqual(queue.map(group => [group.kind, group.id]), [['rank', DEMOTION], ['rank', PROMOTION]]);
+  assert.deepStrictEqual([SALE, DEMOTION, PROMOTION].map(key => ledger[key]?.status), ['posted', 'pending', 'pending']);
+});
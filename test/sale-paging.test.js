@@ -0,0 +1,131 @@
+// ==========================================
+// FILE: test/sale-paging.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReplaySource } = require('../lib/replay');
+const { recordSale } = require('../lib/ledger');
+const { pageSales, collectNewSales } = require('../lib/sale-paging');
+
+// Sale pages in the replay fixture layout (events/collection/<slug>/sale/page-N.json), served
+// through the replay source so `next` walks page-1, page-2, ... as it would in a replay
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const pagesDir = path.join(fixturesDir, 'events', 'collection', 'thealcabones', 'sale');
+const source = createReplaySource(fixturesDir);
+
+// Sale n happened at 1000 + n * 100; the newest page holds the highest numbers
+const sale = n => ({
+  event_type: 'sale',
+  transaction: `0x${n.toString(16).padStart(64, '0')}`,
+  event_timestamp: 1000 + n * 100,
+  nft: { identifier: String(n) }
+});
+const numbers = events => events.map(event => Number(event.nft.identifier));
+
+function writePages(pages) {
+  fs.rmSync(pagesDir, { recursive: true, force: true });
+  fs.mkdirSync(pagesDir, { recursive: true });
+  pages.forEach((page, index) => {
+    fs.writeFileSync(path.join(pagesDir, `page-${index + 1}.json`), JSON.stringify({ asset_events: page.map(sale) }));
+  });
+}
+// Five pages of three: page-1 is sales 15-13, page-5 is 3-1
+const FIVE_PAGES = [[15, 14, 13], [12, 11, 10], [9, 8, 7], [6, 5, 4], [3, 2, 1]];
+
+let fetched;
+async function fetchPage(cursor) {
+  fetched.push(cursor);
+  const data = await source.get('events/collection/thealcabones', cursor ? { event_type: 'sale', next: cursor } : { event_type: 'sale' });
+  return { events: data.asset_events, next: data.next };
+}
+
+test.beforeEach(() => {
+  fetched = [];
+  writePages(FIVE_PAGES);
+});
+
+test.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+test('a fresh ledger pages back to the lookback boundary and no further', async () => {
+  const events = [];
+  // Sale 8 is at the boundary: it and everything older is left out
+  const result = await pageSales(fetchPage, { sales: {} }, 1800, null, true, events);
+
+  assert.deepStrictEqual(result, { pages: 3, cursor: null });
+  assert.deepStrictEqual(numbers(events), [15, 14, 13, 12, 11, 10, 9]);
+  assert.deepStrictEqual(fetched, [null, 'page-2', 'page-3']);
+});
+
+test('paging stops at the first sale already in the ledger', async () => {
+  const ledger = { sales: {} };
+  [11, 10, 9].forEach(n => recordSale(ledger, sale(n)));
+  const events = [];
+  const result = await pageSales(fetchPage, ledger, 0, null, true, events);
+
+  assert.deepStrictEqual(result, { pages: 2, cursor: null });
+  assert.deepStrictEqual(numbers(events), [15, 14, 13, 12]);
+});
+
+test('without stopAtSeen, seen sales are skipped and paging goes on to the boundary', async () => {
+  const ledger = { sales: {} };
+  [11, 10].forEach(n => recordSale(ledger, sale(n)));
+  const events = [];
+  const result = await pageSales(fetchPage, ledger, 1500, null, false, events);
+
+  assert.deepStrictEqual(result, { pages: 4, cursor: null });
+  assert.deepStrictEqual(numbers(events), [15, 14, 13, 12, 9, 8, 7, 6]);
+});
+
+test('the last page ends paging even short of the boundary', async () => {
+  const events = [];
+  assert.deepStrictEqual(await pageSales(fetchPage, { sales: {} }, 0, null, true, events), { pages: 5, cursor: null });
+  assert.strictEqual(events.length, 15);
+});
+
+test('paging stops at the page cap and returns the cursor to resume from', async () => {
+  const events = [];
+  const result = await pageSales(fetchPage, { sales: {} }, 0, null, true, events, 2);
+
+  assert.deepStrictEqual(result, { pages: 2, cursor: 'page-3' });
+  assert.deepStrictEqual(numbers(events), [15, 14, 13, 12, 11, 10]);
+});
+
+test('a run resumes from a saved cursor and closes the gap down to the boundary', async () => {
+  // First run: capped at two pages, so it records 15-10 and saves the cursor
+  const ledger = { sales: {} };
+  const first = await collectNewSales(fetchPage, ledger, 1100, null, 2);
+  assert.deepStrictEqual(numbers(first.events), [15, 14, 13, 12, 11, 10]);
+  assert.strictEqual(first.cursor, 'page-3');
+  first.events.forEach(event => recordSale(ledger, event));
+
+  // Sale 16 lands before the next run
+  writePages([[16, 15, 14], [13, 12, 11], [10, 9, 8], [7, 6, 5], [4, 3, 2], [1]]);
+  fetched = [];
+
+  // Second run: the new sale down to the seen ones, then the old gap from its cursor. The
+  // pages shifted, so the resumed walk repeats a few seen sales but doesn't collect them again.
+  const second = await collectNewSales(fetchPage, ledger, 1100, first.cursor, 2);
+  assert.deepStrictEqual(numbers(second.events), [16, 9, 8, 7, 6, 5]);
+  assert.deepStrictEqual(fetched, [null, 'page-3', 'page-4']);
+  assert.strictEqual(second.cursor, 'page-5');
+  second.events.forEach(event => recordSale(ledger, event));
+
+  // Third run: nothing new on top, and the gap closes at the boundary (sale 1 is on it)
+  fetched = [];
+  const third = await collectNewSales(fetchPage, ledger, 1100, second.cursor, 2);
+  assert.deepStrictEqual(numbers(third.events), [4, 3, 2]);
+  assert.deepStrictEqual(fetched, [null, 'page-5', 'page-6']);
+  assert.strictEqual(third.cursor, null);
+});
+
+test('a saved cursor waits while the newest sales still fill every page', async () => {
+  const ledger = { sales: {} };
+  const result = await collectNewSales(fetchPage, ledger, 0, 'page-4', 2);
+
+  // The new sales opened a gap of their own; resuming from it later walks through the old one
+  assert.deepStrictEqual(fetched, [null, 'page-2']);
+  assert.strictEqual(result.cursor, 'page-3');
+});
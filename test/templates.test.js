@@ -0,0 +1,131 @@
+// ==========================================
+// FILE: test/templates.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { X_MAX_WEIGHTED_LENGTH, getWeightedLength, loadTemplates, renderTemplate } = require('../lib/templates');
+const { ConfigError, loadConfig } = require('../lib/config');
+
+const originalCwd = process.cwd();
+const BASE_CONFIG = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'rank-queued', 'config.json'), 'utf8'));
+let tmpDir;
+
+test.before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+  process.chdir(tmpDir);
+});
+
+test.after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// The smallest template file the loader takes, with one sale variant
+function writeTemplates(file, saleLines) {
+  fs.writeFileSync(file, JSON.stringify({
+    sale: [{ id: 'short-sale', weight: 1, lines: saleLines }],
+    floor: [{ id: 'floor', weight: 1, lines: ['{{price}}'] }],
+    summary: [{ id: 'summary', weight: 1, lines: ['{{value}}'] }]
+  }));
+}
+
+// Load a config whose only collection uses the given sale lines and collection overrides
+function loadWithSaleTemplate(lines, collection = {}) {
+  writeTemplates('templates.json', lines);
+  const config = structuredClone(BASE_CONFIG);
+  config.defaults.templates.file = 'templates.json';
+  config.defaults.ranks = { enabled: false };
+  Object.assign(config.collections[0], collection);
+  fs.writeFileSync('config.json', JSON.stringify(config));
+  return loadConfig('config.json');
+}
+
+function renderLines(lines, values) {
+  writeTemplates('render.json', lines);
+  return renderTemplate(loadTemplates('render.json'), 'sale', values).text;
+}
+
+test('plain text counts one per character', () => {
+  assert.strictEqual(getWeightedLength('CASE #AC-1024'), 13);
+  assert.strictEqual(getWeightedLength('line one\nline two'), 17);
+});
+
+test('a link counts as 23 however long it is', () => {
+  assert.strictEqual(getWeightedLength('https://x.co'), 23);
+  assert.strictEqual(getWeightedLength(`https://opensea.io/assets/ethereum/0x8ca5/${'9'.repeat(60)}`), 23);
+  assert.strictEqual(getWeightedLength('See https://opensea.io/ now'), 4 + 23 + 4);
+});
+
+test('emoji count as two, with variation selectors and joiners free', () => {
+  assert.strictEqual(getWeightedLength('🚨'), 2);
+  assert.strictEqual(getWeightedLength('⚠️'), 2);
+  // Man, joiner, woman, joiner, girl: three wide characters
+  assert.strictEqual(getWeightedLength('👨‍👩‍👧'), 6);
+});
+
+test('CJK characters count as two, dashes and curly quotes as one', () => {
+  assert.strictEqual(getWeightedLength('教父'), 4);
+  assert.strictEqual(getWeightedLength('マフィア'), 8);
+  assert.strictEqual(getWeightedLength('—“”'), 3);
+});
+
+test('the lint passes a template that fits with the longest values', () => {
+  assert.doesNotThrow(() => loadWithSaleTemplate(['{{buyer}} bought {{nft}} for {{price}}', '{{link}}']));
+});
+
+test('the lint expands names to identities.maxNameLength', () => {
+  // 250 (buyer) + 8 + 12 (reserved for the name) + 5 + 14 (99999.999 WETH) + 1 + 23 (link)
+  assert.throws(
+    () => loadWithSaleTemplate(['{{buyer}} bought {{nft}} for {{price}}', '{{link}}'], { identities: { maxNameLength: 250 } }),
+    error => error instanceof ConfigError && error.problems.some(problem => problem.includes('short-sale') && problem.includes('can reach 313 of 280'))
+  );
+});
+
+test('the lint takes the longest branch of every flag', () => {
+  const lines = [
+    '{{#if sweep}}{{count}} at once{{else}}One{{/if}} for {{price}}',
+    `{{#if rare}}${'R'.repeat(150)}{{/if}}`,
+    `{{#if suspicious}}${'S'.repeat(100)}{{/if}}`
+  ];
+  // 999 at once for 99999.999 WETH, 150 and 100 more - only when both flags are on
+  assert.throws(
+    () => loadWithSaleTemplate(lines),
+    error => error.problems.some(problem => /short-sale \(.*rare.*suspicious.*\) can reach 282 of 280/.test(problem))
+  );
+});
+
+test('the lint counts the fiat value at its widest when fiat is enabled', () => {
+  const lines = [`${'W'.repeat(250)} {{price}}`];
+  assert.doesNotThrow(() => loadWithSaleTemplate(lines));
+  assert.throws(
+    () => loadWithSaleTemplate(lines, { fiat: { enabled: true, currency: 'usd' } }),
+    error => error.problems.some(problem => /short-sale .*can reach 281 of 280/.test(problem))
+  );
+});
+
+test('an over-long NFT name is cut with "..." to fit the limit', () => {
+  const lines = [`${'x'.repeat(240)}`, 'Acquired: "{{nft}}"'];
+  const nft = 'The Extraordinarily Long Name Of A Very Particular Mobster';
+  const text = renderLines(lines, { nft });
+
+  assert.strictEqual(getWeightedLength(text), X_MAX_WEIGHTED_LENGTH);
+  const [, shown] = text.match(/Acquired: "(.*)"$/);
+  assert.ok(shown.endsWith('...'));
+  assert.ok(nft.startsWith(shown.slice(0, -3).trimEnd()));
+});
+
+test('a wide NFT name is cut by weight, not by character count', () => {
+  const text = renderLines([`${'x'.repeat(260)}`, '{{nft}}'], { nft: '教父'.repeat(10) });
+  assert.ok(getWeightedLength(text) <= X_MAX_WEIGHTED_LENGTH);
+  assert.strictEqual(text.split('\n')[1], `${'教父'.repeat(4)}...`);
+});
+
+test('names that fit, or are already short, are left alone', () => {
+  assert.strictEqual(renderLines(['Acquired: {{nft}}'], { nft: 'Al Cabone #1024' }), 'Acquired: Al Cabone #1024');
+  // Too long overall, but the name is at the minimum length and is not cut further
+  const text = renderLines([`${'x'.repeat(280)}`, '{{nft}}'], { nft: 'Al Cabone #1' });
+  assert.strictEqual(text.split('\n')[1], 'Al Cabone #1');
+});
@@ -0,0 +1,83 @@
+// ==========================================
+// FILE: test/twitter.test.js
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiResponseError } = require('twitter-api-v2');
+const { createTwitterPublisher, PostDeferredError } = require('../lib/publishers/twitter');
+const { loadUsage } = require('../lib/post-budget');
+
+// X usage is kept under state/, relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'al-cabone-test-'));
+const originalDir = process.cwd();
+test.before(() => process.chdir(workDir));
+test.after(() => {
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const credentials = { appKey: 'key', appSecret: 'secret', accessToken: 'token', accessSecret: 'token-secret' };
+
+function rateLimited(resetInSeconds) {
+  const reset = Math.floor(Date.now() / 1000) + resetInSeconds;
+  return new ApiResponseError('Request failed with code 429', {
+    code: 429, request: {}, response: {}, headers: {}, rateLimit: { limit: 100, remaining: 0, reset }, data: {}
+  });
+}
+
+// A publisher whose client answers each tweet with the next of `answers` (errors are thrown)
+function createPublisher(answers, options = {}) {
+  const publisher = createTwitterPublisher({ credentials, credentialsEnv: options.account || 'TEST', ...options });
+  const calls = [];
+  publisher.client.v2.tweet = async body => {
+    calls.push(body);
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return { publisher, calls };
+}
+
+test('a 429 is waited out and the post sent once more', async () => {
+  const { publisher, calls } = createPublisher([rateLimited(0), { data: { id: '111' } }], { account: 'RETRY' });
+  assert.deepStrictEqual(await publisher.publish({ type: 'sale', text: 'Case filed' }), { id: '111' });
+  assert.strictEqual(calls.length, 2);
+});
+
+test('a second 429 after the wait defers the post past the reset', async () => {
+  const { publisher, calls } = createPublisher([rateLimited(0), rateLimited(600)], { account: 'TWICE' });
+  await assert.rejects(publisher.publish({ type: 'sale', text: 'Case filed' }), error => {
+    assert.ok(error instanceof PostDeferredError);
+    assert.ok(error.retryAt.getTime() > Date.now() + 500 * 1000);
+    return true;
+  });
+  assert.strictEqual(calls.length, 2);
+  // Later runs hold back until the reset too
+  const usage = await loadUsage('TWICE');
+  assert.ok(new Date(usage.blockedUntil).getTime() > Date.now() + 500 * 1000);
+});
+
+test('a 429 longer than maxWaitSeconds defers the post without waiting', async () => {
+  const { publisher, calls } = createPublisher([rateLimited(3600)], { account: 'LONG', maxWaitSeconds: 60 });
+  await assert.rejects(publisher.publish({ type: 'sale', text: 'Case filed' }), PostDeferredError);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('a stop request cuts the wait short and defers the post', async () => {
+  let stopped = false;
+  const waits = [];
+  const stop = {
+    isStopped: () => stopped,
+    async wait(ms) {
+      waits.push(ms);
+      stopped = true; // SIGTERM arrives during the wait
+    }
+  };
+  const { publisher, calls } = createPublisher([rateLimited(300)], { account: 'STOP', stop });
+  await assert.rejects(publisher.publish({ type: 'sale', text: 'Case filed' }), PostDeferredError);
+  assert.strictEqual(waits.length, 1);
+  assert.strictEqual(calls.length, 1);
+});